@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AICacheEntry = require('../src/models/AICacheEntry');
+const logger = require('../src/utils/logger');
+
+const KEY_PREFIX = 'ai-cache:';
+
+// EXPIRE that only ever extends the TTL: EXPIRE GT needs Redis 7, this works on 6
+const EXTEND_EXPIRE_SCRIPT = `
+if redis.call('TTL', KEYS[1]) < tonumber(ARGV[1]) then
+  return redis.call('EXPIRE', KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+/**
+ * Redis store: one key per entry with a TTL, a sorted set of keys by expiry
+ * for size limiting, and a set of keys per tag for invalidation. A tag set
+ * lives as long as its longest-lived entry, so invalidating the tag reaches
+ * every entry even when a shorter-lived one was added last.
+ */
+class RedisCacheStore {
+  constructor(redis) {
+    this.name = 'redis';
+    this.redis = redis;
+    this.indexKey = `${KEY_PREFIX}index`;
+
+    redis.defineCommand('extendExpire', { numberOfKeys: 1, lua: EXTEND_EXPIRE_SCRIPT });
+  }
+
+  isAvailable() {
+    return this.redis.status === 'ready';
+  }
+
+  entryKey(key) {
+    return `${KEY_PREFIX}entry:${key}`;
+  }
+
+  tagKey(tag) {
+    return `${KEY_PREFIX}tag:${tag}`;
+  }
+
+  async get(key) {
+    return this.redis.get(this.entryKey(key));
+  }
+
+  async set(key, payload, { ttl, tags }) {
+    const multi = this.redis.multi()
+      .set(this.entryKey(key), payload, 'EX', ttl)
+      .zadd(this.indexKey, Date.now() + ttl * 1000, key);
+
+    tags.forEach(tag => {
+      multi.sadd(this.tagKey(tag), key).extendExpire(this.tagKey(tag), ttl);
+    });
+
+    await multi.exec();
+  }
+
+  async deleteKeys(keys) {
+    if (keys.length === 0) return 0;
+
+    const [[, deleted]] = await this.redis.multi()
+      .del(...keys.map(key => this.entryKey(key)))
+      .zrem(this.indexKey, ...keys)
+      .exec();
+    return deleted;
+  }
+
+  async invalidateTag(tag) {
+    const keys = await this.redis.smembers(this.tagKey(tag));
+    const deleted = await this.deleteKeys(keys);
+    await this.redis.del(this.tagKey(tag));
+    return deleted;
+  }
+
+  async clear(namespace) {
+    const keys = (await this.redis.zrange(this.indexKey, 0, -1))
+      .filter(key => !namespace || key.startsWith(`${namespace}:`));
+    return this.deleteKeys(keys);
+  }
+
+  async count() {
+    await this.redis.zremrangebyscore(this.indexKey, '-inf', Date.now());
+    return this.redis.zcard(this.indexKey);
+  }
+
+  /**
+   * Drop the entries closest to expiring until at most maxEntries are left
+   */
+  async evict(maxEntries) {
+    const excess = await this.count() - maxEntries;
+    if (excess <= 0) return 0;
+
+    return this.deleteKeys(await this.redis.zrange(this.indexKey, 0, excess - 1));
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+/**
+ * MongoDB store (AICacheEntry collection), used when Redis isn't available.
+ * Expired entries are removed by a TTL index.
+ */
+class MongoCacheStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async get(key) {
+    const entry = await AICacheEntry.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastAccessedAt: new Date() } },
+      { projection: { payload: 1 } }
+    ).lean();
+
+    return entry?.payload || null;
+  }
+
+  async set(key, payload, { ttl, tags, namespace }) {
+    await AICacheEntry.updateOne(
+      { key },
+      {
+        $set: {
+          namespace,
+          payload,
+          size: Buffer.byteLength(payload),
+          tags,
+          lastAccessedAt: new Date(),
+          expiresAt: new Date(Date.now() + ttl * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async invalidateTag(tag) {
+    const result = await AICacheEntry.deleteMany({ tags: tag });
+    return result.deletedCount;
+  }
+
+  async clear(namespace) {
+    const result = await AICacheEntry.deleteMany(namespace ? { namespace } : {});
+    return result.deletedCount;
+  }
+
+  async count() {
+    return AICacheEntry.countDocuments({ expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Drop the least recently used entries until at most maxEntries are left
+   */
+  async evict(maxEntries) {
+    const excess = await AICacheEntry.estimatedDocumentCount() - maxEntries;
+    if (excess <= 0) return 0;
+
+    const oldest = await AICacheEntry.find({})
+      .sort({ lastAccessedAt: 1 })
+      .limit(excess)
+      .select('_id')
+      .lean();
+
+    const result = await AICacheEntry.deleteMany({ _id: { $in: oldest.map(entry => entry._id) } });
+    return result.deletedCount;
+  }
+
+  async close() {}
+}
+
+/**
+ * AI Cache Service
+ * Shared cache for AI results (embeddings, analyses, suggestions,
+ * optimizations), keyed by a hash of everything that determines the result:
+ * the namespace, the provider/model and the content or prompt. Stored in
+ * Redis when it's reachable, in MongoDB otherwise, so results survive
+ * restarts and are shared between instances.
+ *
+ * Entries expire after a TTL and the oldest are evicted above
+ * AI_CACHE_MAX_ENTRIES. Entries are tagged with the resumes and jobs they
+ * belong to ("resume:<id>", "job:<id>") so admins can invalidate them.
+ * Store errors are logged and treated as misses; the cache never fails a
+ * request.
+ */
+class AICacheService {
+  constructor() {
+    this.enabled = process.env.AI_CACHE_ENABLED !== 'false';
+    this.storeType = (process.env.AI_CACHE_STORE || 'auto').toLowerCase(); // auto, redis or mongo
+    this.defaultTTL = parseInt(process.env.AI_CACHE_TTL) || 7 * 24 * 60 * 60; // seconds
+    this.embeddingTTL = parseInt(process.env.AI_CACHE_EMBEDDING_TTL) || 30 * 24 * 60 * 60;
+    this.maxEntries = parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 10000;
+    this.maxEntrySize = parseInt(process.env.AI_CACHE_MAX_ENTRY_SIZE) || 256 * 1024; // bytes
+
+    this.store = null; // Set by initialize()
+    this.stats = {};
+  }
+
+  /**
+   * Pick the store: Redis if it accepts a connection, MongoDB otherwise
+   */
+  async initialize() {
+    if (!this.enabled) {
+      logger.info('AI cache disabled');
+      return;
+    }
+
+    if (this.storeType !== 'mongo') {
+      this.store = await this.connectRedis();
+    }
+    if (!this.store && this.storeType !== 'redis') {
+      this.store = new MongoCacheStore();
+    }
+
+    logger.info(`AI cache store: ${this.store ? this.store.name : 'none'}`);
+  }
+
+  async connectRedis() {
+    // Required lazily so processes that never initialize the cache don't load Redis
+    const IORedis = require('ioredis');
+    const redis = new IORedis({
+      host: process.env.REDIS_HOST || 'localhost',
+      port: process.env.REDIS_PORT || 6379,
+      password: process.env.REDIS_PASSWORD || undefined,
+      lazyConnect: true,
+      connectTimeout: 3000,
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1
+    });
+    redis.on('error', error => logger.debug(`AI cache Redis error: ${error.message}`));
+
+    try {
+      await redis.connect();
+      return new RedisCacheStore(redis);
+    } catch (error) {
+      logger.warn(`AI cache: Redis unavailable (${error.message})${this.storeType === 'redis' ? '' : ', using MongoDB'}`);
+      redis.disconnect();
+      return null;
+    }
+  }
+
+  isReady() {
+    return this.enabled && Boolean(this.store?.isAvailable());
+  }
+
+  /**
+   * Content-hash key: the same inputs always give the same key
+   */
+  buildKey(namespace, parts) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    return `${namespace}:${hash}`;
+  }
+
+  getNamespaceStats(namespace) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, sets: 0, skipped: 0, errors: 0 };
+    }
+    return this.stats[namespace];
+  }
+
+  async get(namespace, parts) {
+    if (!this.isReady()) return undefined;
+
+    const stats = this.getNamespaceStats(namespace);
+    try {
+      const payload = await this.store.get(this.buildKey(namespace, parts));
+      if (payload === null) {
+        stats.misses++;
+        return undefined;
+      }
+
+      stats.hits++;
+      return JSON.parse(payload);
+    } catch (error) {
+      stats.errors++;
+      logger.warn(`AI cache read error (${namespace}): ${error.message}`);
+      return undefined;
+    }
+  }
+
+  async set(namespace, parts, value, { ttl = this.defaultTTL, tags = [] } = {}) {
+    if (!this.isReady()) return false;
+
+    const stats = this.getNamespaceStats(namespace);
+    const payload = JSON.stringify(value);
+
+    if (Buffer.byteLength(payload) > this.maxEntrySize) {
+      stats.skipped++;
+      return false;
+    }
+
+    try {
+      await this.store.set(this.buildKey(namespace, parts), payload, { ttl, tags, namespace });
+      await this.store.evict(this.maxEntries);
+      stats.sets++;
+      return true;
+    } catch (error) {
+      stats.errors++;
+      logger.warn(`AI cache write error (${namespace}): ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Return the cached result for the inputs, or compute and cache it.
+   * `shouldCache(value)` keeps failed or fallback results out of the cache.
+   */
+  async wrap(namespace, parts, compute, { ttl, tags, shouldCache = () => true } = {}) {
+    const cached = await this.get(namespace, parts);
+    if (cached !== undefined) return cached;
+
+    const value = await compute();
+    if (shouldCache(value)) {
+      await this.set(namespace, parts, value, { ttl, tags });
+    }
+    return value;
+  }
+
+  /**
+   * Remove every cached result tagged with the resume
+   */
+  async invalidateResume(resumeId) {
+    return this.invalidateTag(resumeTag(resumeId));
+  }
+
+  /**
+   * Remove every cached result tagged with the job
+   */
+  async invalidateJob(jobId) {
+    return this.invalidateTag(jobTag(jobId));
+  }
+
+  async invalidateTag(tag) {
+    if (!this.isReady()) return 0;
+
+    const deleted = await this.store.invalidateTag(tag);
+    logger.info(`AI cache: invalidated ${deleted} entries for ${tag}`);
+    return deleted;
+  }
+
+  /**
+   * Remove all entries, or those of one namespace
+   */
+  async clear(namespace) {
+    if (!this.isReady()) return 0;
+
+    const deleted = await this.store.clear(namespace);
+    logger.info(`AI cache: cleared ${deleted} entries${namespace ? ` from ${namespace}` : ''}`);
+    return deleted;
+  }
+
+  /**
+   * Hit/miss counters since startup (this instance) and the store's size
+   */
+  async getStats() {
+    const totals = Object.values(this.stats).reduce((sum, stats) => ({
+      hits: sum.hits + stats.hits,
+      misses: sum.misses + stats.misses
+    }), { hits: 0, misses: 0 });
+    const lookups = totals.hits + totals.misses;
+
+    let entries = null;
+    if (this.isReady()) {
+      entries = await this.store.count().catch(() => null);
+    }
+
+    let status = 'healthy';
+    if (!this.enabled) status = 'disabled';
+    else if (!this.isReady()) status = 'unavailable';
+
+    return {
+      status,
+      store: this.store?.name || null,
+      entries,
+      maxEntries: this.maxEntries,
+      ttl: { default: this.defaultTTL, embedding: this.embeddingTTL },
+      ...totals,
+      hitRate: lookups > 0 ? Math.round((totals.hits / lookups) * 1000) / 1000 : null,
+      namespaces: JSON.parse(JSON.stringify(this.stats))
+    };
+  }
+
+  async close() {
+    if (this.store) await this.store.close();
+  }
+}
+
+const resumeTag = (resumeId) => `resume:${resumeId}`;
+const jobTag = (jobId) => `job:${jobId}`;
+
+/**
+ * Cache tags for results derived from a resume and/or job
+ */
+const cacheTags = ({ resumeId, jobId } = {}) => [
+  ...(resumeId ? [resumeTag(resumeId)] : []),
+  ...(jobId ? [jobTag(jobId)] : [])
+];
+
+// Export singleton instance
+const aiCacheService = new AICacheService();
+
+module.exports = {
+  aiCacheService,
+  AICacheService,
+  RedisCacheStore,
+  MongoCacheStore,
+  cacheTags
+};
@@ -0,0 +1,219 @@
+/**
+ * JSON Schemas (draft-07) for the output of each AI task, matching the
+ * formats the prompts ask for. Optional fields get defaults when missing;
+ * scores the UI relies on are required and range checked.
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' }, default: [] };
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const priority = { type: 'string', enum: ['critical', 'high', 'medium', 'low'] };
+
+const scoredSection = {
+  type: 'object',
+  required: ['score'],
+  properties: {
+    score,
+    feedback: { type: 'string', default: '' }
+  }
+};
+
+const atsFactor = {
+  type: 'object',
+  required: ['score'],
+  properties: {
+    score,
+    issues: stringArray,
+    suggestions: stringArray,
+    found: stringArray,
+    missing: stringArray
+  }
+};
+
+const AI_TASK_SCHEMAS = {
+  resumeSuggestions: {
+    type: 'object',
+    required: ['suggestions'],
+    properties: {
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title', 'description'],
+          properties: {
+            type: { type: 'string', enum: ['content', 'formatting', 'keywords', 'structure', 'grammar'] },
+            priority,
+            title: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            section: { type: 'string' },
+            impact: { type: 'string', enum: ['high', 'medium', 'low'] },
+            category: { type: 'string' }
+          }
+        }
+      },
+      missingSkills: stringArray,
+      keywordGaps: stringArray,
+      atsScore: { ...score, default: 0 },
+      overallFeedback: { type: 'string', default: '' }
+    }
+  },
+
+  jobRecommendations: {
+    type: 'object',
+    required: ['recommendations'],
+    properties: {
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['jobId', 'matchScore'],
+          properties: {
+            jobId: { type: 'string', minLength: 1 },
+            matchScore: score,
+            matchReasons: stringArray,
+            skillsMatch: stringArray,
+            missingSkills: stringArray,
+            recommendation: { type: 'string', default: '' }
+          }
+        }
+      }
+    }
+  },
+
+  atsAnalysis: {
+    type: 'object',
+    required: ['score', 'factors'],
+    properties: {
+      score,
+      factors: {
+        type: 'object',
+        properties: {
+          formatting: atsFactor,
+          keywords: atsFactor,
+          structure: atsFactor,
+          readability: atsFactor
+        },
+        additionalProperties: atsFactor
+      },
+      overallFeedback: { type: 'string', default: '' }
+    }
+  },
+
+  skillExtraction: {
+    type: 'object',
+    required: ['skills'],
+    properties: {
+      skills: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['skill', 'category'],
+          properties: {
+            skill: { type: 'string', minLength: 1 },
+            category: { type: 'string', enum: ['technical', 'soft', 'tools', 'frameworks', 'languages', 'certifications'] },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            context: { type: 'string' }
+          }
+        }
+      },
+      categories: {
+        type: 'object',
+        additionalProperties: stringArray,
+        default: {}
+      }
+    }
+  },
+
+  jobOptimization: {
+    type: 'object',
+    required: ['optimizedDescription', 'suggestions'],
+    properties: {
+      optimizedDescription: { type: 'string', minLength: 1 },
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['suggested'],
+          properties: {
+            type: { type: 'string', enum: ['keywords', 'structure', 'requirements', 'benefits'] },
+            priority,
+            current: { type: 'string' },
+            suggested: { type: 'string', minLength: 1 },
+            reason: { type: 'string' }
+          }
+        }
+      },
+      keywordSuggestions: stringArray,
+      improvementScore: { ...score, default: 0 },
+      feedback: { type: 'string', default: '' }
+    }
+  },
+
+  contentAnalysis: {
+    type: 'object',
+    required: ['contentQuality', 'structure', 'language'],
+    properties: {
+      strengths: stringArray,
+      weaknesses: stringArray,
+      contentQuality: scoredSection,
+      structure: scoredSection,
+      language: scoredSection,
+      achievements: {
+        type: 'object',
+        properties: {
+          quantified: { type: 'integer', minimum: 0 },
+          total: { type: 'integer', minimum: 0 },
+          score,
+          feedback: { type: 'string', default: '' }
+        }
+      }
+    }
+  },
+
+  resumeOptimization: {
+    type: 'object',
+    required: ['keywordOptimization', 'specificSuggestions'],
+    properties: {
+      keywordOptimization: {
+        type: 'object',
+        properties: {
+          missing: stringArray,
+          suggestions: stringArray
+        }
+      },
+      contentOptimization: {
+        type: 'object',
+        properties: {
+          summary: { type: 'string' },
+          experienceHighlights: stringArray,
+          skillsToEmphasize: stringArray
+        },
+        default: {}
+      },
+      matchImprovements: {
+        type: 'object',
+        properties: {
+          before: score,
+          after: score,
+          improvements: stringArray
+        }
+      },
+      specificSuggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['suggested'],
+          properties: {
+            section: { type: 'string' },
+            current: { type: 'string' },
+            suggested: { type: 'string', minLength: 1 },
+            reason: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  AI_TASK_SCHEMAS
+};
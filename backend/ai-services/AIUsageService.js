@@ -0,0 +1,295 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const AIUsage = require('../src/models/AIUsage');
+const AIUsageDaily = require('../src/models/AIUsageDaily');
+const logger = require('../src/utils/logger');
+
+// Estimated USD per million tokens; override or extend with AI_MODEL_PRICING.
+// Models not listed (local servers, the scripted fake) cost nothing.
+const DEFAULT_PRICING = {
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'embedding-001': { input: 0.025, output: 0 },
+  'text-embedding-004': { input: 0.025, output: 0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+// AI requests per user per UTC day; roles left out (or null) are unlimited
+const DEFAULT_DAILY_QUOTAS = {
+  candidate: 20,
+  recruiter: 100
+};
+
+const CHARS_PER_TOKEN = 4; // Estimate when a provider doesn't report usage
+
+/**
+ * AI Usage Service
+ * Records every model call (text generation and remote embeddings) in the
+ * AIUsage ledger with the user and endpoint it was made for, token counts,
+ * latency and estimated cost, and enforces per-role daily request quotas.
+ *
+ * The user and endpoint come from the request context set by the aiQuota
+ * middleware (runWithContext), so AI services don't need them passed in;
+ * calls outside a request (background jobs) are recorded without a user.
+ */
+class AIUsageService {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+    this.pricing = { ...DEFAULT_PRICING, ...this.parseJSON(process.env.AI_MODEL_PRICING, 'AI_MODEL_PRICING') };
+    this.dailyQuotas = { ...DEFAULT_DAILY_QUOTAS, ...this.parseJSON(process.env.AI_DAILY_QUOTAS, 'AI_DAILY_QUOTAS') };
+  }
+
+  parseJSON(value, variable) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Ignoring invalid ${variable}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Run `fn` with the user/endpoint that AI calls made inside it are billed to
+   */
+  runWithContext(context, fn) {
+    return this.context.run(context, fn);
+  }
+
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+  }
+
+  estimateCost(model, inputTokens, outputTokens) {
+    const price = this.pricing[model];
+    if (!price) return 0;
+
+    const cost = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+    return Math.round(cost * 1e8) / 1e8;
+  }
+
+  /**
+   * Record a model call. `usage` is what the provider reported; without it
+   * tokens are estimated from `input`/`output` text. Never throws: a ledger
+   * write failure must not fail the AI request.
+   */
+  async record({ task, provider, model, input, output, usage, latencyMs, error }) {
+    try {
+      if (mongoose.connection.readyState !== 1) return null;
+
+      const { userId = null, role, endpoint, requestId } = this.getContext();
+      const inputTokens = usage?.inputTokens ?? this.estimateTokens(input);
+      const outputTokens = usage?.outputTokens ?? this.estimateTokens(output);
+      const cost = this.estimateCost(model, inputTokens, outputTokens);
+
+      const entry = await AIUsage.create({
+        userId,
+        role,
+        endpoint,
+        requestId,
+        task,
+        provider,
+        model,
+        inputTokens,
+        outputTokens,
+        tokensEstimated: !usage,
+        latencyMs,
+        cost,
+        success: !error,
+        error: error ? String(error.message || error).substring(0, 500) : undefined
+      });
+
+      if (userId) {
+        await AIUsageDaily.updateOne(
+          { userId, date: this.getDay() },
+          { $inc: { calls: 1, inputTokens, outputTokens, cost }, $setOnInsert: { role } },
+          { upsert: true }
+        );
+      }
+
+      return entry;
+    } catch (recordError) {
+      logger.warn(`AI usage record error: ${recordError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * UTC day (YYYY-MM-DD) quotas are counted in
+   */
+  getDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * When the current quota day ends (next UTC midnight)
+   */
+  getResetTime(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+  }
+
+  /**
+   * Daily request limit for a role; null is unlimited
+   */
+  getDailyLimit(role) {
+    const limit = this.dailyQuotas[role];
+    return typeof limit === 'number' && limit >= 0 ? limit : null;
+  }
+
+  /**
+   * Count one AI request against the user's daily quota. Returns
+   * { allowed, limit, used, remaining, resetAt }; a request over the limit
+   * isn't counted.
+   */
+  async consumeQuota(user) {
+    const limit = this.getDailyLimit(user.role);
+    const date = this.getDay();
+    const resetAt = this.getResetTime();
+    const filter = { userId: user._id, date };
+    const update = { $inc: { requests: 1 }, $setOnInsert: { role: user.role } };
+
+    if (limit === null) {
+      const usage = await AIUsageDaily.findOneAndUpdate(filter, update, { upsert: true, new: true });
+      return { allowed: true, limit: null, used: usage.requests, remaining: null, resetAt, date };
+    }
+    // No request matches `requests < 0`, so the upsert below would insert and count one
+    if (limit <= 0) {
+      return { allowed: false, limit, used: 0, remaining: 0, resetAt, date };
+    }
+
+    try {
+      // Only matches while under the limit; at the limit the upsert hits the
+      // unique index instead of counting the request
+      const usage = await AIUsageDaily.findOneAndUpdate(
+        { ...filter, requests: { $lt: limit } },
+        update,
+        { upsert: true, new: true }
+      );
+      return { allowed: true, limit, used: usage.requests, remaining: Math.max(0, limit - usage.requests), resetAt, date };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { allowed: false, limit, used: limit, remaining: 0, resetAt, date };
+    }
+  }
+
+  /**
+   * Give back a request that failed on our side
+   */
+  async releaseQuota(user, date = this.getDay()) {
+    try {
+      await AIUsageDaily.updateOne(
+        { userId: user._id, date, requests: { $gt: 0 } },
+        { $inc: { requests: -1 } }
+      );
+    } catch (error) {
+      logger.warn(`AI quota release error: ${error.message}`);
+    }
+  }
+
+  /**
+   * A user's usage and remaining quota for today
+   */
+  async getUserUsage(user) {
+    const limit = this.getDailyLimit(user.role);
+    const usage = await AIUsageDaily.findOne({ userId: user._id, date: this.getDay() }).lean();
+    const used = usage?.requests || 0;
+
+    return {
+      date: this.getDay(),
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      resetAt: this.getResetTime(),
+      calls: usage?.calls || 0,
+      inputTokens: usage?.inputTokens || 0,
+      outputTokens: usage?.outputTokens || 0,
+      cost: usage?.cost || 0
+    };
+  }
+
+  /**
+   * Usage between `from` and `to` broken down by user, endpoint and task
+   */
+  async getReport({ from, to, limit = 50 }) {
+    const match = { createdAt: { $gte: from, $lte: to } };
+    const totals = {
+      calls: { $sum: 1 },
+      requests: { $addToSet: '$requestId' },
+      failures: { $sum: { $cond: ['$success', 0, 1] } },
+      inputTokens: { $sum: '$inputTokens' },
+      outputTokens: { $sum: '$outputTokens' },
+      cost: { $sum: '$cost' },
+      avgLatencyMs: { $avg: '$latencyMs' }
+    };
+    const summarize = [
+      {
+        $addFields: {
+          requests: { $size: { $setDifference: ['$requests', [null]] } },
+          cost: { $round: ['$cost', 6] },
+          avgLatencyMs: { $round: ['$avgLatencyMs', 0] }
+        }
+      },
+      { $sort: { cost: -1, calls: -1 } }
+    ];
+
+    const [result] = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...totals } }, ...summarize, { $project: { _id: 0 } }],
+          byUser: [
+            { $group: { _id: '$userId', role: { $first: '$role' }, ...totals } },
+            ...summarize,
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            {
+              $project: {
+                _id: 0,
+                userId: '$_id',
+                role: 1,
+                email: { $first: '$user.email' },
+                name: {
+                  $trim: { input: { $concat: [{ $ifNull: [{ $first: '$user.profile.firstName' }, ''] }, ' ', { $ifNull: [{ $first: '$user.profile.lastName' }, ''] }] } }
+                },
+                calls: 1, requests: 1, failures: 1, inputTokens: 1, outputTokens: 1, cost: 1, avgLatencyMs: 1
+              }
+            }
+          ],
+          byEndpoint: [
+            { $group: { _id: { $ifNull: ['$endpoint', 'background'] }, ...totals } },
+            ...summarize,
+            { $project: { _id: 0, endpoint: '$_id', calls: 1, requests: 1, failures: 1, inputTokens: 1, outputTokens: 1, cost: 1, avgLatencyMs: 1 } }
+          ],
+          byTask: [
+            { $group: { _id: { task: '$task', provider: '$provider', model: '$model' }, ...totals } },
+            ...summarize,
+            { $project: { _id: 0, task: '$_id.task', provider: '$_id.provider', model: '$_id.model', calls: 1, failures: 1, inputTokens: 1, outputTokens: 1, cost: 1, avgLatencyMs: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      from,
+      to,
+      totals: result.totals[0] || { calls: 0, requests: 0, failures: 0, inputTokens: 0, outputTokens: 0, cost: 0, avgLatencyMs: null },
+      byUser: result.byUser,
+      byEndpoint: result.byEndpoint,
+      byTask: result.byTask
+    };
+  }
+}
+
+// Export singleton instance
+const aiUsageService = new AIUsageService();
+
+module.exports = {
+  aiUsageService,
+  AIUsageService
+};
@@ -0,0 +1,137 @@
+const { HashedEmbeddingProvider } = require('./HashedEmbeddingProvider');
+const { aiCacheService } = require('./AICacheService');
+const logger = require('../src/utils/logger');
+
+const EMBEDDING_VERSION = '1.0';
+
+/**
+ * Gemini embeddings (network, needs GEMINI_API_KEY)
+ */
+class GeminiEmbeddingProvider {
+  constructor() {
+    // Required lazily so the local provider works without loading Gemini
+    const { geminiService } = require('./GeminiService');
+    this.geminiService = geminiService;
+    this.name = 'gemini';
+    this.model = geminiService.embeddingModel;
+    this.dimensions = null; // Reported by the API
+    this.remote = true;
+  }
+
+  async embed(text) {
+    return this.geminiService.generateEmbedding(text);
+  }
+
+  async embedBatch(texts) {
+    return this.geminiService.generateEmbeddingsBatch(texts);
+  }
+
+  async healthCheck() {
+    const health = await this.geminiService.healthCheck();
+    return { ...health, provider: this.name, model: this.model };
+  }
+}
+
+const PROVIDERS = {
+  gemini: () => new GeminiEmbeddingProvider(),
+  hashed: () => new HashedEmbeddingProvider()
+};
+
+/**
+ * Embedding Service
+ * Generates job and resume embeddings with the provider selected by
+ * EMBEDDING_PROVIDER: "gemini" (default) or "hashed", a local deterministic
+ * provider for development and CI. The provider's model name is recorded
+ * in embeddingMetadata.model; embeddings from another model aren't
+ * comparable and are treated as missing.
+ */
+class EmbeddingService {
+  constructor() {
+    const name = (process.env.EMBEDDING_PROVIDER || 'gemini').toLowerCase();
+
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    this.provider = PROVIDERS[name]();
+    logger.info(`Embedding provider: ${this.provider.name} (${this.provider.model})`);
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  /**
+   * Whether the provider calls an external API (and so is rate limited)
+   */
+  get isRemote() {
+    return this.provider.remote;
+  }
+
+  /**
+   * Embeddings from remote providers are cached by model and text;
+   * `options.tags` names the resume/job the text belongs to
+   */
+  async generateEmbedding(text, options = {}) {
+    if (!this.isRemote) {
+      return this.provider.embed(text);
+    }
+
+    return aiCacheService.wrap('embedding', [this.model, text], () => this.provider.embed(text), {
+      ttl: aiCacheService.embeddingTTL,
+      tags: options.tags
+    });
+  }
+
+  async generateEmbeddingsBatch(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('Array of texts is required for batch embedding generation');
+    }
+    return this.provider.embedBatch(texts);
+  }
+
+  /**
+   * embeddingMetadata for a Job or Resume
+   */
+  getMetadata(embedding) {
+    return {
+      model: this.model,
+      dimensions: embedding.length,
+      generatedAt: new Date(),
+      version: EMBEDDING_VERSION
+    };
+  }
+
+  /**
+   * Whether a Job or Resume has an embedding from the current model
+   */
+  isCurrent(doc) {
+    if (!doc?.embedding?.length) return false;
+
+    const metadata = doc.embeddingMetadata || {};
+    if (metadata.model && metadata.model !== this.model) return false;
+
+    return !this.provider.dimensions || doc.embedding.length === this.provider.dimensions;
+  }
+
+  getInfo() {
+    return {
+      provider: this.provider.name,
+      model: this.model,
+      dimensions: this.provider.dimensions
+    };
+  }
+
+  async healthCheck() {
+    return this.provider.healthCheck();
+  }
+}
+
+// Export singleton instance
+const embeddingService = new EmbeddingService();
+
+module.exports = {
+  embeddingService,
+  EmbeddingService,
+  GeminiEmbeddingProvider
+};
@@ -1,12 +1,21 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { llmService } = require('./LLMService');
+const { structuredOutputService } = require('./StructuredOutputService');
+const { aiCacheService } = require('./AICacheService');
+const { aiUsageService } = require('./AIUsageService');
+const { promptRegistry } = require('./PromptRegistry');
 const logger = require('../src/utils/logger');
 
 /**
  * Google Gemini AI Service
- * Handles all interactions with Google Gemini API including embeddings and text generation
+ * Handles all interactions with Google Gemini API including embeddings and text generation.
+ * Also builds and parses the prompts for the AI tasks below; each task runs on the
+ * provider LLMService routes it to, which is Gemini unless configured otherwise.
  */
 class GeminiService {
   constructor() {
+    this.name = 'gemini';
+    this.type = 'gemini';
     this.apiKey = process.env.GEMINI_API_KEY;
     this.model = process.env.GEMINI_MODEL || 'gemini-pro';
     this.embeddingModel = process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001';
@@ -14,13 +23,16 @@ class GeminiService {
     this.temperature = parseFloat(process.env.GEMINI_TEMPERATURE) || 0.7;
     this.timeout = parseInt(process.env.GEMINI_TIMEOUT) || 30000;
     
-    if (!this.apiKey) {
-      logger.error('GEMINI_API_KEY not found in environment variables');
-      throw new Error('Google Gemini API key is required');
+    // Without a key Gemini is unavailable, but tasks routed to other LLM
+    // providers and local embeddings still work
+    if (this.apiKey) {
+      this.genAI = new GoogleGenerativeAI(this.apiKey);
+      this.generativeModel = this.genAI.getGenerativeModel({ model: this.model });
+    } else {
+      logger.warn('GEMINI_API_KEY not found in environment variables, Gemini is unavailable');
+      this.genAI = null;
+      this.generativeModel = null;
     }
-
-    this.genAI = new GoogleGenerativeAI(this.apiKey);
-    this.generativeModel = this.genAI.getGenerativeModel({ model: this.model });
     
     // Rate limiting
     this.requestQueue = [];
@@ -38,6 +50,8 @@ class GeminiService {
         throw new Error('Text is required for embedding generation');
       }
 
+      this.ensureConfigured();
+
       // Clean and prepare text
       const cleanText = this.preprocessText(text);
       
@@ -45,8 +59,16 @@ class GeminiService {
 
       const result = await this.executeWithRetry(async () => {
         const model = this.genAI.getGenerativeModel({ model: this.embeddingModel });
-        const response = await model.embedContent(cleanText);
-        return response.embedding.values;
+        const startedAt = Date.now();
+
+        try {
+          const response = await model.embedContent(cleanText);
+          aiUsageService.record({ task: 'embedding', provider: this.name, model: this.embeddingModel, input: cleanText, latencyMs: Date.now() - startedAt });
+          return response.embedding.values;
+        } catch (error) {
+          aiUsageService.record({ task: 'embedding', provider: this.name, model: this.embeddingModel, input: cleanText, latencyMs: Date.now() - startedAt, error });
+          throw error;
+        }
       });
 
       logger.debug(`Generated embedding with ${result.length} dimensions`);
@@ -95,142 +117,218 @@ class GeminiService {
   }
 
   /**
-   * Generate resume improvement suggestions using Gemini
+   * Generate resume improvement suggestions
    */
-  async generateResumeSuggestions(resumeContent) {
+  async generateResumeSuggestions(resumeContent, options = {}) {
     try {
       if (!resumeContent) {
         throw new Error('Resume content is required');
       }
 
-      const prompt = this.buildResumeSuggestionsPrompt(resumeContent);
+      const prompt = this.buildResumeSuggestionsPrompt(resumeContent, options);
       
-      logger.debug('Generating resume suggestions with Gemini');
+      logger.debug('Generating resume suggestions');
 
-      const result = await this.executeWithRetry(async () => {
-        const response = await this.generativeModel.generateContent(prompt);
-        const text = response.response.text();
-        return this.parseResumeSuggestions(text);
-      });
+      const { data } = await this.generateStructured('resumeSuggestions', prompt, options);
+      const result = { ...this.parseResumeSuggestions(data), prompt: this.describePrompt(prompt) };
 
       logger.debug(`Generated ${result.suggestions.length} resume suggestions`);
       return result;
 
     } catch (error) {
       logger.error('Resume suggestions generation error:', error);
-      throw new Error(`Failed to generate resume suggestions: ${error.message}`);
+      throw this.wrapError('Failed to generate resume suggestions', error);
     }
   }
 
   /**
    * Generate job recommendations for a candidate
    */
-  async generateJobRecommendations(candidateProfile, availableJobs) {
+  async generateJobRecommendations(candidateProfile, availableJobs, options = {}) {
     try {
       if (!candidateProfile || !availableJobs) {
         throw new Error('Candidate profile and available jobs are required');
       }
 
-      const prompt = this.buildJobRecommendationsPrompt(candidateProfile, availableJobs);
+      const prompt = this.buildJobRecommendationsPrompt(candidateProfile, availableJobs, options);
       
-      logger.debug('Generating job recommendations with Gemini');
+      logger.debug('Generating job recommendations');
 
-      const result = await this.executeWithRetry(async () => {
-        const response = await this.generativeModel.generateContent(prompt);
-        const text = response.response.text();
-        return this.parseJobRecommendations(text);
-      });
+      const { data } = await this.generateStructured('jobRecommendations', prompt, options);
+      const result = { ...this.parseJobRecommendations(data), prompt: this.describePrompt(prompt) };
 
       logger.debug(`Generated ${result.recommendations.length} job recommendations`);
       return result;
 
     } catch (error) {
       logger.error('Job recommendations generation error:', error);
-      throw new Error(`Failed to generate job recommendations: ${error.message}`);
+      throw this.wrapError('Failed to generate job recommendations', error);
     }
   }
 
   /**
    * Analyze resume for ATS compatibility
    */
-  async analyzeATSCompatibility(resumeContent) {
+  async analyzeATSCompatibility(resumeContent, options = {}) {
     try {
       if (!resumeContent) {
         throw new Error('Resume content is required');
       }
 
-      const prompt = this.buildATSAnalysisPrompt(resumeContent);
+      const prompt = this.buildATSAnalysisPrompt(resumeContent, options);
       
-      logger.debug('Analyzing ATS compatibility with Gemini');
+      logger.debug('Analyzing ATS compatibility');
 
-      const result = await this.executeWithRetry(async () => {
-        const response = await this.generativeModel.generateContent(prompt);
-        const text = response.response.text();
-        return this.parseATSAnalysis(text);
-      });
+      const { data } = await this.generateStructured('atsAnalysis', prompt, options);
+      const result = { ...this.parseATSAnalysis(data), prompt: this.describePrompt(prompt) };
 
       logger.debug(`ATS analysis completed with score: ${result.score}`);
       return result;
 
     } catch (error) {
       logger.error('ATS analysis error:', error);
-      throw new Error(`Failed to analyze ATS compatibility: ${error.message}`);
+      throw this.wrapError('Failed to analyze ATS compatibility', error);
     }
   }
 
   /**
    * Extract skills from resume content
    */
-  async extractSkills(resumeContent) {
+  async extractSkills(resumeContent, options = {}) {
     try {
       if (!resumeContent) {
         throw new Error('Resume content is required');
       }
 
-      const prompt = this.buildSkillExtractionPrompt(resumeContent);
+      const prompt = this.buildSkillExtractionPrompt(resumeContent, options);
       
-      logger.debug('Extracting skills with Gemini');
+      logger.debug('Extracting skills');
 
-      const result = await this.executeWithRetry(async () => {
-        const response = await this.generativeModel.generateContent(prompt);
-        const text = response.response.text();
-        return this.parseExtractedSkills(text);
-      });
+      const { data } = await this.generateStructured('skillExtraction', prompt, options);
+      const result = { ...this.parseExtractedSkills(data), prompt: this.describePrompt(prompt) };
 
       logger.debug(`Extracted ${result.skills.length} skills`);
       return result;
 
     } catch (error) {
       logger.error('Skill extraction error:', error);
-      throw new Error(`Failed to extract skills: ${error.message}`);
+      throw this.wrapError('Failed to extract skills', error);
     }
   }
 
   /**
    * Generate job description optimization suggestions
    */
-  async optimizeJobDescription(jobDescription) {
+  async optimizeJobDescription(jobDescription, options = {}) {
     try {
       if (!jobDescription) {
         throw new Error('Job description is required');
       }
 
-      const prompt = this.buildJobOptimizationPrompt(jobDescription);
+      const prompt = this.buildJobOptimizationPrompt(jobDescription, options);
       
-      logger.debug('Optimizing job description with Gemini');
+      logger.debug('Optimizing job description');
 
-      const result = await this.executeWithRetry(async () => {
-        const response = await this.generativeModel.generateContent(prompt);
-        const text = response.response.text();
-        return this.parseJobOptimization(text);
-      });
+      const { data } = await this.generateStructured('jobOptimization', prompt, options);
+      const result = { ...this.parseJobOptimization(data), prompt: this.describePrompt(prompt) };
 
       logger.debug('Job description optimization completed');
       return result;
 
     } catch (error) {
       logger.error('Job description optimization error:', error);
-      throw new Error(`Failed to optimize job description: ${error.message}`);
+      throw this.wrapError('Failed to optimize job description', error);
+    }
+  }
+
+  /**
+   * Prefix an error's message with what failed, keeping the code and
+   * validationErrors of an INVALID_AI_OUTPUT error for the API response
+   */
+  wrapError(action, error) {
+    const wrapped = new Error(`${action}: ${error.message}`);
+    if (error.code) wrapped.code = error.code;
+    if (error.validationErrors) wrapped.validationErrors = error.validationErrors;
+    return wrapped;
+  }
+
+  /**
+   * Run a task prompt on the LLM provider it's routed to and return the response text
+   */
+  async generateText(task, prompt) {
+    const route = llmService.resolveTask(task);
+    const provider = route.provider === this.name ? this : llmService.getProvider(route.provider);
+    const model = route.model || provider.model;
+    const startedAt = Date.now();
+
+    // Every call goes in the usage ledger, billed to the current request's user
+    try {
+      const { text, usage } = await provider.generate(prompt, { task, model: route.model });
+      aiUsageService.record({ task, provider: provider.name, model, input: prompt, output: text, usage, latencyMs: Date.now() - startedAt });
+      return text;
+    } catch (error) {
+      aiUsageService.record({ task, provider: provider.name, model, input: prompt, latencyMs: Date.now() - startedAt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a task prompt and validate the output against the task's JSON Schema,
+   * re-asking the model when it doesn't match (see StructuredOutputService).
+   * `prompt` is the prompt text or a rendered prompt ({ name, version, text }),
+   * whose version the validation metrics are also counted under.
+   * Resolves to { data, text, attempts } with validated data, and throws an
+   * INVALID_AI_OUTPUT error, with the last validationErrors, once the repairs
+   * are exhausted. Valid output is cached by provider, model and prompt;
+   * `options.tags` names the resumes/jobs it belongs to for invalidation.
+   */
+  async generateStructured(task, prompt, options = {}) {
+    const text = typeof prompt === 'string' ? prompt : prompt.text;
+    const template = typeof prompt === 'string' ? null : this.describePrompt(prompt);
+    const { provider, model } = llmService.resolveTask(task);
+    const cacheKey = [provider, model || llmService.getProvider(provider).model, text];
+
+    const generateText = currentPrompt => this.executeWithRetry(() => this.generateText(task, currentPrompt));
+
+    const output = await aiCacheService.wrap(task, cacheKey, () =>
+      structuredOutputService.generate(task, text, generateText, { template }),
+      { tags: options.tags, shouldCache: result => result.valid }
+    );
+
+    if (!output.valid) {
+      const error = new Error(`INVALID_AI_OUTPUT: ${task} output did not match its schema after ${output.attempts} attempts: ${output.errors.join('; ')}`);
+      error.code = 'INVALID_AI_OUTPUT';
+      error.validationErrors = output.errors;
+      throw error;
+    }
+
+    return output;
+  }
+
+  /**
+   * LLM provider interface: generate text with Gemini, on `model` if given
+   */
+  async generate(prompt, { model } = {}) {
+    this.ensureConfigured();
+
+    const generativeModel = model && model !== this.model
+      ? this.genAI.getGenerativeModel({ model })
+      : this.generativeModel;
+
+    const response = await generativeModel.generateContent(prompt);
+    const usage = response.response.usageMetadata;
+
+    return {
+      text: response.response.text(),
+      usage: usage
+        ? { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount }
+        : null
+    };
+  }
+
+  ensureConfigured() {
+    if (!this.genAI) {
+      throw new Error('Google Gemini API key is required');
     }
   }
 
@@ -247,7 +345,7 @@ class GeminiService {
       ]);
     } catch (error) {
       if (retries > 0 && this.isRetryableError(error)) {
-        logger.warn(`Retrying Gemini API call. Retries left: ${retries - 1}`);
+        logger.warn(`Retrying AI API call. Retries left: ${retries - 1}`);
         await this.delay(this.retryDelay * (this.maxRetries - retries + 1));
         return this.executeWithRetry(fn, retries - 1);
       }
@@ -285,48 +383,25 @@ class GeminiService {
   }
 
   /**
-   * Build prompt for resume suggestions
+   * The prompt a result came from, as results carry and store it: { name, version }
    */
-  buildResumeSuggestionsPrompt(resumeContent) {
-    return `
-Analyze the following resume and provide improvement suggestions in JSON format:
-
-Resume Content:
-${resumeContent}
-
-Please provide suggestions in the following JSON structure:
-{
-  "suggestions": [
-    {
-      "type": "content|formatting|keywords|structure|grammar",
-      "priority": "critical|high|medium|low",
-      "title": "Brief title",
-      "description": "Detailed description",
-      "section": "section name",
-      "impact": "high|medium|low",
-      "category": "specific category"
-    }
-  ],
-  "missingSkills": ["skill1", "skill2"],
-  "keywordGaps": ["keyword1", "keyword2"],
-  "atsScore": 85,
-  "overallFeedback": "General feedback about the resume"
-}
+  describePrompt(prompt) {
+    return { name: prompt.name, version: prompt.version };
+  }
 
-Focus on:
-1. ATS compatibility issues
-2. Missing keywords and skills
-3. Grammar and formatting improvements
-4. Content structure and organization
-5. Quantifiable achievements
-6. Action verb usage
-`;
+  /**
+   * Build prompt for resume suggestions
+   * Prompt builders fill the task's template from the prompt registry and
+   * return { name, version, text }; `options.promptVersion` pins a version
+   */
+  buildResumeSuggestionsPrompt(resumeContent, options = {}) {
+    return promptRegistry.render('resumeSuggestions', { resumeContent }, options);
   }
 
   /**
    * Build prompt for job recommendations
    */
-  buildJobRecommendationsPrompt(candidateProfile, availableJobs) {
+  buildJobRecommendationsPrompt(candidateProfile, availableJobs, options = {}) {
     const jobSummaries = availableJobs.slice(0, 10).map(job => ({
       id: job._id,
       title: job.title,
@@ -335,307 +410,92 @@ Focus on:
       skills: job.skills?.slice(0, 10)
     }));
 
-    return `
-Based on the candidate profile below, rank and recommend the most suitable jobs from the available positions.
-
-Candidate Profile:
-Skills: ${candidateProfile.skills?.join(', ') || 'Not specified'}
-Experience: ${candidateProfile.experience?.map(exp => `${exp.position} at ${exp.company}`).join(', ') || 'Not specified'}
-Education: ${candidateProfile.education?.map(edu => `${edu.degree} from ${edu.institution}`).join(', ') || 'Not specified'}
-Preferences: ${JSON.stringify(candidateProfile.preferences || {})}
-
-Available Jobs:
-${JSON.stringify(jobSummaries, null, 2)}
-
-Provide recommendations in JSON format:
-{
-  "recommendations": [
-    {
-      "jobId": "job_id",
-      "matchScore": 85,
-      "matchReasons": ["reason1", "reason2"],
-      "skillsMatch": ["matching_skill1", "matching_skill2"],
-      "missingSkills": ["missing_skill1", "missing_skill2"],
-      "recommendation": "Why this job is a good fit"
-    }
-  ]
-}
-
-Rank jobs by compatibility (0-100%) considering skills match, experience level, and preferences.
-`;
+    return promptRegistry.render('jobRecommendations', {
+      skills: candidateProfile.skills?.join(', ') || 'Not specified',
+      experience: candidateProfile.experience?.map(exp => `${exp.position} at ${exp.company}`).join(', ') || 'Not specified',
+      totalExperience: candidateProfile.totalExperience !== undefined ? `${candidateProfile.totalExperience} years` : 'Not specified',
+      education: candidateProfile.education?.map(edu => `${edu.degree} from ${edu.institution}`).join(', ') || 'Not specified',
+      preferences: JSON.stringify(candidateProfile.preferences || {}),
+      jobs: JSON.stringify(jobSummaries, null, 2)
+    }, options);
   }
 
   /**
    * Build prompt for ATS analysis
    */
-  buildATSAnalysisPrompt(resumeContent) {
-    return `
-Analyze the following resume for ATS (Applicant Tracking System) compatibility and provide a detailed assessment:
-
-Resume Content:
-${resumeContent}
-
-Provide analysis in JSON format:
-{
-  "score": 85,
-  "factors": {
-    "formatting": {
-      "score": 90,
-      "issues": ["issue1", "issue2"],
-      "suggestions": ["suggestion1", "suggestion2"]
-    },
-    "keywords": {
-      "score": 80,
-      "found": ["keyword1", "keyword2"],
-      "missing": ["missing1", "missing2"],
-      "suggestions": ["Add more industry keywords"]
-    },
-    "structure": {
-      "score": 85,
-      "issues": ["structure issue"],
-      "suggestions": ["structure suggestion"]
-    },
-    "readability": {
-      "score": 90,
-      "issues": ["readability issue"],
-      "suggestions": ["readability suggestion"]
-    }
-  },
-  "overallFeedback": "Comprehensive feedback about ATS compatibility"
-}
-
-Evaluate:
-1. File format compatibility
-2. Keyword density and relevance
-3. Section structure and organization
-4. Text readability and parsing
-5. Contact information completeness
-`;
+  buildATSAnalysisPrompt(resumeContent, options = {}) {
+    return promptRegistry.render('atsAnalysis', { resumeContent }, options);
   }
 
   /**
    * Build prompt for skill extraction
    */
-  buildSkillExtractionPrompt(resumeContent) {
-    return `
-Extract all technical and soft skills from the following resume content:
-
-Resume Content:
-${resumeContent}
-
-Provide extracted skills in JSON format:
-{
-  "skills": [
-    {
-      "skill": "JavaScript",
-      "category": "technical",
-      "confidence": 0.95,
-      "context": "Listed in skills section"
-    },
-    {
-      "skill": "Leadership",
-      "category": "soft",
-      "confidence": 0.8,
-      "context": "Mentioned in experience description"
-    }
-  ],
-  "categories": {
-    "technical": ["JavaScript", "Python", "React"],
-    "soft": ["Leadership", "Communication"],
-    "tools": ["Git", "Docker"],
-    "frameworks": ["React", "Node.js"],
-    "languages": ["English", "Spanish"]
-  }
-}
-
-Categories: technical, soft, tools, frameworks, languages, certifications
-Confidence: 0.0-1.0 based on how clearly the skill is mentioned
-`;
+  buildSkillExtractionPrompt(resumeContent, options = {}) {
+    return promptRegistry.render('skillExtraction', { resumeContent }, options);
   }
 
   /**
    * Build prompt for job description optimization
    */
-  buildJobOptimizationPrompt(jobDescription) {
-    return `
-Analyze and optimize the following job description for better candidate attraction and ATS compatibility:
-
-Job Description:
-${jobDescription}
-
-Provide optimization suggestions in JSON format:
-{
-  "optimizedDescription": "Improved version of the job description",
-  "suggestions": [
-    {
-      "type": "keywords|structure|requirements|benefits",
-      "priority": "high|medium|low",
-      "current": "current text",
-      "suggested": "suggested improvement",
-      "reason": "explanation of why this improves the description"
-    }
-  ],
-  "keywordSuggestions": ["keyword1", "keyword2"],
-  "improvementScore": 85,
-  "feedback": "Overall feedback about the job description"
-}
-
-Focus on:
-1. Clear and engaging job title
-2. Compelling company description
-3. Specific requirements and qualifications
-4. Attractive benefits and perks
-5. Inclusive language
-6. Industry-relevant keywords
-`;
+  buildJobOptimizationPrompt(jobDescription, options = {}) {
+    return promptRegistry.render('jobOptimization', { jobDescription }, options);
   }
 
   /**
-   * Parse resume suggestions response
+   * Resume suggestions from schema-validated output (see generateStructured;
+   * the same goes for the parsers below)
    */
-  parseResumeSuggestions(text) {
-    try {
-      // Extract JSON from response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      // Validate structure
-      if (!parsed.suggestions || !Array.isArray(parsed.suggestions)) {
-        throw new Error('Invalid suggestions format');
-      }
-
-      return {
-        suggestions: parsed.suggestions,
-        missingSkills: parsed.missingSkills || [],
-        keywordGaps: parsed.keywordGaps || [],
-        atsScore: parsed.atsScore || 0,
-        overallFeedback: parsed.overallFeedback || ''
-      };
-
-    } catch (error) {
-      logger.error('Error parsing resume suggestions:', error);
-      return {
-        suggestions: [],
-        missingSkills: [],
-        keywordGaps: [],
-        atsScore: 0,
-        overallFeedback: 'Unable to parse AI response'
-      };
-    }
+  parseResumeSuggestions(data) {
+    return {
+      suggestions: data.suggestions,
+      missingSkills: data.missingSkills,
+      keywordGaps: data.keywordGaps,
+      atsScore: data.atsScore,
+      overallFeedback: data.overallFeedback
+    };
   }
 
   /**
-   * Parse job recommendations response
+   * Job recommendations from validated output
    */
-  parseJobRecommendations(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      return {
-        recommendations: parsed.recommendations || []
-      };
-
-    } catch (error) {
-      logger.error('Error parsing job recommendations:', error);
-      return {
-        recommendations: []
-      };
-    }
+  parseJobRecommendations(data) {
+    return {
+      recommendations: data.recommendations
+    };
   }
 
   /**
-   * Parse ATS analysis response
+   * ATS analysis from validated output
    */
-  parseATSAnalysis(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      return {
-        score: parsed.score || 0,
-        factors: parsed.factors || {},
-        overallFeedback: parsed.overallFeedback || ''
-      };
-
-    } catch (error) {
-      logger.error('Error parsing ATS analysis:', error);
-      return {
-        score: 0,
-        factors: {},
-        overallFeedback: 'Unable to parse AI response'
-      };
-    }
+  parseATSAnalysis(data) {
+    return {
+      score: data.score,
+      factors: data.factors,
+      overallFeedback: data.overallFeedback
+    };
   }
 
   /**
-   * Parse extracted skills response
+   * Extracted skills from validated output
    */
-  parseExtractedSkills(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      return {
-        skills: parsed.skills || [],
-        categories: parsed.categories || {}
-      };
-
-    } catch (error) {
-      logger.error('Error parsing extracted skills:', error);
-      return {
-        skills: [],
-        categories: {}
-      };
-    }
+  parseExtractedSkills(data) {
+    return {
+      skills: data.skills,
+      categories: data.categories
+    };
   }
 
   /**
-   * Parse job optimization response
+   * Job optimization from validated output
    */
-  parseJobOptimization(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      return {
-        optimizedDescription: parsed.optimizedDescription || '',
-        suggestions: parsed.suggestions || [],
-        keywordSuggestions: parsed.keywordSuggestions || [],
-        improvementScore: parsed.improvementScore || 0,
-        feedback: parsed.feedback || ''
-      };
-
-    } catch (error) {
-      logger.error('Error parsing job optimization:', error);
-      return {
-        optimizedDescription: '',
-        suggestions: [],
-        keywordSuggestions: [],
-        improvementScore: 0,
-        feedback: 'Unable to parse AI response'
-      };
-    }
+  parseJobOptimization(data) {
+    return {
+      optimizedDescription: data.optimizedDescription,
+      suggestions: data.suggestions,
+      keywordSuggestions: data.keywordSuggestions,
+      improvementScore: data.improvementScore,
+      feedback: data.feedback
+    };
   }
 
   /**
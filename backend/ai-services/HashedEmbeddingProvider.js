@@ -0,0 +1,152 @@
+const { SkillsTaxonomyService } = require('../src/services/skillsTaxonomyService');
+
+const MODEL_VERSION = 'v1'; // Bump when features or weights change: old vectors aren't comparable
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he',
+  'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'our', 'she', 'so', 'such', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your', 'us', 'am', 'been',
+  'can', 'do', 'did', 'all', 'any', 'also', 'other', 'who', 'what', 'which', 'while', 'would'
+]);
+
+// Words in nearly every resume and job posting carry little meaning; their
+// weight stands in for a low IDF
+const COMMON_TERMS = new Set([
+  'experience', 'experienced', 'work', 'worked', 'working', 'team', 'teams', 'year', 'years',
+  'skill', 'skills', 'responsible', 'responsibilities', 'including', 'strong', 'ability',
+  'knowledge', 'company', 'role', 'position', 'job', 'candidate', 'requirements', 'required',
+  'preferred', 'plus', 'using', 'used', 'excellent', 'good', 'new', 'etc', 'various', 'within'
+]);
+
+const WEIGHTS = {
+  term: 1,
+  commonTerm: 0.3,
+  bigram: 0.5,
+  skill: 2,          // Canonical skill ID, so aliases (k8s, Kubernetes) share a feature
+  relatedSkill: 0.5  // Related skills (Docker for Kubernetes) pull vectors closer
+};
+
+/**
+ * Hashed Embedding Provider
+ * Local, deterministic text embeddings for development and CI: hashed
+ * TF-IDF vectors over stemmed terms, bigrams and skills-taxonomy IDs.
+ * IDF is static (stop words dropped, boilerplate words damped, skills
+ * boosted) so a text always gets the same vector regardless of what else
+ * is in the database. No network access or API key needed.
+ *
+ * Skills come from the bundled taxonomy only: admin extensions differ
+ * between databases and change at runtime, which would give the same text
+ * different vectors under the same model name. The bundled taxonomy
+ * version is part of the model name instead.
+ */
+class HashedEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'hashed';
+    this.dimensions = options.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
+    this.taxonomy = new SkillsTaxonomyService();
+    this.model = `hashed-tfidf-${MODEL_VERSION}-t${this.taxonomy.version}-${this.dimensions}`;
+    this.remote = false;
+  }
+
+  async embed(text) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Text is required for embedding generation');
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+
+    this.extractFeatures(text).forEach((weight, feature) => {
+      const hash = this.hash(feature);
+      const index = hash % this.dimensions;
+      // Signed hashing keeps colliding features from always adding up
+      const sign = (this.hash(`#${feature}`) & 1) ? 1 : -1;
+      vector[index] += sign * weight;
+    });
+
+    return this.normalize(vector);
+  }
+
+  async embedBatch(texts) {
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+
+  /**
+   * Feature -> weight, with sublinear term frequency (1 + ln tf)
+   */
+  extractFeatures(text) {
+    const counts = new Map();
+    const add = (feature, weight) => {
+      const entry = counts.get(feature) || { count: 0, weight };
+      entry.count += 1;
+      entry.weight = Math.max(entry.weight, weight);
+      counts.set(feature, entry);
+    };
+
+    const terms = this.tokenize(text);
+    terms.forEach((term, index) => {
+      add(`t:${term}`, COMMON_TERMS.has(term) ? WEIGHTS.commonTerm : WEIGHTS.term);
+      if (index > 0) add(`b:${terms[index - 1]} ${term}`, WEIGHTS.bigram);
+    });
+
+    this.taxonomy.findSkillsInText(text).forEach(name => {
+      const skill = this.taxonomy.findSkill(name);
+      if (!skill) return;
+      add(`s:${skill.id}`, WEIGHTS.skill);
+      skill.related.forEach(id => add(`s:${id}`, WEIGHTS.relatedSkill));
+    });
+
+    const features = new Map();
+    counts.forEach(({ count, weight }, feature) => {
+      features.set(feature, (1 + Math.log(count)) * weight);
+    });
+    return features;
+  }
+
+  tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9][a-z0-9+#]*(?:\.[a-z0-9]+)*/g) || [])
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token) && !/^\d+$/.test(token))
+      .map(token => this.stem(token));
+  }
+
+  /**
+   * Light suffix stripping so "developing", "developed" and "develops" share a term
+   */
+  stem(token) {
+    if (token.length <= 4 || /[^a-z]/.test(token)) return token;
+
+    for (const suffix of ['ations', 'ation', 'ings', 'ing', 'ies', 'ers', 'er', 'ed', 'es', 's']) {
+      if (token.endsWith(suffix) && token.length - suffix.length >= 3) {
+        const stem = token.slice(0, -suffix.length);
+        return suffix === 'ies' ? `${stem}y` : stem;
+      }
+    }
+    return token;
+  }
+
+  /**
+   * 32-bit FNV-1a
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) return vector;
+    return vector.map(value => value / norm);
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', provider: this.name, model: this.model, timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = {
+  HashedEmbeddingProvider
+};
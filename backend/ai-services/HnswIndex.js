@@ -0,0 +1,359 @@
+/**
+ * HNSW (Hierarchical Navigable Small World) index
+ * In-process approximate nearest neighbour search over cosine similarity.
+ * Vectors are normalized on insert so similarity is a dot product.
+ *
+ * Updating or removing an item marks its node deleted: deleted nodes stay
+ * in the graph for navigation but are never returned. Call compact() to
+ * rebuild the graph without them.
+ */
+
+/**
+ * Binary heap ordered by `compare` (smallest first)
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === index) break;
+        [items[index], items[smallest]] = [items[smallest], items[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const closestFirst = (a, b) => b.similarity - a.similarity;
+const furthestFirst = (a, b) => a.similarity - b.similarity;
+
+class HnswIndex {
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || null;
+    this.M = options.M || 16; // links per node on upper layers
+    this.M0 = this.M * 2; // links per node on the bottom layer
+    this.efConstruction = options.efConstruction || 200;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    this.clear();
+  }
+
+  clear(dimensions = this.dimensions) {
+    this.dimensions = dimensions;
+    this.nodes = []; // label -> { id, vector, level, neighbors, deleted }
+    this.labels = new Map(); // external id -> label of its live node
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  get size() {
+    return this.labels.size;
+  }
+
+  has(id) {
+    return this.labels.has(String(id));
+  }
+
+  normalize(vector) {
+    const values = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < values.length; i++) norm += values[i] * values[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < values.length; i++) values[i] /= norm;
+    return values;
+  }
+
+  similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  /**
+   * Add a vector, replacing any previous vector for the same id
+   */
+  add(id, vector) {
+    const key = String(id);
+    if (!this.dimensions) this.dimensions = vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+
+    this.remove(key);
+
+    const label = this.nodes.length;
+    const level = this.randomLevel();
+    const node = {
+      id: key,
+      vector: this.normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false
+    };
+    this.nodes.push(node);
+    this.labels.set(key, label);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = label;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through layers above the new node's level
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      current = this.greedyClosest(node.vector, current, layer);
+    }
+
+    // Link into every layer the node lives on
+    let entryPoints = [current];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(node.vector, entryPoints, this.efConstruction, layer);
+      const maxLinks = layer === 0 ? this.M0 : this.M;
+      node.neighbors[layer] = this.selectNeighbors(candidates, this.M);
+
+      node.neighbors[layer].forEach(neighborLabel => {
+        const neighbor = this.nodes[neighborLabel];
+        neighbor.neighbors[layer].push(label);
+        if (neighbor.neighbors[layer].length > maxLinks) {
+          const ranked = neighbor.neighbors[layer].map(other => ({
+            label: other,
+            similarity: this.similarity(neighbor.vector, this.nodes[other].vector)
+          }));
+          neighbor.neighbors[layer] = this.selectNeighbors(ranked, maxLinks);
+        }
+      });
+
+      entryPoints = candidates.map(candidate => candidate.label);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = label;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Mark an item deleted. Returns false if it wasn't indexed.
+   */
+  remove(id) {
+    const key = String(id);
+    const label = this.labels.get(key);
+    if (label === undefined) return false;
+
+    this.nodes[label].deleted = true;
+    this.labels.delete(key);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Find the k most similar items: [{ id, similarity }] best first
+   */
+  search(vector, k = 10, ef = this.efSearch) {
+    if (this.entryPoint === null || this.size === 0) return [];
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Query has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+
+    const query = this.normalize(vector);
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      current = this.greedyClosest(query, current, layer);
+    }
+
+    // Deleted nodes crowd out live ones, so widen the search to compensate
+    const widen = this.nodes.length / Math.max(this.size, 1);
+    const candidates = this.searchLayer(query, [current], Math.ceil(Math.max(ef, k) * widen), 0);
+
+    return candidates
+      .filter(candidate => !this.nodes[candidate.label].deleted)
+      .slice(0, k)
+      .map(candidate => ({
+        id: this.nodes[candidate.label].id,
+        similarity: candidate.similarity
+      }));
+  }
+
+  greedyClosest(query, start, layer) {
+    let current = start;
+    let best = this.similarity(query, this.nodes[current].vector);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.nodes[current].neighbors[layer] || []) {
+        const similarity = this.similarity(query, this.nodes[neighbor].vector);
+        if (similarity > best) {
+          best = similarity;
+          current = neighbor;
+          improved = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Best-first search of one layer; returns up to ef candidates, closest first
+   */
+  searchLayer(query, entryPoints, ef, layer) {
+    const visited = new Set(entryPoints);
+    const candidates = new Heap(closestFirst);
+    const results = new Heap(furthestFirst);
+
+    entryPoints.forEach(label => {
+      const entry = { label, similarity: this.similarity(query, this.nodes[label].vector) };
+      candidates.push(entry);
+      results.push(entry);
+    });
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const candidate = candidates.pop();
+      if (results.size >= ef && candidate.similarity < results.peek().similarity) break;
+
+      for (const neighbor of this.nodes[candidate.label].neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const similarity = this.similarity(query, this.nodes[neighbor].vector);
+        if (results.size < ef || similarity > results.peek().similarity) {
+          const entry = { label: neighbor, similarity };
+          candidates.push(entry);
+          results.push(entry);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort(closestFirst);
+  }
+
+  /**
+   * Neighbour selection heuristic: skip candidates that are closer to an
+   * already selected neighbour than to the base node, which keeps links
+   * spread across clusters. Remaining slots are filled by similarity.
+   */
+  selectNeighbors(candidates, max) {
+    const sorted = [...candidates].sort(closestFirst);
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= max) break;
+      const vector = this.nodes[candidate.label].vector;
+      const dominated = selected.some(chosen =>
+        this.similarity(vector, this.nodes[chosen.label].vector) > candidate.similarity);
+
+      if (dominated) skipped.push(candidate);
+      else selected.push(candidate);
+    }
+
+    for (const candidate of skipped) {
+      if (selected.length >= max) break;
+      selected.push(candidate);
+    }
+
+    return selected.map(candidate => candidate.label);
+  }
+
+  /**
+   * Rebuild the graph from live items, dropping deleted nodes
+   */
+  compact() {
+    const live = this.nodes.filter(node => !node.deleted);
+    this.clear();
+    live.forEach(node => this.add(node.id, node.vector));
+  }
+
+  /**
+   * Plain object for persistence; vectors are stored as base64 float32
+   */
+  toJSON() {
+    return {
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.nodes.map(node => ({
+        id: node.id,
+        level: node.level,
+        deleted: node.deleted,
+        neighbors: node.neighbors,
+        vector: Buffer.from(node.vector.buffer, node.vector.byteOffset, node.vector.byteLength).toString('base64')
+      }))
+    };
+  }
+
+  static fromJSON(data, options = {}) {
+    const index = new HnswIndex({ ...options, dimensions: data.dimensions, M: data.M, efConstruction: data.efConstruction });
+
+    index.nodes = data.nodes.map(node => {
+      const bytes = Buffer.from(node.vector, 'base64');
+      return {
+        id: node.id,
+        level: node.level,
+        deleted: node.deleted,
+        neighbors: node.neighbors,
+        // Copy out of the (possibly unaligned) Buffer pool
+        vector: new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length))
+      };
+    });
+    index.nodes.forEach((node, label) => {
+      if (node.deleted) index.deletedCount++;
+      else index.labels.set(node.id, label);
+    });
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+
+    return index;
+  }
+}
+
+module.exports = {
+  HnswIndex
+};
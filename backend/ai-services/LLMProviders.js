@@ -0,0 +1,158 @@
+const fs = require('fs');
+const logger = require('../src/utils/logger');
+
+/**
+ * LLM providers
+ * Every provider implements:
+ *   generate(prompt, { model, task }) -> { text, usage: { inputTokens, outputTokens } | null }
+ *   healthCheck() -> { status, ... }
+ * and exposes `name`, `type` and its default `model`. Gemini is implemented
+ * by GeminiService itself.
+ */
+
+/**
+ * Any server speaking the OpenAI chat completions API: hosted models,
+ * or a local llama.cpp / Ollama / vLLM server
+ */
+class OpenAICompatibleProvider {
+  constructor({ name, baseUrl, apiKey, model, temperature, maxTokens, timeout } = {}) {
+    if (!baseUrl) {
+      throw new Error(`Base URL is required for LLM provider "${name}"`);
+    }
+
+    this.name = name;
+    this.type = 'openai-compatible';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature ?? (parseFloat(process.env.LLM_TEMPERATURE) || 0.7);
+    this.maxTokens = maxTokens || parseInt(process.env.LLM_MAX_TOKENS) || 1000;
+    this.timeout = timeout || parseInt(process.env.LLM_TIMEOUT) || 60000;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async request(path, options = {}) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        ...options,
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      // Error codes GeminiService.isRetryableError() retries on
+      const code = error.name === 'TimeoutError' ? 'TIMEOUT' : 'NETWORK_ERROR';
+      throw new Error(`${code}: ${this.name} request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      let code = 'REQUEST_FAILED';
+      if (response.status === 429) code = 'RATE_LIMIT_EXCEEDED';
+      else if (response.status >= 500) code = 'SERVICE_UNAVAILABLE';
+      throw new Error(`${code}: ${this.name} returned ${response.status} ${body.substring(0, 200)}`);
+    }
+
+    return response.json();
+  }
+
+  async generate(prompt, { model } = {}) {
+    const data = await this.request('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify({
+        model: model || this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: this.temperature,
+        max_tokens: this.maxTokens
+      })
+    });
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: data.usage
+        ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+        : null
+    };
+  }
+
+  async healthCheck() {
+    try {
+      await this.request('/models', { method: 'GET' });
+      return { status: 'healthy', timestamp: new Date().toISOString() };
+    } catch (error) {
+      return { status: 'unhealthy', error: error.message, timestamp: new Date().toISOString() };
+    }
+  }
+}
+
+/**
+ * Scripted fake for tests and offline development. Responses are set per
+ * task and can be a string, an object (sent as JSON), a function
+ * (prompt, task) => response, or an array used in order. Every call is
+ * recorded in `calls`.
+ */
+class ScriptedProvider {
+  constructor({ name = 'fake', responses = {}, defaultResponse = '{}' } = {}) {
+    this.name = name;
+    this.type = 'scripted';
+    this.model = 'scripted';
+    this.responses = { ...responses };
+    this.defaultResponse = defaultResponse;
+    this.calls = [];
+  }
+
+  /**
+   * Load responses from a JSON file: { "<task>": <response>, ... }
+   */
+  static fromFile(file, options = {}) {
+    let responses = {};
+    try {
+      responses = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      logger.warn(`Could not load scripted LLM responses from ${file}: ${error.message}`);
+    }
+    return new ScriptedProvider({ ...options, responses });
+  }
+
+  setResponse(task, response) {
+    this.responses[task] = response;
+    return this;
+  }
+
+  reset() {
+    this.responses = {};
+    this.calls = [];
+  }
+
+  async generate(prompt, { task, model } = {}) {
+    this.calls.push({ task, model, prompt });
+
+    let response = this.responses[task] ?? this.defaultResponse;
+    if (Array.isArray(response)) {
+      response = response.length > 1 ? response.shift() : response[0];
+    }
+    if (typeof response === 'function') {
+      response = await response(prompt, task);
+    }
+    if (response instanceof Error) throw response;
+
+    return {
+      text: typeof response === 'string' ? response : JSON.stringify(response),
+      usage: null
+    };
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', timestamp: new Date().toISOString() };
+  }
+}
+
+module.exports = {
+  OpenAICompatibleProvider,
+  ScriptedProvider
+};
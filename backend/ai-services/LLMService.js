@@ -0,0 +1,216 @@
+const { OpenAICompatibleProvider, ScriptedProvider } = require('./LLMProviders');
+const logger = require('../src/utils/logger');
+
+// Prompt tasks that can be routed to their own provider and model
+const LLM_TASKS = [
+  'resumeSuggestions',
+  'jobRecommendations',
+  'atsAnalysis',
+  'skillExtraction',
+  'jobOptimization',
+  'contentAnalysis',
+  'resumeOptimization'
+];
+
+/**
+ * LLM Service
+ * Registry of text generation providers and the routing of prompt tasks to
+ * them. Prompts are built and parsed by GeminiService/ResumeAIService; this
+ * decides which provider and model runs them.
+ *
+ * Providers:
+ *   gemini  - Google Gemini (GEMINI_API_KEY), always registered
+ *   local   - OpenAI-compatible local server (LLM_LOCAL_BASE_URL), e.g. llama.cpp or Ollama
+ *   openai  - OpenAI (OPENAI_API_KEY)
+ *   fake    - scripted responses (LLM_FAKE_RESPONSES_FILE, or NODE_ENV=test)
+ *   ...plus any OpenAI-compatible hosted providers listed in LLM_PROVIDERS
+ *
+ * LLM_DEFAULT_PROVIDER picks the provider for every task, LLM_TASK_PROVIDERS
+ * overrides it per task: {"skillExtraction": {"provider": "local", "model": "llama3.2:3b"}}
+ */
+class LLMService {
+  constructor() {
+    this.providers = new Map();  // name -> provider, created on first use
+    this.factories = new Map();  // name -> () => provider
+
+    this.registerConfiguredProviders();
+
+    this.defaultProvider = process.env.LLM_DEFAULT_PROVIDER || 'gemini';
+    this.taskRoutes = this.parseTaskRoutes(process.env.LLM_TASK_PROVIDERS);
+
+    if (!this.factories.has(this.defaultProvider)) {
+      throw new Error(`Unknown LLM_DEFAULT_PROVIDER "${this.defaultProvider}" (configured: ${this.listProviders().join(', ')})`);
+    }
+  }
+
+  registerConfiguredProviders() {
+    // Required lazily: GeminiService routes its own tasks through this service
+    this.factories.set('gemini', () => require('./GeminiService').geminiService);
+
+    if (process.env.LLM_FAKE_RESPONSES_FILE || process.env.NODE_ENV === 'test') {
+      this.factories.set('fake', () => (process.env.LLM_FAKE_RESPONSES_FILE
+        ? ScriptedProvider.fromFile(process.env.LLM_FAKE_RESPONSES_FILE)
+        : new ScriptedProvider()));
+    }
+
+    if (process.env.LLM_LOCAL_BASE_URL) {
+      this.factories.set('local', () => new OpenAICompatibleProvider({
+        name: 'local',
+        baseUrl: process.env.LLM_LOCAL_BASE_URL,
+        apiKey: process.env.LLM_LOCAL_API_KEY,
+        model: process.env.LLM_LOCAL_MODEL || 'llama3.2'
+      }));
+    }
+
+    if (process.env.OPENAI_API_KEY) {
+      this.factories.set('openai', () => new OpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+      }));
+    }
+
+    // [{ "name": "together", "baseUrl": "...", "model": "...", "apiKeyEnv": "TOGETHER_API_KEY" }]
+    this.parseJSON(process.env.LLM_PROVIDERS, 'LLM_PROVIDERS', []).forEach(config => {
+      if (!config?.name || !config.baseUrl) {
+        logger.warn('Skipping LLM_PROVIDERS entry without name or baseUrl');
+        return;
+      }
+      this.factories.set(config.name, () => new OpenAICompatibleProvider({
+        ...config,
+        apiKey: config.apiKeyEnv ? process.env[config.apiKeyEnv] : config.apiKey
+      }));
+    });
+  }
+
+  parseJSON(value, variable, fallback) {
+    if (!value) return fallback;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Ignoring invalid ${variable}: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Task -> { provider, model } from LLM_TASK_PROVIDERS; a route can be just a provider name
+   */
+  parseTaskRoutes(value) {
+    const routes = {};
+
+    Object.entries(this.parseJSON(value, 'LLM_TASK_PROVIDERS', {})).forEach(([task, route]) => {
+      const { provider, model = null } = typeof route === 'string' ? { provider: route } : (route || {});
+
+      if (!LLM_TASKS.includes(task)) {
+        logger.warn(`LLM_TASK_PROVIDERS: unknown task "${task}" (expected one of: ${LLM_TASKS.join(', ')})`);
+        return;
+      }
+      if (!this.factories.has(provider)) {
+        logger.warn(`LLM_TASK_PROVIDERS: provider "${provider}" for ${task} is not configured, using ${this.defaultProvider}`);
+        return;
+      }
+
+      routes[task] = { provider, model };
+    });
+
+    return routes;
+  }
+
+  /**
+   * Add or replace a provider, e.g. a ScriptedProvider in tests
+   */
+  registerProvider(name, provider) {
+    this.factories.set(name, () => provider);
+    this.providers.set(name, provider);
+    return provider;
+  }
+
+  getProvider(name = this.defaultProvider) {
+    if (!this.providers.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`LLM provider "${name}" is not configured`);
+      }
+      this.providers.set(name, factory());
+    }
+    return this.providers.get(name);
+  }
+
+  listProviders() {
+    return [...this.factories.keys()];
+  }
+
+  /**
+   * Provider and model for a task; model null means the provider's default
+   */
+  resolveTask(task) {
+    return this.taskRoutes[task] || { provider: this.defaultProvider, model: null };
+  }
+
+  /**
+   * Route a task to a provider and model at runtime
+   */
+  setTaskRoute(task, provider, model = null) {
+    if (!LLM_TASKS.includes(task)) {
+      throw new Error(`Unknown LLM task "${task}"`);
+    }
+    if (!this.factories.has(provider)) {
+      throw new Error(`LLM provider "${provider}" is not configured`);
+    }
+    this.taskRoutes[task] = { provider, model };
+  }
+
+  /**
+   * Run a prompt for a task on its provider, resolving to { text, usage }
+   */
+  async generate(task, prompt) {
+    const { provider: name, model } = this.resolveTask(task);
+    const provider = this.getProvider(name);
+
+    logger.debug(`LLM task ${task} -> ${name}${model ? ` (${model})` : ''}`);
+    return provider.generate(prompt, { task, model });
+  }
+
+  /**
+   * Health of every configured provider with the tasks routed to it
+   */
+  async getHealthStatus() {
+    const tasks = {};
+    LLM_TASKS.forEach(task => {
+      const { provider, model } = this.resolveTask(task);
+      tasks[task] = { provider, model: model || null };
+    });
+
+    const providers = {};
+    await Promise.all(this.listProviders().map(async name => {
+      const routed = LLM_TASKS.filter(task => tasks[task].provider === name);
+      try {
+        const provider = this.getProvider(name);
+        const health = await provider.healthCheck();
+        providers[name] = { ...health, type: provider.type, model: provider.model, tasks: routed };
+      } catch (error) {
+        providers[name] = { status: 'unhealthy', error: error.message, tasks: routed, timestamp: new Date().toISOString() };
+      }
+    }));
+
+    return {
+      status: Object.values(providers).some(health => health.tasks.length > 0 && health.status !== 'healthy')
+        ? 'degraded'
+        : 'healthy',
+      defaultProvider: this.defaultProvider,
+      tasks,
+      providers
+    };
+  }
+}
+
+// Export singleton instance
+const llmService = new LLMService();
+
+module.exports = {
+  llmService,
+  LLMService,
+  LLM_TASKS
+};
@@ -0,0 +1,272 @@
+const { skillsTaxonomyService } = require('../src/services/skillsTaxonomyService');
+
+const MAX_EVIDENCE = 2;          // Snippets cited per requirement
+const MIN_TERM_OVERLAP = 2;      // Shared terms needed to tie a job requirement to a sentence
+
+const STOP_WORDS = new Set([
+  'and', 'the', 'with', 'for', 'our', 'you', 'your', 'are', 'will', 'from', 'that', 'this',
+  'have', 'has', 'experience', 'years', 'year', 'strong', 'ability', 'work', 'working',
+  'knowledge', 'understanding', 'skills', 'including', 'using', 'such', 'must', 'plus',
+  'preferred', 'required', 'good', 'excellent', 'team', 'other', 'within', 'well'
+]);
+
+/**
+ * Match Explanation Service
+ * Turns a match score into a report a recruiter can check: what each factor
+ * contributed, and for every skill and requirement of the job whether the
+ * resume meets it, citing the resume sentences (experience descriptions and
+ * achievements) that show it. Unmet requirements are listed explicitly.
+ */
+class MatchExplanationService {
+  /**
+   * Build the explanation for a calculated match.
+   * `skillRequirements` is the job's [{ skill, importance }] list used for scoring.
+   */
+  explain(resume, job, matchDetails, skillRequirements = []) {
+    const sentences = this.extractSentences(resume);
+
+    const requirements = [
+      ...this.explainSkills(sentences, matchDetails, skillRequirements),
+      this.explainExperience(resume, matchDetails.experienceGap),
+      this.explainEducation(resume, matchDetails.education),
+      ...this.explainJobRequirements(sentences, job)
+    ].filter(Boolean);
+
+    // A related skill earns partial credit but doesn't satisfy the skill
+    const unmet = requirements
+      .filter(requirement => requirement.status === 'unmet' ||
+        (requirement.type === 'skill' && requirement.status === 'partial'))
+      .map(({ type, requirement, importance, detail }) => ({ type, requirement, importance, detail }));
+
+    const factors = Object.entries(matchDetails.breakdown || {}).map(([factor, score]) => ({
+      factor,
+      score,
+      weight: matchDetails.weights?.[factor] || 0,
+      points: Math.round(score * (matchDetails.weights?.[factor] || 0) * 10) / 10
+    }));
+
+    return {
+      summary: this.buildSummary(matchDetails, requirements, unmet),
+      factors,
+      penaltyPercent: Math.round((matchDetails.requirements?.penalty || 0) * 100),
+      requirements,
+      unmet
+    };
+  }
+
+  /**
+   * Sentences from experience descriptions and achievements, with where they came from
+   */
+  extractSentences(resume) {
+    const sentences = [];
+
+    (resume.parsedContent?.experience || []).forEach((entry, index) => {
+      const source = { section: 'experience', index, position: entry.position, company: entry.company };
+
+      this.splitSentences(entry.description).forEach(text => {
+        sentences.push({ text, source: { ...source, field: 'description' } });
+      });
+      (entry.achievements || []).forEach(achievement => {
+        this.splitSentences(achievement).forEach(text => {
+          sentences.push({ text, source: { ...source, field: 'achievements' } });
+        });
+      });
+    });
+
+    return sentences;
+  }
+
+  splitSentences(text) {
+    if (!text) return [];
+
+    return text
+      .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9])/)
+      .map(sentence => sentence.replace(/^[\s•*\-–·]+/, '').trim())
+      .filter(sentence => sentence.length >= 8);
+  }
+
+  findSkillEvidence(sentences, skill) {
+    return sentences
+      .filter(sentence => skillsTaxonomyService.mentionsSkill(sentence.text, skill))
+      .slice(0, MAX_EVIDENCE);
+  }
+
+  /**
+   * One entry per job skill: met, partial (related skill) or unmet
+   */
+  explainSkills(sentences, matchDetails, skillRequirements) {
+    const matched = new Set((matchDetails.matchedSkills || []).map(skill => skillsTaxonomyService.getSkillKey(skill)));
+    const related = new Map((matchDetails.relatedSkills || []).map(entry => [skillsTaxonomyService.getSkillKey(entry.skill), entry]));
+
+    return skillRequirements.map(({ skill, importance }) => {
+      const key = skillsTaxonomyService.getSkillKey(skill);
+
+      if (matched.has(key)) {
+        const evidence = this.findSkillEvidence(sentences, skill);
+        return {
+          type: 'skill',
+          requirement: skill,
+          importance,
+          status: 'met',
+          detail: evidence.length > 0 ? null : 'Listed in skills, not mentioned in experience',
+          evidence
+        };
+      }
+
+      if (related.has(key)) {
+        const { via } = related.get(key);
+        return {
+          type: 'skill',
+          requirement: skill,
+          importance,
+          status: 'partial',
+          detail: `Has related skill ${via}`,
+          evidence: this.findSkillEvidence(sentences, via)
+        };
+      }
+
+      return {
+        type: 'skill',
+        requirement: skill,
+        importance,
+        status: 'unmet',
+        detail: importance === 'required' ? 'Required skill not found in resume' : 'Not found in resume',
+        evidence: []
+      };
+    });
+  }
+
+  /**
+   * Years of experience against the job's band, citing the positions held
+   */
+  explainExperience(resume, gap) {
+    if (!gap || (!gap.requiredExperience && !gap.maxExperience)) return null;
+
+    const band = gap.maxExperience
+      ? `${gap.requiredExperience}-${gap.maxExperience} years of experience`
+      : `${gap.requiredExperience}+ years of experience`;
+
+    let status = 'met';
+    let detail = `${gap.resumeExperience} years of experience`;
+    if (!gap.meetsRequirement) {
+      status = 'unmet';
+      detail = `${gap.resumeExperience} years of experience, ${Math.round(gap.gap * 10) / 10} short`;
+    } else if (gap.overqualifiedBy > 0) {
+      status = 'partial';
+      detail = `${gap.resumeExperience} years of experience, ${Math.round(gap.overqualifiedBy * 10) / 10} above the range`;
+    }
+
+    const evidence = (resume.parsedContent?.experience || [])
+      .slice(0, MAX_EVIDENCE + 1)
+      .map((entry, index) => ({
+        text: [
+          [entry.position, entry.company].filter(Boolean).join(' at '),
+          `(${entry.startDate || '?'} - ${entry.current ? 'Present' : (entry.endDate || '?')})`
+        ].join(' '),
+        source: { section: 'experience', index, position: entry.position, company: entry.company, field: 'dates' }
+      }));
+
+    return { type: 'experience', requirement: band, importance: 'required', status, detail, evidence };
+  }
+
+  /**
+   * matchingCriteria.educationRequired against the resume's degrees
+   */
+  explainEducation(resume, education) {
+    if (!education?.required) return null;
+
+    const evidence = (resume.parsedContent?.education || [])
+      .slice(0, MAX_EVIDENCE)
+      .map((entry, index) => ({
+        text: [entry.degree, entry.field, entry.institution].filter(Boolean).join(', '),
+        source: { section: 'education', index, field: 'degree' }
+      }))
+      .filter(entry => entry.text);
+
+    let detail = null;
+    if (!education.meetsRequirement) {
+      detail = evidence.length === 0 ? 'No education listed' : `Highest degree found: ${education.candidateLevel || 'unknown'}`;
+    } else if (!education.verified) {
+      detail = 'Degree level could not be determined';
+    }
+
+    return {
+      type: 'education',
+      requirement: education.requiredLevel ? `${education.requiredLevel} degree or higher` : 'Formal education',
+      importance: 'required',
+      status: education.meetsRequirement ? 'met' : 'unmet',
+      detail,
+      evidence
+    };
+  }
+
+  /**
+   * Free-text job requirements ("Experience building REST APIs") tied to the
+   * resume sentence sharing the most terms with them. Requirements without a
+   * matching sentence are "unverified" rather than unmet.
+   */
+  explainJobRequirements(sentences, job) {
+    return (job.requirements || []).map(requirement => {
+      const terms = this.getTerms(requirement);
+
+      const evidence = sentences
+        .map(sentence => {
+          const sentenceTerms = new Set(this.getTerms(sentence.text));
+          return { sentence, overlap: terms.filter(term => sentenceTerms.has(term)).length };
+        })
+        .filter(({ overlap }) => overlap >= Math.min(MIN_TERM_OVERLAP, terms.length) && overlap > 0)
+        .sort((a, b) => b.overlap - a.overlap)
+        .slice(0, MAX_EVIDENCE)
+        .map(({ sentence }) => sentence);
+
+      return {
+        type: 'requirement',
+        requirement,
+        importance: null,
+        status: evidence.length > 0 ? 'met' : 'unverified',
+        detail: evidence.length > 0 ? null : 'No supporting sentence found in experience',
+        evidence
+      };
+    });
+  }
+
+  getTerms(text) {
+    const words = (text || '').toLowerCase().match(/[a-z][a-z0-9+#.]*[a-z0-9+#]|[a-z]/g) || [];
+    return [...new Set(words.filter(word => word.length >= 3 && !STOP_WORDS.has(word)))];
+  }
+
+  buildSummary(matchDetails, requirements, unmet) {
+    const skills = requirements.filter(requirement => requirement.type === 'skill');
+    const required = skills.filter(requirement => requirement.importance === 'required');
+    const parts = [];
+
+    if (skills.length > 0) {
+      let text = `${skills.filter(skill => skill.status === 'met').length} of ${skills.length} skills matched`;
+      if (required.length > 0) {
+        text += ` (${required.filter(skill => skill.status === 'met').length} of ${required.length} required)`;
+      }
+      parts.push(text);
+    }
+
+    const experience = requirements.find(requirement => requirement.type === 'experience');
+    if (experience) parts.push(`${experience.detail} for a role asking ${experience.requirement}`);
+
+    let summary = `${matchDetails.overallScore}% match`;
+    if (parts.length > 0) summary += `: ${parts.join('; ')}`;
+    summary += '.';
+
+    if (unmet.length > 0) {
+      summary += ` Not met: ${unmet.map(requirement => requirement.requirement).join(', ')}.`;
+    }
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+const matchExplanationService = new MatchExplanationService();
+
+module.exports = {
+  matchExplanationService,
+  MatchExplanationService
+};
@@ -0,0 +1,164 @@
+const { Queue, Worker } = require('bullmq');
+const IORedis = require('ioredis');
+const Job = require('../src/models/Job');
+const Application = require('../src/models/Application');
+const Resume = require('../src/models/Resume');
+const { matchingService } = require('./MatchingService');
+const logger = require('../src/utils/logger');
+
+/**
+ * Match Scoring Queue with BullMQ
+ * Scores applications against their job in the background: the application's
+ * resume (or the candidate's active resume) goes through
+ * MatchingService.calculateMatchScore, and the score and breakdown are stored
+ * on the application and in the resume's match history.
+ */
+class MatchScoringQueue {
+  constructor() {
+    this.queueName = process.env.MATCH_SCORING_QUEUE_NAME || 'match-scoring';
+    this.retryAttempts = parseInt(process.env.MATCH_SCORING_RETRY_ATTEMPTS) || 3;
+    this.retryDelay = parseInt(process.env.MATCH_SCORING_RETRY_DELAY) || 5000;
+
+    this.redisConfig = {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: process.env.REDIS_PORT || 6379,
+      password: process.env.REDIS_PASSWORD || undefined,
+      enableReadyCheck: false,
+      maxRetriesPerRequest: null
+    };
+
+    this.redis = new IORedis(this.redisConfig);
+
+    this.queue = new Queue(this.queueName, {
+      connection: this.redis,
+      defaultJobOptions: {
+        attempts: this.retryAttempts,
+        backoff: {
+          type: 'exponential',
+          delay: this.retryDelay
+        },
+        removeOnComplete: 100,
+        removeOnFail: 50
+      }
+    });
+
+    this.worker = new Worker(this.queueName, job => this.scoreApplication(job.data.jobId, job.data.candidateId), {
+      connection: this.redis,
+      concurrency: parseInt(process.env.MATCH_SCORING_CONCURRENCY) || 2
+    });
+
+    this.worker.on('completed', (job, result) => {
+      logger.info(`Match scoring job completed: ${job.id} (${result?.matchScore ?? result?.skipped})`);
+    });
+
+    this.worker.on('failed', (job, err) => {
+      logger.error(`Match scoring job failed: ${job?.id} (attempt ${job?.attemptsMade})`, err);
+    });
+
+    this.redis.on('error', (err) => {
+      logger.error('Redis connection error (match scoring):', err);
+    });
+
+    logger.info(`MatchScoringQueue initialized: ${this.queueName}`);
+  }
+
+  /**
+   * Queue scoring of a candidate's application to a job
+   */
+  async queueApplicationScore(jobId, candidateId) {
+    const job = await this.queue.add('scoreApplication', {
+      jobId: jobId.toString(),
+      candidateId: candidateId.toString()
+    });
+
+    logger.debug(`Match scoring job queued: ${job.id} (job ${jobId}, candidate ${candidateId})`);
+    return job;
+  }
+
+  /**
+   * Resume to score an application with: the one submitted with it, or the
+   * candidate's active (most recent) resume
+   */
+  async findResume(application) {
+    if (application.resume) {
+      const resume = await Resume.findById(application.resume);
+      if (resume) return resume;
+    }
+
+    return Resume.findOne({ userId: application.candidate, isActive: true }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Score an application and store the result. Returns { matchScore } or
+   * { skipped } when there's nothing to score.
+   */
+  async scoreApplication(jobId, candidateId) {
+    const [job, application] = await Promise.all([
+      Job.findById(jobId),
+      Application.findOne({ job: jobId, candidate: candidateId })
+    ]);
+
+    if (!job || !application) {
+      return { skipped: 'Application not found' };
+    }
+
+    const resume = await this.findResume(application);
+    if (!resume) {
+      return { skipped: 'Candidate has no resume' };
+    }
+
+    const match = await matchingService.calculateMatchScore(resume, job);
+    const { breakdown, education } = match;
+
+    // Only the score fields, so status changes made meanwhile aren't overwritten
+    await Application.updateOne(
+      { _id: application._id },
+      {
+        $set: {
+          resume: resume._id,
+          matchScore: match.overallScore,
+          matchDetails: {
+            breakdown,
+            weightProfile: match.weightProfile.name,
+            matchedSkills: match.matchedSkills,
+            missingRequiredSkills: match.requirements.missingRequiredSkills,
+            requirementsMet: match.requirements.met,
+            scoredAt: new Date()
+          }
+        }
+      }
+    );
+
+    await resume.addMatchHistory(job._id, match.overallScore, {
+      semanticMatch: breakdown.semantic,
+      skillsMatch: breakdown.skills,
+      experienceMatch: breakdown.experience,
+      educationMatch: education.required ? (education.meetsRequirement ? 100 : 0) : undefined,
+      keywordsMatch: breakdown.keywords
+    });
+
+    logger.info(`Application scored: candidate ${candidateId} for job ${job.title} (${match.overallScore}%)`);
+    return { matchScore: match.overallScore };
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown() {
+    try {
+      await this.worker.close();
+      await this.queue.close();
+      await this.redis.disconnect();
+    } catch (error) {
+      logger.error('Error during match scoring queue shutdown:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const matchScoringQueue = new MatchScoringQueue();
+
+module.exports = {
+  matchScoringQueue,
+  MatchScoringQueue
+};
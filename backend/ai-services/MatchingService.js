@@ -1,7 +1,32 @@
 const cosineSimilarity = require('cosine-similarity');
 const { euclidean } = require('ml-distance');
-const { geminiService } = require('./GeminiService');
+const { embeddingService } = require('./EmbeddingService');
+const { cacheTags } = require('./AICacheService');
 const logger = require('../src/utils/logger');
+const { buildTimeline } = require('../src/utils/dateRanges');
+const { skillsTaxonomyService } = require('../src/services/skillsTaxonomyService');
+const { matchingSettingsService } = require('../src/services/matchingSettingsService');
+const { matchExplanationService } = require('./MatchExplanationService');
+
+const SKILL_IMPORTANCE = ['required', 'preferred', 'nice-to-have'];
+
+// Credit a matched skill earns towards the skills score, by importance
+const IMPORTANCE_WEIGHTS = {
+  required: 3,
+  preferred: 2,
+  'nice-to-have': 1
+};
+
+// Degree levels, lowest to highest (matches Job.educationLevel)
+const EDUCATION_LEVELS = ['none', 'high-school', 'associate', 'bachelor', 'master', 'phd'];
+
+const DEGREE_PATTERNS = [
+  { level: 'phd', pattern: /\b(ph\.?\s?d|doctor(ate)?|d\.?phil|ed\.?d)\b/i },
+  { level: 'master', pattern: /\b(master'?s?|m\.?s\.?c?|m\.?a|mba|m\.?eng|m\.?tech|mca)\b/i },
+  { level: 'bachelor', pattern: /\b(bachelor'?s?|b\.?s\.?c?|b\.?a|b\.?eng|b\.?tech|b\.?e|bca|undergraduate)\b/i },
+  { level: 'associate', pattern: /\b(associate'?s?|a\.?a\.?s?|hnd)\b/i },
+  { level: 'high-school', pattern: /\b(high\s*school|secondary|ged|diploma)\b/i }
+];
 
 /**
  * AI-Powered Matching Service
@@ -9,16 +34,27 @@ const logger = require('../src/utils/logger');
  */
 class MatchingService {
   constructor() {
-    this.minMatchScore = parseInt(process.env.MIN_MATCH_SCORE) || 50;
     this.maxRecommendations = parseInt(process.env.MAX_RECOMMENDATIONS) || 10;
-    
-    // Weights for different matching factors
-    this.matchWeights = {
-      semantic: 0.4,      // Semantic similarity via embeddings
-      skills: 0.25,       // Direct skills matching
-      experience: 0.2,    // Experience level matching
-      keywords: 0.15      // Keyword matching
-    };
+
+    // Missing required skills and unmet education requirements lower the
+    // overall score; with hard requirements they also rule out a match
+    this.hardRequirements = process.env.MATCH_HARD_REQUIREMENTS === 'true';
+    this.requiredSkillsPenalty = 0.5;   // Share of the score lost when every required skill is missing
+    this.educationPenalty = 0.2;        // Share of the score lost when education falls short
+  }
+
+  /**
+   * Platform-wide minimum match score (jobs may set their own)
+   */
+  get minMatchScore() {
+    return matchingSettingsService.getPlatformProfile().minMatchScore;
+  }
+
+  /**
+   * Platform-wide weights for the matching factors (jobs may set their own)
+   */
+  get matchWeights() {
+    return matchingSettingsService.getPlatformProfile().weights;
   }
 
   /**
@@ -35,19 +71,19 @@ class MatchingService {
         keywords: 0
       };
 
-      // 1. Semantic similarity using embeddings
-      if (resume.embedding && job.embedding) {
-        scores.semantic = this.calculateSemanticSimilarity(resume.embedding, job.embedding);
-      } else {
-        // Generate embeddings if not available
+      // 1. Semantic similarity using embeddings from the current embedding model
+      if (!embeddingService.isCurrent(resume) || !embeddingService.isCurrent(job)) {
+        // Generate embeddings if missing or from another model
         await this.ensureEmbeddings(resume, job);
-        if (resume.embedding && job.embedding) {
-          scores.semantic = this.calculateSemanticSimilarity(resume.embedding, job.embedding);
-        }
+      }
+      if (embeddingService.isCurrent(resume) && embeddingService.isCurrent(job)) {
+        scores.semantic = this.calculateSemanticSimilarity(resume.embedding, job.embedding);
       }
 
-      // 2. Skills matching
-      scores.skills = this.calculateSkillsMatch(resume, job);
+      // 2. Skills matching; the skill comparison is shared by the factors below
+      const skillRequirements = this.getSkillRequirements(job);
+      const comparison = this.compareSkillRequirements(resume, job, skillRequirements);
+      scores.skills = this.calculateSkillsMatch(resume, job, comparison);
 
       // 3. Experience level matching
       scores.experience = this.calculateExperienceMatch(resume, job);
@@ -55,24 +91,48 @@ class MatchingService {
       // 4. Keywords matching
       scores.keywords = this.calculateKeywordsMatch(resume, job);
 
-      // Calculate weighted overall score
-      const overallScore = Math.round(
-        scores.semantic * this.matchWeights.semantic +
-        scores.skills * this.matchWeights.skills +
-        scores.experience * this.matchWeights.experience +
-        scores.keywords * this.matchWeights.keywords
-      );
+      // Calculate weighted overall score with the job's weight profile
+      const profile = matchingSettingsService.resolveProfile(job);
+      const weightedScore =
+        scores.semantic * profile.weights.semantic +
+        scores.skills * profile.weights.skills +
+        scores.experience * profile.weights.experience +
+        scores.keywords * profile.weights.keywords;
+
+      // 5. Required skills and education from the job's matching criteria
+      const requirements = this.checkRequirements(resume, job, comparison);
+      const overallScore = Math.round(weightedScore * (1 - requirements.penalty));
 
       const matchDetails = {
         overallScore,
+        isMatch: overallScore >= profile.minMatchScore && (!this.hardRequirements || requirements.met),
         breakdown: scores,
-        weights: this.matchWeights,
-        matchedSkills: this.getMatchedSkills(resume, job),
-        missingSkills: this.getMissingSkills(resume, job),
+        weights: profile.weights,
+        weightProfile: {
+          name: profile.name,
+          source: profile.source,
+          basedOn: profile.basedOn,
+          minMatchScore: profile.minMatchScore
+        },
+        matchedSkills: this.getMatchedSkills(resume, job, comparison),
+        missingSkills: this.getMissingSkills(resume, job, comparison),
+        relatedSkills: this.getRelatedSkills(resume, job, comparison),
         experienceGap: this.getExperienceGap(resume, job),
-        recommendations: this.generateMatchRecommendations(scores, resume, job)
+        education: requirements.education,
+        requirements: {
+          met: requirements.met,
+          hardRequirements: this.hardRequirements,
+          missingRequiredSkills: requirements.missingRequiredSkills,
+          penalty: Math.round(requirements.penalty * 100) / 100
+        },
+        recommendations: this.generateMatchRecommendations(scores, resume, job, requirements)
       };
 
+      // Why the candidate got this score, with evidence from the resume
+      matchDetails.explanation = matchExplanationService.explain(
+        resume, job, matchDetails, skillRequirements
+      );
+
       logger.debug(`Match score calculated: ${overallScore}%`);
       return matchDetails;
 
@@ -83,7 +143,8 @@ class MatchingService {
   }
 
   /**
-   * Find best job matches for a resume
+   * Find best job matches for a resume. Each job applies its own threshold
+   * (see matchingSettingsService.resolveProfile), reported per match.
    */
   async findJobMatches(resume, jobs, limit = this.maxRecommendations) {
     try {
@@ -95,7 +156,7 @@ class MatchingService {
         try {
           const matchDetails = await this.calculateMatchScore(resume, job);
           
-          if (matchDetails.overallScore >= this.minMatchScore) {
+          if (matchDetails.isMatch) {
             matches.push({
               job: {
                 id: job._id,
@@ -106,7 +167,8 @@ class MatchingService {
                 salary: job.salary,
                 postedAt: job.createdAt
               },
-              ...matchDetails
+              ...matchDetails,
+              threshold: matchDetails.weightProfile.minMatchScore
             });
           }
         } catch (error) {
@@ -121,14 +183,13 @@ class MatchingService {
       // Limit results
       const topMatches = matches.slice(0, limit);
 
-      logger.info(`Found ${topMatches.length} job matches above ${this.minMatchScore}% threshold`);
+      logger.info(`Found ${topMatches.length} job matches above their jobs' thresholds`);
 
       return {
         matches: topMatches,
         totalJobs: jobs.length,
         matchingJobs: matches.length,
         topMatches: topMatches.length,
-        threshold: this.minMatchScore,
         summary: this.generateMatchSummary(topMatches)
       };
 
@@ -151,7 +212,7 @@ class MatchingService {
         try {
           const matchDetails = await this.calculateMatchScore(resume, job);
           
-          if (matchDetails.overallScore >= this.minMatchScore) {
+          if (matchDetails.isMatch) {
             matches.push({
               candidate: {
                 id: resume.userId,
@@ -180,14 +241,15 @@ class MatchingService {
       // Limit results
       const topMatches = matches.slice(0, limit);
 
-      logger.info(`Found ${topMatches.length} candidate matches above ${this.minMatchScore}% threshold`);
+      const threshold = matchingSettingsService.resolveProfile(job).minMatchScore;
+      logger.info(`Found ${topMatches.length} candidate matches above ${threshold}% threshold`);
 
       return {
         matches: topMatches,
         totalCandidates: resumes.length,
         matchingCandidates: matches.length,
         topMatches: topMatches.length,
-        threshold: this.minMatchScore,
+        threshold,
         summary: this.generateCandidateMatchSummary(topMatches)
       };
 
@@ -220,34 +282,27 @@ class MatchingService {
   /**
    * Calculate skills matching score
    */
-  calculateSkillsMatch(resume, job) {
+  calculateSkillsMatch(resume, job, comparison = this.compareSkillRequirements(resume, job)) {
     try {
       const resumeSkills = this.extractResumeSkills(resume);
-      const jobSkills = job.skills || [];
-
-      if (resumeSkills.length === 0 || jobSkills.length === 0) {
-        return 0;
-      }
-
-      // Normalize skills for comparison
-      const normalizedResumeSkills = resumeSkills.map(skill => skill.toLowerCase().trim());
-      const normalizedJobSkills = jobSkills.map(skill => skill.toLowerCase().trim());
-
-      // Calculate exact matches
-      const exactMatches = normalizedResumeSkills.filter(skill => 
-        normalizedJobSkills.includes(skill)
-      ).length;
-
-      // Calculate partial matches (fuzzy matching)
-      const partialMatches = this.calculatePartialSkillMatches(
-        normalizedResumeSkills, 
-        normalizedJobSkills
-      );
+      if (resumeSkills.length === 0) return 0;
+
+      // Skills are compared by canonical taxonomy ID; a related skill
+      // (e.g. Docker for Kubernetes) earns half credit. Each skill counts
+      // by its importance, so required skills outweigh nice-to-haves.
+
+      let earned = 0;
+      let possible = 0;
+      SKILL_IMPORTANCE.forEach(importance => {
+        const group = comparison[importance];
+        const weight = IMPORTANCE_WEIGHTS[importance];
+        earned += (group.matched.length + group.related.length * 0.5) * weight;
+        possible += group.total * weight;
+      });
 
-      // Calculate score
-      const totalMatches = exactMatches + (partialMatches * 0.5);
-      const skillsScore = Math.round((totalMatches / jobSkills.length) * 100);
+      if (possible === 0) return 0;
 
+      const skillsScore = Math.round((earned / possible) * 100);
       return Math.min(100, skillsScore);
 
     } catch (error) {
@@ -263,6 +318,13 @@ class MatchingService {
     try {
       const resumeExperience = this.calculateTotalExperience(resume);
       const jobRequiredExperience = this.extractRequiredExperience(job);
+      const maxExperience = job.matchingCriteria?.maxExperience;
+
+      // Above the job's experience band: likely overqualified
+      if (maxExperience && resumeExperience > maxExperience) {
+        const yearsOver = resumeExperience - maxExperience;
+        return Math.max(60, Math.round(100 - yearsOver * 8));
+      }
 
       if (jobRequiredExperience === 0) {
         return 100; // No experience requirement
@@ -328,11 +390,11 @@ class MatchingService {
     try {
       const promises = [];
 
-      if (!resume.embedding && resume.parsedContent?.rawText) {
+      if (!embeddingService.isCurrent(resume) && resume.parsedContent?.rawText) {
         promises.push(this.generateResumeEmbedding(resume));
       }
 
-      if (!job.embedding) {
+      if (!embeddingService.isCurrent(job)) {
         promises.push(this.generateJobEmbedding(job));
       }
 
@@ -349,10 +411,11 @@ class MatchingService {
   async generateResumeEmbedding(resume) {
     try {
       const content = this.buildResumeEmbeddingContent(resume);
-      const embedding = await geminiService.generateEmbedding(content);
+      const embedding = await embeddingService.generateEmbedding(content, { tags: cacheTags({ resumeId: resume._id }) });
       
       // Update resume with embedding (this would be done in the controller)
       resume.embedding = embedding;
+      resume.embeddingMetadata = embeddingService.getMetadata(embedding);
       
       return embedding;
     } catch (error) {
@@ -367,10 +430,11 @@ class MatchingService {
   async generateJobEmbedding(job) {
     try {
       const content = this.buildJobEmbeddingContent(job);
-      const embedding = await geminiService.generateEmbedding(content);
+      const embedding = await embeddingService.generateEmbedding(content, { tags: cacheTags({ jobId: job._id }) });
       
       // Update job with embedding (this would be done in the controller)
       job.embedding = embedding;
+      job.embeddingMetadata = embeddingService.getMetadata(embedding);
       
       return embedding;
     } catch (error) {
@@ -457,93 +521,24 @@ class MatchingService {
   }
 
   /**
-   * Calculate partial skill matches using fuzzy matching
-   */
-  calculatePartialSkillMatches(resumeSkills, jobSkills) {
-    let partialMatches = 0;
-
-    for (const jobSkill of jobSkills) {
-      for (const resumeSkill of resumeSkills) {
-        if (this.calculateStringSimilarity(jobSkill, resumeSkill) > 0.7) {
-          partialMatches++;
-          break;
-        }
-      }
-    }
-
-    return partialMatches;
-  }
-
-  /**
-   * Calculate string similarity (Levenshtein distance based)
-   */
-  calculateStringSimilarity(str1, str2) {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-
-    if (longer.length === 0) return 1.0;
-
-    const editDistance = this.levenshteinDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
-  }
-
-  /**
-   * Calculate Levenshtein distance
-   */
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
-
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
-
-    return matrix[str2.length][str1.length];
-  }
-
-  /**
-   * Calculate total years of experience from resume
+   * Calculate total years of experience from resume.
+   * Overlapping jobs are counted once.
    */
   calculateTotalExperience(resume) {
     if (!resume.parsedContent?.experience) return 0;
 
-    let totalYears = 0;
-
-    for (const exp of resume.parsedContent.experience) {
-      if (exp.startDate) {
-        const startYear = this.extractYearFromDate(exp.startDate);
-        const endYear = exp.current ? new Date().getFullYear() : this.extractYearFromDate(exp.endDate);
-        
-        if (startYear && endYear) {
-          totalYears += Math.max(0, endYear - startYear);
-        }
-      }
-    }
-
-    return totalYears;
+    return buildTimeline(resume.parsedContent.experience).totalYears;
   }
 
   /**
    * Extract required experience from job
    */
   extractRequiredExperience(job) {
+    // Minimum set by the recruiter takes precedence
+    if (job.matchingCriteria?.minExperience > 0) {
+      return job.matchingCriteria.minExperience;
+    }
+
     // Look for experience requirements in job description or requirements
     const text = `${job.description} ${job.requirements?.join(' ') || ''}`.toLowerCase();
     
@@ -572,16 +567,6 @@ class MatchingService {
     }
   }
 
-  /**
-   * Extract year from date string
-   */
-  extractYearFromDate(dateStr) {
-    if (!dateStr) return null;
-    
-    const yearMatch = dateStr.toString().match(/(\d{4})/);
-    return yearMatch ? parseInt(yearMatch[1]) : null;
-  }
-
   /**
    * Extract keywords from job
    */
@@ -613,54 +598,189 @@ class MatchingService {
   }
 
   /**
-   * Get matched skills between resume and job
+   * Skills a job asks for with their importance: matchingCriteria.requiredSkills,
+   * plus job.skills not listed there (counted as preferred)
    */
-  getMatchedSkills(resume, job) {
-    const resumeSkills = this.extractResumeSkills(resume).map(s => s.toLowerCase());
-    const jobSkills = (job.skills || []).map(s => s.toLowerCase());
-
-    return jobSkills.filter(skill => 
-      resumeSkills.some(resumeSkill => 
-        resumeSkill.includes(skill) || skill.includes(resumeSkill)
-      )
+  getSkillRequirements(job) {
+    const criteria = skillsTaxonomyService.normalizeRequiredSkills(
+      (job.matchingCriteria?.requiredSkills || []).map(entry => ({
+        skill: entry.skill,
+        importance: entry.importance || 'preferred'
+      }))
     );
+    const listed = new Set(criteria.map(entry => skillsTaxonomyService.getSkillKey(entry.skill)));
+
+    const others = skillsTaxonomyService.normalizeSkillList(job.skills || [])
+      .filter(skill => !listed.has(skillsTaxonomyService.getSkillKey(skill)))
+      .map(skill => ({ skill, importance: 'preferred' }));
+
+    return [...criteria, ...others];
   }
 
   /**
-   * Get missing skills (job requirements not in resume)
+   * Compare resume skills with the job's skills, grouped by importance.
+   * Each group has matched, related ({ skill, via }) and missing skills.
    */
-  getMissingSkills(resume, job) {
-    const resumeSkills = this.extractResumeSkills(resume).map(s => s.toLowerCase());
-    const jobSkills = (job.skills || []).map(s => s.toLowerCase());
+  compareSkillRequirements(resume, job, requirements = this.getSkillRequirements(job)) {
+    const resumeSkills = this.extractResumeSkills(resume);
+
+    const comparison = {};
+    SKILL_IMPORTANCE.forEach(importance => {
+      const skills = requirements
+        .filter(entry => entry.importance === importance)
+        .map(entry => entry.skill);
+      comparison[importance] = skillsTaxonomyService.compareSkills(resumeSkills, skills);
+    });
+
+    return comparison;
+  }
+
+  /**
+   * Get matched skills between resume and job
+   */
+  getMatchedSkills(resume, job, comparison = this.compareSkillRequirements(resume, job)) {
+    return SKILL_IMPORTANCE.flatMap(importance => comparison[importance].matched);
+  }
 
-    return jobSkills.filter(skill => 
-      !resumeSkills.some(resumeSkill => 
-        resumeSkill.includes(skill) || skill.includes(resumeSkill)
-      )
+  /**
+   * Get missing skills (job requirements not in resume), grouped by importance:
+   * { required: [...], preferred: [...], 'nice-to-have': [...] }
+   */
+  getMissingSkills(resume, job, comparison = this.compareSkillRequirements(resume, job)) {
+    const missing = {};
+    SKILL_IMPORTANCE.forEach(importance => {
+      missing[importance] = comparison[importance].missing;
+    });
+    return missing;
+  }
+
+  /**
+   * Get missing skills the candidate has a related skill for,
+   * e.g. { skill: 'Kubernetes', via: 'Docker', importance: 'required' }
+   */
+  getRelatedSkills(resume, job, comparison = this.compareSkillRequirements(resume, job)) {
+    return SKILL_IMPORTANCE.flatMap(importance =>
+      comparison[importance].related.map(related => ({ ...related, importance }))
     );
   }
 
   /**
-   * Get experience gap analysis
+   * Get experience gap analysis against the job's experience band
    */
   getExperienceGap(resume, job) {
     const resumeExp = this.calculateTotalExperience(resume);
     const requiredExp = this.extractRequiredExperience(job);
+    const maxExp = job.matchingCriteria?.maxExperience || null;
 
     return {
       resumeExperience: resumeExp,
       requiredExperience: requiredExp,
+      maxExperience: maxExp,
       gap: Math.max(0, requiredExp - resumeExp),
-      meetsRequirement: resumeExp >= requiredExp
+      overqualifiedBy: maxExp ? Math.max(0, resumeExp - maxExp) : 0,
+      meetsRequirement: resumeExp >= requiredExp,
+      withinRange: resumeExp >= requiredExp && (!maxExp || resumeExp <= maxExp)
+    };
+  }
+
+  /**
+   * Highest degree level found in the resume's education, or null
+   */
+  getEducationLevel(resume) {
+    const education = resume.parsedContent?.education || [];
+    let highest = null;
+
+    education.forEach(entry => {
+      const text = `${entry.degree || ''} ${entry.field || ''}`;
+      const found = DEGREE_PATTERNS.find(({ pattern }) => pattern.test(text));
+      if (found && (!highest || EDUCATION_LEVELS.indexOf(found.level) > EDUCATION_LEVELS.indexOf(highest))) {
+        highest = found.level;
+      }
+    });
+
+    return highest;
+  }
+
+  /**
+   * Check matchingCriteria.educationRequired against the resume's education.
+   * The job's educationLevel is the minimum degree; a resume listing education
+   * we can't classify isn't penalized (verified: false).
+   */
+  getEducationMatch(resume, job) {
+    const required = Boolean(job.matchingCriteria?.educationRequired);
+    const requiredLevel = job.educationLevel && job.educationLevel !== 'none' ? job.educationLevel : null;
+    const entries = resume.parsedContent?.education || [];
+    const candidateLevel = this.getEducationLevel(resume);
+
+    let meetsRequirement = true;
+    let verified = true;
+
+    if (required) {
+      if (entries.length === 0) {
+        meetsRequirement = false;
+      } else if (requiredLevel && candidateLevel) {
+        meetsRequirement = EDUCATION_LEVELS.indexOf(candidateLevel) >= EDUCATION_LEVELS.indexOf(requiredLevel);
+      } else if (requiredLevel) {
+        verified = false;
+      }
+    }
+
+    return { required, requiredLevel, candidateLevel, meetsRequirement, verified };
+  }
+
+  /**
+   * Hard requirements from the job's matching criteria: required skills and education.
+   * Returns the share of the score to take off (0-1) and whether they're all met.
+   * A related skill covers half of a missing required skill's penalty but
+   * doesn't meet the requirement.
+   */
+  checkRequirements(resume, job, comparison = this.compareSkillRequirements(resume, job)) {
+    const { required } = comparison;
+    const education = this.getEducationMatch(resume, job);
+
+    let penalty = 0;
+    if (required.total > 0) {
+      const uncovered = required.missing.length - required.related.length * 0.5;
+      penalty += this.requiredSkillsPenalty * (uncovered / required.total);
+    }
+    if (!education.meetsRequirement) {
+      penalty += this.educationPenalty;
+    }
+
+    return {
+      met: required.missing.length === 0 && education.meetsRequirement,
+      missingRequiredSkills: required.missing,
+      education,
+      penalty: Math.min(1, penalty)
     };
   }
 
   /**
    * Generate match recommendations
    */
-  generateMatchRecommendations(scores, resume, job) {
+  generateMatchRecommendations(scores, resume, job, requirements = this.checkRequirements(resume, job)) {
     const recommendations = [];
 
+    if (requirements.missingRequiredSkills.length > 0) {
+      recommendations.push({
+        type: 'required_skills',
+        priority: 'high',
+        message: `This role requires ${requirements.missingRequiredSkills.join(', ')}`,
+        action: 'skill_development'
+      });
+    }
+
+    if (!requirements.education.meetsRequirement) {
+      recommendations.push({
+        type: 'education',
+        priority: 'high',
+        message: requirements.education.requiredLevel
+          ? `This role requires a ${requirements.education.requiredLevel} degree or higher`
+          : 'This role requires formal education - add your education to your resume',
+        action: 'education_emphasis'
+      });
+    }
+
     if (scores.skills < 70) {
       recommendations.push({
         type: 'skills',
@@ -0,0 +1,209 @@
+const { geminiService } = require('./GeminiService');
+const { resumeAIService } = require('./ResumeAIService');
+const { structuredOutputService } = require('./StructuredOutputService');
+const { promptRegistry } = require('./PromptRegistry');
+const logger = require('../src/utils/logger');
+
+// How each prompt is built from an evaluation fixture ({ id, resume, job, jobs }),
+// the same way the task builds it in production, and which fixture fields it needs
+const PROMPT_INPUTS = {
+  resumeSuggestions: {
+    requires: ['resume'],
+    build: ({ resume }, options) => geminiService.buildResumeSuggestionsPrompt(resumeAIService.buildContentForAnalysis(resume), options),
+    parse: data => geminiService.parseResumeSuggestions(data)
+  },
+  atsAnalysis: {
+    requires: ['resume'],
+    build: ({ resume }, options) => geminiService.buildATSAnalysisPrompt(resume.parsedContent?.rawText || '', options),
+    parse: data => geminiService.parseATSAnalysis(data)
+  },
+  skillExtraction: {
+    requires: ['resume'],
+    build: ({ resume }, options) => geminiService.buildSkillExtractionPrompt(resume.parsedContent?.rawText || '', options),
+    parse: data => geminiService.parseExtractedSkills(data)
+  },
+  contentAnalysis: {
+    requires: ['resume'],
+    build: ({ resume }, options) => resumeAIService.buildContentAnalysisPrompt(resumeAIService.buildContentForAnalysis(resume), options),
+    parse: data => resumeAIService.parseContentAnalysis(data)
+  },
+  resumeOptimization: {
+    requires: ['resume', 'job'],
+    build: ({ resume, job }, options) => resumeAIService.buildJobOptimizationPrompt(resume, job, options),
+    parse: data => resumeAIService.parseOptimizationResult(data)
+  },
+  jobRecommendations: {
+    requires: ['resume', 'jobs'],
+    build: ({ resume, jobs }, options) => geminiService.buildJobRecommendationsPrompt(resumeAIService.buildCandidateProfile(resume), jobs, options),
+    parse: data => geminiService.parseJobRecommendations(data)
+  },
+  jobOptimization: {
+    requires: ['job'],
+    build: ({ job }, options) => geminiService.buildJobOptimizationPrompt(job.description, options),
+    parse: data => geminiService.parseJobOptimization(data)
+  }
+};
+
+const MAX_ARRAY_ITEMS_DIFFED = 20;
+
+/**
+ * Prompt Evaluation Service
+ * Replays a set of fixtures (resumes, with jobs where the prompt needs them)
+ * through two versions of a prompt on the provider the task is routed to,
+ * and diffs the parsed outputs. Results aren't cached, so every replay
+ * reaches the model.
+ */
+class PromptEvaluationService {
+  getSupportedPrompts() {
+    return Object.keys(PROMPT_INPUTS);
+  }
+
+  /**
+   * Run one fixture through one version of a prompt
+   */
+  async runFixture(name, fixture, version) {
+    const inputs = PROMPT_INPUTS[name];
+    const prompt = inputs.build(fixture, { promptVersion: version });
+    const startedAt = Date.now();
+
+    try {
+      const output = await structuredOutputService.generate(
+        name,
+        prompt.text,
+        currentPrompt => geminiService.executeWithRetry(() => geminiService.generateText(name, currentPrompt)),
+        { template: geminiService.describePrompt(prompt) }
+      );
+
+      if (!output.valid) {
+        return {
+          version,
+          valid: false,
+          attempts: output.attempts,
+          latencyMs: Date.now() - startedAt,
+          error: `Output did not match the schema: ${output.errors.join('; ')}`,
+          validationErrors: output.errors
+        };
+      }
+
+      return {
+        version,
+        valid: true,
+        attempts: output.attempts,
+        latencyMs: Date.now() - startedAt,
+        result: inputs.parse(output.data)
+      };
+    } catch (error) {
+      return {
+        version,
+        valid: false,
+        latencyMs: Date.now() - startedAt,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Compare versions `a` and `b` of a prompt over the fixtures
+   */
+  async evaluate(name, fixtures, a, b) {
+    const inputs = PROMPT_INPUTS[name];
+    if (!inputs) {
+      throw new Error(`Prompt ${name} can't be evaluated; supported: ${this.getSupportedPrompts().join(', ')}`);
+    }
+    [a, b].forEach(version => {
+      if (!promptRegistry.getVersion(name, version)) {
+        throw new Error(`Unknown version "${version}" of prompt ${name}`);
+      }
+    });
+
+    const results = [];
+    for (const [index, fixture] of fixtures.entries()) {
+      const id = fixture.id || `fixture-${index + 1}`;
+      const missing = inputs.requires.filter(field => !fixture[field]);
+
+      if (missing.length > 0) {
+        results.push({ id, skipped: `Missing ${missing.join(', ')}` });
+        continue;
+      }
+
+      logger.debug(`Evaluating ${name} ${a} vs ${b} on ${id}`);
+      const outputA = await this.runFixture(name, fixture, a);
+      const outputB = await this.runFixture(name, fixture, b);
+      const changes = outputA.result && outputB.result ? this.diff(outputA.result, outputB.result) : [];
+
+      results.push({ id, a: outputA, b: outputB, identical: !outputA.error && !outputB.error && changes.length === 0, changes });
+    }
+
+    return {
+      prompt: name,
+      versions: { a, b },
+      evaluatedAt: new Date().toISOString(),
+      summary: this.summarize(results),
+      fixtures: results
+    };
+  }
+
+  summarize(results) {
+    const evaluated = results.filter(result => !result.skipped);
+    const average = values => values.length > 0
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+
+    return {
+      fixtures: results.length,
+      evaluated: evaluated.length,
+      skipped: results.length - evaluated.length,
+      identical: evaluated.filter(result => result.identical).length,
+      changed: evaluated.filter(result => !result.identical).length,
+      valid: {
+        a: evaluated.filter(result => result.a.valid).length,
+        b: evaluated.filter(result => result.b.valid).length
+      },
+      avgLatencyMs: {
+        a: average(evaluated.map(result => result.a.latencyMs)),
+        b: average(evaluated.map(result => result.b.latencyMs))
+      }
+    };
+  }
+
+  /**
+   * Differences between two outputs as [{ path, a, b }]. Lists of values
+   * are compared as sets ({ path, added, removed }); numbers get a delta.
+   */
+  diff(a, b, path = '') {
+    if (a === b) return [];
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      if ([...a, ...b].every(item => item === null || typeof item !== 'object')) {
+        const added = b.filter(item => !a.includes(item));
+        const removed = a.filter(item => !b.includes(item));
+        return added.length || removed.length ? [{ path: path || '(root)', added, removed }] : [];
+      }
+
+      const changes = a.length !== b.length ? [{ path: `${path}.length`, a: a.length, b: b.length }] : [];
+      for (let i = 0; i < Math.min(a.length, b.length, MAX_ARRAY_ITEMS_DIFFED); i++) {
+        changes.push(...this.diff(a[i], b[i], `${path}[${i}]`));
+      }
+      return changes;
+    }
+
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(key => key !== 'prompt');
+      return keys.flatMap(key => this.diff(a[key], b[key], path ? `${path}.${key}` : key));
+    }
+
+    const change = { path: path || '(root)', a, b };
+    if (typeof a === 'number' && typeof b === 'number') {
+      change.delta = Math.round((b - a) * 1000) / 1000;
+    }
+    return [change];
+  }
+}
+
+// Export singleton instance
+const promptEvaluationService = new PromptEvaluationService();
+
+module.exports = {
+  promptEvaluationService,
+  PromptEvaluationService
+};
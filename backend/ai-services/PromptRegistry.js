@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const PromptTemplate = require('../src/models/PromptTemplate');
+const Setting = require('../src/models/Setting');
+const { BUILT_IN_PROMPTS, BUILT_IN_VERSION } = require('./PromptTemplates');
+const logger = require('../src/utils/logger');
+
+const SETTINGS_KEY = 'prompts';
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+/**
+ * Prompt Registry
+ * Named, versioned prompt templates for the AI tasks. Each prompt has the
+ * built-in version "v1" (PromptTemplates.js) plus any versions admins add
+ * to the PromptTemplate collection, and a traffic split between versions
+ * kept in the settings collection (all traffic to v1 until one is set).
+ *
+ * A version is picked per input by hashing the prompt variables, so the
+ * same resume keeps getting the same version (and its cached results)
+ * while the split is unchanged. Results record the prompt they came from
+ * as `prompt: { name, version }`.
+ */
+class PromptRegistry {
+  constructor() {
+    this.prompts = {};
+    this.traffic = {};
+    this.templatesVersion = null;
+
+    Object.entries(BUILT_IN_PROMPTS).forEach(([name, prompt]) => {
+      this.prompts[name] = {
+        name,
+        description: prompt.description,
+        variables: prompt.variables,
+        versions: {
+          [BUILT_IN_VERSION]: {
+            version: BUILT_IN_VERSION,
+            template: prompt.template,
+            description: 'Built-in',
+            source: 'built-in'
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Load admin-added versions and traffic splits from the database,
+   * replacing the ones loaded before
+   */
+  async loadTemplates() {
+    const [templates, setting] = await Promise.all([
+      PromptTemplate.find().sort({ createdAt: 1 }).lean(),
+      Setting.findOne({ key: SETTINGS_KEY }).lean()
+    ]);
+
+    Object.values(this.prompts).forEach(prompt => {
+      Object.values(prompt.versions)
+        .filter(entry => entry.source === 'custom')
+        .forEach(entry => delete prompt.versions[entry.version]);
+    });
+    templates.forEach(template => {
+      if (this.prompts[template.name]) this.addVersion(template);
+    });
+    this.traffic = setting?.value?.traffic || {};
+    this.templatesVersion = this.versionOf(
+      templates.length,
+      Math.max(0, ...templates.map(template => new Date(template.updatedAt || 0).getTime())),
+      setting
+    );
+
+    logger.info(`Prompt registry loaded (${templates.length} custom prompt versions)`);
+    return this.listPrompts();
+  }
+
+  // Version count and latest edit catch added, changed and deleted versions
+  versionOf(count, updatedAt, setting) {
+    const trafficUpdatedAt = setting?.updatedAt ? new Date(setting.updatedAt).getTime() : 0;
+    return `${count}:${updatedAt || 0}:${trafficUpdatedAt}`;
+  }
+
+  /**
+   * Reload versions and traffic splits if they changed since the last load,
+   * e.g. through another instance. Returns true when the registry was reloaded.
+   */
+  async refreshTemplates() {
+    const [count, latest, setting] = await Promise.all([
+      PromptTemplate.countDocuments(),
+      PromptTemplate.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean(),
+      Setting.findOne({ key: SETTINGS_KEY }).select('updatedAt').lean()
+    ]);
+    const version = this.versionOf(count, latest?.updatedAt && new Date(latest.updatedAt).getTime(), setting);
+    if (version === this.templatesVersion) return false;
+
+    await this.loadTemplates();
+    return true;
+  }
+
+  addVersion(template) {
+    this.prompts[template.name].versions[template.version] = {
+      version: template.version,
+      template: template.template,
+      description: template.description || '',
+      source: 'custom',
+      createdBy: template.createdBy,
+      createdAt: template.createdAt
+    };
+  }
+
+  getPrompt(name) {
+    const prompt = this.prompts[name];
+    if (!prompt) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+    return prompt;
+  }
+
+  /**
+   * Traffic split for a prompt as { version: percent }
+   */
+  getTraffic(name) {
+    return this.traffic[name] || { [BUILT_IN_VERSION]: 100 };
+  }
+
+  /**
+   * Version to use for these variables: a bucket from 0-99 by hash of the
+   * prompt name and variables, mapped onto the traffic split
+   */
+  selectVersion(name, variables = {}) {
+    const split = Object.entries(this.getTraffic(name)).filter(([, percent]) => percent > 0);
+    if (split.length === 1) return split[0][0];
+
+    const hash = crypto.createHash('sha256').update(`${name}:${JSON.stringify(variables)}`).digest();
+    const bucket = hash.readUInt32BE(0) % 100;
+
+    let upper = 0;
+    for (const [version, percent] of split) {
+      upper += percent;
+      if (bucket < upper) return version;
+    }
+    return split[split.length - 1][0];
+  }
+
+  /**
+   * Fill a prompt template. Uses `options.promptVersion` when given (e.g.
+   * for offline evaluation), the traffic split otherwise.
+   * Returns { name, version, text }.
+   */
+  render(name, variables = {}, options = {}) {
+    const prompt = this.getPrompt(name);
+    const version = options.promptVersion || this.selectVersion(name, variables);
+    const entry = prompt.versions[version];
+
+    if (!entry) {
+      throw new Error(`Unknown version "${version}" of prompt ${name}`);
+    }
+
+    const text = entry.template.replace(PLACEHOLDER, (match, variable) =>
+      variables[variable] === undefined || variables[variable] === null ? '' : String(variables[variable])
+    );
+
+    return { name, version, text };
+  }
+
+  /**
+   * Every prompt with its variables, versions and traffic split
+   */
+  listPrompts() {
+    return Object.values(this.prompts).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      variables: prompt.variables,
+      traffic: this.getTraffic(prompt.name),
+      versions: Object.values(prompt.versions).map(({ template, ...version }) => version)
+    }));
+  }
+
+  /**
+   * A prompt version including its template text
+   */
+  getVersion(name, version) {
+    const entry = this.prompts[name]?.versions[version];
+    return entry ? { name, ...entry } : null;
+  }
+
+  /**
+   * Errors in a template for a prompt: placeholders the prompt doesn't provide
+   */
+  validateTemplate(name, template) {
+    const { variables } = this.getPrompt(name);
+    const used = [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+    return used
+      .filter(variable => !variables.includes(variable))
+      .map(variable => `Unknown variable {{${variable}}}; ${name} provides ${variables.map(v => `{{${v}}}`).join(', ')}`);
+  }
+
+  /**
+   * Add a version of a prompt. It gets no traffic until the split is updated.
+   * Returns { version, errors }; nothing is saved if there are errors.
+   */
+  async createVersion(name, data, userId) {
+    if (!this.prompts[name]) return { version: null, errors: [`Unknown prompt: ${name}`] };
+
+    // Start from the stored versions, which other instances may have changed
+    await this.loadTemplates();
+
+    const errors = this.validateTemplate(name, data.template);
+    if (this.prompts[name].versions[data.version]) {
+      errors.push(`Version ${data.version} of ${name} already exists`);
+    }
+    if (errors.length > 0) return { version: null, errors };
+
+    const template = await PromptTemplate.create({
+      name,
+      version: data.version,
+      template: data.template,
+      description: data.description,
+      createdBy: userId
+    });
+    this.addVersion(template.toObject());
+
+    logger.info(`Prompt ${name} version ${data.version} created`);
+    return { version: this.getVersion(name, data.version), errors: [] };
+  }
+
+  /**
+   * Delete a custom version that gets no traffic
+   */
+  async removeVersion(name, version) {
+    await this.loadTemplates();
+
+    const entry = this.prompts[name]?.versions[version];
+    if (!entry) return { removed: false, errors: [`Version ${version} of ${name} not found`] };
+    if (entry.source === 'built-in') return { removed: false, errors: ['Built-in prompt versions cannot be deleted'] };
+    if (this.getTraffic(name)[version] > 0) {
+      return { removed: false, errors: [`Version ${version} still gets traffic; update the split first`] };
+    }
+
+    await PromptTemplate.deleteOne({ name, version });
+    delete this.prompts[name].versions[version];
+    return { removed: true, errors: [] };
+  }
+
+  /**
+   * Set the traffic split of a prompt, e.g. { v1: 90, v2: 10 }. Percentages
+   * are whole numbers adding up to 100.
+   * Returns { traffic, errors }; nothing is saved if there are errors.
+   */
+  async setTraffic(name, split, userId) {
+    if (!this.prompts[name]) return { traffic: null, errors: [`Unknown prompt: ${name}`] };
+
+    // Other prompts' splits are saved too, so start from the stored ones
+    await this.loadTemplates();
+
+    const errors = [];
+    Object.entries(split || {}).forEach(([version, percent]) => {
+      if (!this.prompts[name].versions[version]) {
+        errors.push(`Version ${version} of ${name} not found`);
+      } else if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+        errors.push(`Traffic for ${version} must be a whole number between 0 and 100`);
+      }
+    });
+    const total = Object.values(split || {}).reduce((sum, percent) => sum + (Number(percent) || 0), 0);
+    if (total !== 100) {
+      errors.push(`Traffic must add up to 100 (got ${total})`);
+    }
+    if (errors.length > 0) return { traffic: null, errors };
+
+    this.traffic[name] = Object.fromEntries(Object.entries(split).filter(([, percent]) => percent > 0));
+    await this.save(userId);
+
+    logger.info(`Prompt ${name} traffic set to ${JSON.stringify(this.traffic[name])}`);
+    return { traffic: this.traffic[name], errors: [] };
+  }
+
+  async save(userId) {
+    const setting = await Setting.findOne({ key: SETTINGS_KEY }) || new Setting({ key: SETTINGS_KEY });
+    setting.value = { traffic: this.traffic };
+    setting.markModified('value');
+    setting.updatedBy = userId;
+    await setting.save();
+  }
+}
+
+// Export singleton instance
+const promptRegistry = new PromptRegistry();
+
+module.exports = {
+  promptRegistry,
+  PromptRegistry
+};
@@ -0,0 +1,292 @@
+/**
+ * Built-in prompt templates, one per AI task, registered as version "v1" of
+ * each prompt in the PromptRegistry. New versions are added by admins
+ * (PromptTemplate collection) without a deploy; these stay available as the
+ * fallback.
+ *
+ * `{{name}}` placeholders are filled with the variables the task's prompt
+ * builder passes in; `variables` lists the ones a template may use.
+ */
+const BUILT_IN_PROMPTS = {
+  resumeSuggestions: {
+    description: 'Resume improvement suggestions with ATS score and feedback',
+    variables: ['resumeContent'],
+    template: `
+Analyze the following resume and provide improvement suggestions in JSON format:
+
+Resume Content:
+{{resumeContent}}
+
+Please provide suggestions in the following JSON structure:
+{
+  "suggestions": [
+    {
+      "type": "content|formatting|keywords|structure|grammar",
+      "priority": "critical|high|medium|low",
+      "title": "Brief title",
+      "description": "Detailed description",
+      "section": "section name",
+      "impact": "high|medium|low",
+      "category": "specific category"
+    }
+  ],
+  "missingSkills": ["skill1", "skill2"],
+  "keywordGaps": ["keyword1", "keyword2"],
+  "atsScore": 85,
+  "overallFeedback": "General feedback about the resume"
+}
+
+Focus on:
+1. ATS compatibility issues
+2. Missing keywords and skills
+3. Grammar and formatting improvements
+4. Content structure and organization
+5. Quantifiable achievements
+6. Action verb usage
+`
+  },
+
+  jobRecommendations: {
+    description: 'Rank available jobs for a candidate profile',
+    variables: ['skills', 'experience', 'totalExperience', 'education', 'preferences', 'jobs'],
+    template: `
+Based on the candidate profile below, rank and recommend the most suitable jobs from the available positions.
+
+Candidate Profile:
+Skills: {{skills}}
+Experience: {{experience}}
+Total Experience: {{totalExperience}}
+Education: {{education}}
+Preferences: {{preferences}}
+
+Available Jobs:
+{{jobs}}
+
+Provide recommendations in JSON format:
+{
+  "recommendations": [
+    {
+      "jobId": "job_id",
+      "matchScore": 85,
+      "matchReasons": ["reason1", "reason2"],
+      "skillsMatch": ["matching_skill1", "matching_skill2"],
+      "missingSkills": ["missing_skill1", "missing_skill2"],
+      "recommendation": "Why this job is a good fit"
+    }
+  ]
+}
+
+Rank jobs by compatibility (0-100%) considering skills match, experience level, and preferences.
+`
+  },
+
+  atsAnalysis: {
+    description: 'ATS compatibility score with per-factor issues and suggestions',
+    variables: ['resumeContent'],
+    template: `
+Analyze the following resume for ATS (Applicant Tracking System) compatibility and provide a detailed assessment:
+
+Resume Content:
+{{resumeContent}}
+
+Provide analysis in JSON format:
+{
+  "score": 85,
+  "factors": {
+    "formatting": {
+      "score": 90,
+      "issues": ["issue1", "issue2"],
+      "suggestions": ["suggestion1", "suggestion2"]
+    },
+    "keywords": {
+      "score": 80,
+      "found": ["keyword1", "keyword2"],
+      "missing": ["missing1", "missing2"],
+      "suggestions": ["Add more industry keywords"]
+    },
+    "structure": {
+      "score": 85,
+      "issues": ["structure issue"],
+      "suggestions": ["structure suggestion"]
+    },
+    "readability": {
+      "score": 90,
+      "issues": ["readability issue"],
+      "suggestions": ["readability suggestion"]
+    }
+  },
+  "overallFeedback": "Comprehensive feedback about ATS compatibility"
+}
+
+Evaluate:
+1. File format compatibility
+2. Keyword density and relevance
+3. Section structure and organization
+4. Text readability and parsing
+5. Contact information completeness
+`
+  },
+
+  skillExtraction: {
+    description: 'Technical and soft skills with category and confidence',
+    variables: ['resumeContent'],
+    template: `
+Extract all technical and soft skills from the following resume content:
+
+Resume Content:
+{{resumeContent}}
+
+Provide extracted skills in JSON format:
+{
+  "skills": [
+    {
+      "skill": "JavaScript",
+      "category": "technical",
+      "confidence": 0.95,
+      "context": "Listed in skills section"
+    },
+    {
+      "skill": "Leadership",
+      "category": "soft",
+      "confidence": 0.8,
+      "context": "Mentioned in experience description"
+    }
+  ],
+  "categories": {
+    "technical": ["JavaScript", "Python", "React"],
+    "soft": ["Leadership", "Communication"],
+    "tools": ["Git", "Docker"],
+    "frameworks": ["React", "Node.js"],
+    "languages": ["English", "Spanish"]
+  }
+}
+
+Categories: technical, soft, tools, frameworks, languages, certifications
+Confidence: 0.0-1.0 based on how clearly the skill is mentioned
+`
+  },
+
+  jobOptimization: {
+    description: 'Job description rewrite and improvement suggestions',
+    variables: ['jobDescription'],
+    template: `
+Analyze and optimize the following job description for better candidate attraction and ATS compatibility:
+
+Job Description:
+{{jobDescription}}
+
+Provide optimization suggestions in JSON format:
+{
+  "optimizedDescription": "Improved version of the job description",
+  "suggestions": [
+    {
+      "type": "keywords|structure|requirements|benefits",
+      "priority": "high|medium|low",
+      "current": "current text",
+      "suggested": "suggested improvement",
+      "reason": "explanation of why this improves the description"
+    }
+  ],
+  "keywordSuggestions": ["keyword1", "keyword2"],
+  "improvementScore": 85,
+  "feedback": "Overall feedback about the job description"
+}
+
+Focus on:
+1. Clear and engaging job title
+2. Compelling company description
+3. Specific requirements and qualifications
+4. Attractive benefits and perks
+5. Inclusive language
+6. Industry-relevant keywords
+`
+  },
+
+  contentAnalysis: {
+    description: 'Resume content quality, structure, language and achievements',
+    variables: ['content'],
+    template: `
+Analyze the following resume content for quality, structure, and effectiveness:
+
+{{content}}
+
+Provide analysis in JSON format:
+{
+  "strengths": ["strength1", "strength2"],
+  "weaknesses": ["weakness1", "weakness2"],
+  "contentQuality": {
+    "score": 85,
+    "feedback": "Overall content feedback"
+  },
+  "structure": {
+    "score": 90,
+    "feedback": "Structure feedback"
+  },
+  "language": {
+    "score": 80,
+    "feedback": "Language and tone feedback"
+  },
+  "achievements": {
+    "quantified": 3,
+    "total": 8,
+    "score": 70,
+    "feedback": "Achievements analysis"
+  }
+}
+
+Evaluate:
+1. Content quality and relevance
+2. Structure and organization
+3. Language and professional tone
+4. Use of quantified achievements
+5. Overall effectiveness
+`
+  },
+
+  resumeOptimization: {
+    description: 'Resume optimization suggestions for a specific job posting',
+    variables: ['resumeContent', 'jobContent'],
+    template: `
+Optimize the following resume for the specific job posting:
+
+RESUME:
+{{resumeContent}}
+
+JOB POSTING:
+{{jobContent}}
+
+Provide optimization suggestions in JSON format:
+{
+  "keywordOptimization": {
+    "missing": ["keyword1", "keyword2"],
+    "suggestions": ["Add keyword1 to skills section", "Incorporate keyword2 in experience"]
+  },
+  "contentOptimization": {
+    "summary": "Optimized professional summary",
+    "experienceHighlights": ["highlight1", "highlight2"],
+    "skillsToEmphasize": ["skill1", "skill2"]
+  },
+  "matchImprovements": {
+    "before": 65,
+    "after": 85,
+    "improvements": ["improvement1", "improvement2"]
+  },
+  "specificSuggestions": [
+    {
+      "section": "experience",
+      "current": "current text",
+      "suggested": "optimized text",
+      "reason": "why this improves match"
+    }
+  ]
+}
+`
+  }
+};
+
+const BUILT_IN_VERSION = 'v1';
+
+module.exports = {
+  BUILT_IN_PROMPTS,
+  BUILT_IN_VERSION
+};
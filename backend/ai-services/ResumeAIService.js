@@ -1,14 +1,20 @@
 const { geminiService } = require('./GeminiService');
+const { cacheTags } = require('./AICacheService');
+const { promptRegistry } = require('./PromptRegistry');
 const logger = require('../src/utils/logger');
+const { buildTimeline } = require('../src/utils/dateRanges');
 
 /**
  * Resume AI Service
  * Provides AI-powered resume analysis, suggestions, and optimization
  */
 class ResumeAIService {
-  constructor() {
-    this.analysisCache = new Map();
-    this.cacheTimeout = 60 * 60 * 1000; // 1 hour cache
+  /**
+   * AI results for a resume are cached per prompt (GeminiService.generateStructured),
+   * tagged with the resume so they can be invalidated together
+   */
+  getCacheOptions(resume, job) {
+    return { tags: cacheTags({ resumeId: resume._id, jobId: job?._id }) };
   }
 
   /**
@@ -18,14 +24,6 @@ class ResumeAIService {
     try {
       logger.info(`Starting AI analysis for resume ${resume._id}`);
 
-      const cacheKey = `analysis_${resume._id}_${resume.updatedAt}`;
-      
-      // Check cache first
-      if (this.analysisCache.has(cacheKey)) {
-        logger.debug('Returning cached analysis result');
-        return this.analysisCache.get(cacheKey);
-      }
-
       const analysisResults = await Promise.all([
         this.analyzeContent(resume),
         this.analyzeATS(resume),
@@ -48,145 +46,112 @@ class ResumeAIService {
         recommendations: this.generatePriorityRecommendations(suggestions, atsAnalysis)
       };
 
-      // Cache the results
-      this.analysisCache.set(cacheKey, comprehensiveAnalysis);
-      setTimeout(() => this.analysisCache.delete(cacheKey), this.cacheTimeout);
-
       logger.info(`AI analysis completed for resume ${resume._id} with score ${comprehensiveAnalysis.overallScore}`);
       return comprehensiveAnalysis;
 
     } catch (error) {
       logger.error('Resume AI analysis error:', error);
-      throw new Error(`Failed to analyze resume: ${error.message}`);
+      throw geminiService.wrapError('Failed to analyze resume', error);
     }
   }
 
   /**
    * Analyze resume content structure and quality
    */
-  async analyzeContent(resume) {
-    try {
-      if (!resume.parsedContent?.rawText) {
-        throw new Error('Resume content not available for analysis');
-      }
-
-      const content = this.buildContentForAnalysis(resume);
-      const prompt = this.buildContentAnalysisPrompt(content);
+  async analyzeContent(resume, options = {}) {
+    if (!resume.parsedContent?.rawText) {
+      throw new Error('Resume content not available for analysis');
+    }
 
-      const result = await geminiService.executeWithRetry(async () => {
-        const response = await geminiService.generativeModel.generateContent(prompt);
-        const text = response.response.text();
-        return this.parseContentAnalysis(text);
-      });
+    const content = this.buildContentForAnalysis(resume);
+    const prompt = this.buildContentAnalysisPrompt(content, options);
 
-      return {
-        ...result,
-        wordCount: this.calculateWordCount(resume.parsedContent.rawText),
-        readabilityScore: this.calculateReadabilityScore(resume.parsedContent.rawText),
-        structureScore: this.analyzeStructure(resume),
-        completenessScore: this.analyzeCompleteness(resume)
-      };
+    const { data } = await geminiService.generateStructured('contentAnalysis', prompt, this.getCacheOptions(resume));
+    const result = this.parseContentAnalysis(data);
 
-    } catch (error) {
-      logger.error('Content analysis error:', error);
-      return this.getDefaultContentAnalysis();
-    }
+    return {
+      ...result,
+      prompt: geminiService.describePrompt(prompt),
+      wordCount: this.calculateWordCount(resume.parsedContent.rawText),
+      readabilityScore: this.calculateReadabilityScore(resume.parsedContent.rawText),
+      structureScore: this.analyzeStructure(resume),
+      completenessScore: this.analyzeCompleteness(resume)
+    };
   }
 
   /**
    * Analyze ATS compatibility using AI
    */
   async analyzeATS(resume) {
-    try {
-      const atsResult = await geminiService.analyzeATSCompatibility(
-        resume.parsedContent?.rawText || ''
-      );
-
-      return {
-        ...atsResult,
-        fileFormat: this.analyzeFileFormat(resume),
-        parsing: this.analyzeParsingQuality(resume),
-        formatting: this.analyzeFormatting(resume),
-        sections: this.analyzeSections(resume)
-      };
+    const atsResult = await geminiService.analyzeATSCompatibility(
+      resume.parsedContent?.rawText || '',
+      this.getCacheOptions(resume)
+    );
 
-    } catch (error) {
-      logger.error('ATS analysis error:', error);
-      return this.getDefaultATSAnalysis();
-    }
+    return {
+      ...atsResult,
+      fileFormat: this.analyzeFileFormat(resume),
+      parsing: this.analyzeParsingQuality(resume),
+      formatting: this.analyzeFormatting(resume),
+      sections: this.analyzeSections(resume)
+    };
   }
 
   /**
    * Generate AI-powered improvement suggestions
    */
   async generateSuggestions(resume) {
-    try {
-      const suggestions = await geminiService.generateResumeSuggestions(
-        this.buildContentForAnalysis(resume)
-      );
+    const suggestions = await geminiService.generateResumeSuggestions(
+      this.buildContentForAnalysis(resume),
+      this.getCacheOptions(resume)
+    );
 
-      // Enhance suggestions with additional analysis
-      const enhancedSuggestions = await this.enhanceSuggestions(suggestions, resume);
+    // Enhance suggestions with additional analysis
+    const enhancedSuggestions = await this.enhanceSuggestions(suggestions, resume);
 
-      return {
-        ...suggestions,
-        enhanced: enhancedSuggestions,
-        prioritized: this.prioritizeSuggestions(enhancedSuggestions),
-        categories: this.categorizeSuggestions(enhancedSuggestions)
-      };
-
-    } catch (error) {
-      logger.error('Suggestions generation error:', error);
-      return this.getDefaultSuggestions();
-    }
+    return {
+      ...suggestions,
+      enhanced: enhancedSuggestions,
+      prioritized: this.prioritizeSuggestions(enhancedSuggestions),
+      categories: this.categorizeSuggestions(enhancedSuggestions)
+    };
   }
 
   /**
    * Extract and analyze skills using AI
    */
   async extractSkills(resume) {
-    try {
-      const skillsResult = await geminiService.extractSkills(
-        resume.parsedContent?.rawText || ''
-      );
-
-      return {
-        ...skillsResult,
-        analysis: this.analyzeSkillsDistribution(skillsResult.skills),
-        gaps: await this.identifySkillGaps(skillsResult.skills, resume),
-        trends: this.analyzeSkillTrends(skillsResult.skills),
-        recommendations: this.generateSkillRecommendations(skillsResult.skills)
-      };
+    const skillsResult = await geminiService.extractSkills(
+      resume.parsedContent?.rawText || '',
+      this.getCacheOptions(resume)
+    );
 
-    } catch (error) {
-      logger.error('Skills extraction error:', error);
-      return this.getDefaultSkillsAnalysis();
-    }
+    return {
+      ...skillsResult,
+      analysis: this.analyzeSkillsDistribution(skillsResult.skills),
+      gaps: await this.identifySkillGaps(skillsResult.skills, resume),
+      trends: this.analyzeSkillTrends(skillsResult.skills),
+      recommendations: this.generateSkillRecommendations(skillsResult.skills)
+    };
   }
 
   /**
    * Analyze keywords and SEO optimization
    */
   async analyzeKeywords(resume) {
-    try {
-      const keywords = resume.keywords || [];
-      const content = resume.parsedContent?.rawText || '';
-
-      const keywordAnalysis = {
-        total: keywords.length,
-        density: this.calculateKeywordDensity(keywords, content),
-        distribution: this.analyzeKeywordDistribution(keywords, resume),
-        relevance: await this.analyzeKeywordRelevance(keywords),
-        suggestions: await this.generateKeywordSuggestions(keywords, resume),
-        seoScore: this.calculateSEOScore(keywords, content)
-      };
-
-      return keywordAnalysis;
+    const keywords = resume.keywords || [];
+    const content = resume.parsedContent?.rawText || '';
+
+    const keywordAnalysis = {
+      total: keywords.length,
+      density: this.calculateKeywordDensity(keywords, content),
+      distribution: this.analyzeKeywordDistribution(keywords, resume),
+      relevance: await this.analyzeKeywordRelevance(keywords),
+      suggestions: await this.generateKeywordSuggestions(keywords, resume),
+      seoScore: this.calculateSEOScore(keywords, content)
+    };
 
-    } catch (error) {
-      logger.error('Keyword analysis error:', error);
-      return this.getDefaultKeywordAnalysis();
-    }
+    return keywordAnalysis;
   }
 
   /**
@@ -198,7 +163,8 @@ class ResumeAIService {
       
       const recommendations = await geminiService.generateJobRecommendations(
         candidateProfile,
-        availableJobs
+        availableJobs,
+        this.getCacheOptions(resume)
       );
 
       return {
@@ -217,30 +183,28 @@ class ResumeAIService {
   /**
    * Optimize resume for specific job
    */
-  async optimizeForJob(resume, job) {
+  async optimizeForJob(resume, job, options = {}) {
     try {
       logger.info(`Optimizing resume ${resume._id} for job ${job._id}`);
 
-      const optimizationPrompt = this.buildJobOptimizationPrompt(resume, job);
+      const optimizationPrompt = this.buildJobOptimizationPrompt(resume, job, options);
       
-      const result = await geminiService.executeWithRetry(async () => {
-        const response = await geminiService.generativeModel.generateContent(optimizationPrompt);
-        const text = response.response.text();
-        return this.parseOptimizationResult(text);
-      });
+      const { data } = await geminiService.generateStructured('resumeOptimization', optimizationPrompt, this.getCacheOptions(resume, job));
+      const result = this.parseOptimizationResult(data);
 
       return {
         jobId: job._id,
         jobTitle: job.title,
         company: job.company.name,
         ...result,
+        prompt: geminiService.describePrompt(optimizationPrompt),
         matchScore: await this.calculateJobMatchScore(resume, job),
         optimizedAt: new Date().toISOString()
       };
 
     } catch (error) {
       logger.error('Job optimization error:', error);
-      throw new Error(`Failed to optimize resume for job: ${error.message}`);
+      throw geminiService.wrapError('Failed to optimize resume for job', error);
     }
   }
 
@@ -279,49 +243,14 @@ class ResumeAIService {
   /**
    * Build content analysis prompt
    */
-  buildContentAnalysisPrompt(content) {
-    return `
-Analyze the following resume content for quality, structure, and effectiveness:
-
-${content}
-
-Provide analysis in JSON format:
-{
-  "strengths": ["strength1", "strength2"],
-  "weaknesses": ["weakness1", "weakness2"],
-  "contentQuality": {
-    "score": 85,
-    "feedback": "Overall content feedback"
-  },
-  "structure": {
-    "score": 90,
-    "feedback": "Structure feedback"
-  },
-  "language": {
-    "score": 80,
-    "feedback": "Language and tone feedback"
-  },
-  "achievements": {
-    "quantified": 3,
-    "total": 8,
-    "score": 70,
-    "feedback": "Achievements analysis"
-  }
-}
-
-Evaluate:
-1. Content quality and relevance
-2. Structure and organization
-3. Language and professional tone
-4. Use of quantified achievements
-5. Overall effectiveness
-`;
+  buildContentAnalysisPrompt(content, options = {}) {
+    return promptRegistry.render('contentAnalysis', { content }, options);
   }
 
   /**
    * Build job optimization prompt
    */
-  buildJobOptimizationPrompt(resume, job) {
+  buildJobOptimizationPrompt(resume, job, options = {}) {
     const resumeContent = this.buildContentForAnalysis(resume);
     const jobContent = `
 Job Title: ${job.title}
@@ -331,74 +260,21 @@ Requirements: ${job.requirements?.join(', ') || 'Not specified'}
 Skills: ${job.skills?.join(', ') || 'Not specified'}
 `;
 
-    return `
-Optimize the following resume for the specific job posting:
-
-RESUME:
-${resumeContent}
-
-JOB POSTING:
-${jobContent}
-
-Provide optimization suggestions in JSON format:
-{
-  "keywordOptimization": {
-    "missing": ["keyword1", "keyword2"],
-    "suggestions": ["Add keyword1 to skills section", "Incorporate keyword2 in experience"]
-  },
-  "contentOptimization": {
-    "summary": "Optimized professional summary",
-    "experienceHighlights": ["highlight1", "highlight2"],
-    "skillsToEmphasize": ["skill1", "skill2"]
-  },
-  "matchImprovements": {
-    "before": 65,
-    "after": 85,
-    "improvements": ["improvement1", "improvement2"]
-  },
-  "specificSuggestions": [
-    {
-      "section": "experience",
-      "current": "current text",
-      "suggested": "optimized text",
-      "reason": "why this improves match"
-    }
-  ]
-}
-`;
+    return promptRegistry.render('resumeOptimization', { resumeContent, jobContent }, options);
   }
 
   /**
-   * Parse content analysis response
+   * Content analysis from schema-validated output (see GeminiService.generateStructured)
    */
-  parseContentAnalysis(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) throw new Error('No JSON found');
-
-      return JSON.parse(jsonMatch[0]);
-    } catch (error) {
-      return this.getDefaultContentAnalysis();
-    }
+  parseContentAnalysis(data) {
+    return data;
   }
 
   /**
-   * Parse optimization result
+   * Resume optimization from validated output
    */
-  parseOptimizationResult(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) throw new Error('No JSON found');
-
-      return JSON.parse(jsonMatch[0]);
-    } catch (error) {
-      return {
-        keywordOptimization: { missing: [], suggestions: [] },
-        contentOptimization: {},
-        matchImprovements: { before: 0, after: 0, improvements: [] },
-        specificSuggestions: []
-      };
-    }
+  parseOptimizationResult(data) {
+    return data;
   }
 
   /**
@@ -453,7 +329,8 @@ Provide optimization suggestions in JSON format:
         impact: this.calculateSuggestionImpact(suggestion, resume),
         difficulty: this.calculateImplementationDifficulty(suggestion),
         timeToImplement: this.estimateImplementationTime(suggestion),
-        relatedSuggestions: this.findRelatedSuggestions(suggestion, suggestions.suggestions)
+        relatedSuggestions: this.findRelatedSuggestions(suggestion, suggestions.suggestions),
+        prompt: suggestions.prompt
       }));
 
       return enhanced;
@@ -555,6 +432,8 @@ Provide optimization suggestions in JSON format:
    * Build candidate profile for job recommendations
    */
   buildCandidateProfile(resume) {
+    const timeline = buildTimeline(resume.parsedContent?.experience);
+
     return {
       skills: this.extractResumeSkills(resume),
       experience: resume.parsedContent?.experience || [],
@@ -565,7 +444,9 @@ Provide optimization suggestions in JSON format:
         industries: this.inferPreferredIndustries(resume)
       },
       summary: resume.parsedContent?.personalInfo?.summary || '',
-      totalExperience: this.calculateTotalExperience(resume)
+      totalExperience: timeline.totalYears,
+      employmentGaps: timeline.gaps,
+      hasCurrentPosition: timeline.hasCurrentPosition
     };
   }
 
@@ -598,89 +479,13 @@ Provide optimization suggestions in JSON format:
   }
 
   /**
-   * Calculate total years of experience
+   * Calculate total years of experience.
+   * Overlapping jobs are counted once.
    */
   calculateTotalExperience(resume) {
     if (!resume.parsedContent?.experience) return 0;
 
-    let totalYears = 0;
-    const currentYear = new Date().getFullYear();
-
-    resume.parsedContent.experience.forEach(exp => {
-      if (exp.startDate) {
-        const startYear = this.extractYear(exp.startDate);
-        const endYear = exp.current ? currentYear : this.extractYear(exp.endDate);
-        
-        if (startYear && endYear) {
-          totalYears += Math.max(0, endYear - startYear);
-        }
-      }
-    });
-
-    return totalYears;
-  }
-
-  /**
-   * Extract year from date string
-   */
-  extractYear(dateStr) {
-    if (!dateStr) return null;
-    const match = dateStr.toString().match(/(\d{4})/);
-    return match ? parseInt(match[1]) : null;
-  }
-
-  /**
-   * Default analysis methods for fallback
-   */
-  getDefaultContentAnalysis() {
-    return {
-      strengths: [],
-      weaknesses: [],
-      contentQuality: { score: 50, feedback: 'Unable to analyze content' },
-      structure: { score: 50, feedback: 'Unable to analyze structure' },
-      language: { score: 50, feedback: 'Unable to analyze language' },
-      achievements: { quantified: 0, total: 0, score: 0, feedback: 'Unable to analyze achievements' }
-    };
-  }
-
-  getDefaultATSAnalysis() {
-    return {
-      score: 50,
-      factors: {},
-      overallFeedback: 'Unable to perform ATS analysis'
-    };
-  }
-
-  getDefaultSuggestions() {
-    return {
-      suggestions: [],
-      missingSkills: [],
-      keywordGaps: [],
-      atsScore: 0,
-      overallFeedback: 'Unable to generate suggestions'
-    };
-  }
-
-  getDefaultSkillsAnalysis() {
-    return {
-      skills: [],
-      categories: {},
-      analysis: {},
-      gaps: [],
-      trends: {},
-      recommendations: []
-    };
-  }
-
-  getDefaultKeywordAnalysis() {
-    return {
-      total: 0,
-      density: 0,
-      distribution: {},
-      relevance: {},
-      suggestions: [],
-      seoScore: 0
-    };
+    return buildTimeline(resume.parsedContent.experience).totalYears;
   }
 
   /**
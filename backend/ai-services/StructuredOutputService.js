@@ -0,0 +1,208 @@
+const Ajv = require('ajv');
+const { AI_TASK_SCHEMAS } = require('./AITaskSchemas');
+const logger = require('../src/utils/logger');
+
+const MAX_ERRORS = 10;              // Validation errors reported per response
+const MAX_ECHOED_RESPONSE = 4000;   // Characters of the bad response sent back in a repair prompt
+
+/**
+ * Structured Output Service
+ * Validates AI task output against the task's JSON Schema (AITaskSchemas).
+ * When a response doesn't validate the model is asked again, with the
+ * validation errors and its previous answer, up to AI_OUTPUT_MAX_REPAIRS
+ * times. Validation failures are counted per task prompt and per prompt
+ * version, so the versions in a traffic split can be compared.
+ */
+class StructuredOutputService {
+  constructor() {
+    const maxRepairs = parseInt(process.env.AI_OUTPUT_MAX_REPAIRS);
+    this.maxRepairs = Number.isNaN(maxRepairs) ? 2 : Math.max(0, maxRepairs);
+
+    // Defaults fill optional fields; coercion accepts "85" for 85 without a re-ask
+    this.ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: true });
+    this.validators = {};
+    Object.entries(AI_TASK_SCHEMAS).forEach(([task, schema]) => {
+      this.validators[task] = this.ajv.compile(schema);
+    });
+
+    this.metrics = {};
+  }
+
+  /**
+   * Pull the JSON object out of a model response: code fences and text
+   * around the object are ignored
+   */
+  extractJSON(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Response is not text');
+    }
+
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+    const start = unfenced.indexOf('{');
+    if (start === -1) {
+      throw new Error('No valid JSON found in response');
+    }
+
+    // Find the matching closing brace, skipping braces inside strings
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < unfenced.length; i++) {
+      const char = unfenced[i];
+
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        return JSON.parse(unfenced.slice(start, i + 1));
+      }
+    }
+
+    throw new Error('Incomplete JSON object in response');
+  }
+
+  /**
+   * Validate a response (text or parsed object) against a task schema.
+   * Returns { valid, data, errors }; data has schema defaults applied.
+   */
+  validate(task, response) {
+    const validator = this.validators[task];
+    if (!validator) {
+      throw new Error(`No output schema for AI task "${task}"`);
+    }
+
+    let data;
+    try {
+      data = typeof response === 'string' ? this.extractJSON(response) : response;
+    } catch (error) {
+      return { valid: false, data: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    if (validator(data)) {
+      return { valid: true, data, errors: [] };
+    }
+
+    const errors = validator.errors.slice(0, MAX_ERRORS).map(error => {
+      const path = error.instancePath ?? error.dataPath;
+      return `${path || '(root)'} ${error.message}`;
+    });
+
+    return { valid: false, data, errors };
+  }
+
+  /**
+   * Run a task prompt until its output validates, re-asking with the
+   * validation errors at most `maxRepairs` times. `generateText(prompt)`
+   * calls the model; `template` ({ name, version }) is the prompt version
+   * the prompt was rendered from. Returns { valid, data, text, attempts,
+   * errors }; when every attempt fails, valid is false and errors are the
+   * last attempt's.
+   */
+  async generate(task, prompt, generateText, { maxRepairs = this.maxRepairs, template = null } = {}) {
+    const metrics = [this.getTaskMetrics(task)];
+    if (template?.version) metrics.push(this.getPromptMetrics(task, template));
+    const count = (update) => metrics.forEach(update);
+    count(entry => { entry.requests++; });
+
+    let currentPrompt = prompt;
+    let result;
+    let text;
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+      text = await generateText(currentPrompt);
+      result = this.validate(task, text);
+
+      if (result.valid) {
+        count(entry => {
+          entry.valid++;
+          if (attempt > 1) entry.repaired++;
+        });
+        return { ...result, text, attempts: attempt };
+      }
+
+      const failedAt = new Date().toISOString();
+      count(entry => {
+        entry.validationFailures++;
+        entry.lastErrors = result.errors;
+        entry.lastFailureAt = failedAt;
+      });
+      logger.warn(`AI task ${task} output failed schema validation (attempt ${attempt}/${maxRepairs + 1}): ${result.errors.join('; ')}`);
+
+      currentPrompt = this.buildRepairPrompt(prompt, text, result.errors);
+    }
+
+    count(entry => { entry.failed++; });
+    logger.error(`AI task ${task} output still invalid after ${maxRepairs} repair attempts`);
+    return { ...result, text, attempts: maxRepairs + 1 };
+  }
+
+  buildRepairPrompt(prompt, text, errors) {
+    return `${prompt}
+
+Your previous response did not match the required JSON format.
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${String(text || '').substring(0, MAX_ECHOED_RESPONSE)}
+
+Respond again with only the corrected JSON object in the format above, with no other text.
+`;
+  }
+
+  createCounters() {
+    return {
+      requests: 0,
+      valid: 0,
+      repaired: 0,
+      failed: 0,
+      validationFailures: 0,
+      lastErrors: [],
+      lastFailureAt: null
+    };
+  }
+
+  getTaskMetrics(task) {
+    if (!this.metrics[task]) {
+      this.metrics[task] = { ...this.createCounters(), versions: {} };
+    }
+    return this.metrics[task];
+  }
+
+  /**
+   * Counters of one version of a task's prompt, keyed by version under the task
+   */
+  getPromptMetrics(task, { name, version }) {
+    const { versions } = this.getTaskMetrics(task);
+    if (!versions[version]) {
+      versions[version] = { prompt: { name, version }, ...this.createCounters() };
+    }
+    return versions[version];
+  }
+
+  /**
+   * Validation counters per task prompt, with each prompt version's under `versions`
+   */
+  getMetrics() {
+    return {
+      maxRepairs: this.maxRepairs,
+      tasks: JSON.parse(JSON.stringify(this.metrics))
+    };
+  }
+
+  resetMetrics() {
+    this.metrics = {};
+  }
+}
+
+// Export singleton instance
+const structuredOutputService = new StructuredOutputService();
+
+module.exports = {
+  structuredOutputService,
+  StructuredOutputService
+};
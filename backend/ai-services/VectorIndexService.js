@@ -0,0 +1,270 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { HnswIndex } = require('./HnswIndex');
+const { embeddingService } = require('./EmbeddingService');
+const logger = require('../src/utils/logger');
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Vector Index Service
+ * Keeps an HNSW index over Job and Resume embeddings so recommendations can
+ * retrieve the nearest candidates by vector before running the full
+ * weighted match scoring. Indexes are persisted to disk, synced with the
+ * database on startup and updated whenever an embedding is written.
+ */
+class VectorIndexService {
+  constructor() {
+    this.enabled = process.env.VECTOR_INDEX_ENABLED !== 'false';
+    this.directory = process.env.VECTOR_INDEX_DIR || path.join(__dirname, '../vector-index');
+    this.candidatePoolSize = parseInt(process.env.VECTOR_SEARCH_CANDIDATES) || 100;
+    this.indexOptions = {
+      M: parseInt(process.env.VECTOR_INDEX_M) || 16,
+      efConstruction: parseInt(process.env.VECTOR_INDEX_EF_CONSTRUCTION) || 200,
+      efSearch: parseInt(process.env.VECTOR_INDEX_EF_SEARCH) || 64
+    };
+    this.saveDelay = 5000;
+    this.maxDeletedRatio = 0.2; // compact once this share of nodes is deleted
+    this.syncMargin = 5 * 60 * 1000; // re-check embeddings written shortly before the last save
+
+    this.indexes = {
+      jobs: new HnswIndex(this.indexOptions),
+      resumes: new HnswIndex(this.indexOptions)
+    };
+    this.ready = { jobs: false, resumes: false };
+    this.saveTimers = {};
+  }
+
+  getModel(name) {
+    // Required lazily so the AI services can load without the models
+    return name === 'jobs' ? require('../src/models/Job') : require('../src/models/Resume');
+  }
+
+  /**
+   * Documents with an embedding from the current embedding model; vectors
+   * from other models aren't comparable and stay out of the index
+   */
+  getEmbeddedQuery() {
+    return { 'embedding.0': { $exists: true }, 'embeddingMetadata.model': embeddingService.model };
+  }
+
+  getFilePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Load both indexes from disk and bring them in line with the database.
+   * Call once the database is connected.
+   */
+  async initialize() {
+    if (!this.enabled) {
+      logger.info('Vector index disabled; recommendations scan recent documents');
+      return;
+    }
+
+    for (const name of Object.keys(this.indexes)) {
+      try {
+        const savedAt = await this.load(name);
+        if (savedAt) {
+          await this.sync(name, savedAt);
+        } else {
+          await this.rebuild(name);
+        }
+        this.ready[name] = true;
+      } catch (error) {
+        logger.error(`Vector index initialization failed for ${name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Read a persisted index. Returns the time it was saved, or null when
+   * there is no usable file.
+   */
+  async load(name) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.getFilePath(name), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn(`Vector index file for ${name} unreadable, rebuilding: ${error.message}`);
+      return null;
+    }
+
+    if (data.version !== FORMAT_VERSION) {
+      logger.info(`Vector index file for ${name} has an old format, rebuilding`);
+      return null;
+    }
+
+    if (data.model !== embeddingService.model) {
+      logger.info(`Vector index file for ${name} was built with ${data.model}, now using ${embeddingService.model}, rebuilding`);
+      return null;
+    }
+
+    this.indexes[name] = HnswIndex.fromJSON(data.index, this.indexOptions);
+    logger.info(`Vector index loaded: ${name} (${this.indexes[name].size} vectors)`);
+    return new Date(data.savedAt);
+  }
+
+  /**
+   * Index every stored embedding from scratch
+   */
+  async rebuild(name) {
+    const Model = this.getModel(name);
+    const index = new HnswIndex(this.indexOptions);
+    const startedAt = Date.now();
+
+    const cursor = Model.find(this.getEmbeddedQuery()).select('embedding').lean().cursor();
+    for await (const doc of cursor) {
+      this.addToIndex(index, name, doc._id, doc.embedding);
+    }
+
+    this.indexes[name] = index;
+    logger.info(`Vector index rebuilt: ${name} (${index.size} vectors in ${Date.now() - startedAt}ms)`);
+    await this.save(name);
+  }
+
+  /**
+   * Apply embeddings written since the index was saved and drop documents
+   * that no longer exist
+   */
+  async sync(name, savedAt) {
+    const Model = this.getModel(name);
+    const index = this.indexes[name];
+
+    const changed = await Model.find({
+      ...this.getEmbeddedQuery(),
+      'embeddingMetadata.generatedAt': { $gte: new Date(savedAt.getTime() - this.syncMargin) }
+    }).select('embedding').lean();
+    changed.forEach(doc => this.addToIndex(index, name, doc._id, doc.embedding));
+
+    const existing = await Model.find(this.getEmbeddedQuery()).distinct('_id');
+    const existingIds = new Set(existing.map(id => id.toString()));
+    const removed = [...index.labels.keys()].filter(id => !existingIds.has(id));
+    removed.forEach(id => index.remove(id));
+
+    logger.info(`Vector index synced: ${name} (${changed.length} updated, ${removed.length} removed)`);
+    if (changed.length > 0 || removed.length > 0) this.scheduleSave(name);
+  }
+
+  /**
+   * Add a vector, starting the index over if the embedding model (and so
+   * the dimension count) has changed
+   */
+  addToIndex(index, name, id, vector) {
+    if (index.dimensions && index.dimensions !== vector.length) {
+      logger.warn(`Vector index ${name}: embedding dimensions changed from ${index.dimensions} to ${vector.length}, resetting index`);
+      index.clear(vector.length);
+    }
+    index.add(id.toString(), vector);
+  }
+
+  /**
+   * Index a newly written embedding
+   */
+  upsert(name, id, vector) {
+    if (!this.enabled || !vector || vector.length === 0) return;
+
+    try {
+      const index = this.indexes[name];
+      this.addToIndex(index, name, id, vector);
+      if (index.deletedCount > index.nodes.length * this.maxDeletedRatio) index.compact();
+      this.scheduleSave(name);
+    } catch (error) {
+      logger.error(`Vector index update failed for ${name} ${id}:`, error);
+    }
+  }
+
+  /**
+   * Drop a deleted document from the index
+   */
+  remove(name, id) {
+    if (!this.enabled) return;
+    if (this.indexes[name].remove(id.toString())) this.scheduleSave(name);
+  }
+
+  /**
+   * Nearest documents to a vector: [{ id, similarity }], or null when the
+   * index can't answer (disabled, still loading, or different dimensions)
+   */
+  search(name, vector, k = this.candidatePoolSize) {
+    const index = this.indexes[name];
+    if (!this.enabled || !this.ready[name] || !vector || vector.length === 0) return null;
+    if (index.size > 0 && index.dimensions !== vector.length) {
+      logger.warn(`Vector index ${name} has ${index.dimensions} dimensions, query has ${vector.length}`);
+      return null;
+    }
+
+    return index.search(vector, k);
+  }
+
+  /**
+   * Retrieve the documents nearest to a vector. `loadDocuments(ids)` fetches
+   * them with any extra filters applied; when filters leave fewer than
+   * `minResults`, the candidate pool is widened and the search repeated.
+   * Returns { documents, candidates } or null if the index can't be used.
+   */
+  async retrieve(name, vector, loadDocuments, { pool = this.candidatePoolSize, minResults = 1 } = {}) {
+    const index = this.indexes[name];
+    let k = pool;
+
+    for (;;) {
+      const hits = this.search(name, vector, k);
+      if (!hits) return null;
+
+      const documents = await loadDocuments(hits.map(hit => hit.id));
+      if (documents.length >= minResults || hits.length < k || k >= index.size) {
+        return { documents, candidates: hits.length };
+      }
+      k *= 2;
+    }
+  }
+
+  scheduleSave(name) {
+    if (this.saveTimers[name]) return;
+
+    this.saveTimers[name] = setTimeout(() => {
+      this.saveTimers[name] = null;
+      this.save(name).catch(error => logger.error(`Vector index save failed for ${name}:`, error));
+    }, this.saveDelay);
+    this.saveTimers[name].unref();
+  }
+
+  /**
+   * Write an index to disk (via a temp file so a crash never leaves it half-written)
+   */
+  async save(name) {
+    const file = this.getFilePath(name);
+    const data = JSON.stringify({
+      version: FORMAT_VERSION,
+      model: embeddingService.model,
+      savedAt: new Date().toISOString(),
+      index: this.indexes[name].toJSON()
+    });
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(`${file}.tmp`, data);
+    await fs.rename(`${file}.tmp`, file);
+    logger.debug(`Vector index saved: ${name} (${this.indexes[name].size} vectors)`);
+  }
+
+  getStats() {
+    const stats = { enabled: this.enabled, model: embeddingService.model, candidatePoolSize: this.candidatePoolSize };
+    Object.entries(this.indexes).forEach(([name, index]) => {
+      stats[name] = {
+        ready: this.ready[name],
+        vectors: index.size,
+        deleted: index.deletedCount,
+        dimensions: index.dimensions
+      };
+    });
+    return stats;
+  }
+}
+
+// Export singleton instance
+const vectorIndexService = new VectorIndexService();
+
+module.exports = {
+  vectorIndexService,
+  VectorIndexService
+};
@@ -6,6 +6,18 @@
 const { geminiService, GeminiService } = require('./GeminiService');
 const { matchingService, MatchingService } = require('./MatchingService');
 const { resumeAIService, ResumeAIService } = require('./ResumeAIService');
+const { vectorIndexService, VectorIndexService } = require('./VectorIndexService');
+const { matchExplanationService, MatchExplanationService } = require('./MatchExplanationService');
+const { embeddingService, EmbeddingService } = require('./EmbeddingService');
+const { HashedEmbeddingProvider } = require('./HashedEmbeddingProvider');
+const { llmService, LLMService, LLM_TASKS } = require('./LLMService');
+const { OpenAICompatibleProvider, ScriptedProvider } = require('./LLMProviders');
+const { structuredOutputService, StructuredOutputService } = require('./StructuredOutputService');
+const { AI_TASK_SCHEMAS } = require('./AITaskSchemas');
+const { aiCacheService, AICacheService, cacheTags } = require('./AICacheService');
+const { aiUsageService, AIUsageService } = require('./AIUsageService');
+const { promptRegistry, PromptRegistry } = require('./PromptRegistry');
+const { promptEvaluationService, PromptEvaluationService } = require('./PromptEvaluationService');
 
 /**
  * Initialize all AI services
@@ -23,6 +35,10 @@ const initializeAIServices = async () => {
       console.warn('⚠️ Gemini AI service health check failed:', healthCheck.error);
     }
 
+    console.log(`✅ LLM providers: ${llmService.listProviders().join(', ')} (default: ${llmService.defaultProvider})`);
+
+    const embeddings = embeddingService.getInfo();
+    console.log(`✅ Embedding provider: ${embeddings.provider} (${embeddings.model})`);
     console.log('✅ Matching service initialized');
     console.log('✅ Resume AI service initialized');
     console.log('🚀 All AI services ready');
@@ -31,6 +47,8 @@ const initializeAIServices = async () => {
       status: 'success',
       services: {
         gemini: healthCheck.status,
+        llm: llmService.defaultProvider,
+        embeddings: embeddings.provider,
         matching: 'ready',
         resumeAI: 'ready'
       }
@@ -50,14 +68,22 @@ const initializeAIServices = async () => {
  */
 const getAIServicesHealth = async () => {
   try {
-    const geminiHealth = await geminiService.healthCheck();
+    // Gemini is checked once, as an LLM provider
+    const llmHealth = await llmService.getHealthStatus();
+    const geminiHealth = llmHealth.providers.gemini;
+    const embeddingHealth = embeddingService.isRemote ? geminiHealth : await embeddingService.healthCheck();
     
     return {
       status: 'healthy',
       services: {
         gemini: geminiHealth,
+        llm: llmHealth,
+        structuredOutput: { status: 'healthy', ...structuredOutputService.getMetrics() },
+        cache: await aiCacheService.getStats(),
+        embeddings: { ...embeddingHealth, ...embeddingService.getInfo() },
         matching: { status: 'healthy', timestamp: new Date().toISOString() },
-        resumeAI: { status: 'healthy', timestamp: new Date().toISOString() }
+        resumeAI: { status: 'healthy', timestamp: new Date().toISOString() },
+        vectorIndex: vectorIndexService.getStats()
       },
       timestamp: new Date().toISOString()
     };
@@ -74,8 +100,22 @@ const getAIServicesHealth = async () => {
 /**
  * Utility function to generate embeddings for content
  */
-const generateEmbedding = async (content) => {
-  return await geminiService.generateEmbedding(content);
+const generateEmbedding = async (content, options) => {
+  return await embeddingService.generateEmbedding(content, options);
+};
+
+/**
+ * Utility function to build embeddingMetadata (model, dimensions...) for a stored embedding
+ */
+const getEmbeddingMetadata = (embedding) => {
+  return embeddingService.getMetadata(embedding);
+};
+
+/**
+ * Utility function to check a job or resume has an embedding from the current model
+ */
+const hasCurrentEmbedding = (doc) => {
+  return embeddingService.isCurrent(doc);
 };
 
 /**
@@ -106,11 +146,33 @@ const findCandidateMatches = async (job, resumes, limit) => {
   return await matchingService.findCandidateMatches(job, resumes, limit);
 };
 
+/**
+ * Utility function to index a stored job or resume embedding
+ */
+const indexEmbedding = (type, id, embedding) => {
+  vectorIndexService.upsert(type, id, embedding);
+};
+
+/**
+ * Utility function to drop a deleted job or resume from the vector index
+ */
+const removeFromIndex = (type, id) => {
+  vectorIndexService.remove(type, id);
+};
+
+/**
+ * Utility function to retrieve the jobs or resumes nearest to an embedding
+ * (see VectorIndexService.retrieve); null when the index can't be used
+ */
+const retrieveNearest = async (type, embedding, loadDocuments, options) => {
+  return await vectorIndexService.retrieve(type, embedding, loadDocuments, options);
+};
+
 /**
  * Utility function to generate resume suggestions
  */
-const generateResumeSuggestions = async (resumeContent) => {
-  return await geminiService.generateResumeSuggestions(resumeContent);
+const generateResumeSuggestions = async (resumeContent, options) => {
+  return await geminiService.generateResumeSuggestions(resumeContent, options);
 };
 
 /**
@@ -123,15 +185,15 @@ const optimizeResumeForJob = async (resume, job) => {
 /**
  * Utility function to extract skills from resume
  */
-const extractSkillsFromResume = async (resumeContent) => {
-  return await geminiService.extractSkills(resumeContent);
+const extractSkillsFromResume = async (resumeContent, options) => {
+  return await geminiService.extractSkills(resumeContent, options);
 };
 
 /**
  * Utility function to optimize job description
  */
-const optimizeJobDescription = async (jobDescription) => {
-  return await geminiService.optimizeJobDescription(jobDescription);
+const optimizeJobDescription = async (jobDescription, options) => {
+  return await geminiService.optimizeJobDescription(jobDescription, options);
 };
 
 module.exports = {
@@ -139,11 +201,34 @@ module.exports = {
   geminiService,
   matchingService,
   resumeAIService,
+  vectorIndexService,
+  matchExplanationService,
+  embeddingService,
+  llmService,
+  structuredOutputService,
+  aiCacheService,
+  aiUsageService,
+  promptRegistry,
+  promptEvaluationService,
   
   // Service Classes (for testing/extending)
   GeminiService,
   MatchingService,
   ResumeAIService,
+  VectorIndexService,
+  MatchExplanationService,
+  EmbeddingService,
+  HashedEmbeddingProvider,
+  LLMService,
+  OpenAICompatibleProvider,
+  ScriptedProvider,
+  LLM_TASKS,
+  StructuredOutputService,
+  AI_TASK_SCHEMAS,
+  AICacheService,
+  AIUsageService,
+  PromptRegistry,
+  PromptEvaluationService,
   
   // Initialization
   initializeAIServices,
@@ -151,10 +236,16 @@ module.exports = {
   
   // Utility functions
   generateEmbedding,
+  getEmbeddingMetadata,
+  cacheTags,
+  hasCurrentEmbedding,
   calculateMatchScore,
   analyzeResume,
   findJobMatches,
   findCandidateMatches,
+  indexEmbedding,
+  removeFromIndex,
+  retrieveNearest,
   generateResumeSuggestions,
   optimizeResumeForJob,
   extractSkillsFromResume,
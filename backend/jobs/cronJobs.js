@@ -1,11 +1,13 @@
 const cron = require('node-cron');
 const User = require('../src/models/User');
 const Job = require('../src/models/Job');
+const Application = require('../src/models/Application');
 const Resume = require('../src/models/Resume');
 const Notification = require('../src/models/Notification');
 const logger = require('../src/utils/logger');
 const { notificationQueue } = require('../notifications/NotificationQueue');
-const { findJobMatches } = require('../ai-services');
+const { findCandidateMatches, retrieveNearest } = require('../ai-services');
+const { resumeExportService } = require('../src/services/resumeExportService');
 
 /**
  * Cron Jobs for Background Tasks
@@ -45,6 +47,9 @@ class CronJobManager {
       // Generate daily analytics (Daily at 1 AM)
       this.scheduleDailyAnalytics();
 
+      // Purge expired resume exports (Every hour)
+      this.scheduleExportCleanup();
+
       this.isRunning = true;
       logger.info('All cron jobs started successfully');
 
@@ -186,6 +191,24 @@ class CronJobManager {
     logger.info(`Scheduled daily analytics: ${cronPattern}`);
   }
 
+  /**
+   * Schedule expired export cleanup
+   */
+  scheduleExportCleanup() {
+    const cronPattern = '15 * * * *'; // Every hour at :15
+    
+    const job = cron.schedule(cronPattern, async () => {
+      await this.processExportCleanup();
+    }, {
+      scheduled: false
+    });
+
+    this.jobs.set('exportCleanup', job);
+    job.start();
+    
+    logger.info(`Scheduled export cleanup: ${cronPattern}`);
+  }
+
   /**
    * Process weekly resume refresh reminders
    */
@@ -289,35 +312,36 @@ class CronJobManager {
       let totalNotifications = 0;
       const threshold = parseInt(process.env.JOB_MATCH_THRESHOLD) || 50;
 
+      const candidatesById = new Map(candidates.map(candidate => [candidate._id.toString(), candidate]));
+      const resumeQuery = {
+        userId: { $in: candidates.map(candidate => candidate._id) },
+        isActive: true,
+        'embedding.0': { $exists: true }
+      };
+
       for (const job of newJobs) {
         try {
-          const candidatesWithResumes = [];
-          
-          // Get candidates with active resumes
-          for (const candidate of candidates) {
-            const activeResume = await Resume.findOne({
-              userId: candidate._id,
-              isActive: true,
-              embedding: { $exists: true }
-            });
-            
-            if (activeResume) {
-              candidatesWithResumes.push({ candidate, resume: activeResume });
-            }
-          }
+          // Get candidates' active resumes, nearest to the job by vector when
+          // the index is available
+          const retrieval = await retrieveNearest(
+            'resumes',
+            job.embedding,
+            ids => Resume.find({ ...resumeQuery, _id: { $in: ids } }),
+            { minResults: 50 }
+          );
+          const resumes = retrieval ? retrieval.documents : await Resume.find(resumeQuery);
 
           // Find matches for this job
-          const resumes = candidatesWithResumes.map(item => item.resume);
-          const matches = await findJobMatches(job, resumes, 50);
+          const matches = await findCandidateMatches(job, resumes, 50);
+          const notified = new Set();
 
-          // Send notifications to matched candidates
+          // Send notifications to matched candidates (once each, even with several resumes)
           for (const match of matches.matches) {
             if (match.overallScore >= threshold) {
-              const candidate = candidatesWithResumes.find(
-                item => item.resume._id.toString() === match.resume.id.toString()
-              )?.candidate;
+              const candidate = candidatesById.get(match.candidate.id.toString());
 
-              if (candidate) {
+              if (candidate && !notified.has(candidate._id.toString())) {
+                notified.add(candidate._id.toString());
                 await notificationQueue.queueJobMatchNotification(
                   candidate._id,
                   candidate.email,
@@ -427,6 +451,61 @@ class CronJobManager {
     }
   }
 
+  /**
+   * Process expired export cleanup
+   */
+  async processExportCleanup() {
+    try {
+      logger.info('Starting export cleanup...');
+
+      const now = new Date();
+      let purged = 0;
+
+      // Delete files whose export records (and share links) have expired
+      const resumes = await Resume.find({
+        exports: {
+          $elemMatch: {
+            filename: { $exists: true },
+            expiresAt: { $lt: now },
+            purgedAt: { $exists: false }
+          }
+        }
+      });
+
+      for (const resume of resumes) {
+        for (const record of resume.exports) {
+          if (record.filename && record.expiresAt < now && !record.purgedAt) {
+            await resumeExportService.deleteExportFile(record.filename);
+            record.purgedAt = now;
+            purged++;
+          }
+        }
+        await resume.save({ validateBeforeSave: false });
+      }
+
+      // Remove stray files that no longer have a live export record
+      const liveResumes = await Resume.find(
+        { 'exports.expiresAt': { $gte: now } },
+        'exports.filename exports.expiresAt'
+      );
+      const retain = new Set();
+      liveResumes.forEach(resume => {
+        resume.exports.forEach(record => {
+          if (record.filename && record.expiresAt >= now) {
+            retain.add(record.filename);
+          }
+        });
+      });
+
+      const orphaned = await resumeExportService.cleanupOldExports(resumeExportService.exportTTLHours, retain);
+
+      logger.info(`Export cleanup completed: ${purged} expired, ${orphaned} orphaned files removed`);
+
+    } catch (error) {
+      logger.error('Export cleanup failed:', error);
+    }
+  }
+
   /**
    * Process daily analytics
    */
@@ -457,11 +536,12 @@ class CronJobManager {
           newJobs: await Job.countDocuments({
             createdAt: { $gte: yesterday, $lt: today }
           }),
-          totalApplications: await Job.aggregate([
-            { $match: { 'applications.appliedAt': { $gte: yesterday, $lt: today } } },
-            { $unwind: '$applications' },
-            { $match: { 'applications.appliedAt': { $gte: yesterday, $lt: today } } },
-            { $count: 'total' }
+          totalApplications: await Application.countDocuments({
+            appliedAt: { $gte: yesterday, $lt: today }
+          }),
+          applicationsByStatus: await Application.aggregate([
+            { $match: { appliedAt: { $gte: yesterday, $lt: today } } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
           ])
         },
         resumes: {
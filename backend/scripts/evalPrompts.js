@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Evaluation Script
+ * Replays a fixture set of resumes through two versions of a prompt and
+ * diffs the outputs.
+ *
+ *   node scripts/evalPrompts.js --prompt resumeSuggestions --a v1 --b v2 \
+ *     [--fixtures scripts/fixtures/prompt-eval-resumes.json] \
+ *     [--templates candidate-prompts.json] [--db] [--out report.json]
+ *
+ * Versions come from the built-in templates, the PromptTemplate collection
+ * (--db, using MONGODB_URI) and/or a JSON file of
+ * [{ name, version, template, description }] (--templates) for versions not
+ * saved yet. Prompts run on the provider their task is routed to
+ * (LLM_DEFAULT_PROVIDER / LLM_TASK_PROVIDERS).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { promptRegistry, promptEvaluationService } = require('../ai-services');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'prompt-eval-resumes.json');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+const loadLocalTemplates = (file) => {
+  readJSON(file).forEach(template => {
+    const errors = promptRegistry.validateTemplate(template.name, template.template);
+    if (errors.length > 0) {
+      throw new Error(`${template.name} ${template.version}: ${errors.join('; ')}`);
+    }
+    promptRegistry.addVersion(template);
+  });
+};
+
+const formatValue = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 80 ? `${text.substring(0, 77)}...` : text;
+};
+
+const printReport = (report) => {
+  const { summary, versions } = report;
+
+  console.log(`\n📊 ${report.prompt}: ${versions.a} vs ${versions.b}\n`);
+
+  report.fixtures.forEach(fixture => {
+    if (fixture.skipped) {
+      console.log(`⏭️  ${fixture.id}: skipped (${fixture.skipped})`);
+      return;
+    }
+    if (fixture.a.error || fixture.b.error) {
+      console.log(`❌ ${fixture.id}: ${fixture.a.error || ''} ${fixture.b.error || ''}`.trim());
+      return;
+    }
+    if (fixture.identical) {
+      console.log(`✅ ${fixture.id}: identical`);
+      return;
+    }
+
+    console.log(`🔀 ${fixture.id}: ${fixture.changes.length} changes (valid: ${fixture.a.valid} → ${fixture.b.valid})`);
+    fixture.changes.forEach(change => {
+      if (change.added || change.removed) {
+        console.log(`    ${change.path}: +${formatValue(change.added)} -${formatValue(change.removed)}`);
+      } else {
+        const delta = change.delta !== undefined ? ` (${change.delta > 0 ? '+' : ''}${change.delta})` : '';
+        console.log(`    ${change.path}: ${formatValue(change.a)} → ${formatValue(change.b)}${delta}`);
+      }
+    });
+  });
+
+  console.log(`\nEvaluated ${summary.evaluated}/${summary.fixtures} fixtures: ${summary.identical} identical, ${summary.changed} changed`);
+  console.log(`Valid output: ${versions.a} ${summary.valid.a}, ${versions.b} ${summary.valid.b}`);
+  console.log(`Average latency: ${versions.a} ${summary.avgLatencyMs.a}ms, ${versions.b} ${summary.avgLatencyMs.b}ms`);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.prompt || !args.a || !args.b) {
+    console.log('Usage: node scripts/evalPrompts.js --prompt <name> --a <version> --b <version> [--fixtures file] [--templates file] [--db] [--out file]');
+    console.log(`Prompts: ${promptEvaluationService.getSupportedPrompts().join(', ')}`);
+    process.exit(1);
+  }
+
+  if (args.db) {
+    await connectDB();
+    await promptRegistry.loadTemplates();
+  }
+  if (args.templates) {
+    loadLocalTemplates(args.templates);
+  }
+
+  const fixtures = readJSON(args.fixtures || DEFAULT_FIXTURES);
+  const report = await promptEvaluationService.evaluate(args.prompt, fixtures, args.a, args.b);
+
+  printReport(report);
+
+  if (args.out) {
+    fs.writeFileSync(path.resolve(args.out), JSON.stringify(report, null, 2));
+    console.log(`\nFull report written to ${args.out}`);
+  }
+
+  if (args.db) {
+    await mongoose.connection.close();
+  }
+};
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error(`❌ Prompt evaluation failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Application Migration Script
+ * Moves applications embedded in job documents (Job.applications) into the
+ * Application collection, then removes them from the jobs.
+ *
+ *   node scripts/migrateApplications.js [--dry-run] [--keep-embedded] [--batch 100]
+ *
+ * Applications keep their _id, so references to them (e.g. notification
+ * metadata) stay valid. Re-running is safe: applications already in the
+ * collection are left as they are. Each job's applicationCount is set to
+ * the number of applications it has in the collection. --keep-embedded
+ * copies without removing the embedded arrays, e.g. to check the copy first.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Job = require('../src/models/Job');
+const Application = require('../src/models/Application');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+/**
+ * Application document for an embedded application
+ */
+const toApplication = (job, embedded) => ({
+  ...embedded,
+  job: job._id,
+  statusHistory: embedded.statusHistory || [],
+  notes: embedded.notes || [],
+  interviews: embedded.interviews || [],
+  createdAt: embedded.appliedAt || job.createdAt || new Date(),
+  updatedAt: new Date()
+});
+
+const migrateJob = async (job, { dryRun, keepEmbedded }) => {
+  // A candidate could only apply once, but keep the first if old data has duplicates
+  const seen = new Set();
+  const applications = job.applications.filter(application => {
+    const key = application.candidate?.toString();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (dryRun) {
+    return { copied: applications.length, skipped: job.applications.length - applications.length };
+  }
+
+  // Upsert by job/candidate (the unique index) so re-runs don't duplicate anything
+  const result = applications.length > 0
+    ? await Application.collection.bulkWrite(applications.map(application => ({
+      updateOne: {
+        filter: { job: job._id, candidate: application.candidate },
+        update: { $setOnInsert: toApplication(job, application) },
+        upsert: true
+      }
+    })), { ordered: false })
+    : { upsertedCount: 0 };
+
+  const applicationCount = await Application.countDocuments({ job: job._id });
+  const update = { $set: { applicationCount } };
+  if (!keepEmbedded) {
+    update.$unset = { applications: '' };
+  }
+  await Job.collection.updateOne({ _id: job._id }, update);
+
+  return {
+    copied: result.upsertedCount,
+    skipped: job.applications.length - result.upsertedCount
+  };
+};
+
+/**
+ * Migrate every job that still has embedded applications. Returns the
+ * totals: { jobs, copied, skipped }.
+ */
+const migrate = async ({ dryRun = false, keepEmbedded = false, batchSize = 100 } = {}) => {
+  if (!dryRun) {
+    await Application.createIndexes();
+  }
+
+  // Raw collection: the Job schema no longer has an applications path
+  const cursor = Job.collection
+    .find({ 'applications.0': { $exists: true } })
+    .project({ applications: 1, createdAt: 1, title: 1 })
+    .batchSize(batchSize);
+
+  const totals = { jobs: 0, copied: 0, skipped: 0 };
+  for await (const job of cursor) {
+    const { copied, skipped } = await migrateJob(job, { dryRun, keepEmbedded });
+    totals.jobs++;
+    totals.copied += copied;
+    totals.skipped += skipped;
+    console.log(`${dryRun ? '🔍' : '✅'} ${job.title} (${job._id}): ${copied} copied, ${skipped} skipped`);
+  }
+
+  return totals;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const dryRun = !!args['dry-run'];
+  const keepEmbedded = !!args['keep-embedded'];
+
+  await connectDB();
+  const totals = await migrate({ dryRun, keepEmbedded, batchSize: parseInt(args.batch) || 100 });
+
+  console.log(`\n📊 ${totals.jobs} jobs, ${totals.copied} applications ${dryRun ? 'to copy' : 'copied'}, ${totals.skipped} skipped${keepEmbedded || dryRun ? '' : ', embedded applications removed'}`);
+  await mongoose.connection.close();
+};
+
+if (require.main === module) {
+  main().then(() => process.exit(0)).catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrate,
+  migrateJob,
+  toApplication
+};
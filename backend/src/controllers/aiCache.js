@@ -0,0 +1,93 @@
+const { aiCacheService } = require('../../ai-services');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get AI cache statistics: store, entries, hits and misses per namespace
+ * @route   GET /api/admin/ai-cache
+ * @access  Private (Admin only)
+ */
+const getAICacheStats = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await aiCacheService.getStats()
+    });
+
+  } catch (error) {
+    logger.error('Get AI cache stats error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Clear the AI cache, or one namespace of it (?namespace=embedding)
+ * @route   DELETE /api/admin/ai-cache
+ * @access  Private (Admin only)
+ */
+const clearAICache = async (req, res, next) => {
+  try {
+    const { namespace } = req.query;
+    const deleted = await aiCacheService.clear(namespace);
+
+    logger.info(`AI cache cleared${namespace ? ` (${namespace})` : ''} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Removed ${deleted} cached AI results`,
+      data: { deleted }
+    });
+
+  } catch (error) {
+    logger.error('Clear AI cache error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Invalidate cached AI results for a resume
+ * @route   DELETE /api/admin/ai-cache/resumes/:resumeId
+ * @access  Private (Admin only)
+ */
+const invalidateResumeCache = async (req, res, next) => {
+  try {
+    const deleted = await aiCacheService.invalidateResume(req.params.resumeId);
+
+    res.status(200).json({
+      success: true,
+      message: `Removed ${deleted} cached AI results for resume`,
+      data: { resumeId: req.params.resumeId, deleted }
+    });
+
+  } catch (error) {
+    logger.error('Invalidate resume AI cache error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Invalidate cached AI results for a job
+ * @route   DELETE /api/admin/ai-cache/jobs/:jobId
+ * @access  Private (Admin only)
+ */
+const invalidateJobCache = async (req, res, next) => {
+  try {
+    const deleted = await aiCacheService.invalidateJob(req.params.jobId);
+
+    res.status(200).json({
+      success: true,
+      message: `Removed ${deleted} cached AI results for job`,
+      data: { jobId: req.params.jobId, deleted }
+    });
+
+  } catch (error) {
+    logger.error('Invalidate job AI cache error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAICacheStats,
+  clearAICache,
+  invalidateResumeCache,
+  invalidateJobCache
+};
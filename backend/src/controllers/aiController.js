@@ -5,7 +5,11 @@ const logger = require('../utils/logger');
 
 // Import AI services
 const {
+  embeddingService,
   generateEmbedding,
+  getEmbeddingMetadata,
+  hasCurrentEmbedding,
+  cacheTags,
   calculateMatchScore,
   analyzeResume,
   findJobMatches,
@@ -14,9 +18,27 @@ const {
   optimizeResumeForJob,
   extractSkillsFromResume,
   optimizeJobDescription,
-  getAIServicesHealth
+  indexEmbedding,
+  retrieveNearest,
+  getAIServicesHealth,
+  aiUsageService
 } = require('../../ai-services');
 
+/**
+ * Send a 502 with the validation errors when the AI output still didn't
+ * match its schema after the repairs. Returns false for other errors.
+ */
+const sendInvalidOutput = (error, res) => {
+  if (error.code !== 'INVALID_AI_OUTPUT') return false;
+
+  res.status(502).json({
+    success: false,
+    error: error.message,
+    details: { validationErrors: error.validationErrors || [] }
+  });
+  return true;
+};
+
 /**
  * @desc    Get AI services health status
  * @route   GET /api/ai/health
@@ -37,6 +59,26 @@ const getHealthStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get current user's AI usage and remaining quota for today
+ * @route   GET /api/ai/usage
+ * @access  Private
+ */
+const getMyAIUsage = async (req, res, next) => {
+  try {
+    const usage = await aiUsageService.getUserUsage(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: usage
+    });
+
+  } catch (error) {
+    logger.error('Get AI usage error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Generate embedding for text content
  * @route   POST /api/ai/embedding
@@ -197,15 +239,24 @@ const getJobRecommendations = async (req, res, next) => {
       jobQuery['salary.min'] = { $gte: filters.salaryMin };
     }
 
-    // Get available jobs
-    const jobs = await Job.find(jobQuery)
-      .populate('postedBy', 'profile')
-      .limit(100) // Limit to prevent performance issues
-      .sort({ createdAt: -1 });
-
     // Generate embeddings if needed
     await ensureResumeEmbedding(resume);
 
+    // Nearest jobs by vector, then full scoring on those candidates.
+    // Without a usable index, fall back to the most recent jobs.
+    const retrieval = await retrieveNearest(
+      'jobs',
+      resume.embedding,
+      ids => Job.find({ ...jobQuery, _id: { $in: ids } }).populate('postedBy', 'profile'),
+      { minResults: limit }
+    );
+    const jobs = retrieval
+      ? retrieval.documents
+      : await Job.find(jobQuery)
+        .populate('postedBy', 'profile')
+        .limit(100) // Limit to prevent performance issues
+        .sort({ createdAt: -1 });
+
     // Find matches
     const recommendations = await findJobMatches(resume, jobs, limit);
 
@@ -216,6 +267,10 @@ const getJobRecommendations = async (req, res, next) => {
       data: {
         resumeId,
         ...recommendations,
+        retrieval: {
+          method: retrieval ? 'vector' : 'recent',
+          candidates: jobs.length
+        },
         filters,
         generatedAt: new Date().toISOString()
       }
@@ -277,15 +332,24 @@ const getCandidateRecommendations = async (req, res, next) => {
       // For now, we'll skip this filter
     }
 
-    // Get available resumes
-    const resumes = await Resume.find(resumeQuery)
-      .populate('userId', 'profile email')
-      .limit(200) // Limit to prevent performance issues
-      .sort({ atsScore: -1, createdAt: -1 });
-
     // Generate embeddings if needed
     await ensureJobEmbedding(job);
 
+    // Nearest resumes by vector, then full scoring on those candidates.
+    // Without a usable index, fall back to the top ATS-scored resumes.
+    const retrieval = await retrieveNearest(
+      'resumes',
+      job.embedding,
+      ids => Resume.find({ ...resumeQuery, _id: { $in: ids } }).populate('userId', 'profile email'),
+      { minResults: limit }
+    );
+    const resumes = retrieval
+      ? retrieval.documents
+      : await Resume.find(resumeQuery)
+        .populate('userId', 'profile email')
+        .limit(200) // Limit to prevent performance issues
+        .sort({ atsScore: -1, createdAt: -1 });
+
     // Find matches
     const recommendations = await findCandidateMatches(job, resumes, limit);
 
@@ -298,6 +362,10 @@ const getCandidateRecommendations = async (req, res, next) => {
         jobTitle: job.title,
         company: job.company.name,
         ...recommendations,
+        retrieval: {
+          method: retrieval ? 'vector' : 'recent',
+          candidates: resumes.length
+        },
         filters,
         generatedAt: new Date().toISOString()
       }
@@ -363,6 +431,7 @@ const analyzeResumeWithAI = async (req, res, next) => {
 
   } catch (error) {
     logger.error('Resume AI analysis error:', error);
+    if (sendInvalidOutput(error, res)) return;
     next(error);
   }
 };
@@ -408,11 +477,14 @@ const getResumeSuggestions = async (req, res, next) => {
     }
 
     // Generate suggestions
-    const suggestions = await generateResumeSuggestions(resume.parsedContent.rawText);
+    const suggestions = await generateResumeSuggestions(resume.parsedContent.rawText, {
+      tags: cacheTags({ resumeId })
+    });
 
     // Update resume with suggestions
     const enhancedSuggestions = suggestions.suggestions.map(suggestion => ({
       ...suggestion,
+      prompt: suggestions.prompt,
       createdAt: new Date(),
       applied: false
     }));
@@ -433,6 +505,7 @@ const getResumeSuggestions = async (req, res, next) => {
 
   } catch (error) {
     logger.error('Resume suggestions error:', error);
+    if (sendInvalidOutput(error, res)) return;
     next(error);
   }
 };
@@ -485,6 +558,7 @@ const optimizeResumeForSpecificJob = async (req, res, next) => {
 
   } catch (error) {
     logger.error('Resume optimization error:', error);
+    if (sendInvalidOutput(error, res)) return;
     next(error);
   }
 };
@@ -528,7 +602,7 @@ const extractSkills = async (req, res, next) => {
     }
 
     // Extract skills
-    const skillsResult = await extractSkillsFromResume(resumeContent);
+    const skillsResult = await extractSkillsFromResume(resumeContent, { tags: cacheTags({ resumeId }) });
 
     // Update resume with extracted skills if resumeId provided
     if (resumeId) {
@@ -537,7 +611,8 @@ const extractSkills = async (req, res, next) => {
         skill: skill.skill,
         confidence: skill.confidence,
         context: skill.context,
-        category: skill.category
+        category: skill.category,
+        prompt: skillsResult.prompt
       }));
       await resume.save({ validateBeforeSave: false });
     }
@@ -555,6 +630,7 @@ const extractSkills = async (req, res, next) => {
 
   } catch (error) {
     logger.error('Skills extraction error:', error);
+    if (sendInvalidOutput(error, res)) return;
     next(error);
   }
 };
@@ -598,7 +674,7 @@ const optimizeJobDescriptionWithAI = async (req, res, next) => {
     }
 
     // Optimize job description
-    const optimization = await optimizeJobDescription(jobDescription);
+    const optimization = await optimizeJobDescription(jobDescription, { tags: cacheTags({ jobId }) });
 
     logger.info(`Job description optimized${jobId ? ` for job ${jobId}` : ''}`);
 
@@ -613,6 +689,7 @@ const optimizeJobDescriptionWithAI = async (req, res, next) => {
 
   } catch (error) {
     logger.error('Job description optimization error:', error);
+    if (sendInvalidOutput(error, res)) return;
     next(error);
   }
 };
@@ -626,9 +703,12 @@ const bulkGenerateResumeEmbeddings = async (req, res, next) => {
   try {
     const { limit = 50 } = req.body;
 
-    // Find resumes without embeddings
+    // Find resumes without embeddings from the current embedding model
     const resumes = await Resume.find({
-      embedding: { $exists: false },
+      $or: [
+        { 'embedding.0': { $exists: false } },
+        { 'embeddingMetadata.model': { $ne: embeddingService.model } }
+      ],
       'parsedContent.rawText': { $exists: true }
     }).limit(limit);
 
@@ -649,7 +729,9 @@ const bulkGenerateResumeEmbeddings = async (req, res, next) => {
         processed++;
         
         // Add delay to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        if (embeddingService.isRemote) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
       } catch (error) {
         logger.error(`Error generating embedding for resume ${resume._id}:`, error);
         errors.push({ resumeId: resume._id, error: error.message });
@@ -683,9 +765,12 @@ const bulkGenerateJobEmbeddings = async (req, res, next) => {
   try {
     const { limit = 50 } = req.body;
 
-    // Find jobs without embeddings
+    // Find jobs without embeddings from the current embedding model
     const jobs = await Job.find({
-      embedding: { $exists: false },
+      $or: [
+        { 'embedding.0': { $exists: false } },
+        { 'embeddingMetadata.model': { $ne: embeddingService.model } }
+      ],
       status: 'active'
     }).limit(limit);
 
@@ -706,7 +791,9 @@ const bulkGenerateJobEmbeddings = async (req, res, next) => {
         processed++;
         
         // Add delay to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        if (embeddingService.isRemote) {
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
       } catch (error) {
         logger.error(`Error generating embedding for job ${job._id}:`, error);
         errors.push({ jobId: job._id, error: error.message });
@@ -732,43 +819,35 @@ const bulkGenerateJobEmbeddings = async (req, res, next) => {
 };
 
 /**
- * Helper function to ensure resume has embedding
+ * Helper function to ensure resume has an embedding from the current model
  */
 const ensureResumeEmbedding = async (resume) => {
-  if (!resume.embedding && resume.parsedContent?.rawText) {
+  if (!hasCurrentEmbedding(resume) && resume.parsedContent?.rawText) {
     const content = buildResumeEmbeddingContent(resume);
-    const embedding = await generateEmbedding(content);
+    const embedding = await generateEmbedding(content, { tags: cacheTags({ resumeId: resume._id }) });
     
     resume.embedding = embedding;
-    resume.embeddingMetadata = {
-      model: 'embedding-001',
-      dimensions: embedding.length,
-      generatedAt: new Date(),
-      version: '1.0'
-    };
+    resume.embeddingMetadata = getEmbeddingMetadata(embedding);
     
     await resume.save({ validateBeforeSave: false });
+    indexEmbedding('resumes', resume._id, embedding);
     logger.debug(`Generated embedding for resume ${resume._id}`);
   }
 };
 
 /**
- * Helper function to ensure job has embedding
+ * Helper function to ensure job has an embedding from the current model
  */
 const ensureJobEmbedding = async (job) => {
-  if (!job.embedding) {
+  if (!hasCurrentEmbedding(job)) {
     const content = buildJobEmbeddingContent(job);
-    const embedding = await generateEmbedding(content);
+    const embedding = await generateEmbedding(content, { tags: cacheTags({ jobId: job._id }) });
     
     job.embedding = embedding;
-    job.embeddingMetadata = {
-      model: 'embedding-001',
-      dimensions: embedding.length,
-      generatedAt: new Date(),
-      version: '1.0'
-    };
+    job.embeddingMetadata = getEmbeddingMetadata(embedding);
     
     await job.save({ validateBeforeSave: false });
+    indexEmbedding('jobs', job._id, embedding);
     logger.debug(`Generated embedding for job ${job._id}`);
   }
 };
@@ -851,5 +930,6 @@ module.exports = {
   extractSkills,
   optimizeJobDescriptionWithAI,
   bulkGenerateResumeEmbeddings,
-  bulkGenerateJobEmbeddings
+  bulkGenerateJobEmbeddings,
+  getMyAIUsage
 };
@@ -0,0 +1,44 @@
+const { aiUsageService } = require('../../ai-services');
+const logger = require('../utils/logger');
+
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * @desc    Get AI usage report: calls, tokens, latency and estimated cost by user, endpoint and task
+ * @route   GET /api/admin/ai-usage
+ * @access  Private (Admin only)
+ */
+const getAIUsageReport = async (req, res, next) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be before to'
+      });
+    }
+
+    const report = await aiUsageService.getReport({
+      from,
+      to,
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Get AI usage report error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAIUsageReport
+};
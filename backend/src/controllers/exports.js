@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const Resume = require('../models/Resume');
+const { resumeExportService } = require('../services/resumeExportService');
+const logger = require('../utils/logger');
+
+const EXPORT_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain; charset=utf-8',
+  json: 'application/json'
+};
+
+/**
+ * Look up an export by filename and make sure its file is still available.
+ * Sends the error response itself and returns null when the export can't be served.
+ */
+const findActiveExport = async (filename, res) => {
+  const filePath = resumeExportService.resolveExportPath(filename);
+  const resume = filePath && await Resume.findOne({ 'exports.filename': filename });
+  const record = resume?.getExportRecord(filename);
+
+  if (!record) {
+    res.status(404).json({
+      success: false,
+      error: 'Export not found'
+    });
+    return null;
+  }
+
+  if (record.purgedAt || (record.expiresAt && record.expiresAt < new Date())) {
+    res.status(410).json({
+      success: false,
+      error: 'Export has expired'
+    });
+    return null;
+  }
+
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: 'Export file not found'
+    });
+    return null;
+  }
+
+  return { resume, record, filePath };
+};
+
+/**
+ * Only the resume owner, the user who created the export, or an admin may use it
+ */
+const ownsExport = (user, resume, record) =>
+  user.id.toString() === resume.userId.toString() ||
+  user.id.toString() === record.exportedBy?.toString() ||
+  user.role === 'admin';
+
+const sendExportFile = (res, record, filePath) => {
+  res.setHeader('Content-Disposition', `attachment; filename="${record.filename}"`);
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[record.format] || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.sendFile(filePath);
+};
+
+/**
+ * @desc    Download an exported resume file
+ * @route   GET /api/exports/:filename
+ * @access  Private (Export owner or Admin)
+ */
+const downloadExport = async (req, res, next) => {
+  try {
+    const found = await findActiveExport(req.params.filename, res);
+    if (!found) return;
+
+    const { resume, record, filePath } = found;
+
+    if (!ownsExport(req.user, resume, record)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    sendExportFile(res, record, filePath);
+
+    logger.info(`Export downloaded: ${record.filename} by ${req.user.email}`);
+
+  } catch (error) {
+    logger.error('Download export error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a signed, time-limited share link for an export
+ * @route   POST /api/exports/:filename/share
+ * @access  Private (Export owner or Admin)
+ */
+const createExportShareLink = async (req, res, next) => {
+  try {
+    const found = await findActiveExport(req.params.filename, res);
+    if (!found) return;
+
+    const { resume, record } = found;
+
+    if (!ownsExport(req.user, resume, record)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const expiresInHours = parseInt(req.body.expiresInHours) ||
+      parseInt(process.env.EXPORT_SHARE_DEFAULT_HOURS) || 72;
+    const { token, expiresAt } = resumeExportService.createShareToken(
+      record.filename,
+      resume._id,
+      expiresInHours
+    );
+
+    // Keep the file around for as long as the link is valid
+    if (!record.expiresAt || record.expiresAt < expiresAt) {
+      record.expiresAt = expiresAt;
+      await resume.save({ validateBeforeSave: false });
+    }
+
+    const baseUrl = process.env.API_URL || process.env.BASE_URL || 'http://localhost:5000';
+
+    logger.info(`Export share link created: ${record.filename} by ${req.user.email} (expires ${expiresAt.toISOString()})`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        shareUrl: `${baseUrl}/api/exports/shared/${token}`,
+        expiresAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create export share link error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download an export through a signed share link
+ * @route   GET /api/exports/shared/:token
+ * @access  Public (valid share token)
+ */
+const downloadSharedExport = async (req, res, next) => {
+  try {
+    const payload = resumeExportService.verifyShareToken(req.params.token);
+
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        error: 'Share link is invalid or has expired'
+      });
+    }
+
+    const found = await findActiveExport(payload.filename, res);
+    if (!found) return;
+
+    const { resume, record, filePath } = found;
+
+    if (resume._id.toString() !== payload.resumeId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Share link is invalid or has expired'
+      });
+    }
+
+    sendExportFile(res, record, filePath);
+
+    logger.info(`Shared export downloaded: ${record.filename}`);
+
+  } catch (error) {
+    logger.error('Download shared export error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  downloadExport,
+  createExportShareLink,
+  downloadSharedExport
+};
@@ -0,0 +1,407 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { interviewService } = require('../services/interviewService');
+
+/**
+ * Load the job and the candidate's application for an interview request.
+ * Sends a 404/403 and returns null if the job or application isn't there
+ * or the user doesn't own the job.
+ */
+const findApplication = async (req, res) => {
+  const job = await Job.findById(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return null;
+  }
+
+  // Check ownership (unless admin)
+  if (req.user.role !== 'admin' && job.postedBy.toString() !== req.user.id.toString()) {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to manage interviews for this job'
+    });
+    return null;
+  }
+
+  const application = await Application.findOne({ job: job._id, candidate: req.params.candidateId });
+
+  if (!application) {
+    res.status(404).json({
+      success: false,
+      error: 'Application not found'
+    });
+    return null;
+  }
+
+  return { job, application };
+};
+
+/**
+ * Send an interview's calendar invite (or cancellation) in the background
+ */
+const sendInviteInBackground = (job, application, interview, method) => {
+  interviewService.notifyParticipants(interview, job, application.candidate, method)
+    .then(sent => {
+      logger.info(`Interview ${method === 'CANCEL' ? 'cancellation' : 'invite'} for ${interview._id} sent to ${sent} recipients`);
+    })
+    .catch(error => {
+      logger.error(`Failed to send interview invite ${interview._id}:`, error);
+    });
+};
+
+/**
+ * Check the interviewer exists and can interview (recruiter or admin).
+ * Sends a 400 and returns false if not.
+ */
+const checkInterviewer = async (interviewerId, res) => {
+  const interviewer = await User.findById(interviewerId).select('role');
+
+  if (!interviewer || !['recruiter', 'admin'].includes(interviewer.role)) {
+    res.status(400).json({
+      success: false,
+      error: 'Interviewer must be a recruiter or admin'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check the interviewer is free for the slot and claim it on their
+ * schedule. The claim is atomic, so a concurrent request for an
+ * overlapping slot can't also get it between the check and the save.
+ * Sends a 409 with the conflicting interviews and returns false if the
+ * slot is taken.
+ */
+const reserveSlot = async (interview, res) => {
+  const conflicts = await interviewService.findConflicts(
+    interview.interviewer, interview.scheduledAt, interview.duration, interview._id
+  );
+
+  if (conflicts.length === 0 && await interviewService.reserveSlot(interview)) {
+    return true;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: 'Interviewer has a conflicting interview',
+    details: conflicts
+  });
+  return false;
+};
+
+/**
+ * Save the application, freeing the slot just claimed for the interview if
+ * the save fails
+ */
+const saveWithSlot = async (application, interview) => {
+  try {
+    await application.save();
+  } catch (error) {
+    await interviewService.releaseSlot(interview).catch(releaseError => {
+      logger.error(`Failed to free the slot of interview ${interview._id}:`, releaseError);
+    });
+    throw error;
+  }
+};
+
+/**
+ * @desc    Get the interviews of an application
+ * @route   GET /api/jobs/:jobId/applications/:candidateId/interviews
+ * @access  Private (Job Owner/Admin)
+ */
+const getInterviews = async (req, res, next) => {
+  try {
+    const found = await findApplication(req, res);
+    if (!found) return;
+
+    await found.application.populate('interviews.interviewer', 'email profile.firstName profile.lastName');
+
+    res.status(200).json({
+      success: true,
+      data: found.application.interviews
+    });
+
+  } catch (error) {
+    logger.error('Get interviews error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Schedule an interview and email calendar invites
+ * @route   POST /api/jobs/:jobId/applications/:candidateId/interviews
+ * @access  Private (Job Owner/Admin)
+ */
+const createInterview = async (req, res, next) => {
+  try {
+    const found = await findApplication(req, res);
+    if (!found) return;
+    const { job, application } = found;
+
+    if (new Date(req.body.scheduledAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Interview must be scheduled in the future'
+      });
+    }
+
+    const interviewerId = req.body.interviewer || req.user.id;
+    if (!await checkInterviewer(interviewerId, res)) return;
+
+    application.interviews.push({
+      type: req.body.type || 'video',
+      scheduledAt: req.body.scheduledAt,
+      duration: req.body.duration || 60,
+      interviewer: interviewerId,
+      location: req.body.location,
+      status: 'scheduled'
+    });
+    const interview = application.interviews[application.interviews.length - 1];
+
+    if (!await reserveSlot(interview, res)) return;
+
+    await saveWithSlot(application, interview);
+    sendInviteInBackground(job, application, interview, 'REQUEST');
+
+    logger.info(`Interview scheduled: ${req.params.candidateId} for ${job.title} at ${interview.scheduledAt.toISOString()} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Interview scheduled successfully',
+      data: interview
+    });
+
+  } catch (error) {
+    logger.error('Create interview error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an interview (reschedule, cancel, or record feedback)
+ * @route   PUT /api/jobs/:jobId/applications/:candidateId/interviews/:interviewId
+ * @access  Private (Job Owner/Admin)
+ */
+const updateInterview = async (req, res, next) => {
+  try {
+    const found = await findApplication(req, res);
+    if (!found) return;
+    const { job, application } = found;
+
+    const interview = application.interviews.id(req.params.interviewId);
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interview not found'
+      });
+    }
+
+    const wasScheduled = interview.status === 'scheduled';
+    const previousInterviewer = interview.interviewer;
+    const timeChanged = req.body.scheduledAt !== undefined &&
+      new Date(req.body.scheduledAt).getTime() !== interview.scheduledAt?.getTime();
+    const slotChanged = timeChanged ||
+      (req.body.duration !== undefined && Number(req.body.duration) !== interview.duration) ||
+      (req.body.interviewer !== undefined && req.body.interviewer !== interview.interviewer?.toString());
+
+    if (timeChanged && new Date(req.body.scheduledAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Interview must be scheduled in the future'
+      });
+    }
+    if (req.body.interviewer !== undefined && !await checkInterviewer(req.body.interviewer, res)) return;
+
+    const allowedFields = ['type', 'scheduledAt', 'duration', 'interviewer', 'location', 'status', 'feedback', 'rating'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        interview[field] = req.body[field];
+      }
+    });
+
+    // Moved or reinstated interviews need a free slot and a new invite;
+    // cancelled ones a cancellation
+    let inviteMethod = null;
+    const claimed = interview.status === 'scheduled' && (slotChanged || !wasScheduled);
+    if (claimed) {
+      if (!await reserveSlot(interview, res)) return;
+      inviteMethod = 'REQUEST';
+    } else if (wasScheduled && interview.status === 'cancelled') {
+      inviteMethod = 'CANCEL';
+    }
+    if (inviteMethod) {
+      interview.sequence = (interview.sequence || 0) + 1;
+    }
+
+    if (claimed) {
+      await saveWithSlot(application, interview);
+    } else {
+      await application.save();
+    }
+
+    // Free the slot on the previous interviewer's schedule once it's no longer theirs
+    if (wasScheduled && (interview.status !== 'scheduled' || previousInterviewer?.toString() !== interview.interviewer?.toString())) {
+      await interviewService.releaseSlot(interview, previousInterviewer);
+    }
+    if (inviteMethod) {
+      sendInviteInBackground(job, application, interview, inviteMethod);
+    }
+
+    logger.info(`Interview updated: ${interview._id} for ${job.title} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Interview updated successfully',
+      data: interview
+    });
+
+  } catch (error) {
+    logger.error('Update interview error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an interview, cancelling it if it's still upcoming
+ * @route   DELETE /api/jobs/:jobId/applications/:candidateId/interviews/:interviewId
+ * @access  Private (Job Owner/Admin)
+ */
+const deleteInterview = async (req, res, next) => {
+  try {
+    const found = await findApplication(req, res);
+    if (!found) return;
+    const { job, application } = found;
+
+    const interview = application.interviews.id(req.params.interviewId);
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interview not found'
+      });
+    }
+
+    const upcoming = interview.status === 'scheduled' && interview.scheduledAt > new Date();
+    const removed = interview.toObject();
+
+    interview.deleteOne();
+    await application.save();
+    if (removed.status === 'scheduled') {
+      await interviewService.releaseSlot(removed);
+    }
+
+    if (upcoming) {
+      removed.sequence = (removed.sequence || 0) + 1;
+      sendInviteInBackground(job, application, removed, 'CANCEL');
+    }
+
+    logger.info(`Interview deleted: ${req.params.interviewId} for ${job.title} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Interview deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete interview error:', error);
+    next(error);
+  }
+};
+
+// Id, email and name of the user looked up into `path`
+const participantFields = (path) => ({
+  id: { $arrayElemAt: [`${path}._id`, 0] },
+  email: { $arrayElemAt: [`${path}.email`, 0] },
+  firstName: { $arrayElemAt: [`${path}.profile.firstName`, 0] },
+  lastName: { $arrayElemAt: [`${path}.profile.lastName`, 0] }
+});
+
+/**
+ * @desc    Get interviews on the recruiter's calendar: interviews for their
+ *          jobs and interviews they conduct (next 30 days by default)
+ * @route   GET /api/jobs/interviews
+ * @access  Private (Recruiter/Admin)
+ */
+const getInterviewCalendar = async (req, res, next) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: '"from" must be before "to"'
+      });
+    }
+
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const jobIds = await Job.find({ postedBy: userId }).distinct('_id');
+    const onCalendar = { $or: [{ job: { $in: jobIds } }, { 'interviews.interviewer': userId }] };
+
+    const interviewMatch = {
+      'interviews.scheduledAt': { $gte: from, $lte: to }
+    };
+    if (req.query.status) {
+      interviewMatch['interviews.status'] = req.query.status;
+    }
+
+    const interviews = await Application.aggregate([
+      { $match: { ...onCalendar, ...interviewMatch } },
+      { $unwind: '$interviews' },
+      { $match: interviewMatch },
+      // Interviews for other recruiters' jobs only if this user conducts them
+      { $match: onCalendar },
+      { $sort: { 'interviews.scheduledAt': 1 } },
+      { $limit: 500 },
+      { $lookup: { from: 'jobs', localField: 'job', foreignField: '_id', as: 'jobDoc' } },
+      { $lookup: { from: 'users', localField: 'candidate', foreignField: '_id', as: 'candidate' } },
+      { $lookup: { from: 'users', localField: 'interviews.interviewer', foreignField: '_id', as: 'interviewer' } },
+      {
+        $project: {
+          _id: '$interviews._id',
+          type: '$interviews.type',
+          scheduledAt: '$interviews.scheduledAt',
+          duration: '$interviews.duration',
+          location: '$interviews.location',
+          status: '$interviews.status',
+          job: {
+            id: '$job',
+            title: { $arrayElemAt: ['$jobDoc.title', 0] },
+            company: { $arrayElemAt: ['$jobDoc.company.name', 0] }
+          },
+          applicationStatus: '$status',
+          candidate: participantFields('$candidate'),
+          interviewer: participantFields('$interviewer')
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        interviews
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get interview calendar error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getInterviews,
+  createInterview,
+  updateInterview,
+  deleteInterview,
+  getInterviewCalendar
+};
@@ -1,11 +1,64 @@
 const Job = require('../models/Job');
+const Application = require('../models/Application');
 const User = require('../models/User');
 const Resume = require('../models/Resume');
 const logger = require('../utils/logger');
 
 // Import AI services
-const { generateEmbedding, findCandidateMatches } = require('../../ai-services');
+const {
+  generateEmbedding,
+  getEmbeddingMetadata,
+  cacheTags,
+  findCandidateMatches,
+  indexEmbedding,
+  removeFromIndex,
+  retrieveNearest
+} = require('../../ai-services');
 const { notificationQueue } = require('../../notifications/NotificationQueue');
+const { matchScoringQueue } = require('../../ai-services/MatchScoringQueue');
+const { matchingSettingsService } = require('../services/matchingSettingsService');
+const { screeningService } = require('../services/screeningService');
+const { applicationPipelineService } = require('../services/applicationPipelineService');
+const { interviewService } = require('../services/interviewService');
+
+// Public job fields: embeddings and screening knockout rules stay private
+const PUBLIC_JOB_EXCLUDE = '-embedding -screening.questions.knockout';
+
+/**
+ * Validate match weights/threshold/profile in a job request body.
+ * Sends a 400 and returns true if they're invalid.
+ */
+const rejectInvalidMatchingCriteria = (req, res) => {
+  if (!req.body.matchingCriteria) return false;
+
+  const errors = matchingSettingsService.validateJobCriteria(req.body.matchingCriteria);
+  if (errors.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Invalid matching criteria',
+    details: errors
+  });
+  return true;
+};
+
+/**
+ * Validate screening questions and knockout rules in a job request body.
+ * Sends a 400 and returns true if they're invalid.
+ */
+const rejectInvalidScreening = (req, res) => {
+  if (!req.body.screening) return false;
+
+  const errors = screeningService.validateQuestions(req.body.screening);
+  if (errors.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Invalid screening questions',
+    details: errors
+  });
+  return true;
+};
 
 /**
  * @desc    Create a new job posting
@@ -19,16 +72,17 @@ const createJob = async (req, res, next) => {
       req.body.company = req.user.profile.company;
     }
 
+    if (rejectInvalidMatchingCriteria(req, res)) return;
+    if (rejectInvalidScreening(req, res)) return;
+
     // Set postedBy to current user
     req.body.postedBy = req.user.id;
 
     const job = await Job.create(req.body);
 
-    // Generate embedding in background
-    generateJobEmbeddingInBackground(job._id);
-
-    // Queue job match notifications for candidates
-    queueJobMatchNotifications(job._id);
+    // Generate embedding in background, then queue job match notifications
+    // for candidates (matching retrieves candidates by the new vector)
+    generateJobEmbeddingInBackground(job._id).then(() => queueJobMatchNotifications(job._id));
 
     logger.info(`Job created: ${job.title} by ${req.user.email}`);
 
@@ -136,7 +190,7 @@ const getJobs = async (req, res, next) => {
       .sort(sort)
       .skip(skip)
       .limit(limit)
-      .select('-applications -embedding'); // Exclude sensitive data
+      .select(PUBLIC_JOB_EXCLUDE); // Exclude sensitive data
 
     const total = await Job.countDocuments(query);
 
@@ -166,7 +220,7 @@ const getJobById = async (req, res, next) => {
   try {
     const job = await Job.findById(req.params.jobId)
       .populate('postedBy', 'profile.firstName profile.lastName profile.company profile.avatar')
-      .select('-applications -embedding');
+      .select(PUBLIC_JOB_EXCLUDE);
 
     if (!job) {
       return res.status(404).json({
@@ -183,10 +237,7 @@ const getJobById = async (req, res, next) => {
     // Check if user has applied (if authenticated)
     let hasApplied = false;
     if (req.user && req.user.role === 'candidate') {
-      const fullJob = await Job.findById(req.params.jobId);
-      hasApplied = fullJob.applications.some(app => 
-        app.candidate.toString() === req.user.id.toString()
-      );
+      hasApplied = !!await Application.exists({ job: job._id, candidate: req.user.id });
     }
 
     res.status(200).json({
@@ -227,12 +278,15 @@ const updateJob = async (req, res, next) => {
       });
     }
 
+    if (rejectInvalidMatchingCriteria(req, res)) return;
+    if (rejectInvalidScreening(req, res)) return;
+
     // Update job
     const allowedFields = [
       'title', 'description', 'requirements', 'responsibilities', 'skills',
       'location', 'salary', 'employmentType', 'experienceLevel', 'educationLevel',
       'benefits', 'applicationDeadline', 'status', 'tags', 'priority', 'featured',
-      'autoClose', 'screening', 'company'
+      'autoClose', 'screening', 'company', 'matchingCriteria'
     ];
 
     allowedFields.forEach(field => {
@@ -289,7 +343,11 @@ const deleteJob = async (req, res, next) => {
       });
     }
 
+    // Free the interviewers' slots before the interviews go with the applications
+    await interviewService.cancelJobInterviews(job);
     await Job.findByIdAndDelete(req.params.jobId);
+    await Application.deleteMany({ job: job._id });
+    removeFromIndex('jobs', job._id);
 
     logger.info(`Job deleted: ${job.title} by ${req.user.email}`);
 
@@ -320,8 +378,15 @@ const applyToJob = async (req, res, next) => {
       });
     }
 
-    // Check if user can apply
-    const canApplyResult = job.canApply(req.user.id);
+    if (await Application.exists({ job: job._id, candidate: req.user.id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Already applied'
+      });
+    }
+
+    // Check if the job takes applications
+    const canApplyResult = job.canApply();
     if (!canApplyResult.canApply) {
       return res.status(400).json({
         success: false,
@@ -329,20 +394,71 @@ const applyToJob = async (req, res, next) => {
       });
     }
 
+    // The resume sent with the application has to be one of the candidate's own
+    if (req.body.resumeId && !await Resume.exists({ _id: req.body.resumeId, userId: req.user.id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    // Check screening answers against the job's questions and knockout rules
+    const { screening, errors } = screeningService.screen(job, req.body.answers);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid screening answers',
+        details: errors
+      });
+    }
+
     // Create application
     const application = {
+      job: job._id,
       candidate: req.user.id,
       coverLetter: req.body.coverLetter,
       resume: req.body.resumeId,
-      appliedAt: new Date()
+      appliedAt: new Date(),
+      statusHistory: [applicationPipelineService.buildHistoryEntry(null, 'pending', { actor: req.user.id })]
     };
 
-    // Add AI match score if available (this would be calculated by AI service)
-    // application.matchScore = await calculateMatchScore(job, req.user);
+    if (screening) {
+      application.screening = screening;
+
+      if (screening.result === 'rejected') {
+        const reason = `Automatically rejected by screening: ${screening.reasons.join('; ')}`;
+        application.status = 'rejected';
+        application.statusHistory.push(applicationPipelineService.buildHistoryEntry('pending', 'rejected', {
+          reason: reason.substring(0, 500),
+          automated: true
+        }));
+        application.notes = [{
+          content: reason.substring(0, 1000),
+          createdAt: new Date()
+        }];
+      }
+    }
+
+    try {
+      await Application.create(application);
+    } catch (error) {
+      // Unique job/candidate index: a concurrent request got there first
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          error: 'Already applied'
+        });
+      }
+      throw error;
+    }
+    await job.incrementApplicationCount();
 
-    await job.addApplication(application);
+    // Score the application against the job in the background
+    matchScoringQueue.queueApplicationScore(job._id, req.user.id).catch(error => {
+      logger.error(`Failed to queue match scoring for ${req.user.email} on job ${job._id}:`, error);
+    });
 
-    logger.info(`Job application: ${req.user.email} applied to ${job.title}`);
+    logger.info(`Job application: ${req.user.email} applied to ${job.title}${screening ? ` (screening: ${screening.result})` : ''}`);
 
     res.status(200).json({
       success: true,
@@ -355,6 +471,37 @@ const applyToJob = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get a job's screening questions to answer when applying
+ * @route   GET /api/jobs/:jobId/screening
+ * @access  Private (Candidate)
+ */
+const getScreeningQuestions = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId).select('title status screening');
+
+    if (!job || job.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: job._id,
+        title: job.title,
+        questions: screeningService.getPublicQuestions(job)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get screening questions error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get job applications
  * @route   GET /api/jobs/:jobId/applications
@@ -362,15 +509,7 @@ const applyToJob = async (req, res, next) => {
  */
 const getJobApplications = async (req, res, next) => {
   try {
-    const job = await Job.findById(req.params.jobId)
-      .populate({
-        path: 'applications.candidate',
-        select: 'profile email createdAt'
-      })
-      .populate({
-        path: 'applications.resume',
-        select: 'filename originalName uploadedAt'
-      });
+    const job = await Job.findById(req.params.jobId).select('title company postedBy screening');
 
     if (!job) {
       return res.status(404).json({
@@ -387,19 +526,52 @@ const getJobApplications = async (req, res, next) => {
       });
     }
 
+    const query = { job: job._id };
+
     // Filter applications by status if specified
-    let applications = job.applications;
     if (req.query.status) {
-      applications = applications.filter(app => app.status === req.query.status);
+      query.status = req.query.status;
     }
 
-    // Sort applications
-    applications.sort((a, b) => {
-      if (req.query.sortBy === 'matchScore') {
-        return (b.matchScore || 0) - (a.matchScore || 0);
-      }
-      return new Date(b.appliedAt) - new Date(a.appliedAt);
-    });
+    // Filter applications by screening result if specified
+    if (req.query.screening) {
+      query['screening.result'] = req.query.screening;
+    }
+
+    // Filter applications by match score range if specified (unscored ones are left out)
+    if (req.query.minScore !== undefined || req.query.maxScore !== undefined) {
+      query.matchScore = {
+        $gte: req.query.minScore !== undefined ? parseInt(req.query.minScore) : 0,
+        $lte: req.query.maxScore !== undefined ? parseInt(req.query.maxScore) : 100
+      };
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Sort applications (newest or best match first unless order=asc);
+    // unscored applications come last either way
+    const direction = req.query.order === 'asc' ? 1 : -1;
+    const byScore = req.query.sortBy === 'matchScore';
+    const pipeline = [
+      { $match: query },
+      ...(byScore ? [{ $addFields: { unscored: { $cond: [{ $isNumber: '$matchScore' }, 0, 1] } } }] : []),
+      { $sort: byScore ? { unscored: 1, matchScore: direction, appliedAt: -1 } : { appliedAt: direction } },
+      { $skip: skip },
+      { $limit: limit },
+      ...(byScore ? [{ $project: { unscored: 0 } }] : [])
+    ];
+
+    const [applications, total, stats, screeningCounts] = await Promise.all([
+      Application.aggregate(pipeline).then(docs => Application.populate(docs, [
+        { path: 'candidate', select: 'profile email createdAt' },
+        { path: 'resume', select: 'filename originalName uploadedAt' }
+      ])),
+      Application.countDocuments(query),
+      Application.getStatusCounts(job._id),
+      Application.getScreeningCounts(job._id)
+    ]);
 
     res.status(200).json({
       success: true,
@@ -410,7 +582,14 @@ const getJobApplications = async (req, res, next) => {
           company: job.company
         },
         applications,
-        stats: job.applicationStats
+        stats,
+        screening: screeningService.getAnswerBreakdown(job, screeningCounts)
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
 
@@ -421,13 +600,13 @@ const getJobApplications = async (req, res, next) => {
 };
 
 /**
- * @desc    Update application status
+ * @desc    Move an application along the hiring pipeline
  * @route   PUT /api/jobs/:jobId/applications/:candidateId/status
  * @access  Private (Job Owner/Admin)
  */
 const updateApplicationStatus = async (req, res, next) => {
   try {
-    const { status, note } = req.body;
+    const { status, reason, note } = req.body;
     const job = await Job.findById(req.params.jobId);
 
     if (!job) {
@@ -445,19 +624,76 @@ const updateApplicationStatus = async (req, res, next) => {
       });
     }
 
-    const noteData = note ? {
-      author: req.user.id,
-      content: note,
-      createdAt: new Date()
-    } : null;
+    const application = await Application.findOne({ job: job._id, candidate: req.params.candidateId });
 
-    await job.updateApplicationStatus(req.params.candidateId, status, noteData);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
 
-    logger.info(`Application status updated: ${req.params.candidateId} to ${status} for job ${job.title}`);
+    const from = application.status;
+    const { result, errors, conflict } = applicationPipelineService.transition(job, application, status, {
+      actor: req.user.id,
+      reason
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: errors[0],
+        details: {
+          from,
+          allowed: applicationPipelineService.getAllowedTransitions(from)
+        }
+      });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0]
+      });
+    }
+
+    const update = {
+      $set: { status: application.status },
+      $push: { statusHistory: application.statusHistory[application.statusHistory.length - 1] }
+    };
+    if (note) {
+      application.notes.push({
+        author: req.user.id,
+        content: note,
+        createdAt: new Date()
+      });
+      update.$push.notes = application.notes[application.notes.length - 1];
+    }
+
+    // Only applies while the application is still in the status the
+    // transition was checked from, so concurrent updates can't both apply
+    const { matchedCount } = await Application.updateOne({ _id: application._id, status: from }, update);
+    if (matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Application is no longer ${from}; reload it and try again`,
+        details: { from }
+      });
+    }
+    if (job.isModified('status')) {
+      await job.save();
+    }
+    applicationPipelineService.runSideEffects(job, application, result);
+
+    logger.info(`Application status updated: ${req.params.candidateId} from ${from} to ${status} for job ${job.title} by ${req.user.email}`);
 
     res.status(200).json({
       success: true,
-      message: 'Application status updated successfully'
+      message: 'Application status updated successfully',
+      data: {
+        status: application.status,
+        jobStatus: job.status,
+        statusHistory: application.statusHistory,
+        allowedTransitions: applicationPipelineService.getAllowedTransitions(application.status)
+      }
     });
 
   } catch (error) {
@@ -574,44 +810,44 @@ const getMyApplications = async (req, res, next) => {
     const skip = (page - 1) * limit;
 
     const query = {
-      'applications.candidate': req.user.id
+      candidate: req.user.id
     };
 
     if (req.query.status) {
-      query['applications.status'] = req.query.status;
+      query.status = req.query.status;
     }
 
-    const jobs = await Job.find(query)
-      .populate('postedBy', 'profile.firstName profile.lastName profile.company')
-      .sort({ 'applications.appliedAt': -1 })
+    const myApplications = await Application.find(query)
+      .populate({
+        path: 'job',
+        select: 'title company location employmentType postedBy',
+        populate: { path: 'postedBy', select: 'profile.firstName profile.lastName profile.company' }
+      })
+      .select('job status appliedAt coverLetter matchScore')
+      .sort({ appliedAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    // Filter and format the applications
-    const applications = jobs.map(job => {
-      const application = job.applications.find(app => 
-        app.candidate.toString() === req.user.id.toString()
-      );
-      
-      return {
-        job: {
-          id: job._id,
-          title: job.title,
-          company: job.company,
-          location: job.location,
-          employmentType: job.employmentType,
-          postedBy: job.postedBy
-        },
-        application: {
-          status: application.status,
-          appliedAt: application.appliedAt,
-          coverLetter: application.coverLetter,
-          matchScore: application.matchScore
-        }
-      };
-    });
+    // Format the applications
+    const applications = myApplications.map(application => ({
+      job: application.job && {
+        id: application.job._id,
+        title: application.job.title,
+        company: application.job.company,
+        location: application.job.location,
+        employmentType: application.job.employmentType,
+        postedBy: application.job.postedBy
+      },
+      application: {
+        id: application._id,
+        status: application.status,
+        appliedAt: application.appliedAt,
+        coverLetter: application.coverLetter,
+        matchScore: application.matchScore
+      }
+    }));
 
-    const total = await Job.countDocuments(query);
+    const total = await Application.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -646,7 +882,7 @@ const getFeaturedJobs = async (req, res, next) => {
     .populate('postedBy', 'profile.firstName profile.lastName profile.company')
     .sort({ priority: -1, createdAt: -1 })
     .limit(limit)
-    .select('-applications -embedding');
+    .select(PUBLIC_JOB_EXCLUDE);
 
     res.status(200).json({
       success: true,
@@ -685,7 +921,7 @@ const getJobStats = async (req, res, next) => {
 
     const stats = {
       viewCount: job.viewCount,
-      applicationStats: job.applicationStats,
+      applicationStats: await Application.getStatusCounts(job._id),
       timePosted: job.timePosted,
       deadlineStatus: job.deadlineStatus,
       performance: {
@@ -718,18 +954,14 @@ const generateJobEmbeddingInBackground = async (jobId) => {
     const content = buildJobEmbeddingContent(job);
     
     // Generate embedding
-    const embedding = await generateEmbedding(content);
+    const embedding = await generateEmbedding(content, { tags: cacheTags({ jobId }) });
     
     // Update job with embedding
     job.embedding = embedding;
-    job.embeddingMetadata = {
-      model: 'embedding-001',
-      dimensions: embedding.length,
-      generatedAt: new Date(),
-      version: '1.0'
-    };
+    job.embeddingMetadata = getEmbeddingMetadata(embedding);
     
     await job.save({ validateBeforeSave: false });
+    indexEmbedding('jobs', job._id, embedding);
 
     logger.info(`Generated embedding for job: ${job.title}`);
 
@@ -771,11 +1003,21 @@ const queueJobMatchNotifications = async (jobId) => {
     const job = await Job.findById(jobId);
     if (!job || job.status !== 'active') return;
 
-    // Find candidates with active resumes
-    const resumes = await Resume.find({
+    // Find candidates with active resumes, nearest to the job by vector when
+    // the index is available
+    const resumeQuery = {
       isActive: true,
-      embedding: { $exists: true }
-    }).populate('userId', 'profile email').limit(500);
+      'embedding.0': { $exists: true }
+    };
+    const retrieval = await retrieveNearest(
+      'resumes',
+      job.embedding,
+      ids => Resume.find({ ...resumeQuery, _id: { $in: ids } }).populate('userId', 'profile email'),
+      { minResults: 50 }
+    );
+    const resumes = retrieval
+      ? retrieval.documents
+      : await Resume.find(resumeQuery).populate('userId', 'profile email').limit(500);
 
     if (resumes.length === 0) return;
 
@@ -829,6 +1071,7 @@ module.exports = {
   updateJob,
   deleteJob,
   applyToJob,
+  getScreeningQuestions,
   getJobApplications,
   updateApplicationStatus,
   searchJobs,
@@ -0,0 +1,153 @@
+const { promptRegistry } = require('../../ai-services');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get AI prompts with their versions and traffic splits
+ * @route   GET /api/admin/prompts
+ * @access  Private (Admin only)
+ */
+const getPrompts = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: promptRegistry.listPrompts()
+    });
+
+  } catch (error) {
+    logger.error('Get prompts error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a prompt version including its template
+ * @route   GET /api/admin/prompts/:name/versions/:version
+ * @access  Private (Admin only)
+ */
+const getPromptVersion = async (req, res, next) => {
+  try {
+    const version = promptRegistry.getVersion(req.params.name, req.params.version);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: version
+    });
+
+  } catch (error) {
+    logger.error('Get prompt version error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a version of a prompt (gets no traffic until the split is updated)
+ * @route   POST /api/admin/prompts/:name/versions
+ * @access  Private (Admin only)
+ */
+const createPromptVersion = async (req, res, next) => {
+  try {
+    const { version, errors } = await promptRegistry.createVersion(req.params.name, req.body, req.user.id);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prompt version',
+        details: errors
+      });
+    }
+
+    logger.info(`Prompt version created: ${req.params.name} ${version.version} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt version created',
+      data: version
+    });
+
+  } catch (error) {
+    logger.error('Create prompt version error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Split a prompt's traffic between its versions, e.g. { "v1": 90, "v2": 10 }
+ * @route   PUT /api/admin/prompts/:name/traffic
+ * @access  Private (Admin only)
+ */
+const setPromptTraffic = async (req, res, next) => {
+  try {
+    const { traffic, errors } = await promptRegistry.setTraffic(req.params.name, req.body.traffic, req.user.id);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid traffic split',
+        details: errors
+      });
+    }
+
+    logger.info(`Prompt traffic updated: ${req.params.name} ${JSON.stringify(traffic)} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt traffic updated',
+      data: { name: req.params.name, traffic }
+    });
+
+  } catch (error) {
+    logger.error('Set prompt traffic error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a prompt version that gets no traffic
+ * @route   DELETE /api/admin/prompts/:name/versions/:version
+ * @access  Private (Admin only)
+ */
+const deletePromptVersion = async (req, res, next) => {
+  try {
+    if (!promptRegistry.getVersion(req.params.name, req.params.version)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+
+    const { errors } = await promptRegistry.removeVersion(req.params.name, req.params.version);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0]
+      });
+    }
+
+    logger.info(`Prompt version deleted: ${req.params.name} ${req.params.version} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt version deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete prompt version error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPrompts,
+  getPromptVersion,
+  createPromptVersion,
+  setPromptTraffic,
+  deletePromptVersion
+};
@@ -9,10 +9,13 @@ const fs = require('fs').promises;
 const { parseResumeContent } = require('../services/resumeParsingService');
 const { analyzeATSCompatibility } = require('../services/atsAnalysisService');
 const { generateAISuggestions } = require('../services/aiSuggestionsService');
-const { exportResumeToFormat } = require('../services/resumeExportService');
+const { exportResumeToFormat, generateResumeHTML, resumeExportService } = require('../services/resumeExportService');
+const { jsonResumeService } = require('../services/jsonResumeService');
+const { resumeCorrectionService } = require('../services/resumeCorrectionService');
+const { resumeTemplateService } = require('../services/resumeTemplateService');
 
 // Import AI services
-const { generateEmbedding } = require('../../ai-services');
+const { generateEmbedding, getEmbeddingMetadata, cacheTags, indexEmbedding, removeFromIndex } = require('../../ai-services');
 
 /**
  * @desc    Upload a new resume
@@ -28,6 +31,22 @@ const uploadResume = async (req, res, next) => {
       });
     }
 
+    // JSON Resume uploads are mapped directly instead of text-parsed
+    const isJSONResume = req.file.mimetype === 'application/json';
+    let importedContent;
+
+    if (isJSONResume) {
+      try {
+        importedContent = await importJSONResumeFile(req.file.path);
+      } catch (error) {
+        deleteFile(req.file.path);
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
     // Create resume record
     const resumeData = {
       userId: req.user.id,
@@ -40,16 +59,29 @@ const uploadResume = async (req, res, next) => {
       tags: req.body.tags || []
     };
 
+    if (importedContent) {
+      resumeData.parsedContent = importedContent;
+      resumeData.keywords = extractKeywords(importedContent);
+      resumeData.extractedSkills = extractSkills(importedContent);
+    }
+
     const resume = await Resume.create(resumeData);
 
-    // Start background parsing
-    parseResumeInBackground(resume._id);
+    if (isJSONResume) {
+      // Content is already structured - go straight to embedding and ATS analysis
+      generateEmbeddingInBackground(resume._id).then(() => analyzeATSInBackground(resume._id));
+    } else {
+      // Start background parsing
+      parseResumeInBackground(resume._id);
+    }
 
     logger.info(`Resume uploaded: ${resume.originalName} by ${req.user.email}`);
 
     res.status(201).json({
       success: true,
-      message: 'Resume uploaded successfully. Parsing in progress...',
+      message: isJSONResume
+        ? 'JSON Resume imported successfully'
+        : 'Resume uploaded successfully. Parsing in progress...',
       resume: {
         id: resume._id,
         filename: resume.filename,
@@ -57,6 +89,7 @@ const uploadResume = async (req, res, next) => {
         fileSize: resume.fileSize,
         downloadUrl: resume.downloadUrl,
         parsingStatus: resume.parsedContent?.parsingStatus || 'pending',
+        unmappedFields: resume.parsedContent?.unmappedFields || [],
         createdAt: resume.createdAt
       }
     });
@@ -160,7 +193,7 @@ const getResumeById = async (req, res, next) => {
 };
 
 /**
- * @desc    Update resume metadata
+ * @desc    Update resume metadata and correct parsed content
  * @route   PUT /api/resumes/:resumeId
  * @access  Private (Owner only)
  */
@@ -191,9 +224,45 @@ const updateResume = async (req, res, next) => {
       }
     });
 
+    // Candidate corrections to parsed content are flagged as user-verified
+    const { corrections, confirmations } = req.body;
+    const hasCorrections = corrections?.length > 0 || confirmations?.length > 0;
+
+    if (hasCorrections) {
+      if (!resume.isParsingComplete) {
+        return res.status(400).json({
+          success: false,
+          error: 'Resume must finish parsing before it can be corrected'
+        });
+      }
+
+      const { parsedContent, errors } = resumeCorrectionService.applyCorrections(
+        resume.toObject().parsedContent,
+        corrections,
+        confirmations
+      );
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid corrections',
+          details: errors
+        });
+      }
+
+      resume.parsedContent = parsedContent;
+      resume.keywords = extractKeywords(parsedContent);
+      resume.extractedSkills = extractSkills(parsedContent);
+    }
+
     await resume.save();
 
-    logger.info(`Resume updated: ${resume.originalName} by ${req.user.email}`);
+    if (corrections?.length > 0) {
+      // Content changed - refresh the embedding and ATS analysis
+      generateEmbeddingInBackground(resume._id).then(() => analyzeATSInBackground(resume._id));
+    }
+
+    logger.info(`Resume updated: ${resume.originalName} by ${req.user.email}${hasCorrections ? ' (parsed content corrected)' : ''}`);
 
     res.status(200).json({
       success: true,
@@ -236,6 +305,7 @@ const deleteResume = async (req, res, next) => {
 
     // Delete from database
     await Resume.findByIdAndDelete(req.params.resumeId);
+    removeFromIndex('resumes', resume._id);
 
     logger.info(`Resume deleted: ${resume.originalName} by ${req.user.email}`);
 
@@ -380,6 +450,7 @@ const getResumeAnalysis = async (req, res, next) => {
       atsAnalysis: resume.atsAnalysis,
       extractedSkills: resume.extractedSkills,
       skillsSummary: resume.getSkillsSummary(),
+      employmentTimeline: resume.getEmploymentTimeline(),
       suggestionSummary: resume.suggestionSummary,
       parsingStatus: resume.parsedContent?.parsingStatus,
       lastAnalyzed: resume.atsAnalysis?.analyzedAt
@@ -396,6 +467,53 @@ const getResumeAnalysis = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get parsed fields with confidence for candidate review
+ * @route   GET /api/resumes/:resumeId/review
+ * @access  Private (Owner only)
+ */
+const getParsedFieldsReview = async (req, res, next) => {
+  try {
+    const resume = await Resume.findById(req.params.resumeId);
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    if (req.user.id.toString() !== resume.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    if (resume.parsedContent?.parsingStatus !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Resume parsing is not complete'
+      });
+    }
+
+    const review = resumeCorrectionService.buildReview(resume.toObject().parsedContent);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resumeId: resume._id,
+        title: resume.title,
+        ...review
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get parsed fields review error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get AI suggestions for resume improvement
  * @route   GET /api/resumes/:resumeId/suggestions
@@ -483,7 +601,7 @@ const applySuggestion = async (req, res, next) => {
  */
 const exportResume = async (req, res, next) => {
   try {
-    const { format, purpose, jobId } = req.body;
+    const { format, purpose, jobId, template } = req.body;
     const resume = await Resume.findById(req.params.resumeId);
 
     if (!resume) {
@@ -507,10 +625,13 @@ const exportResume = async (req, res, next) => {
     }
 
     // Export resume
-    const exportResult = await exportResumeToFormat(resume, format);
+    const exportResult = await exportResumeToFormat(resume, format, { template });
 
     // Add export record
-    await resume.addExportRecord(format, req.user.id, purpose, jobId);
+    await resume.addExportRecord(exportResult.format, req.user.id, purpose, jobId, {
+      filename: exportResult.filename,
+      expiresAt: exportResult.expiresAt
+    });
 
     logger.info(`Resume exported: ${resume.originalName} to ${format} by ${req.user.email}`);
 
@@ -526,6 +647,72 @@ const exportResume = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    List available resume export templates
+ * @route   GET /api/resumes/templates
+ * @access  Private
+ */
+const getResumeTemplates = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: resumeTemplateService.listTemplates()
+    });
+
+  } catch (error) {
+    logger.error('Get resume templates error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Preview resume rendered with a template
+ * @route   GET /api/resumes/:resumeId/preview
+ * @access  Private (Owner or Admin/Recruiter)
+ */
+const previewResume = async (req, res, next) => {
+  try {
+    const resume = await Resume.findById(req.params.resumeId);
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    // Check access permissions
+    const canAccess = 
+      req.user.id.toString() === resume.userId.toString() ||
+      req.user.role === 'admin' ||
+      req.user.role === 'recruiter';
+
+    if (!canAccess) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    if (!resume.isParsingComplete) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resume has not been parsed yet'
+      });
+    }
+
+    const html = await generateResumeHTML(resume, req.query.template, {
+      atsMode: req.query.ats === 'true'
+    });
+
+    res.status(200).type('html').send(html);
+
+  } catch (error) {
+    logger.error('Preview resume error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Search resumes (Admin/Recruiter)
  * @route   GET /api/resumes/search
@@ -707,13 +894,19 @@ const parseResumeInBackground = async (resumeId) => {
     const resume = await Resume.findById(resumeId);
     if (!resume) return;
 
+    // Keep the previous content so user-verified fields survive re-parsing
+    const previousContent = resume.toObject().parsedContent;
+
     // Update parsing status
     resume.parsedContent = resume.parsedContent || {};
     resume.parsedContent.parsingStatus = 'processing';
     await resume.save({ validateBeforeSave: false });
 
     // Parse resume content
-    const parsedContent = await parseResumeContent(resume.filePath, resume.mimeType);
+    const freshContent = resume.mimeType === 'application/json'
+      ? await importJSONResumeFile(resume.filePath)
+      : await parseResumeContent(resume.filePath, resume.mimeType);
+    const parsedContent = resumeCorrectionService.preserveVerifiedFields(previousContent, freshContent);
     
     // Update resume with parsed content
     resume.parsedContent = {
@@ -753,6 +946,24 @@ const parseResumeInBackground = async (resumeId) => {
   }
 };
 
+/**
+ * Map a JSON Resume file to parsedContent, with generated raw text so
+ * embeddings and AI analysis work the same as for parsed documents
+ */
+const importJSONResumeFile = async (filePath) => {
+  const { parsedContent, unmappedFields } = await jsonResumeService.importFile(filePath);
+
+  return {
+    ...parsedContent,
+    rawText: resumeExportService.buildPlainText(parsedContent),
+    source: 'json-resume',
+    unmappedFields,
+    parsingStatus: 'completed',
+    parsedAt: new Date(),
+    parsingVersion: '1.0'
+  };
+};
+
 /**
  * Background function to analyze ATS compatibility
  */
@@ -889,18 +1100,14 @@ const generateEmbeddingInBackground = async (resumeId) => {
     const content = buildResumeEmbeddingContent(resume);
     
     // Generate embedding
-    const embedding = await generateEmbedding(content);
+    const embedding = await generateEmbedding(content, { tags: cacheTags({ resumeId }) });
     
     // Update resume with embedding
     resume.embedding = embedding;
-    resume.embeddingMetadata = {
-      model: 'embedding-001',
-      dimensions: embedding.length,
-      generatedAt: new Date(),
-      version: '1.0'
-    };
+    resume.embeddingMetadata = getEmbeddingMetadata(embedding);
     
     await resume.save({ validateBeforeSave: false });
+    indexEmbedding('resumes', resume._id, embedding);
 
     logger.info(`Generated embedding for resume: ${resume.originalName}`);
 
@@ -949,9 +1156,12 @@ module.exports = {
   downloadResume,
   parseResume,
   getResumeAnalysis,
+  getParsedFieldsReview,
   getAISuggestions,
   applySuggestion,
   exportResume,
+  getResumeTemplates,
+  previewResume,
   searchResumes,
   setActiveResume,
   getResumeVersions,
@@ -0,0 +1,141 @@
+const { matchingSettingsService } = require('../services/matchingSettingsService');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get matching settings: built-in defaults, platform defaults and weight profiles
+ * @route   GET /api/admin/settings/matching
+ * @access  Private (Admin only)
+ */
+const getMatchingSettings = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: matchingSettingsService.getSettings()
+    });
+
+  } catch (error) {
+    logger.error('Get matching settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update platform default match weights and minimum match score
+ * @route   PUT /api/admin/settings/matching
+ * @access  Private (Admin only)
+ */
+const updateMatchingSettings = async (req, res, next) => {
+  try {
+    const { settings, errors } = await matchingSettingsService.updatePlatformSettings(req.body, req.user.id);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid matching settings',
+        details: errors
+      });
+    }
+
+    logger.info(`Matching settings updated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Matching settings updated',
+      data: settings
+    });
+
+  } catch (error) {
+    logger.error('Update matching settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create or replace a named weight profile
+ * @route   PUT /api/admin/settings/matching/profiles/:name
+ * @access  Private (Admin only)
+ */
+const upsertWeightProfile = async (req, res, next) => {
+  try {
+    const isNew = !matchingSettingsService.findProfile(req.params.name);
+    const { profile, errors } = await matchingSettingsService.upsertProfile(req.params.name, req.body, req.user.id);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid weight profile',
+        details: errors
+      });
+    }
+
+    logger.info(`Weight profile ${isNew ? 'created' : 'updated'}: ${profile.name} by ${req.user.email}`);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Weight profile created' : 'Weight profile updated',
+      data: profile
+    });
+
+  } catch (error) {
+    logger.error('Upsert weight profile error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a weight profile (jobs using it fall back to the platform defaults)
+ * @route   DELETE /api/admin/settings/matching/profiles/:name
+ * @access  Private (Admin only)
+ */
+const deleteWeightProfile = async (req, res, next) => {
+  try {
+    const removed = await matchingSettingsService.removeProfile(req.params.name, req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Weight profile not found'
+      });
+    }
+
+    logger.info(`Weight profile deleted: ${req.params.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Weight profile deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete weight profile error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List weight profiles recruiters can pick for a job, with the platform defaults
+ * @route   GET /api/jobs/matching-profiles
+ * @access  Private (Recruiter/Admin)
+ */
+const getWeightProfiles = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        platform: matchingSettingsService.getPlatformProfile(),
+        profiles: matchingSettingsService.getProfiles()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get weight profiles error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMatchingSettings,
+  updateMatchingSettings,
+  upsertWeightProfile,
+  deleteWeightProfile,
+  getWeightProfiles
+};
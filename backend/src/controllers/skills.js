@@ -0,0 +1,112 @@
+const { skillsTaxonomyService } = require('../services/skillsTaxonomyService');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    List taxonomy skills, optionally filtered by search term or category
+ * @route   GET /api/skills
+ * @access  Private
+ */
+const getSkills = async (req, res, next) => {
+  try {
+    const skills = skillsTaxonomyService.listSkills({
+      q: req.query.q,
+      category: req.query.category
+    });
+
+    res.status(200).json({
+      success: true,
+      count: skills.length,
+      data: skills
+    });
+
+  } catch (error) {
+    logger.error('Get skills error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List taxonomy categories with their parent path
+ * @route   GET /api/skills/categories
+ * @access  Private
+ */
+const getSkillCategories = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: skillsTaxonomyService.listCategories()
+    });
+
+  } catch (error) {
+    logger.error('Get skill categories error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a skill to the taxonomy, or extend an existing one with aliases and related skills
+ * @route   POST /api/skills
+ * @access  Private (Admin only)
+ */
+const upsertSkill = async (req, res, next) => {
+  try {
+    const isNew = !skillsTaxonomyService.findSkill(req.body.skillId || req.body.name);
+    const { skill, errors } = await skillsTaxonomyService.upsertSkill(req.body, req.user.id);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid skill definition',
+        details: errors
+      });
+    }
+
+    logger.info(`Skills taxonomy ${isNew ? 'skill added' : 'skill extended'}: ${skill.id} by ${req.user.email}`);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Skill added to taxonomy' : 'Skill updated',
+      data: skill
+    });
+
+  } catch (error) {
+    logger.error('Upsert skill error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove an admin extension (bundled skills keep their built-in definition)
+ * @route   DELETE /api/skills/:skillId
+ * @access  Private (Admin only)
+ */
+const deleteCustomSkill = async (req, res, next) => {
+  try {
+    const removed = await skillsTaxonomyService.removeCustomSkill(req.params.skillId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom skill entry not found'
+      });
+    }
+
+    logger.info(`Skills taxonomy entry removed: ${req.params.skillId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom skill entry removed'
+    });
+
+  } catch (error) {
+    logger.error('Delete custom skill error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getSkills,
+  getSkillCategories,
+  upsertSkill,
+  deleteCustomSkill
+};
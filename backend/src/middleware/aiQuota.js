@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { aiUsageService } = require('../../ai-services/AIUsageService');
+const logger = require('../utils/logger');
+
+const usageContext = (req) => ({
+  userId: req.user._id,
+  role: req.user.role,
+  endpoint: `${req.baseUrl}${req.route.path}`,
+  requestId: crypto.randomUUID()
+});
+
+const setQuotaHeaders = (res, quota) => {
+  if (quota.limit === null) return;
+
+  res.set({
+    'X-AI-Quota-Limit': String(quota.limit),
+    'X-AI-Quota-Remaining': String(quota.remaining),
+    'X-AI-Quota-Reset': quota.resetAt.toISOString()
+  });
+};
+
+/**
+ * Middleware for AI endpoints (after protect): counts the request against
+ * the user's daily quota for their role, answering 429 with the reset time
+ * once it's used up, and bills the AI calls made while handling the request
+ * to the user and endpoint in the usage ledger. Requests that fail with a
+ * server error don't count.
+ */
+const aiQuota = async (req, res, next) => {
+  try {
+    const quota = await aiUsageService.consumeQuota(req.user);
+    setQuotaHeaders(res, quota);
+
+    if (!quota.allowed) {
+      res.set('Retry-After', String(Math.ceil((quota.resetAt - Date.now()) / 1000)));
+      logger.warn(`AI daily quota reached for user ${req.user.id} (${req.user.role})`);
+
+      return res.status(429).json({
+        success: false,
+        error: `Daily AI request limit of ${quota.limit} reached. Try again after ${quota.resetAt.toISOString()}`,
+        details: {
+          limit: quota.limit,
+          used: quota.used,
+          resetAt: quota.resetAt
+        }
+      });
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode >= 500) aiUsageService.releaseQuota(req.user, quota.date);
+    });
+
+    aiUsageService.runWithContext(usageContext(req), next);
+
+  } catch (error) {
+    logger.error('AI quota middleware error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Middleware for routes that start AI work as a side effect (embedding an
+ * uploaded resume or a new job): bills those calls to the user and endpoint
+ * without counting against the daily quota
+ */
+const trackAIUsage = (req, res, next) => {
+  aiUsageService.runWithContext(usageContext(req), next);
+};
+
+module.exports = { aiQuota, trackAIUsage };
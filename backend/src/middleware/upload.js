@@ -62,13 +62,19 @@ const documentFileFilter = (req, file, cb) => {
     'application/pdf',
     'application/msword',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
+    'text/plain',
+    'application/json'
   ];
   
+  // Browsers often send resume.json without a JSON mimetype
+  if (path.extname(file.originalname).toLowerCase() === '.json') {
+    file.mimetype = 'application/json';
+  }
+  
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid document type. Only PDF, DOC, DOCX, and TXT are allowed.'), false);
+    cb(new Error('Invalid document type. Only PDF, DOC, DOCX, TXT, and JSON Resume files are allowed.'), false);
   }
 };
 
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AICacheEntry:
+ *       type: object
+ *       description: Cached AI result (embedding, analysis, suggestions or
+ *         optimization), used when Redis isn't available
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Namespace and content hash of the request
+ *         namespace:
+ *           type: string
+ *           description: What was cached (e.g. "embedding", "atsAnalysis")
+ *         payload:
+ *           type: string
+ *           description: Cached result as JSON
+ *         size:
+ *           type: number
+ *           description: Payload size in bytes
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Resumes and jobs the result belongs to (e.g. "resume:<id>")
+ *         hits:
+ *           type: number
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const aiCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  namespace: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  tags: {
+    type: [String],
+    index: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes entries once they expire
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AICacheEntry', aiCacheEntrySchema);
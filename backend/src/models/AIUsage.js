@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AIUsage:
+ *       type: object
+ *       description: Usage ledger entry, one per AI model call (text
+ *         generation or embedding), with token counts and estimated cost
+ *       properties:
+ *         userId:
+ *           type: string
+ *           description: User whose request made the call (empty for background jobs)
+ *         role:
+ *           type: string
+ *         endpoint:
+ *           type: string
+ *           description: API route of the request (e.g. /api/ai/analyze/resume)
+ *         requestId:
+ *           type: string
+ *         task:
+ *           type: string
+ *           description: AI task (e.g. atsAnalysis, embedding)
+ *         provider:
+ *           type: string
+ *         model:
+ *           type: string
+ *         inputTokens:
+ *           type: number
+ *         outputTokens:
+ *           type: number
+ *         tokensEstimated:
+ *           type: boolean
+ *           description: Token counts estimated from text length (provider didn't report usage)
+ *         latencyMs:
+ *           type: number
+ *         cost:
+ *           type: number
+ *           description: Estimated cost in USD
+ *         success:
+ *           type: boolean
+ *         error:
+ *           type: string
+ */
+
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: String,
+  endpoint: String,
+  requestId: String,
+  task: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  model: String,
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  tokensEstimated: {
+    type: Boolean,
+    default: false
+  },
+  latencyMs: Number,
+  cost: {
+    type: Number,
+    default: 0
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  error: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+aiUsageSchema.index({ createdAt: -1 });
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ endpoint: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AIUsageDaily:
+ *       type: object
+ *       description: A user's AI usage for one UTC day; `requests` is checked
+ *         against the daily quota for their role
+ *       properties:
+ *         userId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           description: UTC day (YYYY-MM-DD)
+ *         role:
+ *           type: string
+ *         requests:
+ *           type: number
+ *           description: AI API requests counted against the quota
+ *         calls:
+ *           type: number
+ *           description: Model calls made for those requests
+ *         inputTokens:
+ *           type: number
+ *         outputTokens:
+ *           type: number
+ *         cost:
+ *           type: number
+ */
+
+const aiUsageDailySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  role: String,
+  requests: {
+    type: Number,
+    default: 0
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+aiUsageDailySchema.index({ userId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('AIUsageDaily', aiUsageDailySchema);
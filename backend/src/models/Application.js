@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+
+const APPLICATION_STATUSES = ['pending', 'reviewing', 'shortlisted', 'interviewed', 'offered', 'hired', 'rejected'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Application:
+ *       type: object
+ *       description: A candidate's application to a job
+ *       required:
+ *         - job
+ *         - candidate
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Application ID
+ *         job:
+ *           type: string
+ *           description: Job ID
+ *         candidate:
+ *           type: string
+ *           description: Candidate user ID
+ *         appliedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, reviewing, shortlisted, interviewed, offered, hired, rejected]
+ *           default: pending
+ *         resume:
+ *           type: string
+ *           description: Resume ID submitted with the application
+ *         coverLetter:
+ *           type: string
+ *         matchScore:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *         matchDetails:
+ *           type: object
+ *         screening:
+ *           type: object
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *         notes:
+ *           type: array
+ *           items:
+ *             type: object
+ *         interviews:
+ *           type: array
+ *           items:
+ *             type: object
+ */
+
+const applicationSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'pending'
+  },
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume'
+  },
+  coverLetter: {
+    type: String,
+    maxlength: [2000, 'Cover letter cannot exceed 2000 characters']
+  },
+  matchScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Set when the application has been scored against the job (MatchScoringQueue)
+  matchDetails: {
+    breakdown: {
+      semantic: Number,
+      skills: Number,
+      experience: Number,
+      keywords: Number
+    },
+    weightProfile: String,
+    matchedSkills: [String],
+    missingRequiredSkills: [String],
+    requirementsMet: Boolean,
+    scoredAt: Date
+  },
+  screening: {
+    answers: [{
+      questionId: mongoose.Schema.Types.ObjectId,
+      question: String,
+      type: {
+        type: String
+      },
+      answer: mongoose.Schema.Types.Mixed,
+      passed: Boolean // Whether the answer meets the question's knockout rule
+    }],
+    result: {
+      type: String,
+      enum: ['passed', 'flagged', 'rejected']
+    },
+    reasons: [String],
+    screenedAt: Date
+  },
+  // Every status change, in order (see applicationPipelineService)
+  statusHistory: [{
+    from: String, // null for the status the application was submitted with
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Status change reason cannot exceed 500 characters']
+    },
+    automated: {
+      type: Boolean,
+      default: false
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    content: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  interviews: [{
+    type: {
+      type: String,
+      enum: ['phone', 'video', 'onsite', 'technical', 'behavioral']
+    },
+    scheduledAt: Date,
+    duration: Number, // in minutes
+    interviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    location: {
+      type: String, // Address or meeting link
+      maxlength: [500, 'Interview location cannot exceed 500 characters']
+    },
+    // Revision of the calendar invite, bumped whenever it's re-sent
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'completed', 'cancelled', 'no-show'],
+      default: 'scheduled'
+    },
+    feedback: {
+      type: String,
+      maxlength: [2000, 'Interview feedback cannot exceed 2000 characters']
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+applicationSchema.index({ job: 1, candidate: 1 }, { unique: true });
+applicationSchema.index({ candidate: 1, appliedAt: -1 });
+applicationSchema.index({ job: 1, status: 1, appliedAt: -1 });
+applicationSchema.index({ job: 1, matchScore: -1 });
+applicationSchema.index({ appliedAt: -1 });
+applicationSchema.index({ 'interviews.interviewer': 1, 'interviews.scheduledAt': 1 });
+
+// Static method to count a job's applications by status
+applicationSchema.statics.getStatusCounts = async function(jobId) {
+  const counts = await this.aggregate([
+    { $match: { job: new mongoose.Types.ObjectId(jobId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const stats = { total: 0 };
+  APPLICATION_STATUSES.forEach(status => {
+    stats[status] = 0;
+  });
+  counts.forEach(({ _id, count }) => {
+    stats[_id] = count;
+    stats.total += count;
+  });
+
+  return stats;
+};
+
+/**
+ * Screening answers of a job's applications, counted in one pass: one row
+ * per (screening result, question, answer, knockout passed) with how many
+ * answers it covers, and how many applications it's the first answer of
+ * (applications without answers count once, with no question), so the
+ * applications per result add up without counting anyone twice
+ */
+applicationSchema.statics.getScreeningCounts = function(jobId) {
+  return this.aggregate([
+    { $match: { job: new mongoose.Types.ObjectId(jobId) } },
+    { $unwind: { path: '$screening.answers', includeArrayIndex: 'answerIndex', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: {
+          result: '$screening.result',
+          questionId: '$screening.answers.questionId',
+          answer: '$screening.answers.answer',
+          passed: '$screening.answers.passed'
+        },
+        answers: { $sum: { $cond: [{ $ifNull: ['$screening.answers.questionId', false] }, 1, 0] } },
+        applications: { $sum: { $cond: [{ $gt: ['$answerIndex', 0] }, 0, 1] } }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Application', applicationSchema);
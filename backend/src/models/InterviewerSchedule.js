@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InterviewerSchedule:
+ *       type: object
+ *       description: The slots an interviewer's upcoming scheduled interviews
+ *         take. One document per interviewer, so a slot is claimed with a
+ *         single conditional update that fails if it overlaps another
+ *         (see interviewService.reserveSlot)
+ *       properties:
+ *         interviewer:
+ *           type: string
+ *         slots:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               interview:
+ *                 type: string
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ */
+
+const interviewerScheduleSchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slots: [{
+    _id: false,
+    interview: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+interviewerScheduleSchema.index({ interviewer: 1 }, { unique: true });
+
+module.exports = mongoose.model('InterviewerSchedule', interviewerScheduleSchema);
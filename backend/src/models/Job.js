@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { skillsTaxonomyService } = require('../services/skillsTaxonomyService');
 
 /**
  * @swagger
@@ -103,16 +104,13 @@ const mongoose = require('mongoose');
  *         postedBy:
  *           type: string
  *           description: Recruiter user ID
- *         applications:
- *           type: array
- *           items:
- *             type: object
  *         viewCount:
  *           type: number
  *           default: 0
  *         applicationCount:
  *           type: number
  *           default: 0
+ *           description: Number of applications (stored in the Application collection)
  *         tags:
  *           type: array
  *           items:
@@ -301,75 +299,6 @@ const jobSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Posted by user is required']
   },
-  applications: [{
-    candidate: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    appliedAt: {
-      type: Date,
-      default: Date.now
-    },
-    status: {
-      type: String,
-      enum: ['pending', 'reviewing', 'shortlisted', 'interviewed', 'offered', 'hired', 'rejected'],
-      default: 'pending'
-    },
-    resume: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Resume'
-    },
-    coverLetter: {
-      type: String,
-      maxlength: [2000, 'Cover letter cannot exceed 2000 characters']
-    },
-    matchScore: {
-      type: Number,
-      min: 0,
-      max: 100
-    },
-    notes: [{
-      author: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      content: {
-        type: String,
-        maxlength: [1000, 'Note cannot exceed 1000 characters']
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now
-      }
-    }],
-    interviews: [{
-      type: {
-        type: String,
-        enum: ['phone', 'video', 'onsite', 'technical', 'behavioral']
-      },
-      scheduledAt: Date,
-      duration: Number, // in minutes
-      interviewer: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      status: {
-        type: String,
-        enum: ['scheduled', 'completed', 'cancelled', 'no-show'],
-        default: 'scheduled'
-      },
-      feedback: {
-        type: String,
-        maxlength: [2000, 'Interview feedback cannot exceed 2000 characters']
-      },
-      rating: {
-        type: Number,
-        min: 1,
-        max: 5
-      }
-    }]
-  }],
   viewCount: {
     type: Number,
     default: 0,
@@ -421,7 +350,27 @@ const jobSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
-      options: [String] // For multiple-choice questions
+      options: [String], // For multiple-choice questions
+      maxRating: {
+        type: Number, // For rating questions (answers are 1 to maxRating)
+        min: [2, 'Maximum rating must be at least 2'],
+        max: [10, 'Maximum rating cannot exceed 10'],
+        default: 5
+      },
+      // Knockout rule: applicants not meeting it are rejected or flagged
+      knockout: {
+        expected: {
+          type: String, // For yes-no questions
+          enum: ['yes', 'no']
+        },
+        acceptedOptions: [String], // For multiple-choice questions
+        minRating: Number, // For rating questions
+        action: {
+          type: String,
+          enum: ['reject', 'flag'],
+          default: 'flag'
+        }
+      }
     }],
     enabled: {
       type: Boolean,
@@ -456,6 +405,7 @@ const jobSchema = new mongoose.Schema({
   matchingCriteria: {
     requiredSkills: [{
       skill: String,
+      skillId: String, // Canonical ID from the skills taxonomy
       importance: {
         type: String,
         enum: ['nice-to-have', 'preferred', 'required'],
@@ -474,6 +424,40 @@ const jobSchema = new mongoose.Schema({
     educationRequired: {
       type: Boolean,
       default: false
+    },
+    // Named weight profile from the matching settings (e.g. "senior-roles")
+    weightProfile: {
+      type: String,
+      trim: true
+    },
+    // Per-job weights, merged over the profile/platform weights and rescaled to total 1
+    weights: {
+      semantic: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      skills: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      experience: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      keywords: {
+        type: Number,
+        min: 0,
+        max: 1
+      }
+    },
+    // Minimum overall score for a resume to count as a match
+    minMatchScore: {
+      type: Number,
+      min: 0,
+      max: 100
     }
   }
 }, {
@@ -531,37 +515,6 @@ jobSchema.virtual('salary.range').get(function() {
   }
 });
 
-// Virtual for application statistics
-jobSchema.virtual('applicationStats').get(function() {
-  if (!this.applications || this.applications.length === 0) {
-    return {
-      total: 0,
-      pending: 0,
-      reviewing: 0,
-      shortlisted: 0,
-      interviewed: 0,
-      hired: 0,
-      rejected: 0
-    };
-  }
-
-  const stats = {
-    total: this.applications.length,
-    pending: 0,
-    reviewing: 0,
-    shortlisted: 0,
-    interviewed: 0,
-    hired: 0,
-    rejected: 0
-  };
-
-  this.applications.forEach(app => {
-    stats[app.status]++;
-  });
-
-  return stats;
-});
-
 // Virtual for time since posted
 jobSchema.virtual('timePosted').get(function() {
   const now = new Date();
@@ -592,10 +545,15 @@ jobSchema.virtual('deadlineStatus').get(function() {
   return 'normal';
 });
 
-// Pre-save middleware to update application count
+// Pre-save middleware to normalize skills to the taxonomy
 jobSchema.pre('save', function(next) {
-  if (this.isModified('applications')) {
-    this.applicationCount = this.applications.length;
+  if (this.isModified('skills')) {
+    this.skills = skillsTaxonomyService.normalizeSkillList(this.skills);
+  }
+  if (this.isModified('matchingCriteria.requiredSkills') && this.matchingCriteria?.requiredSkills) {
+    this.matchingCriteria.requiredSkills = skillsTaxonomyService.normalizeRequiredSkills(
+      this.matchingCriteria.requiredSkills.map(entry => entry.toObject())
+    );
   }
   next();
 });
@@ -623,15 +581,9 @@ jobSchema.pre('save', function(next) {
   next();
 });
 
-// Method to check if user can apply
-jobSchema.methods.canApply = function(userId) {
-  // Check if already applied
-  const hasApplied = this.applications.some(app => 
-    app.candidate.toString() === userId.toString()
-  );
-  
-  if (hasApplied) return { canApply: false, reason: 'Already applied' };
-  
+// Method to check if the job takes applications (whether the user already
+// applied is checked against the Application collection)
+jobSchema.methods.canApply = function() {
   // Check if job is active
   if (this.status !== 'active') return { canApply: false, reason: 'Job is not active' };
   
@@ -649,30 +601,22 @@ jobSchema.methods.canApply = function(userId) {
   return { canApply: true };
 };
 
-// Method to add application
-jobSchema.methods.addApplication = function(applicationData) {
-  this.applications.push(applicationData);
-  this.applicationCount = this.applications.length;
-  return this.save();
-};
-
-// Method to update application status
-jobSchema.methods.updateApplicationStatus = function(candidateId, status, notes = null) {
-  const application = this.applications.find(app => 
-    app.candidate.toString() === candidateId.toString()
+// Method to count a new application, closing the job once it reaches its maximum
+jobSchema.methods.incrementApplicationCount = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { applicationCount: 1 } },
+    { new: true, projection: { applicationCount: 1 } }
   );
-  
-  if (!application) {
-    throw new Error('Application not found');
-  }
-  
-  application.status = status;
-  
-  if (notes) {
-    application.notes.push(notes);
+  if (!updated) return this;
+  this.applicationCount = updated.applicationCount;
+
+  if (this.autoClose.enabled && this.autoClose.maxApplications &&
+      this.applicationCount >= this.autoClose.maxApplications && this.status === 'active') {
+    this.status = 'closed';
+    await this.constructor.updateOne({ _id: this._id, status: 'active' }, { status: 'closed' });
   }
-  
-  return this.save();
+  return this;
 };
 
 // Method to increment view count
@@ -795,6 +739,7 @@ jobSchema.statics.advancedSearch = function(searchParams) {
   }
   
   return this.find(query)
+    .select('-screening.questions.knockout') // Knockout rules aren't shown to applicants
     .populate('postedBy', 'profile.firstName profile.lastName profile.company')
     .sort(sort)
     .skip(skip)
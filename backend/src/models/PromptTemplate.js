@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromptTemplate:
+ *       type: object
+ *       description: A version of a named AI prompt (one per task, e.g.
+ *         resumeSuggestions). Built-in "v1" templates live in code; versions
+ *         added here take effect without a deploy once traffic is routed to them.
+ *       required:
+ *         - name
+ *         - version
+ *         - template
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Prompt name (the AI task it's used for)
+ *         version:
+ *           type: string
+ *           description: Version label, unique per prompt (e.g. v2)
+ *         template:
+ *           type: string
+ *           description: Prompt text with {{variable}} placeholders
+ *         description:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ */
+
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Prompt name is required'],
+    trim: true
+  },
+  version: {
+    type: String,
+    required: [true, 'Prompt version is required'],
+    trim: true,
+    match: [/^[a-zA-Z0-9._-]+$/, 'Version may only contain letters, numbers, dots, dashes and underscores']
+  },
+  template: {
+    type: String,
+    required: [true, 'Prompt template is required'],
+    maxlength: [20000, 'Prompt template cannot exceed 20000 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const path = require('path');
+const { buildTimeline } = require('../utils/dateRanges');
+const { skillsTaxonomyService } = require('../services/skillsTaxonomyService');
 
 /**
  * @swagger
@@ -106,7 +108,8 @@ const resumeSchema = new mongoose.Schema({
       'application/pdf',
       'application/msword',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
+      'text/plain',
+      'application/json'
     ]
   },
   filePath: {
@@ -227,10 +230,82 @@ const resumeSchema = new mongoose.Schema({
     },
     parsingError: String,
     parsedAt: Date,
+    // 'json-resume' when imported from a JSON Resume document instead of parsed from text
+    source: {
+      type: String,
+      enum: ['text', 'json-resume'],
+      default: 'text'
+    },
+    unmappedFields: [String],
     parsingVersion: {
       type: String,
       default: '1.0'
-    }
+    },
+    // How the text was read: 'layout' (positioned PDF text), 'text' (flat)
+    // or 'ocr' (scanned PDF with no usable text layer)
+    layout: {
+      method: {
+        type: String,
+        enum: ['layout', 'text', 'ocr']
+      },
+      pages: Number,
+      columns: [Number], // Detected columns per page
+      headingsDetected: Number
+    },
+    // Set when the text was recovered from page images
+    ocr: {
+      used: {
+        type: Boolean,
+        default: false
+      },
+      engine: String,
+      language: String,
+      confidence: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      pagesProcessed: Number
+    },
+    // Per-section parsing confidence (0-1)
+    sectionConfidence: [{
+      section: String,
+      confidence: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      headingDetected: Boolean,
+      source: {
+        type: String,
+        enum: ['layout', 'text']
+      },
+      entries: Number
+    }],
+    // Per-field confidence, keyed by path (e.g. 'experience.0.company').
+    // Verified fields were confirmed or corrected by the candidate and are
+    // kept when the resume is re-parsed.
+    fieldConfidence: [{
+      path: {
+        type: String,
+        required: true
+      },
+      confidence: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      span: {
+        start: Number,
+        end: Number
+      },
+      sourceText: String,
+      verified: {
+        type: Boolean,
+        default: false
+      },
+      verifiedAt: Date
+    }]
   },
   
   // ATS compatibility analysis
@@ -309,6 +384,11 @@ const resumeSchema = new mongoose.Schema({
       default: 'medium'
     },
     category: String, // e.g., 'action-verbs', 'quantification', 'keywords'
+    // Prompt that produced it (PromptRegistry)
+    prompt: {
+      name: String,
+      version: String
+    },
     applied: {
       type: Boolean,
       default: false
@@ -355,6 +435,7 @@ const resumeSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    skillId: String, // Canonical ID from the skills taxonomy
     confidence: {
       type: Number,
       min: 0,
@@ -364,6 +445,11 @@ const resumeSchema = new mongoose.Schema({
     category: {
       type: String,
       enum: ['technical', 'soft', 'language', 'tool', 'framework', 'certification']
+    },
+    // Prompt that extracted it; unset for skills found by the resume parser
+    prompt: {
+      name: String,
+      version: String
     }
   }],
   
@@ -417,6 +503,7 @@ const resumeSchema = new mongoose.Schema({
       default: Date.now
     },
     matchDetails: {
+      semanticMatch: Number,
       skillsMatch: Number,
       experienceMatch: Number,
       educationMatch: Number,
@@ -443,7 +530,10 @@ const resumeSchema = new mongoose.Schema({
     jobId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Job'
-    }
+    },
+    filename: String, // Generated file in the exports directory
+    expiresAt: Date,
+    purgedAt: Date
   }]
 }, {
   timestamps: true,
@@ -454,8 +544,10 @@ const resumeSchema = new mongoose.Schema({
 // Indexes for performance
 resumeSchema.index({ userId: 1, isActive: 1 });
 resumeSchema.index({ userId: 1, createdAt: -1 });
+resumeSchema.index({ 'exports.filename': 1 });
 resumeSchema.index({ keywords: 1 });
 resumeSchema.index({ 'extractedSkills.skill': 1 });
+resumeSchema.index({ 'extractedSkills.skillId': 1 });
 resumeSchema.index({ atsScore: -1 });
 resumeSchema.index({ 'parsedContent.parsingStatus': 1 });
 resumeSchema.index({ mimeType: 1 });
@@ -552,6 +644,16 @@ resumeSchema.pre('save', async function(next) {
   next();
 });
 
+// Pre-save middleware to normalize extracted skills to the taxonomy
+resumeSchema.pre('save', function(next) {
+  if (this.isModified('extractedSkills')) {
+    this.extractedSkills = skillsTaxonomyService.normalizeExtractedSkills(
+      this.extractedSkills.map(entry => entry.toObject())
+    );
+  }
+  next();
+});
+
 // Method to increment download count
 resumeSchema.methods.incrementDownloadCount = function() {
   this.downloadCount++;
@@ -584,12 +686,14 @@ resumeSchema.methods.addMatchHistory = function(jobId, matchScore, matchDetails)
 };
 
 // Method to add export record
-resumeSchema.methods.addExportRecord = function(format, exportedBy, purpose, jobId) {
+resumeSchema.methods.addExportRecord = function(format, exportedBy, purpose, jobId, file = {}) {
   this.exports.push({
     format,
     exportedBy,
     purpose,
     jobId,
+    filename: file.filename,
+    expiresAt: file.expiresAt,
     exportedAt: new Date()
   });
   
@@ -601,6 +705,11 @@ resumeSchema.methods.addExportRecord = function(format, exportedBy, purpose, job
   return this.save({ validateBeforeSave: false });
 };
 
+// Method to find an export record by its generated filename
+resumeSchema.methods.getExportRecord = function(filename) {
+  return this.exports.find(record => record.filename === filename);
+};
+
 // Method to apply AI suggestion
 resumeSchema.methods.applySuggestion = function(suggestionId) {
   const suggestion = this.aiSuggestions.id(suggestionId);
@@ -646,6 +755,11 @@ resumeSchema.methods.getSkillsSummary = function() {
   return summary;
 };
 
+// Method to get the employment timeline (month ranges, overlaps and gaps)
+resumeSchema.methods.getEmploymentTimeline = function(options) {
+  return buildTimeline(this.parsedContent?.experience || [], options);
+};
+
 // Static method to find resumes by skills
 resumeSchema.statics.findBySkills = function(skills, limit = 10) {
   return this.find({
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Setting:
+ *       type: object
+ *       description: Platform setting managed by admins, stored as a keyed
+ *         document (e.g. "matching" for match weights and thresholds)
+ *       required:
+ *         - key
+ *         - value
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Setting name (e.g. "matching")
+ *         value:
+ *           type: object
+ *           description: Setting payload; its shape depends on the key
+ *         updatedBy:
+ *           type: string
+ *           description: Admin who last changed the setting
+ */
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Setting value is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
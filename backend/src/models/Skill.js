@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Skill:
+ *       type: object
+ *       description: Admin extension to the bundled skills taxonomy. An entry
+ *         with the id of a bundled skill adds aliases and related skills to it.
+ *       required:
+ *         - skillId
+ *       properties:
+ *         skillId:
+ *           type: string
+ *           description: Canonical skill ID (lowercase, e.g. "kubernetes")
+ *         name:
+ *           type: string
+ *           description: Display name (required for new skills)
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Alternative spellings and abbreviations (e.g. "k8s")
+ *         category:
+ *           type: string
+ *           description: Taxonomy category ID (e.g. "devops")
+ *         type:
+ *           type: string
+ *           enum: [technical, soft, language, tool, framework, certification]
+ *         related:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of related skills
+ *         createdBy:
+ *           type: string
+ *           description: Admin who created the entry
+ */
+
+const skillSchema = new mongoose.Schema({
+  skillId: {
+    type: String,
+    required: [true, 'Skill ID is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9.+#-]*$/, 'Skill ID may only contain lowercase letters, numbers, ".", "+", "#" and "-"'],
+    maxlength: [50, 'Skill ID cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Skill name cannot exceed 50 characters']
+  },
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: [50, 'Each alias cannot exceed 50 characters']
+  }],
+  category: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['technical', 'soft', 'language', 'tool', 'framework', 'certification']
+  },
+  related: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Skill', skillSchema);
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { skillsTaxonomyService } = require('../services/skillsTaxonomyService');
 
 /**
  * @swagger
@@ -263,6 +264,14 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to normalize profile skills to the taxonomy
+userSchema.pre('save', function(next) {
+  if (this.isModified('profile.skills') && this.profile?.skills) {
+    this.profile.skills = skillsTaxonomyService.normalizeSkillList(this.profile.skills);
+  }
+  next();
+});
+
 // Pre-save middleware to update profile completion
 userSchema.pre('save', function(next) {
   if (this.isModified('profile')) {
@@ -1,4 +1,28 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getMatchingSettings,
+  updateMatchingSettings,
+  upsertWeightProfile,
+  deleteWeightProfile
+} = require('../controllers/settings');
+const {
+  getAICacheStats,
+  clearAICache,
+  invalidateResumeCache,
+  invalidateJobCache
+} = require('../controllers/aiCache');
+const { getAIUsageReport } = require('../controllers/aiUsage');
+const {
+  getPrompts,
+  getPromptVersion,
+  createPromptVersion,
+  setPromptTraffic,
+  deletePromptVersion
+} = require('../controllers/prompts');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
 const router = express.Router();
 
 // Placeholder for admin routes
@@ -6,4 +30,84 @@ router.get('/', (req, res) => {
   res.json({ message: 'Admin routes - Coming soon' });
 });
 
+const weightValidation = (field, optional = true) => {
+  const chain = body(field);
+  return (optional ? chain.optional({ values: 'null' }) : chain)
+    .isObject()
+    .withMessage('Weights must be an object with semantic, skills, experience and keywords');
+};
+
+const minMatchScoreValidation = body('minMatchScore')
+  .optional({ values: 'null' })
+  .isFloat({ min: 0, max: 100 })
+  .withMessage('Minimum match score must be between 0 and 100');
+
+router.get('/settings/matching', protect, authorize('admin'), getMatchingSettings);
+router.put('/settings/matching', protect, authorize('admin'), [
+  weightValidation('weights'),
+  minMatchScoreValidation
+], validate, updateMatchingSettings);
+router.put('/settings/matching/profiles/:name', protect, authorize('admin'), [
+  param('name')
+    .matches(/^[a-z0-9][a-z0-9-]*$/)
+    .isLength({ max: 50 })
+    .withMessage('Profile name must be lowercase letters, numbers and dashes (max 50)'),
+  weightValidation('weights', false),
+  body('label')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  minMatchScoreValidation
+], validate, upsertWeightProfile);
+router.delete('/settings/matching/profiles/:name', protect, authorize('admin'), deleteWeightProfile);
+
+router.get('/ai-cache', protect, authorize('admin'), getAICacheStats);
+router.delete('/ai-cache', protect, authorize('admin'), [
+  query('namespace')
+    .optional()
+    .matches(/^[a-zA-Z]+$/)
+    .withMessage('Namespace must be a cache namespace such as embedding or atsAnalysis')
+], validate, clearAICache);
+router.delete('/ai-cache/resumes/:resumeId', protect, authorize('admin'), [
+  param('resumeId').isMongoId().withMessage('Valid resume ID is required')
+], validate, invalidateResumeCache);
+router.delete('/ai-cache/jobs/:jobId', protect, authorize('admin'), [
+  param('jobId').isMongoId().withMessage('Valid job ID is required')
+], validate, invalidateJobCache);
+
+router.get('/ai-usage', protect, authorize('admin'), [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], validate, getAIUsageReport);
+
+router.get('/prompts', protect, authorize('admin'), getPrompts);
+router.get('/prompts/:name/versions/:version', protect, authorize('admin'), getPromptVersion);
+router.post('/prompts/:name/versions', protect, authorize('admin'), [
+  body('version')
+    .matches(/^[a-zA-Z0-9._-]{1,50}$/)
+    .withMessage('Version must be up to 50 letters, numbers, dots, dashes or underscores'),
+  body('template')
+    .isString()
+    .isLength({ min: 20, max: 20000 })
+    .withMessage('Template must be between 20 and 20000 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+], validate, createPromptVersion);
+router.put('/prompts/:name/traffic', protect, authorize('admin'), [
+  body('traffic')
+    .isObject()
+    .withMessage('Traffic must be an object of version to percentage')
+], validate, setPromptTraffic);
+router.delete('/prompts/:name/versions/:version', protect, authorize('admin'), deletePromptVersion);
+
 module.exports = router;
@@ -12,10 +12,12 @@ const {
   extractSkills,
   optimizeJobDescriptionWithAI,
   bulkGenerateResumeEmbeddings,
-  bulkGenerateJobEmbeddings
+  bulkGenerateJobEmbeddings,
+  getMyAIUsage
 } = require('../controllers/aiController');
 const { protect, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { aiQuota } = require('../middleware/aiQuota');
 
 const router = express.Router();
 
@@ -59,26 +61,27 @@ const analysisValidation = [
 
 // Routes
 router.get('/health', protect, authorize('admin'), getHealthStatus);
-router.post('/embedding', protect, embeddingValidation, validate, generateTextEmbedding);
-router.post('/match/resume-to-job', protect, matchValidation, validate, matchResumeToJob);
-router.post('/match/job-recommendations', protect, authorize('candidate', 'admin'), recommendationsValidation, validate, getJobRecommendations);
-router.post('/match/candidate-recommendations', protect, authorize('recruiter', 'admin'), recommendationsValidation, validate, getCandidateRecommendations);
-router.post('/analyze/resume', protect, analysisValidation, validate, analyzeResumeWithAI);
-router.post('/suggestions/resume', protect, analysisValidation, validate, getResumeSuggestions);
-router.post('/optimize/resume-for-job', protect, matchValidation, validate, optimizeResumeForSpecificJob);
+router.get('/usage', protect, getMyAIUsage);
+router.post('/embedding', protect, embeddingValidation, validate, aiQuota, generateTextEmbedding);
+router.post('/match/resume-to-job', protect, matchValidation, validate, aiQuota, matchResumeToJob);
+router.post('/match/job-recommendations', protect, authorize('candidate', 'admin'), recommendationsValidation, validate, aiQuota, getJobRecommendations);
+router.post('/match/candidate-recommendations', protect, authorize('recruiter', 'admin'), recommendationsValidation, validate, aiQuota, getCandidateRecommendations);
+router.post('/analyze/resume', protect, analysisValidation, validate, aiQuota, analyzeResumeWithAI);
+router.post('/suggestions/resume', protect, analysisValidation, validate, aiQuota, getResumeSuggestions);
+router.post('/optimize/resume-for-job', protect, matchValidation, validate, aiQuota, optimizeResumeForSpecificJob);
 router.post('/extract/skills', protect, [
   body('resumeId').optional().isMongoId().withMessage('Valid resume ID required'),
   body('content').optional().isString().withMessage('Content must be a string')
-], validate, extractSkills);
+], validate, aiQuota, extractSkills);
 router.post('/optimize/job-description', protect, authorize('recruiter', 'admin'), [
   body('jobId').optional().isMongoId().withMessage('Valid job ID required'),
   body('description').optional().isString().withMessage('Description must be a string')
-], validate, optimizeJobDescriptionWithAI);
+], validate, aiQuota, optimizeJobDescriptionWithAI);
 router.post('/embeddings/resumes/bulk', protect, authorize('admin'), [
   body('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
-], validate, bulkGenerateResumeEmbeddings);
+], validate, aiQuota, bulkGenerateResumeEmbeddings);
 router.post('/embeddings/jobs/bulk', protect, authorize('admin'), [
   body('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
-], validate, bulkGenerateJobEmbeddings);
+], validate, aiQuota, bulkGenerateJobEmbeddings);
 
 module.exports = router;
\ No newline at end of file
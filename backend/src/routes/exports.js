@@ -0,0 +1,24 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  downloadExport,
+  createExportShareLink,
+  downloadSharedExport
+} = require('../controllers/exports');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Share links carry their own signed token, so no session is required
+router.get('/shared/:token', downloadSharedExport);
+
+router.get('/:filename', protect, downloadExport);
+router.post('/:filename/share', protect, [
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Share link lifetime must be between 1 and 168 hours')
+], validate, createExportShareLink);
+
+module.exports = router;
@@ -7,6 +7,7 @@ const {
   updateJob,
   deleteJob,
   applyToJob,
+  getScreeningQuestions,
   getJobApplications,
   updateApplicationStatus,
   searchJobs,
@@ -14,11 +15,19 @@ const {
   getMyApplications,
   getFeaturedJobs,
   getJobStats,
-  scheduleInterview,
   addJobNote
 } = require('../controllers/jobs');
+const {
+  getInterviews,
+  createInterview,
+  updateInterview,
+  deleteInterview,
+  getInterviewCalendar
+} = require('../controllers/interviews');
+const { getWeightProfiles } = require('../controllers/settings');
 const { protect, authorize, ownerOrAdmin } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { trackAIUsage } = require('../middleware/aiQuota');
 
 const router = express.Router();
 
@@ -79,6 +88,21 @@ const router = express.Router();
  */
 
 // Validation rules
+const matchingCriteriaValidation = [
+  body('matchingCriteria.weights.*')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Match weights must be numbers between 0 and 1'),
+  body('matchingCriteria.minMatchScore')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum match score must be between 0 and 100'),
+  body('matchingCriteria.weightProfile')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Weight profile must be a profile name')
+];
+
 const createJobValidation = [
   body('title')
     .trim()
@@ -113,7 +137,8 @@ const createJobValidation = [
   body('salary.max')
     .optional()
     .isNumeric()
-    .withMessage('Maximum salary must be a number')
+    .withMessage('Maximum salary must be a number'),
+  ...matchingCriteriaValidation
 ];
 
 const updateJobValidation = [
@@ -130,7 +155,8 @@ const updateJobValidation = [
   body('status')
     .optional()
     .isIn(['draft', 'active', 'paused', 'closed', 'expired'])
-    .withMessage('Invalid job status')
+    .withMessage('Invalid job status'),
+  ...matchingCriteriaValidation
 ];
 
 const applyJobValidation = [
@@ -138,7 +164,114 @@ const applyJobValidation = [
     .optional()
     .trim()
     .isLength({ max: 2000 })
-    .withMessage('Cover letter cannot exceed 2000 characters')
+    .withMessage('Cover letter cannot exceed 2000 characters'),
+  body('resumeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid resume ID'),
+  body('answers')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Answers must be an array of at most 50 items'),
+  body('answers.*.questionId')
+    .isMongoId()
+    .withMessage('Each answer needs a valid question ID')
+];
+
+const jobApplicationsValidation = [
+  query('screening')
+    .optional()
+    .isIn(['passed', 'flagged', 'rejected'])
+    .withMessage('Screening filter must be passed, flagged or rejected'),
+  query('sortBy')
+    .optional()
+    .isIn(['appliedAt', 'matchScore'])
+    .withMessage('Sort by must be appliedAt or matchScore'),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('minScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum score must be between 0 and 100'),
+  query('maxScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Maximum score must be between 0 and 100'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const INTERVIEW_TYPES = ['phone', 'video', 'onsite', 'technical', 'behavioral'];
+
+const interviewFieldsValidation = [
+  body('type')
+    .optional()
+    .isIn(INTERVIEW_TYPES)
+    .withMessage('Invalid interview type'),
+  body('duration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes'),
+  body('interviewer')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid interviewer ID'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Location cannot exceed 500 characters')
+];
+
+const createInterviewValidation = [
+  body('scheduledAt')
+    .isISO8601()
+    .withMessage('Interview date must be a valid date'),
+  ...interviewFieldsValidation
+];
+
+const updateInterviewValidation = [
+  body('scheduledAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Interview date must be a valid date'),
+  ...interviewFieldsValidation,
+  body('status')
+    .optional()
+    .isIn(['scheduled', 'completed', 'cancelled', 'no-show'])
+    .withMessage('Invalid interview status'),
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Feedback cannot exceed 2000 characters'),
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+];
+
+const interviewCalendarValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('"from" must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('"to" must be a valid date'),
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'completed', 'cancelled', 'no-show'])
+    .withMessage('Invalid interview status')
 ];
 
 const searchJobsValidation = [
@@ -161,28 +294,48 @@ const searchJobsValidation = [
 ];
 
 // Routes
-router.post('/', protect, authorize('recruiter', 'admin'), createJobValidation, validate, createJob);
+router.post('/', protect, authorize('recruiter', 'admin'), createJobValidation, validate, trackAIUsage, createJob);
 router.get('/', getJobs);
 router.get('/search', searchJobsValidation, validate, searchJobs);
 router.get('/featured', getFeaturedJobs);
 router.get('/my-jobs', protect, authorize('recruiter', 'admin'), getMyJobs);
 router.get('/my-applications', protect, authorize('candidate'), getMyApplications);
+router.get('/matching-profiles', protect, authorize('recruiter', 'admin'), getWeightProfiles);
+router.get('/interviews', protect, authorize('recruiter', 'admin'), interviewCalendarValidation, validate, getInterviewCalendar);
 router.get('/:jobId', getJobById);
-router.put('/:jobId', protect, authorize('recruiter', 'admin'), updateJobValidation, validate, updateJob);
+router.put('/:jobId', protect, authorize('recruiter', 'admin'), updateJobValidation, validate, trackAIUsage, updateJob);
 router.delete('/:jobId', protect, authorize('recruiter', 'admin'), deleteJob);
+router.get('/:jobId/screening', protect, authorize('candidate'), getScreeningQuestions);
 router.post('/:jobId/apply', protect, authorize('candidate'), applyJobValidation, validate, applyToJob);
-router.get('/:jobId/applications', protect, authorize('recruiter', 'admin'), getJobApplications);
+router.get('/:jobId/applications', protect, authorize('recruiter', 'admin'), jobApplicationsValidation, validate, getJobApplications);
 router.put('/:jobId/applications/:candidateId/status', 
   protect, 
   authorize('recruiter', 'admin'), 
   [
     body('status')
       .isIn(['pending', 'reviewing', 'shortlisted', 'interviewed', 'offered', 'hired', 'rejected'])
-      .withMessage('Invalid application status')
+      .withMessage('Invalid application status'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note cannot exceed 1000 characters')
   ], 
   validate, 
   updateApplicationStatus
 );
+router.get('/:jobId/applications/:candidateId/interviews', protect, authorize('recruiter', 'admin'), getInterviews);
+router.post('/:jobId/applications/:candidateId/interviews',
+  protect, authorize('recruiter', 'admin'), createInterviewValidation, validate, createInterview);
+router.put('/:jobId/applications/:candidateId/interviews/:interviewId',
+  protect, authorize('recruiter', 'admin'), updateInterviewValidation, validate, updateInterview);
+router.delete('/:jobId/applications/:candidateId/interviews/:interviewId',
+  protect, authorize('recruiter', 'admin'), deleteInterview);
 router.get('/:jobId/stats', protect, authorize('recruiter', 'admin'), getJobStats);
 
 module.exports = router;
\ No newline at end of file
@@ -9,9 +9,12 @@ const {
   downloadResume,
   parseResume,
   getResumeAnalysis,
+  getParsedFieldsReview,
   getAISuggestions,
   applySuggestion,
   exportResume,
+  getResumeTemplates,
+  previewResume,
   searchResumes,
   setActiveResume,
   getResumeVersions,
@@ -19,7 +22,9 @@ const {
 } = require('../controllers/resumes');
 const { protect, authorize, ownerOrAdmin } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { aiQuota, trackAIUsage } = require('../middleware/aiQuota');
 const { resumeUpload, handleMulterError, cleanupOnError } = require('../middleware/upload');
+const { resumeTemplateService } = require('../services/resumeTemplateService');
 
 const router = express.Router();
 
@@ -59,6 +64,7 @@ router.post('/',
   handleMulterError, 
   uploadValidation, 
   validate, 
+  trackAIUsage,
   uploadResume
 );
 
@@ -66,6 +72,7 @@ router.get('/', protect, getMyResumes);
 router.get('/search', protect, authorize('admin', 'recruiter'), searchValidation, validate, searchResumes);
 router.get('/versions/:userId', protect, ownerOrAdmin(), getResumeVersions);
 router.get('/compare/:resumeId1/:resumeId2', protect, compareResumes);
+router.get('/templates', protect, getResumeTemplates);
 
 router.get('/:resumeId', protect, getResumeById);
 router.put('/:resumeId', protect, [
@@ -76,20 +83,49 @@ router.put('/:resumeId', protect, [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
-], validate, updateResume);
+    .withMessage('isActive must be a boolean'),
+  body('corrections')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Corrections must be an array of at most 200 items'),
+  body('corrections.*.path')
+    .isString()
+    .withMessage('Each correction needs a field path'),
+  body('confirmations')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Confirmations must be an array of at most 500 field paths'),
+  body('confirmations.*')
+    .isString()
+    .withMessage('Each confirmation must be a field path')
+], validate, trackAIUsage, updateResume);
 
 router.delete('/:resumeId', protect, deleteResume);
 router.get('/:resumeId/download', protect, downloadResume);
-router.post('/:resumeId/parse', protect, parseResume);
+router.post('/:resumeId/parse', protect, aiQuota, parseResume);
 router.get('/:resumeId/analysis', protect, getResumeAnalysis);
+router.get('/:resumeId/review', protect, getParsedFieldsReview);
 router.get('/:resumeId/suggestions', protect, getAISuggestions);
 router.post('/:resumeId/suggestions/:suggestionId/apply', protect, applySuggestion);
 router.post('/:resumeId/export', protect, [
   body('format')
     .isIn(['pdf', 'docx', 'txt', 'json'])
-    .withMessage('Invalid export format')
+    .withMessage('Invalid export format'),
+  body('template')
+    .optional()
+    .isIn(resumeTemplateService.getTemplateIds())
+    .withMessage('Invalid resume template')
 ], validate, exportResume);
+router.get('/:resumeId/preview', protect, [
+  query('template')
+    .optional()
+    .isIn(resumeTemplateService.getTemplateIds())
+    .withMessage('Invalid resume template'),
+  query('ats')
+    .optional()
+    .isBoolean()
+    .withMessage('ats must be a boolean')
+], validate, previewResume);
 router.post('/:resumeId/set-active', protect, setActiveResume);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getSkills,
+  getSkillCategories,
+  upsertSkill,
+  deleteCustomSkill
+} = require('../controllers/skills');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+const skillValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Skill name must be between 1 and 50 characters'),
+  body('skillId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Skill ID must be between 1 and 50 characters'),
+  body()
+    .custom(value => Boolean(value.name || value.skillId))
+    .withMessage('Either name or skillId is required'),
+  body('aliases')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Aliases must be an array of at most 50 entries'),
+  body('aliases.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each alias must be between 1 and 50 characters'),
+  body('related')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Related skills must be an array of at most 50 entries'),
+  body('related.*')
+    .isString()
+    .withMessage('Related skills must be skill IDs or names'),
+  body('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a category ID'),
+  body('type')
+    .optional()
+    .isIn(['technical', 'soft', 'language', 'tool', 'framework', 'certification'])
+    .withMessage('Invalid skill type')
+];
+
+router.get('/', protect, [
+  query('q')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Search term cannot exceed 50 characters')
+], validate, getSkills);
+router.get('/categories', protect, getSkillCategories);
+router.post('/', protect, authorize('admin'), skillValidation, validate, upsertSkill);
+router.delete('/:skillId', protect, authorize('admin'), deleteCustomSkill);
+
+module.exports = router;
@@ -20,6 +20,8 @@ const resumeRoutes = require('./routes/resumes');
 const notificationRoutes = require('./routes/notifications');
 const aiRoutes = require('./routes/ai');
 const adminRoutes = require('./routes/admin');
+const exportRoutes = require('./routes/exports');
+const skillRoutes = require('./routes/skills');
 
 // Load environment variables
 require('dotenv').config();
@@ -27,11 +29,36 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then load admin extensions to the skills taxonomy, the
+// matching settings and the prompt versions and traffic splits (all re-checked
+// periodically so edits made through other instances show up here), bring the
+// job/resume vector indexes up to date and open the AI result cache (Redis, or
+// MongoDB without it)
+const { scheduleRefresh } = require('./utils/scheduleRefresh');
+const { skillsTaxonomyService } = require('./services/skillsTaxonomyService');
+const { matchingSettingsService } = require('./services/matchingSettingsService');
+const { initializeAIServices, vectorIndexService, aiCacheService, promptRegistry } = require('../ai-services');
+const dbReady = connectDB();
+dbReady.then(() => skillsTaxonomyService.loadCustomSkills()).catch(error => {
+  logger.error('Skills taxonomy load error:', error);
+});
+dbReady.then(() => scheduleRefresh('Skills taxonomy', () => skillsTaxonomyService.refreshCustomSkills()));
+dbReady.then(() => matchingSettingsService.loadSettings()).catch(error => {
+  logger.error('Matching settings load error:', error);
+});
+dbReady.then(() => scheduleRefresh('Matching settings', () => matchingSettingsService.refreshSettings()));
+dbReady.then(() => promptRegistry.loadTemplates()).catch(error => {
+  logger.error('Prompt registry load error:', error);
+});
+dbReady.then(() => scheduleRefresh('Prompt registry', () => promptRegistry.refreshTemplates()));
+dbReady.then(() => vectorIndexService.initialize()).catch(error => {
+  logger.error('Vector index initialization error:', error);
+});
+dbReady.then(() => aiCacheService.initialize()).catch(error => {
+  logger.error('AI cache initialization error:', error);
+});
 
 // Initialize AI services
-const { initializeAIServices } = require('../ai-services');
 initializeAIServices().then(result => {
   if (result.status === 'success') {
     logger.info('AI services initialized successfully');
@@ -139,6 +166,8 @@ app.use('/api/resumes', resumeRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/skills', skillRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -0,0 +1,156 @@
+const User = require('../models/User');
+const { notificationQueue } = require('../../notifications/NotificationQueue');
+const logger = require('../utils/logger');
+
+// Statuses an application can move to from each status
+const TRANSITIONS = {
+  pending: ['reviewing', 'shortlisted', 'rejected'],
+  reviewing: ['shortlisted', 'rejected'],
+  shortlisted: ['interviewed', 'offered', 'rejected'],
+  interviewed: ['shortlisted', 'offered', 'rejected'],
+  offered: ['hired', 'rejected'],
+  hired: [],
+  rejected: ['reviewing']
+};
+
+/**
+ * Side effects of moving an application to a status:
+ * - notifyCandidate: queue an application status update email to the candidate
+ * - requireReason: the transition must give a reason
+ * - closeJob: close the job (stop taking applications)
+ */
+const DEFAULT_EFFECTS = {
+  '*': { notifyCandidate: false, requireReason: false, closeJob: false },
+  shortlisted: { notifyCandidate: true },
+  offered: { notifyCandidate: true },
+  hired: { notifyCandidate: true, closeJob: true },
+  rejected: { notifyCandidate: true, requireReason: true }
+};
+
+/**
+ * Application Pipeline Service
+ * Enforces the application status transition graph, records every
+ * transition in the application's status history (actor, time, from/to,
+ * reason) and runs the transition's side effects. Side effects are keyed by
+ * target status ("rejected") or by transition ("offered->hired"), and can be
+ * overridden with APPLICATION_TRANSITION_EFFECTS, e.g.
+ * {"rejected":{"notifyCandidate":false},"interviewed":{"notifyCandidate":true}}.
+ */
+class ApplicationPipelineService {
+  constructor() {
+    this.effects = { ...DEFAULT_EFFECTS };
+
+    const overrides = this.parseJSON(process.env.APPLICATION_TRANSITION_EFFECTS, 'APPLICATION_TRANSITION_EFFECTS');
+    Object.entries(overrides).forEach(([key, effects]) => {
+      this.effects[key] = { ...this.effects[key], ...effects };
+    });
+  }
+
+  parseJSON(value, variable) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Ignoring invalid ${variable}: ${error.message}`);
+      return {};
+    }
+  }
+
+  getAllowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+  }
+
+  canTransition(from, to) {
+    return this.getAllowedTransitions(from).includes(to);
+  }
+
+  /**
+   * Effects of a transition: defaults, then the target status's, then the
+   * transition's own
+   */
+  getEffects(from, to) {
+    return {
+      ...this.effects['*'],
+      ...this.effects[to],
+      ...this.effects[`${from}->${to}`]
+    };
+  }
+
+  /**
+   * History entry for an application's status change
+   */
+  buildHistoryEntry(from, to, { actor = null, reason, automated = false } = {}) {
+    return {
+      from: from || null,
+      to,
+      actor,
+      reason: reason || undefined,
+      automated,
+      changedAt: new Date()
+    };
+  }
+
+  /**
+   * Move an application to a status, recording the transition in its history
+   * and closing the job if the transition calls for it. Doesn't save the job.
+   * Returns { result: { from, to, effects }, errors }; errors is non-empty
+   * (and nothing changed) if the transition isn't allowed, with `conflict`
+   * set, or lacks a required reason.
+   */
+  transition(job, application, to, { actor, reason } = {}) {
+    const from = application.status;
+    const errors = [];
+
+    if (!this.canTransition(from, to)) {
+      errors.push(`Cannot move an application from ${from} to ${to}`);
+      return { result: null, errors, conflict: true };
+    }
+
+    const effects = this.getEffects(from, to);
+    if (effects.requireReason && !reason?.trim()) {
+      errors.push(`A reason is required to move an application to ${to}`);
+      return { result: null, errors };
+    }
+
+    application.status = to;
+    application.statusHistory.push(this.buildHistoryEntry(from, to, { actor, reason }));
+
+    if (effects.closeJob && ['active', 'paused'].includes(job.status)) {
+      job.status = 'closed';
+    }
+
+    return { result: { from, to, effects }, errors };
+  }
+
+  /**
+   * Side effects to run once a transition is saved. Failures are logged,
+   * not thrown.
+   */
+  async runSideEffects(job, application, { to, effects }) {
+    if (!effects.notifyCandidate) return;
+
+    try {
+      const candidate = await User.findById(application.candidate).select('email profile.firstName profile.lastName profile.preferences');
+      if (!candidate || candidate.profile?.preferences?.notifications?.application_status === false) return;
+
+      const name = `${candidate.profile?.firstName || ''} ${candidate.profile?.lastName || ''}`.trim() || candidate.email;
+      await notificationQueue.queueApplicationStatusUpdate(candidate._id, candidate.email, name, {
+        id: application._id,
+        jobId: job._id,
+        jobTitle: job.title,
+        companyName: job.company?.name,
+        status: to
+      });
+    } catch (error) {
+      logger.error(`Failed to notify candidate ${application.candidate} of ${to} for job ${job._id}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+const applicationPipelineService = new ApplicationPipelineService();
+
+module.exports = {
+  applicationPipelineService,
+  ApplicationPipelineService
+};
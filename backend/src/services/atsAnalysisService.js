@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { buildTimeline, findDates, detectDateFormat } = require('../utils/dateRanges');
 
 /**
  * ATS Compatibility Analysis Service
@@ -12,6 +13,7 @@ class ATSAnalysisService {
       structure: 0.25,
       readability: 0.20
     };
+    this.employmentGapMonths = parseInt(process.env.ATS_EMPLOYMENT_GAP_MONTHS) || 6;
   }
 
   /**
@@ -61,6 +63,9 @@ class ATSAnalysisService {
       // File type analysis
       if (mimeType === 'application/pdf') {
         analysis.score -= 0; // PDF is good for ATS
+      } else if (mimeType === 'application/json') {
+        // Structured import - the candidate submits a rendered export, not this file
+        analysis.suggestions.push('Export your JSON Resume to PDF with a resume template before applying');
       } else if (mimeType.includes('word')) {
         analysis.score -= 5; // Word docs can have formatting issues
         analysis.suggestions.push('Consider using PDF format for better ATS compatibility');
@@ -98,6 +103,19 @@ class ATSAnalysisService {
         }
       }
 
+      // Scanned resumes were only readable here because of OCR
+      if (parsedContent?.ocr?.used) {
+        analysis.score -= 25;
+        analysis.issues.push('Resume is a scanned image - text was recovered with OCR and many ATS systems may reject the file');
+        analysis.suggestions.push('Export your resume as a text-based PDF from your word processor instead of scanning it');
+
+        if (parsedContent.ocr.confidence < 0.8) {
+          analysis.score -= 10;
+          analysis.issues.push('Scan quality is low - some text may have been misread');
+          analysis.suggestions.push('Review the parsed fields for errors, or upload a clearer copy');
+        }
+      }
+
       // Check for potential formatting issues
       if (parsedContent?.rawText) {
         const text = parsedContent.rawText;
@@ -332,6 +350,20 @@ class ATSAnalysisService {
                 analysis.issues.push('Work experience lacks detail');
                 analysis.suggestions.push('Include company names, job titles, and dates for all positions');
               }
+
+              const timeline = buildTimeline(parsedContent.experience);
+
+              if (timeline.unparsed.length > 0) {
+                analysis.issues.push('Some employment dates could not be read');
+                analysis.suggestions.push('Write dates as "Mar 2021" or "03/2021" and end current roles with "Present"');
+              }
+
+              timeline.gaps
+                .filter(gap => gap.months >= this.employmentGapMonths)
+                .forEach(gap => {
+                  analysis.issues.push(`Employment gap of ${gap.months} months (${gap.start} to ${gap.end})`);
+                  analysis.suggestions.push('Briefly explain longer employment gaps, e.g. study, caregiving or freelance work');
+                });
             } else {
               analysis.issues.push(`${section.name} section missing or empty`);
               analysis.suggestions.push(`Add your ${section.name.toLowerCase()}`);
@@ -530,12 +562,9 @@ class ATSAnalysisService {
       }
 
       // Consistency checks
-      const dateFormats = text.match(/\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4}/g) || [];
-      const uniqueDateFormats = [...new Set(dateFormats.map(date => {
-        if (date.includes('/')) return 'MM/YYYY';
-        if (date.match(/^\d{4}$/)) return 'YYYY';
-        return 'Month YYYY';
-      }))];
+      const uniqueDateFormats = [...new Set(
+        findDates(text).map(detectDateFormat).filter(format => format !== 'Present')
+      )];
 
       if (uniqueDateFormats.length > 2) {
         analysis.issues.push('Inconsistent date formatting');
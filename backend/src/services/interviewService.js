@@ -0,0 +1,371 @@
+const Application = require('../models/Application');
+const InterviewerSchedule = require('../models/InterviewerSchedule');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emailService } = require('./emailService');
+const logger = require('../utils/logger');
+
+const PARTICIPANT_FIELDS = 'email role profile.firstName profile.lastName profile.preferences';
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 480;
+
+const INTERVIEW_TYPE_LABELS = {
+  phone: 'Phone',
+  video: 'Video',
+  onsite: 'On-site',
+  technical: 'Technical',
+  behavioral: 'Behavioral'
+};
+
+/**
+ * Interview Service
+ * Conflict detection against an interviewer's other scheduled interviews,
+ * atomic slot claims on the interviewer's schedule, and calendar invites: emails with an iCalendar (.ics) attachment to the
+ * candidate and the interviewer when an interview is scheduled, moved or
+ * cancelled. Each email is recorded as an interview_scheduled notification.
+ */
+class InterviewService {
+  constructor() {
+    this.senderEmail = process.env.FROM_EMAIL || 'noreply@resumerefresh.com';
+    this.senderName = process.env.FROM_NAME || 'Resume Refresh Platform';
+  }
+
+  getEnd(interview) {
+    const duration = interview.duration || DEFAULT_DURATION_MINUTES;
+    return new Date(new Date(interview.scheduledAt).getTime() + duration * 60 * 1000);
+  }
+
+  /**
+   * The interviewer's scheduled interviews (across all jobs) overlapping
+   * the given slot, other than `excludeId`
+   */
+  async findConflicts(interviewerId, scheduledAt, duration = DEFAULT_DURATION_MINUTES, excludeId = null) {
+    const start = new Date(scheduledAt);
+    const end = this.getEnd({ scheduledAt, duration });
+    // Interviews can't last longer than MAX_DURATION_MINUTES, so earlier ones can't overlap
+    const earliest = new Date(start.getTime() - MAX_DURATION_MINUTES * 60 * 1000);
+
+    const applications = await Application.find({
+      interviews: {
+        $elemMatch: {
+          interviewer: interviewerId,
+          status: 'scheduled',
+          scheduledAt: { $gt: earliest, $lt: end }
+        }
+      }
+    })
+      .select('job candidate interviews')
+      .populate('job', 'title');
+
+    const conflicts = [];
+    applications.forEach(application => application.interviews.forEach(interview => {
+      if (interview.status !== 'scheduled' || interview.interviewer?.toString() !== interviewerId.toString()) return;
+      if (excludeId && interview._id.toString() === excludeId.toString()) return;
+
+      if (interview.scheduledAt < end && this.getEnd(interview) > start) {
+        conflicts.push({
+          interviewId: interview._id,
+          jobId: application.job?._id,
+          jobTitle: application.job?.title,
+          candidateId: application.candidate,
+          scheduledAt: interview.scheduledAt,
+          duration: interview.duration || DEFAULT_DURATION_MINUTES
+        });
+      }
+    }));
+
+    return conflicts;
+  }
+
+  /**
+   * Claim the interview's slot on its interviewer's schedule. The check and
+   * the write are one conditional update on the interviewer's schedule
+   * document, so of two requests booking overlapping slots only one gets
+   * it. Replaces the interview's previous slot and drops ended ones.
+   * Returns false if the slot overlaps one claimed by another interview.
+   */
+  async reserveSlot(interview) {
+    const start = new Date(interview.scheduledAt);
+    const end = this.getEnd(interview);
+
+    try {
+      await InterviewerSchedule.updateOne(
+        {
+          interviewer: interview.interviewer,
+          slots: { $not: { $elemMatch: { interview: { $ne: interview._id }, start: { $lt: end }, end: { $gt: start } } } }
+        },
+        [{
+          $set: {
+            slots: {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ['$slots', []] },
+                    cond: { $and: [{ $ne: ['$$this.interview', interview._id] }, { $gt: ['$$this.end', new Date()] }] }
+                  }
+                },
+                [{ interview: interview._id, start, end }]
+              ]
+            }
+          }
+        }],
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // No schedule matched, so the upsert tried to add a second one for the interviewer
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Free the interview's slot on an interviewer's schedule
+   */
+  async releaseSlot(interview, interviewerId = interview.interviewer) {
+    if (!interviewerId) return;
+    await InterviewerSchedule.updateOne({ interviewer: interviewerId }, { $pull: { slots: { interview: interview._id } } });
+  }
+
+  formatName(user) {
+    return `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim() || user.email;
+  }
+
+  formatICSDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  escapeICSText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets as RFC 5545 requires
+   */
+  foldICSLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * iCalendar for an interview. `method` is REQUEST for new and moved
+   * interviews and CANCEL for cancelled ones.
+   */
+  buildCalendar(interview, { job, candidate, interviewer }, method = 'REQUEST') {
+    const domain = this.senderEmail.split('@')[1] || 'resumerefresh.com';
+    const typeLabel = INTERVIEW_TYPE_LABELS[interview.type] || 'Interview';
+    const description = [
+      `${typeLabel} interview for ${job.title} at ${job.company?.name || ''}`.trim(),
+      `Candidate: ${this.formatName(candidate)}`,
+      interviewer && `Interviewer: ${this.formatName(interviewer)}`,
+      `Duration: ${interview.duration || DEFAULT_DURATION_MINUTES} minutes`
+    ].filter(Boolean).join('\n');
+
+    const attendees = [candidate, interviewer].filter(Boolean).map(user =>
+      `ATTENDEE;CN=${this.escapeICSText(this.formatName(user))};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${user.email}`
+    );
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Resume Refresh Platform//Interviews//EN',
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+      'BEGIN:VEVENT',
+      `UID:interview-${interview._id}@${domain}`,
+      `SEQUENCE:${interview.sequence || 0}`,
+      `DTSTAMP:${this.formatICSDate(new Date())}`,
+      `DTSTART:${this.formatICSDate(interview.scheduledAt)}`,
+      `DTEND:${this.formatICSDate(this.getEnd(interview))}`,
+      `SUMMARY:${this.escapeICSText(`${typeLabel} interview: ${job.title}`)}`,
+      `DESCRIPTION:${this.escapeICSText(description)}`,
+      interview.location && `LOCATION:${this.escapeICSText(interview.location)}`,
+      `ORGANIZER;CN=${this.escapeICSText(this.senderName)}:mailto:${this.senderEmail}`,
+      ...attendees,
+      `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+  }
+
+  buildEmail(interview, { job, candidate }, recipient, method) {
+    const cancelled = method === 'CANCEL';
+    const typeLabel = INTERVIEW_TYPE_LABELS[interview.type] || 'Interview';
+    const when = new Date(interview.scheduledAt).toUTCString();
+    const isCandidate = recipient._id.toString() === candidate._id.toString();
+    const intro = cancelled
+      ? `The ${typeLabel.toLowerCase()} interview for ${job.title} on ${when} has been cancelled.`
+      : isCandidate
+        ? `You're invited to a ${typeLabel.toLowerCase()} interview for ${job.title} at ${job.company?.name || 'our company'}.`
+        : `You're interviewing ${this.formatName(candidate)} for ${job.title}.`;
+
+    const details = cancelled ? [] : [
+      `When: ${when} (${interview.duration || DEFAULT_DURATION_MINUTES} minutes)`,
+      interview.location && `Where: ${interview.location}`
+    ].filter(Boolean);
+
+    const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return {
+      subject: `${cancelled ? 'Interview cancelled' : 'Interview scheduled'}: ${job.title}`.substring(0, 200),
+      text: [`Hi ${recipient.profile?.firstName || 'there'},`, '', intro, ...details, '',
+        cancelled ? '' : 'The calendar invite is attached.'].join('\n').trim(),
+      html: `<p>Hi ${escapeHtml(recipient.profile?.firstName || 'there')},</p>
+<p>${escapeHtml(intro)}</p>
+${details.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')}
+${cancelled ? '' : '<p>The calendar invite is attached.</p>'}`
+    };
+  }
+
+  /**
+   * Email the calendar invite (or cancellation) to the candidate and the
+   * interviewer. Candidates who turned off interview_scheduled notifications
+   * aren't emailed. Returns the number of emails sent.
+   */
+  async sendInvite(interview, { job, candidate, interviewer }, method = 'REQUEST') {
+    const calendar = this.buildCalendar(interview, { job, candidate, interviewer }, method);
+    const recipients = [];
+
+    if (candidate.profile?.preferences?.notifications?.interview_scheduled !== false) {
+      recipients.push(candidate);
+    }
+    if (interviewer?.email) {
+      recipients.push(interviewer);
+    }
+
+    let sent = 0;
+    for (const recipient of recipients) {
+      const email = this.buildEmail(interview, { job, candidate }, recipient, method);
+      // Recorded once sent (not pending), and not retried through the notification
+      // queue, which can't attach the invite
+      const notification = new Notification({
+        recipientId: recipient._id,
+        type: 'interview_scheduled',
+        channel: 'email',
+        priority: 'high',
+        subject: email.subject,
+        templateId: 'interview-invite',
+        maxRetries: 0,
+        content: {
+          templateData: {
+            jobTitle: job.title,
+            scheduledAt: interview.scheduledAt,
+            duration: interview.duration,
+            type: interview.type,
+            location: interview.location,
+            method
+          },
+          textContent: email.text,
+          personalization: {
+            email: recipient.email,
+            name: this.formatName(recipient),
+            firstName: recipient.profile?.firstName
+          }
+        },
+        metadata: {
+          jobId: job._id,
+          source: 'interviews',
+          context: { interviewId: interview._id, candidateId: candidate._id }
+        }
+      });
+
+      let result;
+      try {
+        result = await emailService.sendEmail({
+          to: recipient.email,
+          subject: email.subject,
+          html: email.html,
+          text: email.text,
+          attachments: [{
+            filename: method === 'CANCEL' ? 'interview-cancelled.ics' : 'interview.ics',
+            content: calendar,
+            contentType: `text/calendar; charset=utf-8; method=${method}`
+          }]
+        });
+      } catch (error) {
+        logger.error(`Failed to send interview invite ${interview._id} to ${recipient.email}:`, error);
+        await notification.markAsFailed(error.message);
+        continue;
+      }
+
+      await notification.markAsSent(result.messageId);
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Load the candidate and interviewer and send them the invite (or
+   * cancellation). Returns the number of emails sent.
+   */
+  async notifyParticipants(interview, job, candidateId, method = 'REQUEST') {
+    const [candidate, interviewer] = await Promise.all([
+      User.findById(candidateId).select(PARTICIPANT_FIELDS),
+      interview.interviewer ? User.findById(interview.interviewer).select(PARTICIPANT_FIELDS) : null
+    ]);
+    if (!candidate) return 0;
+    return this.sendInvite(interview, { job, candidate, interviewer }, method);
+  }
+
+  /**
+   * Cancel a job's scheduled interviews before the job and its applications
+   * are deleted: free their slots, then email cancellations for the upcoming
+   * ones in the background. Returns the number of interviews cancelled.
+   */
+  async cancelJobInterviews(job) {
+    const applications = await Application.find({ job: job._id, 'interviews.status': 'scheduled' })
+      .select('candidate interviews');
+
+    const upcoming = [];
+    let cancelled = 0;
+    for (const application of applications) {
+      for (const interview of application.interviews) {
+        if (interview.status !== 'scheduled') continue;
+
+        await this.releaseSlot(interview);
+        cancelled++;
+        if (interview.scheduledAt > new Date()) {
+          const removed = interview.toObject();
+          removed.sequence = (removed.sequence || 0) + 1;
+          upcoming.push({ interview: removed, candidateId: application.candidate });
+        }
+      }
+    }
+
+    upcoming.forEach(({ interview, candidateId }) => {
+      this.notifyParticipants(interview, job, candidateId, 'CANCEL').catch(error => {
+        logger.error(`Failed to send interview cancellation ${interview._id}:`, error);
+      });
+    });
+
+    return cancelled;
+  }
+}
+
+// Export singleton instance
+const interviewService = new InterviewService();
+
+module.exports = {
+  interviewService,
+  InterviewService
+};
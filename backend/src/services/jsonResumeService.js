@@ -0,0 +1,405 @@
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// JSON Resume fields we import, per section. Anything else is reported as unmapped.
+const IMPORTED_FIELDS = {
+  basics: ['name', 'email', 'phone', 'url', 'summary', 'location', 'profiles'],
+  location: ['address', 'postalCode', 'city', 'region', 'countryCode'],
+  work: ['name', 'position', 'location', 'startDate', 'endDate', 'summary', 'highlights'],
+  volunteer: ['organization', 'position', 'startDate', 'endDate', 'summary', 'highlights'],
+  education: ['institution', 'area', 'studyType', 'startDate', 'endDate', 'score', 'courses'],
+  awards: ['title', 'date', 'awarder', 'summary'],
+  certificates: ['name', 'date', 'issuer'],
+  publications: ['name', 'publisher', 'releaseDate', 'url', 'summary'],
+  skills: ['name', 'keywords'],
+  languages: ['language', 'fluency'],
+  projects: ['name', 'description', 'highlights', 'keywords', 'startDate', 'endDate', 'url']
+};
+
+const TOP_LEVEL_SECTIONS = [
+  'basics', 'work', 'volunteer', 'education', 'awards', 'certificates',
+  'publications', 'skills', 'languages', 'projects'
+];
+
+// Our proficiency enum, matched against free-text JSON Resume fluency values
+const FLUENCY_LEVELS = [
+  { level: 'native', pattern: /native|bilingual|mother/i },
+  { level: 'advanced', pattern: /fluent|full professional|advanced|proficient|c1|c2/i },
+  { level: 'intermediate', pattern: /professional working|intermediate|conversational|limited working|b1|b2/i },
+  { level: 'beginner', pattern: /elementary|beginner|basic|a1|a2/i }
+];
+
+const FLUENCY_LABELS = {
+  native: 'Native speaker',
+  advanced: 'Full professional proficiency',
+  intermediate: 'Professional working proficiency',
+  beginner: 'Elementary proficiency'
+};
+
+/**
+ * JSON Resume Service
+ * Maps between our parsedContent shape and the JSON Resume schema
+ * (https://jsonresume.org/schema). Both directions report the fields
+ * that could not be carried over.
+ */
+class JsonResumeService {
+  /**
+   * Whether a parsed object looks like a JSON Resume document
+   */
+  isJSONResume(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+    return TOP_LEVEL_SECTIONS.some(section => data[section] !== undefined);
+  }
+
+  /**
+   * Read and map a resume.json file
+   */
+  async importFile(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      logger.error('JSON Resume read error:', error);
+      throw new Error('File is not valid JSON');
+    }
+
+    if (!this.isJSONResume(data)) {
+      throw new Error('File is not a JSON Resume document');
+    }
+
+    return this.fromJSONResume(data);
+  }
+
+  /**
+   * Map a JSON Resume document to parsedContent
+   */
+  fromJSONResume(data) {
+    const unmapped = [];
+    const basics = data.basics || {};
+    const profiles = Array.isArray(basics.profiles) ? basics.profiles : [];
+
+    // Top-level sections we don't store (interests, references, meta, ...)
+    Object.keys(data).forEach(key => {
+      if (!TOP_LEVEL_SECTIONS.includes(key) && key !== '$schema' && this.hasValue(data[key])) {
+        unmapped.push(key);
+      }
+    });
+
+    this.collectUnmapped(basics, IMPORTED_FIELDS.basics, 'basics', unmapped);
+    this.collectUnmapped(basics.location, IMPORTED_FIELDS.location, 'basics.location', unmapped);
+
+    const linkedin = this.findProfile(profiles, 'linkedin');
+    const github = this.findProfile(profiles, 'github');
+    profiles.forEach((profile, index) => {
+      if (profile !== linkedin && profile !== github) {
+        unmapped.push(`basics.profiles[${index}]`);
+      }
+    });
+
+    const location = basics.location || {};
+    const personalInfo = {
+      name: basics.name,
+      email: basics.email,
+      phone: basics.phone,
+      address: [location.address, location.city, location.region, location.postalCode, location.countryCode]
+        .filter(Boolean).join(', ') || undefined,
+      linkedin: this.profileUrl(linkedin, 'https://www.linkedin.com/in/'),
+      github: this.profileUrl(github, 'https://github.com/'),
+      website: basics.url,
+      summary: basics.summary
+    };
+
+    const experience = this.mapSection(data.work, 'work', unmapped, work => ({
+      company: work.name,
+      position: work.position,
+      startDate: work.startDate,
+      endDate: work.endDate,
+      current: Boolean(work.startDate && !work.endDate),
+      location: work.location,
+      description: work.summary,
+      achievements: this.stringList(work.highlights),
+      technologies: []
+    }));
+
+    const education = this.mapSection(data.education, 'education', unmapped, edu => ({
+      institution: edu.institution,
+      degree: edu.studyType,
+      field: edu.area,
+      startDate: edu.startDate,
+      endDate: edu.endDate,
+      current: Boolean(edu.startDate && !edu.endDate),
+      gpa: edu.score,
+      description: this.stringList(edu.courses).length
+        ? `Courses: ${this.stringList(edu.courses).join(', ')}`
+        : undefined,
+      achievements: []
+    }));
+
+    const technical = [];
+    const soft = [];
+    this.mapSection(data.skills, 'skills', unmapped, skill => {
+      const keywords = this.stringList(skill.keywords);
+      const target = /soft|interpersonal/i.test(skill.name || '') ? soft : technical;
+      target.push(...(keywords.length ? keywords : [skill.name].filter(Boolean)));
+    });
+
+    const languages = this.mapSection(data.languages, 'languages', unmapped, (lang, index) => {
+      const proficiency = this.mapFluency(lang.fluency);
+      if (lang.fluency && !proficiency) unmapped.push(`languages[${index}].fluency`);
+      return { language: lang.language, proficiency };
+    }).filter(lang => lang.language);
+
+    const certifications = this.mapSection(data.certificates, 'certificates', unmapped, cert => ({
+      name: cert.name,
+      issuer: cert.issuer,
+      date: cert.date
+    }));
+
+    const projects = this.mapSection(data.projects, 'projects', unmapped, project => {
+      const url = project.url || '';
+      return {
+        name: project.name,
+        description: project.description,
+        technologies: this.stringList(project.keywords),
+        url: url.includes('github.com') ? undefined : project.url,
+        github: url.includes('github.com') ? project.url : undefined,
+        startDate: project.startDate,
+        endDate: project.endDate,
+        achievements: this.stringList(project.highlights)
+      };
+    });
+
+    const awards = this.mapSection(data.awards, 'awards', unmapped, award => ({
+      title: award.title,
+      issuer: award.awarder,
+      date: award.date,
+      description: award.summary
+    }));
+
+    const publications = this.mapSection(data.publications, 'publications', unmapped, pub => ({
+      title: pub.name,
+      publisher: pub.publisher,
+      date: pub.releaseDate,
+      url: pub.url,
+      description: pub.summary
+    }));
+
+    const volunteering = this.mapSection(data.volunteer, 'volunteer', unmapped, vol => ({
+      organization: vol.organization,
+      role: vol.position,
+      startDate: vol.startDate,
+      endDate: vol.endDate,
+      current: Boolean(vol.startDate && !vol.endDate),
+      description: [vol.summary, ...this.stringList(vol.highlights).map(item => `• ${item}`)]
+        .filter(Boolean).join('\n') || undefined
+    }));
+
+    return {
+      parsedContent: {
+        personalInfo,
+        experience,
+        education,
+        skills: { technical, soft, languages, certifications },
+        projects,
+        awards,
+        publications,
+        volunteering
+      },
+      unmappedFields: unmapped
+    };
+  }
+
+  /**
+   * Map a resume's parsedContent to a JSON Resume document
+   */
+  toJSONResume(resume) {
+    const parsedContent = resume.parsedContent || {};
+    const info = parsedContent.personalInfo || {};
+    const skills = parsedContent.skills || {};
+    const unmapped = [];
+
+    const profiles = [];
+    if (info.linkedin) profiles.push({ network: 'LinkedIn', url: info.linkedin });
+    if (info.github) profiles.push({ network: 'GitHub', url: info.github });
+
+    const basics = this.compact({
+      name: info.name,
+      email: info.email,
+      phone: info.phone,
+      url: info.website,
+      summary: info.summary,
+      location: info.address ? { address: info.address } : undefined,
+      profiles
+    });
+
+    const work = (parsedContent.experience || []).map((exp, index) => {
+      if (exp.technologies?.length) unmapped.push(`experience[${index}].technologies`);
+      return this.compact({
+        name: exp.company,
+        position: exp.position,
+        location: exp.location,
+        startDate: exp.startDate,
+        endDate: exp.current ? undefined : exp.endDate,
+        summary: exp.description,
+        highlights: exp.achievements
+      });
+    });
+
+    const education = (parsedContent.education || []).map((edu, index) => {
+      // Course lists written by fromJSONResume round-trip back to `courses`
+      const courses = /^Courses: /.test(edu.description || '')
+        ? edu.description.replace(/^Courses: /, '').split(', ')
+        : undefined;
+      ['location', 'achievements'].forEach(field => {
+        if (this.hasValue(edu[field])) unmapped.push(`education[${index}].${field}`);
+      });
+      if (edu.description && !courses) unmapped.push(`education[${index}].description`);
+
+      return this.compact({
+        institution: edu.institution,
+        area: edu.field,
+        studyType: edu.degree,
+        startDate: edu.startDate,
+        endDate: edu.current ? undefined : edu.endDate,
+        score: edu.gpa,
+        courses
+      });
+    });
+
+    const skillGroups = [];
+    if (skills.technical?.length) skillGroups.push({ name: 'Technical Skills', keywords: skills.technical });
+    if (skills.soft?.length) skillGroups.push({ name: 'Soft Skills', keywords: skills.soft });
+
+    const certificates = (skills.certifications || []).map((cert, index) => {
+      ['expiryDate', 'credentialId'].forEach(field => {
+        if (cert[field]) unmapped.push(`skills.certifications[${index}].${field}`);
+      });
+      return this.compact({ name: cert.name, issuer: cert.issuer, date: cert.date });
+    });
+
+    const projects = (parsedContent.projects || []).map((project, index) => {
+      if (project.url && project.github) unmapped.push(`projects[${index}].github`);
+      return this.compact({
+        name: project.name,
+        description: project.description,
+        highlights: project.achievements,
+        keywords: project.technologies,
+        startDate: project.startDate,
+        endDate: project.endDate,
+        url: project.url || project.github
+      });
+    });
+
+    const document = this.compact({
+      $schema: JSON_RESUME_SCHEMA_URL,
+      basics,
+      work,
+      volunteer: (parsedContent.volunteering || []).map(vol => this.compact({
+        organization: vol.organization,
+        position: vol.role,
+        startDate: vol.startDate,
+        endDate: vol.current ? undefined : vol.endDate,
+        summary: vol.description
+      })),
+      education,
+      awards: (parsedContent.awards || []).map(award => this.compact({
+        title: award.title,
+        date: award.date,
+        awarder: award.issuer,
+        summary: award.description
+      })),
+      certificates,
+      publications: (parsedContent.publications || []).map(pub => this.compact({
+        name: pub.title,
+        publisher: pub.publisher,
+        releaseDate: pub.date,
+        url: pub.url,
+        summary: pub.description
+      })),
+      skills: skillGroups,
+      languages: (skills.languages || []).map(lang => this.compact({
+        language: lang.language,
+        fluency: FLUENCY_LABELS[lang.proficiency]
+      })),
+      projects,
+      meta: {
+        version: 'v1.0.0',
+        lastModified: (resume.updatedAt || new Date()).toISOString()
+      }
+    });
+
+    return { document, unmappedFields: unmapped };
+  }
+
+  /**
+   * Map each entry of a JSON Resume array section, recording unknown keys
+   */
+  mapSection(entries, section, unmapped, mapper) {
+    if (!Array.isArray(entries)) return [];
+
+    return entries
+      .filter(entry => entry && typeof entry === 'object')
+      .map((entry, index) => {
+        this.collectUnmapped(entry, IMPORTED_FIELDS[section], `${section}[${index}]`, unmapped);
+        return mapper(entry, index);
+      })
+      .filter(Boolean);
+  }
+
+  collectUnmapped(source, knownFields, prefix, unmapped) {
+    if (!source || typeof source !== 'object') return;
+
+    Object.keys(source).forEach(key => {
+      if (!knownFields.includes(key) && this.hasValue(source[key])) {
+        unmapped.push(`${prefix}.${key}`);
+      }
+    });
+  }
+
+  findProfile(profiles, network) {
+    return profiles.find(profile =>
+      (profile.network || '').toLowerCase() === network ||
+      (profile.url || '').toLowerCase().includes(`${network}.com`)
+    );
+  }
+
+  profileUrl(profile, baseUrl) {
+    if (!profile) return undefined;
+    return profile.url || (profile.username ? `${baseUrl}${profile.username}` : undefined);
+  }
+
+  mapFluency(fluency) {
+    if (!fluency) return undefined;
+    return FLUENCY_LEVELS.find(({ pattern }) => pattern.test(fluency))?.level;
+  }
+
+  stringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+  }
+
+  hasValue(value) {
+    if (value === undefined || value === null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.keys(value).length > 0;
+    return true;
+  }
+
+  /**
+   * Drop empty values so exported documents only contain populated fields
+   */
+  compact(object) {
+    return Object.fromEntries(
+      Object.entries(object).filter(([, value]) => this.hasValue(value))
+    );
+  }
+}
+
+// Export singleton instance
+const jsonResumeService = new JsonResumeService();
+
+module.exports = {
+  jsonResumeService,
+  JsonResumeService
+};
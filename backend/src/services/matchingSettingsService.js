@@ -0,0 +1,303 @@
+const Setting = require('../models/Setting');
+const logger = require('../utils/logger');
+
+const SETTINGS_KEY = 'matching';
+
+// Factors combined into the overall match score
+const MATCH_FACTORS = ['semantic', 'skills', 'experience', 'keywords'];
+
+const DEFAULT_WEIGHTS = {
+  semantic: 0.4,      // Semantic similarity via embeddings
+  skills: 0.25,       // Direct skills matching
+  experience: 0.2,    // Experience level matching
+  keywords: 0.15      // Keyword matching
+};
+
+const RESERVED_PROFILE_NAMES = ['default', 'platform', 'job'];
+
+/**
+ * Matching Settings Service
+ * Resolves the weights and minimum score used to match a resume to a job.
+ * In order of precedence: weights set on the job itself
+ * (Job.matchingCriteria.weights / minMatchScore), a named weight profile
+ * the job selects (Job.matchingCriteria.weightProfile), the platform
+ * defaults admins keep in the settings collection, and finally the
+ * built-in defaults. Settings are cached in memory so scoring many jobs
+ * doesn't hit the database.
+ */
+class MatchingSettingsService {
+  constructor() {
+    this.defaults = {
+      weights: { ...DEFAULT_WEIGHTS },
+      minMatchScore: parseInt(process.env.MIN_MATCH_SCORE) || 50
+    };
+    this.settings = { weights: null, minMatchScore: null, profiles: [] };
+    this.settingsVersion = null;
+  }
+
+  /**
+   * Load platform settings from the database
+   */
+  async loadSettings() {
+    const setting = await Setting.findOne({ key: SETTINGS_KEY }).lean();
+    this.settings = {
+      weights: setting?.value?.weights || null,
+      minMatchScore: setting?.value?.minMatchScore ?? null,
+      profiles: setting?.value?.profiles || []
+    };
+    this.settingsVersion = this.versionOf(setting);
+    logger.info(`Matching settings loaded (${this.settings.profiles.length} weight profiles)`);
+    return this.settings;
+  }
+
+  versionOf(setting) {
+    return setting?.updatedAt ? new Date(setting.updatedAt).getTime() : null;
+  }
+
+  /**
+   * Reload settings if they were changed since the last load, e.g. through
+   * another instance. Returns true when the settings were reloaded.
+   */
+  async refreshSettings() {
+    const setting = await Setting.findOne({ key: SETTINGS_KEY }).select('updatedAt').lean();
+    if (this.versionOf(setting) === this.settingsVersion) return false;
+
+    await this.loadSettings();
+    return true;
+  }
+
+  /**
+   * Scale weights so they add up to 1; factors not given count as 0
+   */
+  normalizeWeights(weights = {}) {
+    const total = MATCH_FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+    const normalized = {};
+    MATCH_FACTORS.forEach(factor => {
+      normalized[factor] = total > 0 ? Math.round(((weights[factor] || 0) / total) * 1000) / 1000 : 0;
+    });
+    return normalized;
+  }
+
+  /**
+   * Only the numeric factor weights from a (possibly partial) weights object
+   */
+  pickWeights(weights) {
+    const picked = {};
+    MATCH_FACTORS.forEach(factor => {
+      if (typeof weights?.[factor] === 'number') picked[factor] = weights[factor];
+    });
+    return picked;
+  }
+
+  /**
+   * Errors for a weights object: unknown factors, values outside 0-1, or all zero
+   */
+  validateWeights(weights, { partial = false } = {}) {
+    const errors = [];
+    if (!weights || typeof weights !== 'object') return ['Weights must be an object'];
+
+    Object.entries(weights).forEach(([factor, value]) => {
+      if (!MATCH_FACTORS.includes(factor)) {
+        errors.push(`Unknown match factor: ${factor}`);
+      } else if (typeof value !== 'number' || value < 0 || value > 1) {
+        errors.push(`Weight for ${factor} must be a number between 0 and 1`);
+      }
+    });
+
+    if (!partial && MATCH_FACTORS.every(factor => !weights[factor])) {
+      errors.push('At least one weight must be greater than 0');
+    }
+
+    return errors;
+  }
+
+  validateMinMatchScore(value) {
+    return typeof value === 'number' && value >= 0 && value <= 100
+      ? []
+      : ['Minimum match score must be a number between 0 and 100'];
+  }
+
+  /**
+   * The platform-wide profile: admin settings over the built-in defaults
+   */
+  getPlatformProfile() {
+    const { weights, minMatchScore } = this.settings;
+    const customized = Boolean(weights) || minMatchScore !== null;
+
+    return {
+      name: customized ? 'platform' : 'default',
+      source: customized ? 'settings' : 'default',
+      weights: weights ? this.normalizeWeights(weights) : { ...this.defaults.weights },
+      minMatchScore: minMatchScore ?? this.defaults.minMatchScore
+    };
+  }
+
+  getProfiles() {
+    const platform = this.getPlatformProfile();
+    return this.settings.profiles.map(profile => ({
+      name: profile.name,
+      label: profile.label || profile.name,
+      description: profile.description || '',
+      weights: this.normalizeWeights(profile.weights),
+      minMatchScore: profile.minMatchScore ?? platform.minMatchScore
+    }));
+  }
+
+  findProfile(name) {
+    return this.getProfiles().find(profile => profile.name === name) || null;
+  }
+
+  /**
+   * Weights and threshold to use for a job.
+   * Returns { name, source, weights, minMatchScore } where source is
+   * 'job', 'profile', 'settings' (platform defaults) or 'default'.
+   * Weights set on the job are merged over the profile they're based on.
+   */
+  resolveProfile(job) {
+    const criteria = job?.matchingCriteria || {};
+    const named = criteria.weightProfile ? this.findProfile(criteria.weightProfile) : null;
+
+    if (criteria.weightProfile && !named) {
+      logger.debug(`Job ${job._id} uses unknown weight profile "${criteria.weightProfile}", using platform defaults`);
+    }
+
+    const base = named
+      ? { name: named.name, source: 'profile', weights: named.weights, minMatchScore: named.minMatchScore }
+      : this.getPlatformProfile();
+
+    const jobWeights = this.pickWeights(criteria.weights);
+    const hasJobWeights = Object.keys(jobWeights).length > 0;
+    const hasJobThreshold = typeof criteria.minMatchScore === 'number';
+
+    if (!hasJobWeights && !hasJobThreshold) return base;
+
+    return {
+      name: 'job',
+      source: 'job',
+      basedOn: base.name,
+      weights: hasJobWeights ? this.normalizeWeights({ ...base.weights, ...jobWeights }) : base.weights,
+      minMatchScore: hasJobThreshold ? criteria.minMatchScore : base.minMatchScore
+    };
+  }
+
+  /**
+   * Errors in the matching settings of a job create/update request
+   */
+  validateJobCriteria(criteria = {}) {
+    const errors = [];
+
+    if (criteria.weightProfile && !this.findProfile(criteria.weightProfile)) {
+      errors.push(`Unknown weight profile: ${criteria.weightProfile}`);
+    }
+    if (criteria.weights !== undefined && criteria.weights !== null) {
+      errors.push(...this.validateWeights(criteria.weights, { partial: true }));
+    }
+    if (criteria.minMatchScore !== undefined && criteria.minMatchScore !== null) {
+      errors.push(...this.validateMinMatchScore(criteria.minMatchScore));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Everything an admin sees: built-in defaults, platform settings and profiles
+   */
+  getSettings() {
+    return {
+      factors: MATCH_FACTORS,
+      defaults: this.defaults,
+      platform: this.getPlatformProfile(),
+      profiles: this.getProfiles()
+    };
+  }
+
+  /**
+   * Update the platform defaults. Pass null to reset a value to the built-in default.
+   * Returns { settings, errors }; nothing is saved if there are errors.
+   */
+  async updatePlatformSettings(data, userId) {
+    const errors = [];
+    if (data.weights) errors.push(...this.validateWeights(data.weights));
+    if (data.minMatchScore !== undefined && data.minMatchScore !== null) {
+      errors.push(...this.validateMinMatchScore(data.minMatchScore));
+    }
+    if (errors.length > 0) return { settings: null, errors };
+
+    // Start from the stored settings so edits made elsewhere aren't overwritten
+    await this.loadSettings();
+    if (data.weights !== undefined) {
+      this.settings.weights = data.weights ? this.normalizeWeights(data.weights) : null;
+    }
+    if (data.minMatchScore !== undefined) {
+      this.settings.minMatchScore = data.minMatchScore;
+    }
+
+    await this.save(userId);
+    return { settings: this.getSettings(), errors: [] };
+  }
+
+  /**
+   * Create or replace a named weight profile
+   */
+  async upsertProfile(name, data, userId) {
+    const errors = [];
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name) || RESERVED_PROFILE_NAMES.includes(name)) {
+      errors.push('Profile name must be lowercase letters, numbers and dashes, and not default, platform or job');
+    }
+    errors.push(...this.validateWeights(data.weights));
+    if (data.minMatchScore !== undefined && data.minMatchScore !== null) {
+      errors.push(...this.validateMinMatchScore(data.minMatchScore));
+    }
+    if (errors.length > 0) return { profile: null, errors };
+
+    await this.loadSettings();
+    const profile = {
+      name,
+      label: data.label || name,
+      description: data.description || '',
+      weights: this.normalizeWeights(data.weights),
+      minMatchScore: data.minMatchScore ?? null
+    };
+    this.settings.profiles = [
+      ...this.settings.profiles.filter(existing => existing.name !== name),
+      profile
+    ];
+
+    await this.save(userId);
+    return { profile: this.findProfile(name), errors: [] };
+  }
+
+  /**
+   * Delete a weight profile. Jobs that used it fall back to the platform defaults.
+   */
+  async removeProfile(name, userId) {
+    await this.loadSettings();
+    if (!this.settings.profiles.some(profile => profile.name === name)) return false;
+
+    this.settings.profiles = this.settings.profiles.filter(profile => profile.name !== name);
+    await this.save(userId);
+    return true;
+  }
+
+  async save(userId) {
+    const setting = await Setting.findOne({ key: SETTINGS_KEY }) || new Setting({ key: SETTINGS_KEY });
+    setting.value = {
+      weights: this.settings.weights,
+      minMatchScore: this.settings.minMatchScore,
+      profiles: this.settings.profiles
+    };
+    setting.markModified('value');
+    setting.updatedBy = userId;
+    await setting.save();
+    this.settingsVersion = this.versionOf(setting);
+  }
+}
+
+// Export singleton instance
+const matchingSettingsService = new MatchingSettingsService();
+
+module.exports = {
+  matchingSettingsService,
+  MatchingSettingsService,
+  MATCH_FACTORS
+};
@@ -0,0 +1,191 @@
+const { PNG } = require('pngjs');
+const logger = require('../utils/logger');
+
+// pdf-parse bundles this pdf.js build; loading it directly lets images be
+// decoded to raw pixels instead of handed to a browser image decoder
+const pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+// pdf.js ImageKind values
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+/**
+ * OCR Service
+ * Recovers text from scanned, image-only PDFs. Each page's largest
+ * embedded image is decoded with pdf.js, encoded as PNG and read with
+ * tesseract.js using the bundled language data, so no network access is
+ * needed at runtime.
+ */
+class OcrService {
+  constructor() {
+    this.enabled = process.env.OCR_ENABLED !== 'false';
+    this.language = process.env.OCR_LANGUAGE || 'eng';
+    this.langPath = process.env.OCR_LANG_PATH || null;
+    this.minCharsPerPage = parseInt(process.env.OCR_MIN_CHARS_PER_PAGE) || 50;
+    this.maxPages = parseInt(process.env.OCR_MAX_PAGES) || 5;
+    this.minImageSize = 300; // pixels on the shorter side; smaller images are logos or icons
+    this.engine = 'tesseract.js';
+  }
+
+  /**
+   * Whether extracted PDF text is too sparse to be a real text layer
+   * (e.g. only a page number or a scanner watermark)
+   */
+  isImageOnly(text, pages = 1) {
+    const characters = (text || '').replace(/\s/g, '').length;
+    return characters < this.minCharsPerPage * Math.max(pages || 1, 1);
+  }
+
+  /**
+   * Run OCR over the page images of a PDF.
+   * Returns null when OCR is disabled or the PDF has no usable images.
+   */
+  async recognizePDF(dataBuffer) {
+    if (!this.enabled) return null;
+
+    const { images, pages } = await this.extractPageImages(dataBuffer);
+    if (images.length === 0) {
+      logger.warn('OCR skipped: PDF has no page images');
+      return null;
+    }
+
+    const worker = await this.createWorker();
+    const pageTexts = [];
+    const confidences = [];
+
+    try {
+      for (const image of images) {
+        const { data } = await worker.recognize(image.png);
+        pageTexts.push(data.text.trim());
+        confidences.push(data.confidence);
+      }
+    } finally {
+      await worker.terminate();
+    }
+
+    const text = pageTexts.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+    const confidence = confidences.reduce((sum, value) => sum + value, 0) / confidences.length / 100;
+
+    logger.info(`OCR read ${images.length}/${pages} pages (${text.length} chars, confidence ${confidence.toFixed(2)})`);
+
+    return {
+      text,
+      engine: this.engine,
+      language: this.language,
+      confidence: Math.round(confidence * 100) / 100,
+      pages,
+      pagesProcessed: images.length
+    };
+  }
+
+  /**
+   * Decode the largest image on each page (up to maxPages) to PNG
+   */
+  async extractPageImages(dataBuffer) {
+    // No DOM here: skip the worker and browser font loading
+    pdfjs.PDFJS.disableWorker = true;
+    pdfjs.PDFJS.disableFontFace = true;
+    const doc = await pdfjs.getDocument({
+      data: new Uint8Array(dataBuffer),
+      nativeImageDecoderSupport: 'none'
+    });
+    const images = [];
+
+    try {
+      const pageCount = Math.min(doc.numPages, this.maxPages);
+
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const operators = await page.getOperatorList();
+
+        const candidates = [];
+        operators.fnArray.forEach((fn, index) => {
+          const args = operators.argsArray[index];
+          if (fn === pdfjs.OPS.paintInlineImageXObject) {
+            candidates.push(args[0]);
+          } else if (fn === pdfjs.OPS.paintImageXObject || fn === pdfjs.OPS.paintJpegXObject) {
+            const image = page.objs.hasData(args[0]) ? page.objs.get(args[0]) : null;
+            if (image) candidates.push(image);
+          }
+        });
+
+        const largest = candidates
+          .filter(image => image.data && Math.min(image.width, image.height) >= this.minImageSize)
+          .sort((a, b) => b.width * b.height - a.width * a.height)[0];
+
+        if (largest) {
+          images.push({ page: pageNumber, width: largest.width, height: largest.height, png: this.toPNG(largest) });
+        }
+        page.cleanup();
+      }
+
+      return { images, pages: doc.numPages };
+    } finally {
+      doc.destroy();
+    }
+  }
+
+  /**
+   * Encode a decoded pdf.js image as PNG
+   */
+  toPNG({ width, height, kind, data }) {
+    const png = new PNG({ width, height });
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const target = (y * width + x) * 4;
+        let r;
+        let g;
+        let b;
+        let a = 255;
+
+        if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+          // Rows are packed bits padded to whole bytes; a set bit is white
+          const rowBytes = (width + 7) >> 3;
+          const bit = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+          r = g = b = bit ? 255 : 0;
+        } else if (kind === IMAGE_KIND.RGBA_32BPP) {
+          const source = target;
+          [r, g, b, a] = [data[source], data[source + 1], data[source + 2], data[source + 3]];
+        } else {
+          const source = (y * width + x) * 3;
+          [r, g, b] = [data[source], data[source + 1], data[source + 2]];
+        }
+
+        png.data[target] = r;
+        png.data[target + 1] = g;
+        png.data[target + 2] = b;
+        png.data[target + 3] = a;
+      }
+    }
+
+    return PNG.sync.write(png);
+  }
+
+  /**
+   * Start a tesseract.js worker using local language data
+   */
+  async createWorker() {
+    // Loaded lazily so servers with OCR disabled never start the WASM engine
+    const { createWorker } = require('tesseract.js');
+    const bundled = this.language === 'eng' ? require('@tesseract.js-data/eng') : null;
+    const langPath = this.langPath || bundled?.langPath;
+
+    if (!langPath) {
+      throw new Error(`No OCR language data for "${this.language}"; set OCR_LANG_PATH`);
+    }
+
+    return createWorker(this.language, 1, {
+      langPath,
+      gzip: this.langPath ? process.env.OCR_LANG_GZIP !== 'false' : bundled.gzip,
+      cacheMethod: 'none'
+    });
+  }
+}
+
+// Export singleton instance
+const ocrService = new OcrService();
+
+module.exports = {
+  ocrService,
+  OcrService
+};
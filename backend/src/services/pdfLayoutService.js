@@ -0,0 +1,383 @@
+const pdfParse = require('pdf-parse');
+const logger = require('../utils/logger');
+
+// Heading text (normalized) for each canonical section
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'professional profile', 'objective',
+    'career objective', 'about me', 'about', 'personal statement'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment',
+    'employment history', 'work history', 'career history', 'relevant experience'],
+  education: ['education', 'academic background', 'qualifications', 'academic qualifications',
+    'education and training', 'education & training'],
+  skills: ['skills', 'technical skills', 'core competencies', 'technologies', 'key skills',
+    'expertise', 'skills & expertise', 'skills and expertise', 'tools'],
+  projects: ['projects', 'personal projects', 'side projects', 'portfolio', 'key projects',
+    'notable projects'],
+  awards: ['awards', 'honors', 'honours', 'achievements', 'awards & honors', 'awards and honors',
+    'recognitions', 'accolades'],
+  certifications: ['certifications', 'certificates', 'licenses & certifications',
+    'licenses and certifications'],
+  publications: ['publications', 'papers', 'research', 'articles'],
+  volunteering: ['volunteer', 'volunteering', 'volunteer experience', 'community service',
+    'community involvement'],
+  languages: ['languages'],
+  interests: ['interests', 'hobbies', 'interests & hobbies'],
+  references: ['references'],
+  contact: ['contact', 'contact information', 'contact details']
+};
+
+// Heading written into the rebuilt text, chosen to match ResumeParsingService.extractSection
+const CANONICAL_HEADINGS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  skills: 'Skills',
+  projects: 'Projects',
+  awards: 'Awards',
+  certifications: 'Certifications',
+  publications: 'Publications',
+  volunteering: 'Volunteer',
+  languages: 'Languages',
+  interests: 'Interests',
+  references: 'References',
+  contact: 'Contact'
+};
+
+const HEADING_LOOKUP = new Map();
+Object.entries(SECTION_HEADINGS).forEach(([section, headings]) => {
+  headings.forEach(heading => HEADING_LOOKUP.set(heading, section));
+});
+
+/**
+ * PDF Layout Service
+ * Rebuilds reading order for PDFs from pdf.js text positions: detects
+ * column gutters, groups text into lines per column and finds section
+ * headings by text and font size, so multi-column resumes don't come
+ * out interleaved.
+ */
+class PdfLayoutService {
+  constructor() {
+    this.binSize = 2; // points per column-coverage bin
+    this.minGutterWidth = 10;
+    this.minColumnShare = 0.15;
+  }
+
+  /**
+   * Extract text in reading order along with layout metadata. `sections`
+   * holds the text under each detected heading, collected within its own
+   * column so section parsers never see the neighbouring column.
+   */
+  async extractLayout(dataBuffer) {
+    const pages = [];
+
+    const result = await pdfParse(dataBuffer, {
+      pagerender: (pageData) => this.collectPageItems(pageData, pages)
+    });
+
+    const bodyFontSize = this.getBodyFontSize(pages);
+    const headings = [];
+    const columns = [];
+    const pageTexts = [];
+    const sectionLines = {};
+    let currentSection = null;
+    let currentColumn = null;
+
+    pages
+      .sort((a, b) => a.pageIndex - b.pageIndex)
+      .forEach((page, index) => {
+        const ordered = this.orderPageLines(page);
+        columns.push(ordered.columns);
+
+        const lines = ordered.lines.map(line => {
+          // A section never continues into a different column
+          if (line.column !== currentColumn) {
+            currentSection = null;
+            currentColumn = line.column;
+          }
+
+          const heading = this.detectHeading(line, bodyFontSize);
+          if (!heading) {
+            if (currentSection) sectionLines[currentSection].push(line.text);
+            return line.text;
+          }
+
+          headings.push({
+            section: heading.section,
+            text: line.text,
+            styled: heading.styled,
+            page: index + 1,
+            column: line.column
+          });
+          currentSection = heading.section;
+          sectionLines[currentSection] = sectionLines[currentSection] || [];
+          return `\n${CANONICAL_HEADINGS[heading.section]}`;
+        });
+
+        pageTexts.push(lines.join('\n'));
+      });
+
+    const sections = Object.fromEntries(
+      Object.entries(sectionLines)
+        .map(([section, lines]) => [section, lines.join('\n').trim()])
+        .filter(([, text]) => text)
+    );
+
+    logger.debug(`PDF layout: ${pages.length} pages, columns [${columns.join(', ')}], ${headings.length} headings`);
+
+    return {
+      text: pageTexts.join('\n\n').replace(/\n{3,}/g, '\n\n').trim(),
+      flatText: result.text,
+      pages: pages.length,
+      columns,
+      headings,
+      sections,
+      bodyFontSize,
+      hasText: pages.some(page => page.items.length > 0)
+    };
+  }
+
+  /**
+   * pdf-parse pagerender hook: record positioned text items for a page
+   */
+  async collectPageItems(pageData, pages) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: true,
+      disableCombineTextItems: false
+    });
+
+    const [x0, , x1] = pageData.view || [0, 0, 612, 792];
+    const items = textContent.items
+      .filter(item => item.str && item.str.trim())
+      .map(item => ({
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || 0,
+        fontSize: Math.abs(item.transform[3]) || Math.abs(item.transform[0]) || 10
+      }));
+
+    pages.push({ pageIndex: pageData.pageIndex, width: x1 - x0, items });
+
+    return items.map(item => item.text).join(' ');
+  }
+
+  /**
+   * Median font size weighted by characters, i.e. the body text size
+   */
+  getBodyFontSize(pages) {
+    const sizes = [];
+    pages.forEach(page => page.items.forEach(item => {
+      const weight = Math.min(item.text.length, 200);
+      for (let i = 0; i < weight; i++) sizes.push(item.fontSize);
+    }));
+
+    if (sizes.length === 0) return 10;
+    sizes.sort((a, b) => a - b);
+    return sizes[Math.floor(sizes.length / 2)];
+  }
+
+  /**
+   * Split a page into columns and return its lines in reading order:
+   * full-width header, then each column top to bottom, then full-width footer
+   */
+  orderPageLines(page) {
+    const gutter = this.findGutter(page);
+
+    if (!gutter) {
+      return { columns: 1, lines: this.buildLines(page.items, 0) };
+    }
+
+    const left = [];
+    const right = [];
+    const spanning = [];
+
+    page.items.forEach(item => {
+      if (item.x + item.width <= gutter.start + 1) left.push(item);
+      else if (item.x >= gutter.end - 1) right.push(item);
+      else spanning.push(item);
+    });
+
+    // Columns start at the first row with text on both sides. Anything above
+    // that (name, contact line) is the header; full-width text below the last
+    // shared row is the footer; other full-width text stays with the left column.
+    const sharedRows = this.findSharedRows(left, right);
+    const isHeader = (item) => sharedRows && item.y > sharedRows.top + item.fontSize * 0.5;
+    const isFooter = (item) => sharedRows && item.y < sharedRows.bottom - item.fontSize * 0.5;
+
+    const header = [...left, ...right, ...spanning].filter(isHeader);
+    const footer = spanning.filter(item => !isHeader(item) && isFooter(item));
+    const leftColumn = [
+      ...left.filter(item => !isHeader(item)),
+      ...spanning.filter(item => !isHeader(item) && !isFooter(item))
+    ];
+    const rightColumn = right.filter(item => !isHeader(item));
+
+    return {
+      columns: 2,
+      lines: [
+        ...this.buildLines(header, 0),
+        ...this.buildLines(leftColumn, 1),
+        ...this.buildLines(rightColumn, 2),
+        ...this.buildLines(footer, 0)
+      ]
+    };
+  }
+
+  /**
+   * Top and bottom y of the rows where both columns have text
+   */
+  findSharedRows(left, right) {
+    const shared = left
+      .filter(leftItem => right.some(rightItem =>
+        Math.abs(rightItem.y - leftItem.y) <= Math.max(leftItem.fontSize, rightItem.fontSize)))
+      .map(item => item.y);
+
+    if (shared.length === 0) return null;
+    return { top: Math.max(...shared), bottom: Math.min(...shared) };
+  }
+
+  /**
+   * Find a vertical band with no text between two substantial columns.
+   * Returns { start, end } in points, or null for single-column pages.
+   */
+  findGutter(page) {
+    const { items, width } = page;
+    if (items.length < 6 || !width) return null;
+
+    const binCount = Math.ceil(width / this.binSize) + 1;
+    const coverage = new Array(binCount).fill(0);
+
+    items
+      .filter(item => item.width < width * 0.5)
+      .forEach(item => {
+        const first = Math.max(0, Math.floor(item.x / this.binSize));
+        const last = Math.min(binCount - 1, Math.floor((item.x + item.width) / this.binSize));
+        for (let bin = first; bin <= last; bin++) coverage[bin]++;
+      });
+
+    const textBins = coverage.map((count, bin) => (count > 0 ? bin : -1)).filter(bin => bin >= 0);
+    if (textBins.length === 0) return null;
+
+    // Only look for gutters between the outermost text, away from the margins
+    const searchStart = Math.max(textBins[0], Math.floor(binCount * 0.2));
+    const searchEnd = Math.min(textBins[textBins.length - 1], Math.floor(binCount * 0.8));
+
+    // A few items may cross the gutter (e.g. a centered name above both columns)
+    const tolerance = Math.floor(items.length * 0.04);
+
+    let best = null;
+    let runStart = null;
+    for (let bin = searchStart; bin <= searchEnd + 1; bin++) {
+      const empty = bin <= searchEnd && coverage[bin] <= tolerance;
+      if (empty && runStart === null) runStart = bin;
+      if (!empty && runStart !== null) {
+        if (!best || bin - runStart > best.end - best.start) {
+          best = { start: runStart, end: bin };
+        }
+        runStart = null;
+      }
+    }
+
+    if (!best || (best.end - best.start) * this.binSize < this.minGutterWidth) return null;
+
+    const gutter = { start: best.start * this.binSize, end: best.end * this.binSize };
+
+    // Both sides need a real share of the text and must sit side by side
+    const chars = (list) => list.reduce((sum, item) => sum + item.text.length, 0);
+    const left = items.filter(item => item.x + item.width <= gutter.start + 1);
+    const right = items.filter(item => item.x >= gutter.end - 1);
+    const total = chars(items);
+
+    if (chars(left) < total * this.minColumnShare || chars(right) < total * this.minColumnShare) {
+      return null;
+    }
+
+    const leftRows = new Set(left.map(item => Math.round(item.y)));
+    const sharedRows = right.filter(item => leftRows.has(Math.round(item.y))).length;
+    const overlapping = this.verticalOverlap(left, right);
+
+    if (overlapping < 0.5 && sharedRows < 3) return null;
+
+    return gutter;
+  }
+
+  /**
+   * Fraction of the shorter column's height that overlaps the other column
+   */
+  verticalOverlap(a, b) {
+    const range = (list) => [Math.min(...list.map(item => item.y)), Math.max(...list.map(item => item.y))];
+    const [aMin, aMax] = range(a);
+    const [bMin, bMax] = range(b);
+    const overlap = Math.min(aMax, bMax) - Math.max(aMin, bMin);
+    const shorter = Math.min(aMax - aMin, bMax - bMin) || 1;
+    return Math.max(0, overlap) / shorter;
+  }
+
+  /**
+   * Group items into lines (top to bottom, left to right)
+   */
+  buildLines(items, column) {
+    const sorted = [...items].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+    const lines = [];
+
+    sorted.forEach(item => {
+      const line = lines[lines.length - 1];
+      const tolerance = Math.max(2, Math.min(item.fontSize, line?.fontSize || item.fontSize) * 0.5);
+
+      if (line && Math.abs(line.y - item.y) <= tolerance) {
+        line.items.push(item);
+        line.fontSize = Math.max(line.fontSize, item.fontSize);
+      } else {
+        lines.push({ y: item.y, fontSize: item.fontSize, column, items: [item] });
+      }
+    });
+
+    return lines.map(line => {
+      line.items.sort((a, b) => a.x - b.x);
+
+      let text = '';
+      let lastEnd = null;
+      line.items.forEach(item => {
+        const gap = lastEnd === null ? 0 : item.x - lastEnd;
+        if (lastEnd !== null && gap > item.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+          text += ' ';
+        }
+        text += item.text;
+        lastEnd = item.x + item.width;
+      });
+
+      return { text: text.replace(/\s+/g, ' ').trim(), fontSize: line.fontSize, column };
+    }).filter(line => line.text);
+  }
+
+  /**
+   * Recognize a section heading line. `styled` means it also stands out
+   * visually (larger font or all caps), which raises confidence.
+   */
+  detectHeading(line, bodyFontSize) {
+    if (line.text.length > 40) return null;
+
+    const normalized = line.text
+      .toLowerCase()
+      .replace(/[:|•\-–—_]+$/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const section = HEADING_LOOKUP.get(normalized);
+    if (!section) return null;
+
+    const letters = line.text.replace(/[^A-Za-z]/g, '');
+    const styled = line.fontSize >= bodyFontSize * 1.15 || (letters.length > 2 && letters === letters.toUpperCase());
+
+    return { section, styled };
+  }
+}
+
+// Export singleton instance
+const pdfLayoutService = new PdfLayoutService();
+
+module.exports = {
+  pdfLayoutService,
+  PdfLayoutService,
+  SECTION_HEADINGS
+};
@@ -0,0 +1,352 @@
+const logger = require('../utils/logger');
+
+// Editable fields per section. Array sections take `<section>.<index>.<field>` paths.
+const EDITABLE_FIELDS = {
+  personalInfo: ['name', 'email', 'phone', 'address', 'linkedin', 'github', 'website', 'summary'],
+  experience: ['company', 'position', 'startDate', 'endDate', 'current', 'location', 'description'],
+  education: ['institution', 'degree', 'field', 'startDate', 'endDate', 'current', 'gpa', 'location'],
+  projects: ['name', 'description', 'url', 'github'],
+  awards: ['title', 'issuer', 'date', 'description'],
+  publications: ['title', 'publisher', 'date', 'url', 'description'],
+  volunteering: ['organization', 'role', 'startDate', 'endDate', 'current', 'description']
+};
+
+// Fields shown on the review screen (a subset of the editable ones)
+const REVIEW_FIELDS = {
+  personalInfo: EDITABLE_FIELDS.personalInfo,
+  experience: ['position', 'company', 'startDate', 'endDate', 'location'],
+  education: ['institution', 'degree', 'field', 'endDate'],
+  projects: ['name', 'description'],
+  awards: ['title', 'issuer', 'date'],
+  publications: ['title', 'publisher', 'date'],
+  volunteering: ['organization', 'role']
+};
+
+const ARRAY_SECTIONS = ['experience', 'education', 'projects', 'awards', 'publications', 'volunteering'];
+const SKILL_LISTS = ['technical', 'soft'];
+const BOOLEAN_FIELDS = ['current'];
+const MAX_VALUE_LENGTH = 2000;
+const MAX_ENTRIES = 50;
+
+/**
+ * Resume Correction Service
+ * Applies candidate corrections to parsedContent and keeps user-verified
+ * fields when a resume is re-parsed.
+ *
+ * Entries in array sections can't be matched reliably between two parses,
+ * so verifying any field of e.g. `experience` keeps the candidate's whole
+ * experience list on re-parse. Personal info fields and skill lists are
+ * kept individually.
+ */
+class ResumeCorrectionService {
+  constructor() {
+    this.lowConfidenceThreshold = parseFloat(process.env.PARSE_LOW_CONFIDENCE_THRESHOLD) || 0.6;
+  }
+
+  /**
+   * Parse and validate a field path. Returns null for paths that can't be edited.
+   */
+  parsePath(path) {
+    if (typeof path !== 'string') return null;
+    const parts = path.split('.');
+
+    if (parts[0] === 'personalInfo' && parts.length === 2 && EDITABLE_FIELDS.personalInfo.includes(parts[1])) {
+      return { section: 'personalInfo', field: parts[1], preserveKey: path };
+    }
+
+    if (parts[0] === 'skills' && SKILL_LISTS.includes(parts[1])) {
+      if (parts.length === 2) return { section: 'skills', list: parts[1], preserveKey: `skills.${parts[1]}` };
+      if (parts.length === 3 && /^\d+$/.test(parts[2])) {
+        return { section: 'skills', list: parts[1], index: parseInt(parts[2]), preserveKey: `skills.${parts[1]}` };
+      }
+      return null;
+    }
+
+    if (ARRAY_SECTIONS.includes(parts[0]) && parts.length >= 2 && /^\d+$/.test(parts[1])) {
+      const index = parseInt(parts[1]);
+      if (index >= MAX_ENTRIES) return null;
+      if (parts.length === 2) return { section: parts[0], index, preserveKey: parts[0] };
+      if (parts.length === 3 && EDITABLE_FIELDS[parts[0]].includes(parts[2])) {
+        return { section: parts[0], index, field: parts[2], preserveKey: parts[0] };
+      }
+    }
+
+    if (ARRAY_SECTIONS.includes(parts[0]) && parts.length === 1) {
+      return { section: parts[0], preserveKey: parts[0] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply corrections and confirmations to a plain parsedContent object.
+   *
+   * corrections:   [{ path, value }] - set a field; `{ path: 'experience.2', value: null }` removes an entry
+   * confirmations: [path]            - mark a field correct without changing it
+   *
+   * Returns { parsedContent, errors }. Nothing is applied if any path is invalid.
+   */
+  applyCorrections(parsedContent, corrections = [], confirmations = []) {
+    const content = { ...parsedContent };
+    let fields = [...(content.fieldConfidence || [])];
+    const errors = [];
+    const now = new Date();
+
+    const parsedCorrections = corrections.map(correction => ({
+      ...correction,
+      target: this.parsePath(correction?.path)
+    }));
+    const parsedConfirmations = confirmations.map(path => ({ path, target: this.parsePath(path) }));
+
+    [...parsedCorrections, ...parsedConfirmations].forEach(({ path, target }) => {
+      if (!target) errors.push(`Field cannot be edited: ${path}`);
+    });
+
+    parsedCorrections.forEach(({ path, value, target }) => {
+      if (!target) return;
+      const error = this.validateValue(target, value);
+      if (error) errors.push(`${path}: ${error}`);
+
+      // New entries can only be appended, not created past the end
+      const list = target.section === 'skills' ? content.skills?.[target.list] : content[target.section];
+      if (target.index !== undefined && target.index > (list?.length || 0)) {
+        errors.push(`${path}: index out of range`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return { parsedContent, errors };
+    }
+
+    const markVerified = (path) => {
+      fields = fields.filter(field => field.path !== path);
+      fields.push({ path, confidence: 1, verified: true, verifiedAt: now });
+    };
+
+    parsedCorrections.forEach(({ path, value, target }) => {
+      if (target.section === 'personalInfo') {
+        content.personalInfo = { ...(content.personalInfo || {}), [target.field]: this.cleanValue(value) };
+        markVerified(path);
+        return;
+      }
+
+      if (target.section === 'skills') {
+        const skills = { ...(content.skills || {}) };
+        const list = [...(skills[target.list] || [])];
+
+        if (target.index === undefined) {
+          skills[target.list] = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+          fields = fields.filter(field => !field.path.startsWith(`skills.${target.list}.`));
+        } else if (value === null) {
+          list.splice(target.index, 1);
+          skills[target.list] = list;
+          fields = this.removeIndexedFields(fields, `skills.${target.list}`, target.index);
+        } else {
+          list[target.index] = this.cleanValue(value);
+          skills[target.list] = list;
+          markVerified(path);
+        }
+
+        content.skills = skills;
+        markVerified(`skills.${target.list}`);
+        return;
+      }
+
+      // Array sections
+      const entries = [...(content[target.section] || [])];
+
+      if (target.field === undefined) {
+        // Removing an entry shifts the indexes of the entries after it
+        entries.splice(target.index, 1);
+        fields = this.removeIndexedFields(fields, target.section, target.index);
+      } else {
+        entries[target.index] = {
+          ...(entries[target.index] || {}),
+          [target.field]: BOOLEAN_FIELDS.includes(target.field) ? Boolean(value) : this.cleanValue(value)
+        };
+        markVerified(path);
+      }
+
+      content[target.section] = entries.filter(Boolean);
+      markVerified(target.section);
+    });
+
+    parsedConfirmations.forEach(({ path, target }) => {
+      const existing = fields.find(field => field.path === path);
+      fields = fields.filter(field => field.path !== path);
+      fields.push({
+        ...(existing || {}),
+        path,
+        confidence: 1,
+        verified: true,
+        verifiedAt: now
+      });
+      if (target.preserveKey !== path) markVerified(target.preserveKey);
+    });
+
+    content.fieldConfidence = fields;
+    return { parsedContent: content, errors: [] };
+  }
+
+  /**
+   * Carry user-verified fields from the previous parse into a new one
+   */
+  preserveVerifiedFields(previous, next) {
+    const verified = (previous?.fieldConfidence || []).filter(field => field.verified);
+    if (verified.length === 0) return next;
+
+    const content = { ...next };
+    const preserveKeys = new Set(
+      verified.map(field => this.parsePath(field.path)?.preserveKey).filter(Boolean)
+    );
+    const isPreserved = (path) => [...preserveKeys].some(key => path === key || path.startsWith(`${key}.`));
+
+    preserveKeys.forEach(key => {
+      const [section, sub] = key.split('.');
+      if (section === 'personalInfo') {
+        content.personalInfo = { ...(content.personalInfo || {}), [sub]: previous.personalInfo?.[sub] };
+      } else if (section === 'skills') {
+        content.skills = { ...(content.skills || {}), [sub]: previous.skills?.[sub] || [] };
+      } else {
+        content[section] = previous[section] || [];
+      }
+    });
+
+    content.fieldConfidence = [
+      ...(next.fieldConfidence || []).filter(field => !isPreserved(field.path)),
+      ...(previous.fieldConfidence || []).filter(field => isPreserved(field.path))
+    ];
+
+    logger.info(`Preserved user-verified resume fields: ${[...preserveKeys].join(', ')}`);
+    return content;
+  }
+
+  /**
+   * Drop field entries for a removed array item and shift later indexes down
+   */
+  removeIndexedFields(fields, prefix, removedIndex) {
+    return fields
+      .filter(field => !field.path.startsWith(`${prefix}.${removedIndex}.`) && field.path !== `${prefix}.${removedIndex}`)
+      .map(field => {
+        const match = field.path.match(new RegExp(`^${prefix.replace('.', '\\.')}\\.(\\d+)(.*)$`));
+        if (!match || parseInt(match[1]) < removedIndex) return field;
+        return { ...field, path: `${prefix}.${parseInt(match[1]) - 1}${match[2]}` };
+      });
+  }
+
+  validateValue(target, value) {
+    if (target.section === 'skills' && target.index === undefined) {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return 'must be an array of strings';
+      }
+      return null;
+    }
+
+    if (value === null) {
+      return target.field === undefined && target.index !== undefined
+        ? null
+        : 'value is required';
+    }
+
+    if (target.field && BOOLEAN_FIELDS.includes(target.field)) {
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    }
+
+    if (target.field === undefined && target.section !== 'skills') {
+      return 'only null is allowed to remove an entry';
+    }
+
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.length > MAX_VALUE_LENGTH) return `cannot exceed ${MAX_VALUE_LENGTH} characters`;
+    return null;
+  }
+
+  cleanValue(value) {
+    return typeof value === 'string' ? value.trim() : value;
+  }
+
+  /**
+   * Flatten parsed content into reviewable fields with their confidence,
+   * source text and verification state, in display order
+   */
+  buildReview(parsedContent) {
+    const content = parsedContent || {};
+    const confidenceByPath = new Map(
+      (content.fieldConfidence || []).map(field => [field.path, field])
+    );
+    const fields = [];
+
+    const addField = (path, section, value, extra = {}) => {
+      const entry = confidenceByPath.get(path);
+      const verified = Boolean(entry?.verified);
+      const confidence = entry ? entry.confidence : null;
+
+      fields.push({
+        path,
+        section,
+        value: value === undefined ? null : value,
+        confidence,
+        sourceText: entry?.sourceText,
+        verified,
+        lowConfidence: !verified && confidence !== null && confidence < this.lowConfidenceThreshold,
+        ...extra
+      });
+    };
+
+    REVIEW_FIELDS.personalInfo.forEach(field => {
+      addField(`personalInfo.${field}`, 'personalInfo', content.personalInfo?.[field], { field });
+    });
+
+    ARRAY_SECTIONS.forEach(section => {
+      (content[section] || []).forEach((entry, index) => {
+        REVIEW_FIELDS[section].forEach(field => {
+          addField(`${section}.${index}.${field}`, section, entry[field], { index, field });
+        });
+      });
+    });
+
+    SKILL_LISTS.forEach(list => {
+      const skills = content.skills?.[list] || [];
+      const skillConfidence = skills
+        .map((skill, index) => confidenceByPath.get(`skills.${list}.${index}`))
+        .filter(Boolean);
+      const listEntry = confidenceByPath.get(`skills.${list}`);
+      const confidence = listEntry?.verified
+        ? 1
+        : skillConfidence.length ? Math.min(...skillConfidence.map(field => field.confidence)) : null;
+      const verified = Boolean(listEntry?.verified);
+
+      fields.push({
+        path: `skills.${list}`,
+        section: 'skills',
+        field: list,
+        value: skills,
+        confidence,
+        verified,
+        lowConfidence: !verified && confidence !== null && confidence < this.lowConfidenceThreshold
+      });
+    });
+
+    return {
+      threshold: this.lowConfidenceThreshold,
+      lowConfidenceCount: fields.filter(field => field.lowConfidence).length,
+      fields
+    };
+  }
+
+  /**
+   * Fields below the confidence threshold that the candidate hasn't verified
+   */
+  getLowConfidenceFields(parsedContent) {
+    return (parsedContent?.fieldConfidence || [])
+      .filter(field => !field.verified && field.confidence < this.lowConfidenceThreshold);
+  }
+}
+
+// Export singleton instance
+const resumeCorrectionService = new ResumeCorrectionService();
+
+module.exports = {
+  resumeCorrectionService,
+  ResumeCorrectionService
+};
@@ -1,6 +1,53 @@
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
 const path = require('path');
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  AlignmentType,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType
+} = require('docx');
 const logger = require('../utils/logger');
+const { resumeTemplateService } = require('./resumeTemplateService');
+const { jsonResumeService } = require('./jsonResumeService');
+
+// TrueType fonts embedded into generated PDFs so text stays selectable and extractable
+const PDF_FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const PDF_FONTS = {
+  sans: {
+    regular: path.join(PDF_FONT_DIR, 'DejaVuSans.ttf'),
+    bold: path.join(PDF_FONT_DIR, 'DejaVuSans-Bold.ttf'),
+    italic: path.join(PDF_FONT_DIR, 'DejaVuSans-Oblique.ttf')
+  },
+  serif: {
+    regular: path.join(PDF_FONT_DIR, 'DejaVuSerif.ttf'),
+    bold: path.join(PDF_FONT_DIR, 'DejaVuSerif-Bold.ttf'),
+    italic: path.join(PDF_FONT_DIR, 'DejaVuSerif-Italic.ttf')
+  }
+};
+
+// PDF layout mirrors the template stylesheets (sizes in points)
+const PDF_LAYOUT = {
+  margin: 36,
+  nameSize: 20,
+  sectionTitleSize: 13,
+  itemTitleSize: 11.5,
+  bodySize: 10,
+  metaSize: 9.5,
+  textColor: '#333333',
+  mutedColor: '#666666',
+  lightColor: '#888888',
+  ruleColor: '#cccccc',
+  minEntrySpace: 60
+};
 
 /**
  * Resume Export Service
@@ -10,6 +57,9 @@ class ResumeExportService {
   constructor() {
     this.supportedFormats = ['pdf', 'docx', 'txt', 'json'];
     this.exportDir = path.join(__dirname, '../../exports');
+    this.exportTTLHours = parseInt(process.env.EXPORT_TTL_HOURS) || 24;
+    this.maxShareLinkHours = parseInt(process.env.EXPORT_SHARE_MAX_HOURS) || 168;
+    this.filenamePattern = /^resume_[a-f0-9]+_\d+\.(pdf|docx|txt|json)$/;
     
     // Ensure export directory exists
     this.ensureExportDirectory();
@@ -17,26 +67,37 @@ class ResumeExportService {
 
   /**
    * Export resume to specified format
+   * options.template selects the resume theme used for PDF output
    */
-  async exportResumeToFormat(resume, format) {
+  async exportResumeToFormat(resume, format, options = {}) {
     try {
       if (!this.supportedFormats.includes(format)) {
         throw new Error(`Unsupported export format: ${format}`);
       }
 
+      let result;
       switch (format) {
         case 'json':
-          return await this.exportToJSON(resume);
+          result = await this.exportToJSON(resume);
+          break;
         case 'txt':
-          return await this.exportToTXT(resume);
+          result = await this.exportToTXT(resume);
+          break;
         case 'pdf':
-          return await this.exportToPDF(resume);
+          result = await this.exportToPDF(resume, options.template);
+          break;
         case 'docx':
-          return await this.exportToDOCX(resume);
+          result = await this.exportToDOCX(resume);
+          break;
         default:
           throw new Error(`Export format ${format} not implemented`);
       }
 
+      return {
+        ...result,
+        expiresAt: this.getExpiryDate()
+      };
+
     } catch (error) {
       logger.error(`Resume export error (${format}):`, error);
       throw error;
@@ -44,42 +105,29 @@ class ResumeExportService {
   }
 
   /**
-   * Export resume to JSON format
+   * Export resume to JSON Resume format (https://jsonresume.org/schema)
    */
   async exportToJSON(resume) {
     try {
-      const exportData = {
-        metadata: {
-          originalName: resume.originalName,
-          exportedAt: new Date().toISOString(),
-          version: resume.version,
-          atsScore: resume.atsScore,
-          format: 'json'
-        },
-        personalInfo: resume.parsedContent?.personalInfo || {},
-        experience: resume.parsedContent?.experience || [],
-        education: resume.parsedContent?.education || [],
-        skills: resume.parsedContent?.skills || {},
-        projects: resume.parsedContent?.projects || [],
-        awards: resume.parsedContent?.awards || [],
-        publications: resume.parsedContent?.publications || [],
-        volunteering: resume.parsedContent?.volunteering || [],
-        extractedSkills: resume.extractedSkills || [],
-        keywords: resume.keywords || [],
-        aiSuggestions: resume.aiSuggestions || []
-      };
+      if (!resume.parsedContent) {
+        throw new Error('Resume content not available for export');
+      }
+
+      const { document, unmappedFields } = jsonResumeService.toJSONResume(resume);
 
       const filename = `resume_${resume.userId}_${Date.now()}.json`;
       const filePath = path.join(this.exportDir, filename);
       
-      await fs.writeFile(filePath, JSON.stringify(exportData, null, 2));
+      await fs.writeFile(filePath, JSON.stringify(document, null, 2));
 
       return {
         format: 'json',
+        schema: 'jsonresume',
         filename,
         filePath,
         downloadUrl: `/api/exports/${filename}`,
-        size: (await fs.stat(filePath)).size
+        size: (await fs.stat(filePath)).size,
+        unmappedFields
       };
 
     } catch (error) {
@@ -99,228 +147,264 @@ class ResumeExportService {
         throw new Error('Resume content not available for export');
       }
 
-      let textContent = '';
-
-      // Header with personal information
-      if (parsedContent.personalInfo) {
-        const info = parsedContent.personalInfo;
-        if (info.name) textContent += `${info.name}\n`;
-        if (info.email) textContent += `Email: ${info.email}\n`;
-        if (info.phone) textContent += `Phone: ${info.phone}\n`;
-        if (info.address) textContent += `Address: ${info.address}\n`;
-        if (info.linkedin) textContent += `LinkedIn: ${info.linkedin}\n`;
-        if (info.github) textContent += `GitHub: ${info.github}\n`;
-        if (info.website) textContent += `Website: ${info.website}\n`;
-        textContent += '\n';
+      const textContent = this.buildPlainText(parsedContent);
 
-        // Professional summary
-        if (info.summary) {
-          textContent += 'PROFESSIONAL SUMMARY\n';
-          textContent += '===================\n';
-          textContent += `${info.summary}\n\n`;
-        }
-      }
+      const filename = `resume_${resume.userId}_${Date.now()}.txt`;
+      const filePath = path.join(this.exportDir, filename);
+      
+      await fs.writeFile(filePath, textContent);
 
-      // Work Experience
-      if (parsedContent.experience && parsedContent.experience.length > 0) {
-        textContent += 'WORK EXPERIENCE\n';
-        textContent += '===============\n';
-        
-        parsedContent.experience.forEach(exp => {
-          if (exp.position) textContent += `${exp.position}`;
-          if (exp.company) textContent += ` at ${exp.company}`;
-          textContent += '\n';
-          
-          if (exp.startDate || exp.endDate) {
-            textContent += `${exp.startDate || 'Unknown'} - ${exp.endDate || (exp.current ? 'Present' : 'Unknown')}\n`;
-          }
-          
-          if (exp.location) textContent += `Location: ${exp.location}\n`;
-          
-          if (exp.description) {
-            textContent += `${exp.description}\n`;
-          }
-          
-          if (exp.achievements && exp.achievements.length > 0) {
-            textContent += 'Key Achievements:\n';
-            exp.achievements.forEach(achievement => {
-              textContent += `• ${achievement}\n`;
-            });
-          }
-          
-          if (exp.technologies && exp.technologies.length > 0) {
-            textContent += `Technologies: ${exp.technologies.join(', ')}\n`;
-          }
-          
-          textContent += '\n';
-        });
-      }
+      return {
+        format: 'txt',
+        filename,
+        filePath,
+        downloadUrl: `/api/exports/${filename}`,
+        size: (await fs.stat(filePath)).size
+      };
 
-      // Education
-      if (parsedContent.education && parsedContent.education.length > 0) {
-        textContent += 'EDUCATION\n';
-        textContent += '=========\n';
-        
-        parsedContent.education.forEach(edu => {
-          if (edu.degree) textContent += `${edu.degree}`;
-          if (edu.field) textContent += ` in ${edu.field}`;
-          textContent += '\n';
-          
-          if (edu.institution) textContent += `${edu.institution}\n`;
-          
-          if (edu.startDate || edu.endDate) {
-            textContent += `${edu.startDate || 'Unknown'} - ${edu.endDate || (edu.current ? 'Present' : 'Unknown')}\n`;
-          }
-          
-          if (edu.gpa) textContent += `GPA: ${edu.gpa}\n`;
-          if (edu.description) textContent += `${edu.description}\n`;
-          
-          textContent += '\n';
-        });
+    } catch (error) {
+      logger.error('TXT export error:', error);
+      throw new Error('Failed to export resume as TXT');
+    }
+  }
+
+  /**
+   * Render parsed content as plain text (used for TXT exports and as the
+   * raw text of imported structured resumes)
+   */
+  buildPlainText(parsedContent) {
+    let textContent = '';
+
+    // Header with personal information
+    if (parsedContent.personalInfo) {
+      const info = parsedContent.personalInfo;
+      if (info.name) textContent += `${info.name}\n`;
+      if (info.email) textContent += `Email: ${info.email}\n`;
+      if (info.phone) textContent += `Phone: ${info.phone}\n`;
+      if (info.address) textContent += `Address: ${info.address}\n`;
+      if (info.linkedin) textContent += `LinkedIn: ${info.linkedin}\n`;
+      if (info.github) textContent += `GitHub: ${info.github}\n`;
+      if (info.website) textContent += `Website: ${info.website}\n`;
+      textContent += '\n';
+
+      // Professional summary
+      if (info.summary) {
+        textContent += 'PROFESSIONAL SUMMARY\n';
+        textContent += '===================\n';
+        textContent += `${info.summary}\n\n`;
       }
+    }
 
-      // Skills
-      if (parsedContent.skills) {
-        textContent += 'SKILLS\n';
-        textContent += '======\n';
+    // Work Experience
+    if (parsedContent.experience && parsedContent.experience.length > 0) {
+      textContent += 'WORK EXPERIENCE\n';
+      textContent += '===============\n';
+      
+      parsedContent.experience.forEach(exp => {
+        if (exp.position) textContent += `${exp.position}`;
+        if (exp.company) textContent += ` at ${exp.company}`;
+        textContent += '\n';
         
-        if (parsedContent.skills.technical && parsedContent.skills.technical.length > 0) {
-          textContent += `Technical Skills: ${parsedContent.skills.technical.join(', ')}\n`;
+        if (exp.startDate || exp.endDate) {
+          textContent += `${resumeTemplateService.formatDateRange(exp.startDate, exp.endDate, exp.current)}\n`;
         }
         
-        if (parsedContent.skills.soft && parsedContent.skills.soft.length > 0) {
-          textContent += `Soft Skills: ${parsedContent.skills.soft.join(', ')}\n`;
+        if (exp.location) textContent += `Location: ${exp.location}\n`;
+        
+        if (exp.description) {
+          textContent += `${exp.description}\n`;
         }
         
-        if (parsedContent.skills.languages && parsedContent.skills.languages.length > 0) {
-          textContent += 'Languages:\n';
-          parsedContent.skills.languages.forEach(lang => {
-            textContent += `• ${lang.language}${lang.proficiency ? ` (${lang.proficiency})` : ''}\n`;
+        if (exp.achievements && exp.achievements.length > 0) {
+          textContent += 'Key Achievements:\n';
+          exp.achievements.forEach(achievement => {
+            textContent += `• ${achievement}\n`;
           });
         }
         
-        if (parsedContent.skills.certifications && parsedContent.skills.certifications.length > 0) {
-          textContent += 'Certifications:\n';
-          parsedContent.skills.certifications.forEach(cert => {
-            textContent += `• ${cert.name}${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.date ? ` (${cert.date})` : ''}\n`;
-          });
+        if (exp.technologies && exp.technologies.length > 0) {
+          textContent += `Technologies: ${exp.technologies.join(', ')}\n`;
         }
         
         textContent += '\n';
-      }
+      });
+    }
 
-      // Projects
-      if (parsedContent.projects && parsedContent.projects.length > 0) {
-        textContent += 'PROJECTS\n';
-        textContent += '========\n';
+    // Education
+    if (parsedContent.education && parsedContent.education.length > 0) {
+      textContent += 'EDUCATION\n';
+      textContent += '=========\n';
+      
+      parsedContent.education.forEach(edu => {
+        if (edu.degree) textContent += `${edu.degree}`;
+        if (edu.field) textContent += ` in ${edu.field}`;
+        textContent += '\n';
         
-        parsedContent.projects.forEach(project => {
-          if (project.name) textContent += `${project.name}\n`;
-          if (project.description) textContent += `${project.description}\n`;
-          if (project.technologies && project.technologies.length > 0) {
-            textContent += `Technologies: ${project.technologies.join(', ')}\n`;
-          }
-          if (project.url) textContent += `URL: ${project.url}\n`;
-          if (project.github) textContent += `GitHub: ${project.github}\n`;
-          textContent += '\n';
-        });
-      }
-
-      // Awards
-      if (parsedContent.awards && parsedContent.awards.length > 0) {
-        textContent += 'AWARDS & RECOGNITION\n';
-        textContent += '===================\n';
+        if (edu.institution) textContent += `${edu.institution}\n`;
         
-        parsedContent.awards.forEach(award => {
-          if (award.title) textContent += `${award.title}`;
-          if (award.issuer) textContent += ` - ${award.issuer}`;
-          if (award.date) textContent += ` (${award.date})`;
-          textContent += '\n';
-          if (award.description) textContent += `${award.description}\n`;
-          textContent += '\n';
-        });
-      }
-
-      // Publications
-      if (parsedContent.publications && parsedContent.publications.length > 0) {
-        textContent += 'PUBLICATIONS\n';
-        textContent += '============\n';
+        if (edu.startDate || edu.endDate) {
+          textContent += `${resumeTemplateService.formatDateRange(edu.startDate, edu.endDate, edu.current)}\n`;
+        }
+        
+        if (edu.gpa) textContent += `GPA: ${edu.gpa}\n`;
+        if (edu.description) textContent += `${edu.description}\n`;
         
-        parsedContent.publications.forEach(pub => {
-          if (pub.title) textContent += `${pub.title}`;
-          if (pub.publisher) textContent += ` - ${pub.publisher}`;
-          if (pub.date) textContent += ` (${pub.date})`;
-          textContent += '\n';
-          if (pub.url) textContent += `URL: ${pub.url}\n`;
-          if (pub.description) textContent += `${pub.description}\n`;
-          textContent += '\n';
+        textContent += '\n';
+      });
+    }
+
+    // Skills
+    if (parsedContent.skills) {
+      textContent += 'SKILLS\n';
+      textContent += '======\n';
+      
+      if (parsedContent.skills.technical && parsedContent.skills.technical.length > 0) {
+        textContent += `Technical Skills: ${parsedContent.skills.technical.join(', ')}\n`;
+      }
+      
+      if (parsedContent.skills.soft && parsedContent.skills.soft.length > 0) {
+        textContent += `Soft Skills: ${parsedContent.skills.soft.join(', ')}\n`;
+      }
+      
+      if (parsedContent.skills.languages && parsedContent.skills.languages.length > 0) {
+        textContent += 'Languages:\n';
+        parsedContent.skills.languages.forEach(lang => {
+          textContent += `• ${lang.language}${lang.proficiency ? ` (${lang.proficiency})` : ''}\n`;
         });
       }
-
-      // Volunteer Experience
-      if (parsedContent.volunteering && parsedContent.volunteering.length > 0) {
-        textContent += 'VOLUNTEER EXPERIENCE\n';
-        textContent += '====================\n';
-        
-        parsedContent.volunteering.forEach(vol => {
-          if (vol.role) textContent += `${vol.role}`;
-          if (vol.organization) textContent += ` at ${vol.organization}`;
-          textContent += '\n';
-          
-          if (vol.startDate || vol.endDate) {
-            textContent += `${vol.startDate || 'Unknown'} - ${vol.endDate || (vol.current ? 'Present' : 'Unknown')}\n`;
-          }
-          
-          if (vol.description) textContent += `${vol.description}\n`;
-          textContent += '\n';
+      
+      if (parsedContent.skills.certifications && parsedContent.skills.certifications.length > 0) {
+        textContent += 'Certifications:\n';
+        parsedContent.skills.certifications.forEach(cert => {
+          textContent += `• ${cert.name}${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.date ? ` (${cert.date})` : ''}\n`;
         });
       }
+      
+      textContent += '\n';
+    }
 
-      const filename = `resume_${resume.userId}_${Date.now()}.txt`;
-      const filePath = path.join(this.exportDir, filename);
+    // Projects
+    if (parsedContent.projects && parsedContent.projects.length > 0) {
+      textContent += 'PROJECTS\n';
+      textContent += '========\n';
       
-      await fs.writeFile(filePath, textContent);
+      parsedContent.projects.forEach(project => {
+        if (project.name) textContent += `${project.name}\n`;
+        if (project.description) textContent += `${project.description}\n`;
+        if (project.technologies && project.technologies.length > 0) {
+          textContent += `Technologies: ${project.technologies.join(', ')}\n`;
+        }
+        if (project.url) textContent += `URL: ${project.url}\n`;
+        if (project.github) textContent += `GitHub: ${project.github}\n`;
+        textContent += '\n';
+      });
+    }
 
-      return {
-        format: 'txt',
-        filename,
-        filePath,
-        downloadUrl: `/api/exports/${filename}`,
-        size: (await fs.stat(filePath)).size
-      };
+    // Awards
+    if (parsedContent.awards && parsedContent.awards.length > 0) {
+      textContent += 'AWARDS & RECOGNITION\n';
+      textContent += '===================\n';
+      
+      parsedContent.awards.forEach(award => {
+        if (award.title) textContent += `${award.title}`;
+        if (award.issuer) textContent += ` - ${award.issuer}`;
+        if (award.date) textContent += ` (${award.date})`;
+        textContent += '\n';
+        if (award.description) textContent += `${award.description}\n`;
+        textContent += '\n';
+      });
+    }
 
-    } catch (error) {
-      logger.error('TXT export error:', error);
-      throw new Error('Failed to export resume as TXT');
+    // Publications
+    if (parsedContent.publications && parsedContent.publications.length > 0) {
+      textContent += 'PUBLICATIONS\n';
+      textContent += '============\n';
+      
+      parsedContent.publications.forEach(pub => {
+        if (pub.title) textContent += `${pub.title}`;
+        if (pub.publisher) textContent += ` - ${pub.publisher}`;
+        if (pub.date) textContent += ` (${pub.date})`;
+        textContent += '\n';
+        if (pub.url) textContent += `URL: ${pub.url}\n`;
+        if (pub.description) textContent += `${pub.description}\n`;
+        textContent += '\n';
+      });
     }
+
+    // Volunteer Experience
+    if (parsedContent.volunteering && parsedContent.volunteering.length > 0) {
+      textContent += 'VOLUNTEER EXPERIENCE\n';
+      textContent += '====================\n';
+      
+      parsedContent.volunteering.forEach(vol => {
+        if (vol.role) textContent += `${vol.role}`;
+        if (vol.organization) textContent += ` at ${vol.organization}`;
+        textContent += '\n';
+        
+        if (vol.startDate || vol.endDate) {
+          textContent += `${resumeTemplateService.formatDateRange(vol.startDate, vol.endDate, vol.current)}\n`;
+        }
+        
+        if (vol.description) textContent += `${vol.description}\n`;
+        textContent += '\n';
+      });
+    }
+
+    return textContent;
   }
 
   /**
    * Export resume to PDF format (ATS-friendly)
-   * Note: This is a placeholder implementation. In a real application,
-   * you would use a library like Puppeteer, PDFKit, or jsPDF
+   * Renders the selected template's styling and section order in a single
+   * column, with embedded fonts and real text
    */
-  async exportToPDF(resume) {
+  async exportToPDF(resume, templateId) {
     try {
-      // For now, we'll create a simple HTML version and note that PDF generation
-      // would require additional libraries like Puppeteer
-      const htmlContent = await this.generateHTMLContent(resume);
-      
-      const filename = `resume_${resume.userId}_${Date.now()}.html`;
+      const { parsedContent } = resume;
+
+      if (!parsedContent) {
+        throw new Error('Resume content not available for export');
+      }
+
+      const template = resumeTemplateService.getTemplate(templateId);
+      const filename = `resume_${resume.userId}_${Date.now()}.pdf`;
       const filePath = path.join(this.exportDir, filename);
-      
-      await fs.writeFile(filePath, htmlContent);
+      const name = parsedContent.personalInfo?.name || 'Resume';
+
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: PDF_LAYOUT.margin,
+        info: {
+          Title: `Resume - ${name}`,
+          Author: name,
+          Creator: 'Resume Refresh Platform'
+        }
+      });
+
+      const fonts = PDF_FONTS[template.pdf.fontFamily] || PDF_FONTS.sans;
+      doc.registerFont('Body', fonts.regular);
+      doc.registerFont('Body-Bold', fonts.bold);
+      doc.registerFont('Body-Italic', fonts.italic);
+
+      const written = new Promise((resolve, reject) => {
+        const stream = createWriteStream(filePath);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.on('error', reject);
+        doc.pipe(stream);
+      });
 
-      // In a real implementation, you would convert HTML to PDF here
-      logger.warn('PDF export is currently generating HTML. Implement PDF conversion with Puppeteer or similar.');
+      this.renderPDFContent(doc, parsedContent, template);
+      doc.end();
+      await written;
 
       return {
-        format: 'html', // Would be 'pdf' in real implementation
+        format: 'pdf',
+        template: template.id,
         filename,
         filePath,
         downloadUrl: `/api/exports/${filename}`,
-        size: (await fs.stat(filePath)).size,
-        note: 'PDF export requires additional setup. Currently generating HTML version.'
+        size: (await fs.stat(filePath)).size
       };
 
     } catch (error) {
@@ -329,32 +413,229 @@ class ResumeExportService {
     }
   }
 
+  /**
+   * Render parsed resume content into a PDF document
+   */
+  renderPDFContent(doc, parsedContent, template) {
+    const view = resumeTemplateService.buildViewModel(parsedContent);
+    const style = {
+      headerAlign: template.pdf.headerAlign || 'center',
+      accentColor: template.pdf.accentColor || PDF_LAYOUT.textColor
+    };
+
+    // Header
+    doc.font('Body-Bold').fontSize(PDF_LAYOUT.nameSize).fillColor(PDF_LAYOUT.textColor)
+      .text(view.name, { align: style.headerAlign });
+
+    if (view.contactItems.length > 0) {
+      doc.moveDown(0.2);
+      doc.font('Body').fontSize(PDF_LAYOUT.metaSize).fillColor(PDF_LAYOUT.mutedColor)
+        .text(view.contactItems.join(' • '), { align: style.headerAlign });
+    }
+
+    doc.moveDown(0.6);
+    this.drawPDFRule(doc, style.accentColor, 1.5);
+    doc.moveDown(0.8);
+
+    const sections = {
+      summary: () => view.summary && this.renderPDFSection(doc, style, 'Professional Summary', () => {
+        this.writePDFBody(doc, view.summary);
+      }),
+
+      experience: () => view.experience.length > 0 && this.renderPDFSection(doc, style, 'Work Experience', () => {
+        view.experience.forEach(exp => {
+          this.ensurePDFSpace(doc, PDF_LAYOUT.minEntrySpace);
+          this.writePDFEntryHeading(doc, exp.position, exp.company);
+          this.writePDFMeta(doc, [exp.dateRange, exp.location]);
+          if (exp.description) this.writePDFBody(doc, exp.description);
+          this.writePDFBullets(doc, exp.achievements);
+          if (exp.technologies && exp.technologies.length > 0) {
+            this.writePDFBody(doc, `Technologies: ${exp.technologies.join(', ')}`);
+          }
+          doc.moveDown(0.6);
+        });
+      }),
+
+      education: () => view.education.length > 0 && this.renderPDFSection(doc, style, 'Education', () => {
+        view.education.forEach(edu => {
+          this.ensurePDFSpace(doc, PDF_LAYOUT.minEntrySpace);
+          this.writePDFEntryHeading(doc, edu.degreeLine, edu.institution);
+          this.writePDFMeta(doc, [edu.dateRange, edu.location]);
+          if (edu.gpa) this.writePDFBody(doc, `GPA: ${edu.gpa}`);
+          if (edu.description) this.writePDFBody(doc, edu.description);
+          this.writePDFBullets(doc, edu.achievements);
+          doc.moveDown(0.6);
+        });
+      }),
+
+      skills: () => view.hasSkills && this.renderPDFSection(doc, style, 'Skills', () => {
+        if (view.skills.technical.length > 0) {
+          this.writePDFBody(doc, `Technical: ${view.skills.technical.join(', ')}`);
+        }
+        if (view.skills.soft.length > 0) {
+          this.writePDFBody(doc, `Soft Skills: ${view.skills.soft.join(', ')}`);
+        }
+        if (view.skills.languages.length > 0) {
+          this.writePDFBody(doc, `Languages: ${view.skills.languages.join(', ')}`);
+        }
+      }),
+
+      certifications: () => view.certifications.length > 0 && this.renderPDFSection(doc, style, 'Certifications', () => {
+        this.writePDFBullets(doc, view.certifications);
+      }),
+
+      projects: () => view.projects.length > 0 && this.renderPDFSection(doc, style, 'Projects', () => {
+        view.projects.forEach(project => {
+          this.ensurePDFSpace(doc, PDF_LAYOUT.minEntrySpace);
+          this.writePDFEntryHeading(doc, project.name || 'Project', project.url || project.github);
+          if (project.description) this.writePDFBody(doc, project.description);
+          this.writePDFBullets(doc, project.achievements);
+          if (project.technologies && project.technologies.length > 0) {
+            this.writePDFBody(doc, `Technologies: ${project.technologies.join(', ')}`);
+          }
+          doc.moveDown(0.6);
+        });
+      }),
+
+      awards: () => view.awards.length > 0 && this.renderPDFSection(doc, style, 'Awards', () => {
+        this.writePDFBullets(doc, view.awards.map(award =>
+          `${award.title}${award.issuer ? ` - ${award.issuer}` : ''}${award.date ? ` (${award.date})` : ''}`
+        ));
+      }),
+
+      publications: () => view.publications.length > 0 && this.renderPDFSection(doc, style, 'Publications', () => {
+        this.writePDFBullets(doc, view.publications.map(pub =>
+          `${pub.title}${pub.publisher ? `. ${pub.publisher}` : ''}${pub.date ? `, ${pub.date}` : ''}`
+        ));
+      }),
+
+      volunteering: () => view.volunteering.length > 0 && this.renderPDFSection(doc, style, 'Volunteer Experience', () => {
+        view.volunteering.forEach(vol => {
+          this.ensurePDFSpace(doc, PDF_LAYOUT.minEntrySpace);
+          this.writePDFEntryHeading(doc, vol.role || 'Volunteer', vol.organization);
+          this.writePDFMeta(doc, [vol.dateRange]);
+          if (vol.description) this.writePDFBody(doc, vol.description);
+          doc.moveDown(0.6);
+        });
+      })
+    };
+
+    template.sectionOrder.forEach(sectionId => {
+      if (sections[sectionId]) sections[sectionId]();
+    });
+  }
+
+  /**
+   * Render a titled section, keeping the title on the same page as its first entry
+   */
+  renderPDFSection(doc, style, title, renderBody) {
+    this.ensurePDFSpace(doc, PDF_LAYOUT.minEntrySpace + 30);
+
+    doc.font('Body-Bold').fontSize(PDF_LAYOUT.sectionTitleSize).fillColor(style.accentColor)
+      .text(title);
+    doc.moveDown(0.2);
+    this.drawPDFRule(doc, PDF_LAYOUT.ruleColor, 0.75);
+    doc.moveDown(0.5);
+
+    renderBody();
+    doc.moveDown(0.4);
+  }
+
+  writePDFEntryHeading(doc, title, subtitle) {
+    doc.font('Body-Bold').fontSize(PDF_LAYOUT.itemTitleSize).fillColor(PDF_LAYOUT.textColor)
+      .text(title);
+    if (subtitle) {
+      doc.font('Body-Italic').fontSize(PDF_LAYOUT.bodySize).fillColor(PDF_LAYOUT.mutedColor)
+        .text(subtitle);
+    }
+  }
+
+  writePDFMeta(doc, parts) {
+    const text = parts.filter(Boolean).join(' | ');
+    if (!text) return;
+
+    doc.font('Body').fontSize(PDF_LAYOUT.metaSize).fillColor(PDF_LAYOUT.lightColor)
+      .text(text);
+  }
+
+  writePDFBody(doc, text) {
+    doc.moveDown(0.2);
+    doc.font('Body').fontSize(PDF_LAYOUT.bodySize).fillColor(PDF_LAYOUT.textColor)
+      .text(text, { align: 'left', lineGap: 1.5 });
+  }
+
+  writePDFBullets(doc, items) {
+    if (!items || items.length === 0) return;
+
+    doc.moveDown(0.2);
+    doc.font('Body').fontSize(PDF_LAYOUT.bodySize).fillColor(PDF_LAYOUT.textColor);
+    items.forEach(item => {
+      doc.text(`• ${item}`, { lineGap: 1.5 });
+    });
+  }
+
+  drawPDFRule(doc, color, width) {
+    const y = doc.y;
+    doc.save()
+      .moveTo(doc.page.margins.left, y)
+      .lineTo(doc.page.width - doc.page.margins.right, y)
+      .lineWidth(width)
+      .strokeColor(color)
+      .stroke()
+      .restore();
+  }
+
+  /**
+   * Start a new page when the remaining space cannot hold the next block
+   */
+  ensurePDFSpace(doc, height) {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+  }
+
   /**
    * Export resume to DOCX format
-   * Note: This is a placeholder implementation. In a real application,
-   * you would use a library like docx or officegen
+   * Builds an Office Open XML document whose headings and "Position | Company | Dates"
+   * lines match the patterns used by resumeParsingService, so exports can be re-imported
    */
   async exportToDOCX(resume) {
     try {
-      // For now, we'll use the TXT export as a base
-      const txtResult = await this.exportToTXT(resume);
-      
+      const { parsedContent } = resume;
+
+      if (!parsedContent) {
+        throw new Error('Resume content not available for export');
+      }
+
+      const name = parsedContent.personalInfo?.name || 'Resume';
+      const doc = new Document({
+        title: `Resume - ${name}`,
+        creator: 'Resume Refresh Platform',
+        styles: {
+          default: {
+            document: { run: { font: 'Calibri', size: 22 } }
+          }
+        },
+        sections: [{
+          properties: {
+            page: { margin: { top: 720, right: 720, bottom: 720, left: 720 } }
+          },
+          children: this.buildDOCXContent(parsedContent)
+        }]
+      });
+
       const filename = `resume_${resume.userId}_${Date.now()}.docx`;
       const filePath = path.join(this.exportDir, filename);
-      
-      // In a real implementation, you would use a DOCX library here
-      // For now, we'll just copy the TXT content
-      await fs.copyFile(txtResult.filePath, filePath);
-      
-      logger.warn('DOCX export is currently generating TXT. Implement DOCX conversion with docx library.');
+
+      await fs.writeFile(filePath, await Packer.toBuffer(doc));
 
       return {
-        format: 'txt', // Would be 'docx' in real implementation
+        format: 'docx',
         filename,
         filePath,
         downloadUrl: `/api/exports/${filename}`,
-        size: (await fs.stat(filePath)).size,
-        note: 'DOCX export requires additional setup. Currently generating TXT version.'
+        size: (await fs.stat(filePath)).size
       };
 
     } catch (error) {
@@ -364,189 +645,196 @@ class ResumeExportService {
   }
 
   /**
-   * Generate HTML content for PDF conversion
+   * Build DOCX paragraphs and tables from parsed resume content
    */
-  async generateHTMLContent(resume) {
-    const { parsedContent } = resume;
-    
-    if (!parsedContent) {
-      throw new Error('Resume content not available for HTML generation');
-    }
-
-    let html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Resume - ${parsedContent.personalInfo?.name || 'Unknown'}</title>
-    <style>
-        body {
-            font-family: 'Arial', sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 8.5in;
-            margin: 0 auto;
-            padding: 0.5in;
-            background: white;
-        }
-        .header {
-            text-align: center;
-            margin-bottom: 30px;
-            border-bottom: 2px solid #333;
-            padding-bottom: 20px;
-        }
-        .name {
-            font-size: 28px;
-            font-weight: bold;
-            margin-bottom: 10px;
-        }
-        .contact-info {
-            font-size: 14px;
-            color: #666;
-        }
-        .section {
-            margin-bottom: 25px;
-        }
-        .section-title {
-            font-size: 18px;
-            font-weight: bold;
-            color: #333;
-            border-bottom: 1px solid #ccc;
-            margin-bottom: 15px;
-            padding-bottom: 5px;
-        }
-        .job, .education-item, .project {
-            margin-bottom: 20px;
-        }
-        .job-title, .degree {
-            font-weight: bold;
-            font-size: 16px;
-        }
-        .company, .school {
-            font-style: italic;
-            color: #666;
-        }
-        .dates {
-            color: #888;
-            font-size: 14px;
-        }
-        .description {
-            margin-top: 8px;
-        }
-        .skills-list {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 10px;
-        }
-        .skill-tag {
-            background: #f0f0f0;
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 14px;
-        }
-        ul {
-            margin: 8px 0;
-            padding-left: 20px;
-        }
-        li {
-            margin-bottom: 4px;
-        }
-    </style>
-</head>
-<body>`;
+  buildDOCXContent(parsedContent) {
+    const children = [];
+    const info = parsedContent.personalInfo || {};
 
     // Header
-    if (parsedContent.personalInfo) {
-      const info = parsedContent.personalInfo;
-      html += `
-    <div class="header">
-        <div class="name">${info.name || 'Resume'}</div>
-        <div class="contact-info">`;
-        
-        const contactItems = [];
-        if (info.email) contactItems.push(info.email);
-        if (info.phone) contactItems.push(info.phone);
-        if (info.address) contactItems.push(info.address);
-        if (info.linkedin) contactItems.push(info.linkedin);
-        
-        html += contactItems.join(' • ');
-        html += `
-        </div>
-    </div>`;
+    children.push(new Paragraph({
+      heading: HeadingLevel.TITLE,
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun(info.name || 'Resume')]
+    }));
+
+    const contactItems = [info.email, info.phone, info.address, info.linkedin, info.github, info.website]
+      .filter(Boolean);
+    if (contactItems.length > 0) {
+      children.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new TextRun({ text: contactItems.join(' • '), color: '666666' })]
+      }));
+    }
 
-      // Professional Summary
-      if (info.summary) {
-        html += `
-    <div class="section">
-        <div class="section-title">Professional Summary</div>
-        <p>${info.summary}</p>
-    </div>`;
-      }
+    // Professional Summary
+    if (info.summary) {
+      children.push(this.docxHeading('Professional Summary'));
+      children.push(new Paragraph(info.summary));
     }
 
     // Work Experience
     if (parsedContent.experience && parsedContent.experience.length > 0) {
-      html += `
-    <div class="section">
-        <div class="section-title">Work Experience</div>`;
-        
+      children.push(this.docxHeading('Experience'));
+
       parsedContent.experience.forEach(exp => {
-        html += `
-        <div class="job">
-            <div class="job-title">${exp.position || 'Position'}</div>
-            <div class="company">${exp.company || 'Company'}</div>
-            <div class="dates">${exp.startDate || ''} - ${exp.endDate || (exp.current ? 'Present' : '')}</div>
-            ${exp.location ? `<div class="location">${exp.location}</div>` : ''}
-            ${exp.description ? `<div class="description">${exp.description}</div>` : ''}
-        </div>`;
+        children.push(this.docxEntryLine(
+          exp.position || 'Position',
+          exp.company || 'Company',
+          resumeTemplateService.formatDateRange(exp.startDate, exp.endDate, exp.current)
+        ));
+        if (exp.location) children.push(new Paragraph(`Location: ${exp.location}`));
+        if (exp.description) children.push(new Paragraph(exp.description));
+        (exp.achievements || []).forEach(achievement => {
+          children.push(new Paragraph({ text: achievement, bullet: { level: 0 } }));
+        });
+        if (exp.technologies && exp.technologies.length > 0) {
+          children.push(new Paragraph(`Technologies: ${exp.technologies.join(', ')}`));
+        }
       });
-      
-      html += `
-    </div>`;
     }
 
     // Education
     if (parsedContent.education && parsedContent.education.length > 0) {
-      html += `
-    <div class="section">
-        <div class="section-title">Education</div>`;
-        
+      children.push(this.docxHeading('Education'));
+
       parsedContent.education.forEach(edu => {
-        html += `
-        <div class="education-item">
-            <div class="degree">${edu.degree || 'Degree'}</div>
-            <div class="school">${edu.institution || 'Institution'}</div>
-            <div class="dates">${edu.startDate || ''} - ${edu.endDate || (edu.current ? 'Present' : '')}</div>
-            ${edu.gpa ? `<div class="gpa">GPA: ${edu.gpa}</div>` : ''}
-        </div>`;
+        const degree = [edu.degree || 'Degree', edu.field].filter(Boolean).join(' in ');
+        children.push(this.docxEntryLine(
+          degree,
+          edu.institution || 'Institution',
+          edu.endDate || edu.startDate || (edu.current ? 'Present' : '')
+        ));
+        if (edu.gpa) children.push(new Paragraph(`GPA: ${edu.gpa}`));
+        if (edu.description) children.push(new Paragraph(edu.description));
+        (edu.achievements || []).forEach(achievement => {
+          children.push(new Paragraph({ text: achievement, bullet: { level: 0 } }));
+        });
       });
-      
-      html += `
-    </div>`;
     }
 
     // Skills
-    if (parsedContent.skills && parsedContent.skills.technical && parsedContent.skills.technical.length > 0) {
-      html += `
-    <div class="section">
-        <div class="section-title">Technical Skills</div>
-        <div class="skills-list">`;
-        
-      parsedContent.skills.technical.forEach(skill => {
-        html += `<span class="skill-tag">${skill}</span>`;
+    const skills = parsedContent.skills || {};
+    const skillRows = [];
+    if (skills.technical && skills.technical.length > 0) {
+      skillRows.push(['Technical', skills.technical.join(', ')]);
+    }
+    if (skills.soft && skills.soft.length > 0) {
+      skillRows.push(['Soft Skills', skills.soft.join(', ')]);
+    }
+    if (skills.languages && skills.languages.length > 0) {
+      skillRows.push(['Languages', skills.languages
+        .map(lang => `${lang.language}${lang.proficiency ? ` (${lang.proficiency})` : ''}`)
+        .join(', ')]);
+    }
+    if (skillRows.length > 0) {
+      children.push(this.docxHeading('Skills'));
+      children.push(this.docxTable(skillRows));
+    }
+
+    if (skills.certifications && skills.certifications.length > 0) {
+      children.push(this.docxHeading('Certifications'));
+      skills.certifications.forEach(cert => {
+        children.push(new Paragraph({
+          text: `${cert.name}${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.date ? ` (${cert.date})` : ''}`,
+          bullet: { level: 0 }
+        }));
+      });
+    }
+
+    // Projects
+    if (parsedContent.projects && parsedContent.projects.length > 0) {
+      children.push(this.docxHeading('Projects'));
+
+      parsedContent.projects.forEach(project => {
+        const link = project.url || project.github;
+        children.push(new Paragraph({
+          children: [
+            new TextRun({ text: project.name || 'Project', bold: true }),
+            new TextRun(project.description ? `: ${project.description}` : ''),
+            new TextRun(link ? ` ${link}` : '')
+          ]
+        }));
+        if (project.technologies && project.technologies.length > 0) {
+          children.push(new Paragraph(`Technologies: ${project.technologies.join(', ')}`));
+        }
       });
-      
-      html += `
-        </div>
-    </div>`;
     }
 
-    html += `
-</body>
-</html>`;
+    // Awards
+    if (parsedContent.awards && parsedContent.awards.length > 0) {
+      children.push(this.docxHeading('Awards'));
+      parsedContent.awards.forEach(award => {
+        children.push(new Paragraph({
+          text: `${award.title}${award.issuer ? ` - ${award.issuer}` : ''}${award.date ? ` (${award.date})` : ''}`,
+          bullet: { level: 0 }
+        }));
+      });
+    }
+
+    // Volunteer Experience
+    if (parsedContent.volunteering && parsedContent.volunteering.length > 0) {
+      children.push(this.docxHeading('Volunteer'));
+      parsedContent.volunteering.forEach(vol => {
+        children.push(new Paragraph(`${vol.organization || 'Organization'}: ${vol.role || ''}`.trim()));
+        if (vol.description) children.push(new Paragraph(vol.description));
+      });
+    }
+
+    // Publications (kept last: the parser does not treat this heading as a section boundary)
+    if (parsedContent.publications && parsedContent.publications.length > 0) {
+      children.push(this.docxHeading('Publications'));
+      parsedContent.publications.forEach(pub => {
+        children.push(new Paragraph(pub.title));
+      });
+    }
+
+    return children;
+  }
 
-    return html;
+  docxHeading(title) {
+    return new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      spacing: { before: 240, after: 80 },
+      children: [new TextRun(title)]
+    });
+  }
+
+  docxEntryLine(title, subtitle, dates) {
+    const runs = [
+      new TextRun({ text: title, bold: true }),
+      new TextRun(' | '),
+      new TextRun({ text: subtitle, italics: true })
+    ];
+    if (dates) {
+      runs.push(new TextRun({ text: ` | ${dates}`, color: '888888' }));
+    }
+    return new Paragraph({ spacing: { before: 120 }, children: runs });
+  }
+
+  docxTable(rows) {
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: rows.map(([label, value]) => new TableRow({
+        children: [
+          new TableCell({
+            width: { size: 25, type: WidthType.PERCENTAGE },
+            children: [new Paragraph({ children: [new TextRun({ text: label, bold: true })] })]
+          }),
+          new TableCell({
+            width: { size: 75, type: WidthType.PERCENTAGE },
+            children: [new Paragraph(value)]
+          })
+        ]
+      }))
+    });
+  }
+
+  /**
+   * Generate HTML content using a registered resume template
+   */
+  async generateHTMLContent(resume, templateId, options = {}) {
+    return resumeTemplateService.renderHTML(resume, templateId, options);
   }
 
   /**
@@ -562,36 +850,116 @@ class ResumeExportService {
   }
 
   /**
-   * Clean up old export files
+   * Expiry date for an export created now
    */
-  async cleanupOldExports(maxAgeHours = 24) {
+  getExpiryDate(from = new Date()) {
+    return new Date(from.getTime() + this.exportTTLHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Resolve an export filename to its path inside the export directory.
+   * Returns null for anything that isn't a generated export filename.
+   */
+  resolveExportPath(filename) {
+    if (typeof filename !== 'string' || !this.filenamePattern.test(filename)) {
+      return null;
+    }
+    return path.join(this.exportDir, filename);
+  }
+
+  /**
+   * Create a signed, time-limited token granting download access to one export
+   */
+  createShareToken(filename, resumeId, expiresInHours) {
+    const hours = Math.min(Math.max(expiresInHours, 1), this.maxShareLinkHours);
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    const token = jwt.sign(
+      { filename, resumeId: resumeId.toString(), type: 'export-share' },
+      this.getShareSecret(),
+      { expiresIn: hours * 60 * 60 }
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Verify a share token, returning its payload or null when invalid/expired
+   */
+  verifyShareToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getShareSecret());
+      if (payload.type !== 'export-share' || !this.resolveExportPath(payload.filename)) {
+        return null;
+      }
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getShareSecret() {
+    return process.env.EXPORT_LINK_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Delete a single export file, ignoring files that are already gone
+   */
+  async deleteExportFile(filename) {
+    const filePath = this.resolveExportPath(filename);
+    if (!filePath) return false;
+
+    try {
+      await fs.unlink(filePath);
+      logger.info(`Deleted expired export file: ${filename}`);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error deleting export file ${filename}:`, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Clean up old export files.
+   * Files listed in `retain` (exports whose links are still valid) are kept
+   * regardless of age.
+   */
+  async cleanupOldExports(maxAgeHours = this.exportTTLHours, retain = new Set()) {
+    let removed = 0;
+
     try {
       const files = await fs.readdir(this.exportDir);
       const now = Date.now();
       const maxAge = maxAgeHours * 60 * 60 * 1000;
 
       for (const file of files) {
+        if (retain.has(file)) continue;
+
         const filePath = path.join(this.exportDir, file);
         const stats = await fs.stat(filePath);
         
         if (now - stats.mtime.getTime() > maxAge) {
           await fs.unlink(filePath);
+          removed++;
           logger.info(`Cleaned up old export file: ${file}`);
         }
       }
     } catch (error) {
       logger.error('Error cleaning up old exports:', error);
     }
+
+    return removed;
   }
 }
 
 // Export singleton instance
 const resumeExportService = new ResumeExportService();
 
-// Clean up old exports on startup
-resumeExportService.cleanupOldExports();
-
 module.exports = {
-  exportResumeToFormat: (resume, format) => resumeExportService.exportResumeToFormat(resume, format),
+  exportResumeToFormat: (resume, format, options) => resumeExportService.exportResumeToFormat(resume, format, options),
+  generateResumeHTML: (resume, templateId, options) => resumeExportService.generateHTMLContent(resume, templateId, options),
+  resumeExportService,
   ResumeExportService
 };
@@ -3,6 +3,31 @@ const path = require('path');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const logger = require('../utils/logger');
+const { pdfLayoutService } = require('./pdfLayoutService');
+const { ocrService } = require('./ocrService');
+const { skillsTaxonomyService } = require('./skillsTaxonomyService');
+const { parseDate, normalizeDate, findDates } = require('../utils/dateRanges');
+
+// Base confidence of each extracted field, by how reliable its pattern is
+const FIELD_CONFIDENCE = {
+  personalInfo: {
+    name: 0.6,
+    email: 0.95,
+    phone: 0.85,
+    linkedin: 0.9,
+    github: 0.9,
+    website: 0.7,
+    address: 0.5,
+    summary: 0.6
+  },
+  experience: { position: 0.6, company: 0.6, startDate: 0.8, endDate: 0.8 },
+  education: { degree: 0.7, field: 0.5, institution: 0.6, endDate: 0.8 },
+  skills: { technical: 0.9, soft: 0.7, certifications: 0.5 },
+  projects: { name: 0.5, description: 0.4 },
+  awards: { title: 0.5 },
+  publications: { title: 0.5 },
+  volunteering: { organization: 0.5, role: 0.4 }
+};
 
 /**
  * Resume parsing service using multiple libraries for different file types
@@ -27,10 +52,20 @@ class ResumeParsingService {
       }
 
       let rawText = '';
+      let layout = null;
+      let ocr = null;
 
       switch (mimeType) {
         case 'application/pdf':
-          rawText = await this.parsePDF(filePath);
+          layout = await this.parsePDFLayout(filePath);
+          rawText = layout ? layout.text : await this.parsePDF(filePath);
+
+          // Scanned resumes have no usable text layer
+          if (ocrService.isImageOnly(rawText, layout?.pages)) {
+            ocr = await this.parsePDFWithOCR(filePath);
+            rawText = ocr.text;
+            layout = null;
+          }
           break;
         case 'application/msword':
         case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
@@ -44,11 +79,27 @@ class ResumeParsingService {
       }
 
       // Parse structured content from raw text
-      const structuredContent = await this.extractStructuredContent(rawText);
+      const structuredContent = await this.extractStructuredContent(rawText, layout?.sections);
+      const sectionConfidence = this.calculateSectionConfidence(structuredContent, rawText, layout);
 
       return {
         ...structuredContent,
         rawText,
+        layout: {
+          method: ocr ? 'ocr' : (layout ? 'layout' : 'text'),
+          pages: ocr ? ocr.pages : layout?.pages,
+          columns: layout?.columns || [],
+          headingsDetected: layout?.headings.length || 0
+        },
+        ocr: ocr ? {
+          used: true,
+          engine: ocr.engine,
+          language: ocr.language,
+          confidence: ocr.confidence,
+          pagesProcessed: ocr.pagesProcessed
+        } : { used: false },
+        sectionConfidence,
+        fieldConfidence: this.calculateFieldConfidence(structuredContent, rawText, sectionConfidence, ocr?.confidence),
         parsingStatus: 'completed'
       };
 
@@ -72,19 +123,79 @@ class ResumeParsingService {
     }
   }
 
+  /**
+   * Parse PDF using text positions to rebuild reading order across columns.
+   * Returns null when the PDF has no positioned text so callers fall back to
+   * the flat pdf-parse text.
+   */
+  async parsePDFLayout(filePath) {
+    try {
+      const dataBuffer = await fs.readFile(filePath);
+      const layout = await pdfLayoutService.extractLayout(dataBuffer);
+      return layout.hasText ? layout : null;
+    } catch (error) {
+      logger.warn(`PDF layout extraction failed, using flat text: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read a scanned PDF with OCR. Fails the parse rather than completing it
+   * with no text, since everything downstream (skills, ATS scoring,
+   * matching) would run on nothing.
+   */
+  async parsePDFWithOCR(filePath) {
+    const dataBuffer = await fs.readFile(filePath);
+    let ocr = null;
+
+    try {
+      ocr = await ocrService.recognizePDF(dataBuffer);
+    } catch (error) {
+      logger.error('OCR error:', error);
+    }
+
+    if (!ocr || ocrService.isImageOnly(ocr.text, ocr.pagesProcessed)) {
+      throw new Error('No readable text found in PDF. Upload a text-based PDF or DOCX instead of a scanned image');
+    }
+
+    // Tesseract separates every line with a blank one; keep a single break
+    return { ...ocr, text: ocr.text.replace(/\n\s*\n/g, '\n') };
+  }
+
   /**
    * Parse Word document
    */
   async parseWord(filePath) {
     try {
-      const result = await mammoth.extractRawText({ path: filePath });
-      return result.value;
+      const result = await mammoth.convertToHtml({ path: filePath });
+      return this.htmlToText(result.value);
     } catch (error) {
       logger.error('Word document parsing error:', error);
       throw new Error('Failed to parse Word document');
     }
   }
 
+  /**
+   * Flatten mammoth's HTML to text. List items keep a "•" marker and table
+   * rows stay on one line ("Label | Value") so Word documents reach the
+   * section parsers in the same shape as PDF text.
+   */
+  htmlToText(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+    return html
+      .replace(/<td[^>]*>([\s\S]*?)<\/td>/gi, (match, cell) =>
+        `<td>${cell.replace(/<\/p>\s*<p[^>]*>/gi, ' ').replace(/<\/?p[^>]*>/gi, '')}</td>`)
+      .replace(/<\/td>\s*<td>/gi, ' | ')
+      .replace(/<li[^>]*>/gi, '\n• ')
+      .replace(/<br\s*\/?>|<\/(?:p|h[1-6]|li|tr|ul|ol|table)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => entities[name])
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{2,}/g, '\n')
+      .trim();
+  }
+
   /**
    * Parse plain text file
    */
@@ -98,9 +209,11 @@ class ResumeParsingService {
   }
 
   /**
-   * Extract structured content from raw text using NLP and pattern matching
+   * Extract structured content from raw text using NLP and pattern matching.
+   * `sections` holds per-section text from the PDF layout pass; where present
+   * it is used instead of slicing the flat text by heading.
    */
-  async extractStructuredContent(rawText) {
+  async extractStructuredContent(rawText, sections = {}) {
     const content = {
       personalInfo: {},
       experience: [],
@@ -114,28 +227,28 @@ class ResumeParsingService {
 
     try {
       // Extract personal information
-      content.personalInfo = this.extractPersonalInfo(rawText);
+      content.personalInfo = this.extractPersonalInfo(rawText, sections);
 
       // Extract experience
-      content.experience = this.extractExperience(rawText);
+      content.experience = this.extractExperience(rawText, sections);
 
       // Extract education
-      content.education = this.extractEducation(rawText);
+      content.education = this.extractEducation(rawText, sections);
 
       // Extract skills
-      content.skills = this.extractSkills(rawText);
+      content.skills = this.extractSkills(rawText, sections);
 
       // Extract projects
-      content.projects = this.extractProjects(rawText);
+      content.projects = this.extractProjects(rawText, sections);
 
       // Extract awards
-      content.awards = this.extractAwards(rawText);
+      content.awards = this.extractAwards(rawText, sections);
 
       // Extract publications
-      content.publications = this.extractPublications(rawText);
+      content.publications = this.extractPublications(rawText, sections);
 
       // Extract volunteering
-      content.volunteering = this.extractVolunteering(rawText);
+      content.volunteering = this.extractVolunteering(rawText, sections);
 
       return content;
 
@@ -148,7 +261,7 @@ class ResumeParsingService {
   /**
    * Extract personal information
    */
-  extractPersonalInfo(text) {
+  extractPersonalInfo(text, sections = {}) {
     const personalInfo = {};
 
     // Extract name (usually at the beginning)
@@ -167,6 +280,12 @@ class ResumeParsingService {
     const phoneMatch = text.match(/(?:\+?1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/);
     if (phoneMatch) {
       personalInfo.phone = phoneMatch[0];
+    } else {
+      // International numbers ("+44 20 7946 0958") need the leading "+"
+      const internationalMatch = text.match(/\+\d{1,3}(?:[-.\s]?\(?\d{1,4}\)?){2,5}/);
+      if (internationalMatch) {
+        personalInfo.phone = internationalMatch[0].trim();
+      }
     }
 
     // Extract LinkedIn
@@ -199,6 +318,11 @@ class ResumeParsingService {
       /(?:professional\s+summary|career\s+objective|personal\s+statement)[\s\n]*:?\s*([^]*?)(?=\n\s*(?:experience|education|skills|employment|work|career))/i
     ];
 
+    if (sections.summary) {
+      personalInfo.summary = sections.summary.replace(/\n+/g, ' ').substring(0, 500);
+      return personalInfo;
+    }
+
     for (const pattern of summaryPatterns) {
       const summaryMatch = text.match(pattern);
       if (summaryMatch) {
@@ -213,11 +337,11 @@ class ResumeParsingService {
   /**
    * Extract work experience
    */
-  extractExperience(text) {
+  extractExperience(text, sections = {}) {
     const experiences = [];
     
     // Look for experience section
-    const experienceSection = this.extractSection(text, [
+    const experienceSection = sections.experience || this.extractSection(text, [
       'experience', 'employment', 'work history', 'professional experience', 
       'career history', 'work experience'
     ]);
@@ -226,56 +350,122 @@ class ResumeParsingService {
 
     // Split into individual jobs (look for company patterns)
     const jobPatterns = [
-      /([A-Z][^|\n]*?)\s*[\|\-\n]\s*([A-Z][^|\n]*?)\s*[\|\-\n]\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4})\s*(?:\-|to|–)\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4}|present|current)/gi,
-      /([A-Z][^|\n]*?)\s*\n\s*([A-Z][^|\n]*?)\s*\n\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4})\s*(?:\-|to|–)\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4}|present|current)/gi
+      /([A-Z][^|\n]*?)\s*[\|\-\n]\s*([A-Z][^|\n]*?)\s*[\|\-\n]\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4})\s*(?:\-|to|–)\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4}|present|current|now|today)/gi,
+      /([A-Z][^|\n]*?)\s*\n\s*([A-Z][^|\n]*?)\s*\n\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4})\s*(?:\-|to|–)\s*(\d{1,2}\/\d{4}|\d{4}|\w+\s+\d{4}|present|current|now|today)/gi
     ];
 
+    const headers = [];
+
     for (const pattern of jobPatterns) {
       let match;
       while ((match = pattern.exec(experienceSection)) !== null) {
+        // Both patterns can match the same entry
+        const duplicate = headers.some(({ experience: existing }) =>
+          existing.position === match[1].trim() &&
+          existing.company === match[2].trim() &&
+          existing.startDate === this.parseDate(match[3]));
+        if (duplicate) continue;
+
+        const current = parseDate(match[4])?.present === true;
         const experience = {
           position: match[1].trim(),
           company: match[2].trim(),
           startDate: this.parseDate(match[3]),
-          endDate: match[4].toLowerCase().includes('present') || match[4].toLowerCase().includes('current') 
-            ? null : this.parseDate(match[4]),
-          current: match[4].toLowerCase().includes('present') || match[4].toLowerCase().includes('current'),
+          endDate: current ? null : this.parseDate(match[4]),
+          current,
           description: '',
           achievements: [],
           technologies: []
         };
 
-        experiences.push(experience);
+        headers.push({ experience, start: match.index, end: match.index + match[0].length });
       }
     }
 
+    // The lines between one entry's header and the next are its details
+    headers.sort((a, b) => a.start - b.start);
+    headers.forEach((header, index) => {
+      const next = headers[index + 1];
+      const body = experienceSection.slice(header.end, next ? next.start : undefined);
+      experiences.push({ ...header.experience, ...this.parseEntryDetails(body) });
+    });
+
     return experiences;
   }
 
+  /**
+   * Split the text under an entry header into description, bullet
+   * achievements, technologies and location
+   */
+  parseEntryDetails(body) {
+    const details = { description: '', achievements: [], technologies: [] };
+    const descriptionLines = [];
+    let lastLine = null;
+
+    body.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const bullet = line.match(/^[•▪●◦‣*-]\s*(.+)/);
+      const technologies = line.match(/^(?:technologies|tech stack|tools)\s*:\s*(.+)/i);
+      const location = line.match(/^(?:location\s*:|\|)\s*(.+)/i);
+
+      if (bullet) {
+        details.achievements.push(bullet[1].trim());
+        lastLine = 'achievement';
+      } else if (technologies) {
+        details.technologies = technologies[1].split(',').map(item => item.trim()).filter(Boolean);
+        lastLine = 'technologies';
+      } else if (location && !details.location) {
+        details.location = location[1].trim();
+        lastLine = 'location';
+      } else if (/^key achievements\s*:?$/i.test(line)) {
+        lastLine = null;
+      } else if (lastLine === 'achievement' && /^[a-z0-9(]/.test(line)) {
+        // Wrapped continuation of the previous bullet
+        const last = details.achievements.length - 1;
+        details.achievements[last] = `${details.achievements[last]} ${line}`;
+      } else {
+        descriptionLines.push(line);
+        lastLine = 'description';
+      }
+    });
+
+    details.description = descriptionLines.join(' ');
+    return details;
+  }
+
   /**
    * Extract education
    */
-  extractEducation(text) {
+  extractEducation(text, sections = {}) {
     const education = [];
     
-    const educationSection = this.extractSection(text, [
+    const educationSection = sections.education || this.extractSection(text, [
       'education', 'academic background', 'qualifications', 'academic qualifications'
     ]);
 
     if (!educationSection) return education;
 
     // Look for degree patterns
+    // Degree line, then institution and year on the same line ("MIT, 2012") or separate lines
+    const degree = '(?<![a-z])(bachelor(?:\'?s)?|master(?:\'?s)?|phd|doctorate|associate|mba|b\\.?sc\\.?|m\\.?sc\\.?|b\\.?eng\\.?|m\\.?eng\\.?|' +
+      'b\\.?a\\.?|b\\.?s\\.?|m\\.?a\\.?|m\\.?s\\.?|ph\\.?d\\.?)(?![a-z])';
     const degreePatterns = [
-      /(bachelor|master|phd|doctorate|associate|b\.?a\.?|b\.?s\.?|m\.?a\.?|m\.?s\.?|ph\.?d\.?)([^|\n]*?)\s*[\|\-\n]\s*([^|\n]*?)\s*[\|\-\n]\s*(\d{4})/gi,
-      /(bachelor|master|phd|doctorate|associate|b\.?a\.?|b\.?s\.?|m\.?a\.?|m\.?s\.?|ph\.?d\.?)([^|\n]*?)\s*\n\s*([^|\n]*?)\s*\n\s*(\d{4})/gi
+      new RegExp(`${degree}([^|\\n]*?)\\s*[\\|\\-\\n]\\s*([^|\\n]*?)\\s*[\\|\\-\\n,]\\s*(\\d{4})`, 'gi'),
+      new RegExp(`${degree}([^|\\n]*?)\\s*\\n\\s*([^|\\n]*?)\\s*\\n\\s*(\\d{4})`, 'gi')
     ];
 
     for (const pattern of degreePatterns) {
       let match;
       while ((match = pattern.exec(educationSection)) !== null) {
+        // "Bachelor of Science in Computer Science" names the field after "in"
+        const degreeLine = `${match[1]}${match[2]}`.replace(/\s+/g, ' ').trim();
+        const [, degree, field] = degreeLine.match(/^(.+?)\s+in\s+(.+)$/i) || [null, degreeLine, match[2].trim()];
+
+        // Both patterns can match the same entry
+        if (education.some(existing => existing.institution === match[3].trim() && existing.endDate === match[4])) continue;
+
         const edu = {
-          degree: `${match[1]} ${match[2]}`.trim(),
-          field: match[2].trim(),
+          degree,
+          field,
           institution: match[3].trim(),
           endDate: match[4],
           current: false,
@@ -292,7 +482,7 @@ class ResumeParsingService {
   /**
    * Extract skills
    */
-  extractSkills(text) {
+  extractSkills(text, sections = {}) {
     const skills = {
       technical: [],
       soft: [],
@@ -300,44 +490,29 @@ class ResumeParsingService {
       certifications: []
     };
 
-    const skillsSection = this.extractSection(text, [
+    const skillsSection = sections.skills || this.extractSection(text, [
       'skills', 'technical skills', 'core competencies', 'technologies',
       'programming languages', 'tools', 'software', 'expertise'
     ]);
 
-    if (!skillsSection) return skills;
+    // Certifications and languages often get their own headings
+    skills.certifications = this.extractCertifications(text, sections);
+    skills.languages = this.extractLanguages(text, skillsSection, sections);
 
-    // Common technical skills patterns
-    const technicalSkills = [
-      // Programming languages
-      'JavaScript', 'Python', 'Java', 'C++', 'C#', 'PHP', 'Ruby', 'Go', 'Rust', 'Swift', 'Kotlin',
-      'TypeScript', 'Scala', 'R', 'MATLAB', 'Perl', 'Shell', 'Bash',
-      
-      // Web technologies
-      'HTML', 'CSS', 'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask',
-      'Spring', 'Laravel', 'Rails', 'ASP.NET', 'jQuery', 'Bootstrap', 'Sass', 'Less',
-      
-      // Databases
-      'MySQL', 'PostgreSQL', 'MongoDB', 'Redis', 'SQLite', 'Oracle', 'SQL Server',
-      'Cassandra', 'DynamoDB', 'Elasticsearch',
-      
-      // Cloud & DevOps
-      'AWS', 'Azure', 'Google Cloud', 'Docker', 'Kubernetes', 'Jenkins', 'Git', 'GitHub',
-      'GitLab', 'CI/CD', 'Terraform', 'Ansible', 'Chef', 'Puppet',
-      
-      // Data & Analytics
-      'Pandas', 'NumPy', 'TensorFlow', 'PyTorch', 'Scikit-learn', 'Tableau', 'Power BI',
-      'Apache Spark', 'Hadoop', 'Kafka', 'Airflow'
-    ];
+    if (!skillsSection) return skills;
 
-    // Extract technical skills
-    technicalSkills.forEach(skill => {
-      const regex = new RegExp(`\\b${skill}\\b`, 'gi');
-      if (regex.test(skillsSection)) {
-        skills.technical.push(skill);
-      }
+    // Technical skills known to the taxonomy, by canonical name
+    skills.technical = skillsTaxonomyService.findSkillsInText(skillsSection, {
+      types: ['technical', 'tool', 'framework']
     });
 
+    // Soft skills from a labelled line ("Soft Skills: ...") plus any the taxonomy knows
+    const softLine = skillsSection.match(/^soft skills\s*[:|]\s*(.+)$/im);
+    skills.soft = skillsTaxonomyService.normalizeSkillList([
+      ...(softLine ? softLine[1].split(',') : []),
+      ...skillsTaxonomyService.findSkillsInText(skillsSection, { types: ['soft'] })
+    ]);
+
     // Extract certifications
     const certificationPatterns = [
       /(?:certified|certification|certificate)[\s\w]*(?:in|for)?\s*([A-Z][^|\n.]*)/gi,
@@ -347,8 +522,11 @@ class ResumeParsingService {
     certificationPatterns.forEach(pattern => {
       let match;
       while ((match = pattern.exec(skillsSection)) !== null) {
+        const name = match[0].trim();
+        if (skills.certifications.some(cert => cert.name.toLowerCase() === name.toLowerCase())) continue;
+
         skills.certifications.push({
-          name: match[0].trim(),
+          name,
           issuer: match[1] || 'Unknown'
         });
       }
@@ -357,13 +535,90 @@ class ResumeParsingService {
     return skills;
   }
 
+  /**
+   * Extract certifications listed under their own heading,
+   * one per line as "Name - Issuer (Date)"
+   */
+  extractCertifications(text, sections = {}) {
+    const section = sections.certifications || this.extractSection(text, [
+      'certifications', 'licenses & certifications', 'licenses and certifications'
+    ]);
+    if (!section) return [];
+
+    return this.splitListLines(section).map(line => {
+      const { title, issuer, date } = this.parseListLine(line);
+      return { name: title, issuer, date };
+    });
+  }
+
+  /**
+   * Extract spoken languages from a "Languages" heading or a labelled line
+   * in the skills section, e.g. "English (Native), Spanish (Professional)"
+   */
+  extractLanguages(text, skillsSection, sections = {}) {
+    const section = sections.languages || this.extractSection(text, ['languages']);
+    const line = skillsSection && skillsSection.match(/^languages\s*[:|]\s*(.+)$/im);
+    const items = [
+      ...(section ? this.splitListLines(section).flatMap(item => item.split(',')) : []),
+      ...(line ? line[1].split(',') : [])
+    ];
+
+    const languages = [];
+    items.forEach(item => {
+      const match = item.trim().match(/^([^(]+?)\s*(?:[(\-–:]\s*([^)]+?)\)?)?$/);
+      if (!match || languages.some(lang => lang.language.toLowerCase() === match[1].toLowerCase())) return;
+
+      const language = { language: match[1] };
+      const proficiency = this.normalizeProficiency(match[2]);
+      if (proficiency) language.proficiency = proficiency;
+      languages.push(language);
+    });
+
+    return languages;
+  }
+
+  /**
+   * Map free-form language levels onto the Resume proficiency enum
+   */
+  normalizeProficiency(level) {
+    if (!level) return undefined;
+    const value = level.trim().toLowerCase();
+
+    if (/native|bilingual|mother tongue/.test(value)) return 'native';
+    if (/intermediate|conversational|working|b1|b2/.test(value)) return 'intermediate';
+    if (/advanced|fluent|professional|proficient|c1|c2/.test(value)) return 'advanced';
+    if (/beginner|basic|elementary|a1|a2/.test(value)) return 'beginner';
+    return undefined;
+  }
+
+  /**
+   * Non-empty lines of a list section with bullet markers removed
+   */
+  splitListLines(section) {
+    return section.split('\n')
+      .map(line => line.trim().replace(/^[•▪●◦‣*-]\s*/, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Split a "Title - Issuer (Date)" list line
+   */
+  parseListLine(line) {
+    const match = line.match(/^(.+?)(?:\s+[-–]\s+(.+?))?(?:\s*\(([^)]+)\))?$/);
+    return {
+      title: match[1].trim(),
+      issuer: match[2] ? match[2].trim() : '',
+      date: match[3] ? match[3].trim() : ''
+    };
+  }
+
   /**
    * Extract projects
    */
-  extractProjects(text) {
+  extractProjects(text, sections = {}) {
     const projects = [];
     
-    const projectsSection = this.extractSection(text, [
+    const projectsSection = sections.projects || this.extractSection(text, [
       'projects', 'personal projects', 'side projects', 'portfolio',
       'notable projects', 'key projects'
     ]);
@@ -374,12 +629,20 @@ class ResumeParsingService {
     const projectLines = projectsSection.split('\n').filter(line => line.trim());
     
     projectLines.forEach(line => {
+      // "Technologies: ..." belongs to the project above it
+      const technologiesMatch = line.match(/^\s*(?:technologies|tech stack)\s*:\s*(.+)/i);
+      if (technologiesMatch && projects.length > 0) {
+        projects[projects.length - 1].technologies = technologiesMatch[1]
+          .split(',').map(item => item.trim()).filter(Boolean);
+        return;
+      }
+
       // Look for project name patterns
       const projectMatch = line.match(/^([^|\-:]+)[\|\-:]?\s*(.+)?/);
       if (projectMatch) {
         const project = {
           name: projectMatch[1].trim(),
-          description: projectMatch[2] ? projectMatch[2].trim() : '',
+          description: projectMatch[2] ? projectMatch[2].replace(/\s*https?:\/\/\S+/g, '').trim() : '',
           technologies: [],
           url: '',
           github: ''
@@ -407,18 +670,30 @@ class ResumeParsingService {
   /**
    * Extract awards
    */
-  extractAwards(text) {
+  extractAwards(text, sections = {}) {
     const awards = [];
     
-    const awardsSection = this.extractSection(text, [
+    const awardsSection = sections.awards || this.extractSection(text, [
       'awards', 'honors', 'achievements', 'recognitions', 'accolades'
     ]);
 
     if (!awardsSection) return awards;
 
-    const awardLines = awardsSection.split('\n').filter(line => line.trim());
+    const awardLines = this.splitListLines(awardsSection);
     
     awardLines.forEach(line => {
+      // "Title - Issuer (Date)" as written by our own exports
+      const listMatch = line.match(/^([^|:]+?)\s+[-–]\s+([^|:]+?)\s*\(([^)]+)\)\s*$/);
+      if (listMatch) {
+        awards.push({
+          title: listMatch[1].trim(),
+          description: '',
+          issuer: listMatch[2].trim(),
+          date: listMatch[3].trim()
+        });
+        return;
+      }
+
       const awardMatch = line.match(/^([^|\-:]+)[\|\-:]?\s*(.+)?/);
       if (awardMatch) {
         awards.push({
@@ -436,10 +711,10 @@ class ResumeParsingService {
   /**
    * Extract publications
    */
-  extractPublications(text) {
+  extractPublications(text, sections = {}) {
     const publications = [];
     
-    const publicationsSection = this.extractSection(text, [
+    const publicationsSection = sections.publications || this.extractSection(text, [
       'publications', 'papers', 'research', 'articles', 'journals'
     ]);
 
@@ -463,10 +738,10 @@ class ResumeParsingService {
   /**
    * Extract volunteering experience
    */
-  extractVolunteering(text) {
+  extractVolunteering(text, sections = {}) {
     const volunteering = [];
     
-    const volunteerSection = this.extractSection(text, [
+    const volunteerSection = sections.volunteering || this.extractSection(text, [
       'volunteer', 'volunteering', 'community service', 'volunteer experience',
       'community involvement', 'social work'
     ]);
@@ -490,13 +765,197 @@ class ResumeParsingService {
     return volunteering;
   }
 
+  /**
+   * Score how much each extracted section can be trusted (0-1).
+   * Combines how the heading was found (styled layout heading, plain layout
+   * heading, or only a text match) with how many entries were extracted and
+   * how complete they are. A found heading with nothing extracted scores low
+   * so the section gets flagged for review.
+   */
+  calculateSectionConfidence(content, rawText, layout) {
+    const sections = {
+      personalInfo: {
+        entries: ['name', 'email', 'phone'].filter(field => content.personalInfo?.[field]).length,
+        completeness: ['name', 'email', 'phone']
+          .filter(field => content.personalInfo?.[field]).length / 3
+      },
+      experience: this.scoreEntries(content.experience, ['position', 'company', 'startDate']),
+      education: this.scoreEntries(content.education, ['institution', 'degree', 'endDate']),
+      skills: {
+        entries: (content.skills?.technical?.length || 0) + (content.skills?.soft?.length || 0),
+        completeness: Math.min(((content.skills?.technical?.length || 0) + (content.skills?.soft?.length || 0)) / 3, 1)
+      },
+      projects: this.scoreEntries(content.projects, ['name', 'description']),
+      awards: this.scoreEntries(content.awards, ['title']),
+      publications: this.scoreEntries(content.publications, ['title']),
+      volunteering: this.scoreEntries(content.volunteering, ['organization', 'role'])
+    };
+
+    const headingNames = {
+      experience: ['experience', 'employment', 'work history'],
+      education: ['education', 'qualifications'],
+      skills: ['skills', 'technologies', 'core competencies'],
+      projects: ['projects', 'portfolio'],
+      awards: ['awards', 'honors', 'achievements'],
+      publications: ['publications'],
+      volunteering: ['volunteer', 'volunteering', 'community service']
+    };
+
+    const coreSections = ['personalInfo', 'experience', 'education', 'skills'];
+
+    return Object.entries(sections)
+      .map(([section, { entries, completeness }]) => {
+        const layoutHeading = layout?.headings.find(heading => heading.section === section);
+        let headingScore = 0;
+        let source = 'text';
+
+        if (section === 'personalInfo') {
+          headingScore = entries > 0 ? 0.4 : 0;
+          source = layout ? 'layout' : 'text';
+        } else if (layoutHeading) {
+          headingScore = layoutHeading.styled ? 0.4 : 0.3;
+          source = 'layout';
+        } else if (this.extractSection(rawText, headingNames[section])) {
+          headingScore = 0.25;
+        }
+
+        const headingDetected = section === 'personalInfo' ? entries > 0 : headingScore > 0;
+
+        let confidence;
+        if (entries > 0) {
+          confidence = Math.max(headingScore, 0.2) + 0.3 + 0.3 * completeness;
+        } else {
+          confidence = headingScore * 0.5;
+        }
+
+        return {
+          section,
+          confidence: Math.round(Math.min(confidence, 1) * 100) / 100,
+          headingDetected,
+          source,
+          entries
+        };
+      })
+      .filter(result => coreSections.includes(result.section) || result.headingDetected || result.entries > 0);
+  }
+
+  /**
+   * Confidence (0-1) and source text span for every extracted field.
+   * Base scores reflect how reliable each extraction pattern is, scaled by
+   * the confidence of the section the field came from. Fields whose value
+   * can't be located in the raw text are marked down, and OCR text is
+   * scaled by the engine's own confidence.
+   */
+  calculateFieldConfidence(content, rawText, sectionConfidence = [], ocrConfidence = null) {
+    const fields = [];
+
+    const sectionFactor = (section) => {
+      const result = sectionConfidence.find(item => item.section === section);
+      return result ? 0.5 + 0.5 * result.confidence : 0.75;
+    };
+
+    const add = (path, value, base, section) => {
+      if (value === undefined || value === null || value === '') return;
+
+      const span = this.findSourceSpan(rawText, value);
+      let confidence = base * sectionFactor(section) * (span ? 1 : 0.8);
+      if (ocrConfidence !== null) confidence *= ocrConfidence;
+
+      // A name near the top of the document is far more likely to be right
+      if (path === 'personalInfo.name' && span && span.start < 200) {
+        confidence = Math.min(confidence + 0.25, 1);
+      }
+
+      fields.push({
+        path,
+        confidence: Math.round(Math.min(confidence, 1) * 100) / 100,
+        span: span || undefined,
+        sourceText: span ? this.getSourceLine(rawText, span) : undefined
+      });
+    };
+
+    const addEntries = (section, entries, baseScores) => {
+      (entries || []).forEach((entry, index) => {
+        Object.entries(baseScores).forEach(([field, base]) => {
+          add(`${section}.${index}.${field}`, entry[field], base, section);
+        });
+      });
+    };
+
+    const info = content.personalInfo || {};
+    Object.entries(FIELD_CONFIDENCE.personalInfo).forEach(([field, base]) => {
+      add(`personalInfo.${field}`, info[field], base, 'personalInfo');
+    });
+
+    addEntries('experience', content.experience, FIELD_CONFIDENCE.experience);
+    addEntries('education', content.education, FIELD_CONFIDENCE.education);
+    addEntries('projects', content.projects, FIELD_CONFIDENCE.projects);
+    addEntries('awards', content.awards, FIELD_CONFIDENCE.awards);
+    addEntries('publications', content.publications, FIELD_CONFIDENCE.publications);
+    addEntries('volunteering', content.volunteering, FIELD_CONFIDENCE.volunteering);
+
+    (content.skills?.technical || []).forEach((skill, index) => {
+      add(`skills.technical.${index}`, skill, FIELD_CONFIDENCE.skills.technical, 'skills');
+    });
+    (content.skills?.soft || []).forEach((skill, index) => {
+      add(`skills.soft.${index}`, skill, FIELD_CONFIDENCE.skills.soft, 'skills');
+    });
+    (content.skills?.certifications || []).forEach((cert, index) => {
+      add(`skills.certifications.${index}.name`, cert.name, FIELD_CONFIDENCE.skills.certifications, 'skills');
+    });
+
+    return fields;
+  }
+
+  /**
+   * Locate a value in the raw text (case-insensitive)
+   */
+  findSourceSpan(rawText, value) {
+    if (!rawText || typeof value !== 'string') return null;
+
+    // Profile URLs are normalized on extraction, so match without the scheme
+    const needle = value.trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, '');
+    if (!needle) return null;
+
+    const start = rawText.toLowerCase().indexOf(needle);
+    if (start !== -1) return { start, end: start + needle.length };
+
+    // Dates are stored normalized ("2019-03"), so look for how they were written
+    const written = findDates(rawText).find(token => normalizeDate(token) === value.trim());
+    if (!written) return null;
+
+    const dateStart = rawText.indexOf(written);
+    return { start: dateStart, end: dateStart + written.length };
+  }
+
+  /**
+   * The full line of raw text containing a span, for showing in review
+   */
+  getSourceLine(rawText, span) {
+    const lineStart = rawText.lastIndexOf('\n', span.start - 1) + 1;
+    const lineEnd = rawText.indexOf('\n', span.end);
+    return rawText.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim().substring(0, 300);
+  }
+
+  /**
+   * Entry count and average fraction of key fields present
+   */
+  scoreEntries(entries = [], fields) {
+    if (!entries.length) return { entries: 0, completeness: 0 };
+
+    const filled = entries.reduce((sum, entry) =>
+      sum + fields.filter(field => entry[field]).length / fields.length, 0);
+
+    return { entries: entries.length, completeness: filled / entries.length };
+  }
+
   /**
    * Extract a specific section from text
    */
   extractSection(text, sectionNames) {
     for (const sectionName of sectionNames) {
       const pattern = new RegExp(
-        `(?:^|\\n)\\s*${sectionName}\\s*:?\\s*\\n([\\s\\S]*?)(?=\\n\\s*(?:experience|education|skills|projects|awards|certifications|volunteer|references|contact)\\s*:?\\s*\\n|$)`,
+        `(?:^|\\n)\\s*${sectionName}\\s*:?\\s*\\n([\\s\\S]*?)(?=\\n\\s*(?:summary|experience|education|skills|projects|awards|certifications|publications|volunteer|languages|interests|references|contact)\\s*:?\\s*\\n|$)`,
         'i'
       );
       
@@ -509,25 +968,10 @@ class ResumeParsingService {
   }
 
   /**
-   * Parse date string to standardized format
+   * Parse date string to standardized format ("YYYY-MM", "YYYY", or null for "Present")
    */
   parseDate(dateStr) {
-    if (!dateStr) return null;
-    
-    // Handle various date formats
-    const cleanDate = dateStr.trim().toLowerCase();
-    
-    if (cleanDate.includes('present') || cleanDate.includes('current')) {
-      return null;
-    }
-
-    // Try to extract year
-    const yearMatch = cleanDate.match(/(\d{4})/);
-    if (yearMatch) {
-      return yearMatch[1];
-    }
-
-    return cleanDate;
+    return normalizeDate(dateStr);
   }
 }
 
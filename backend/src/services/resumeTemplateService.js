@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const logger = require('../utils/logger');
+const { formatDisplayDate } = require('../utils/dateRanges');
+
+/**
+ * Resume Template Service
+ * Registry of ATS-safe resume themes rendered with Handlebars. Each theme
+ * provides an HTML template (used for previews) plus PDF styling and a
+ * section order that resumeExportService applies to binary exports.
+ */
+class ResumeTemplateService {
+  constructor() {
+    this.templateDir = path.join(__dirname, '../templates/resumes');
+    this.defaultTemplateId = 'classic';
+    this.templates = new Map();
+    this.compiled = new Map();
+
+    // Isolated instance so helpers don't clash with the email templates
+    this.handlebars = Handlebars.create();
+    this.registerHelpers();
+
+    this.registerTemplate({
+      id: 'classic',
+      name: 'Classic',
+      description: 'Single-column, centered header. The safest choice for any ATS.',
+      file: 'classic.hbs',
+      columns: 1,
+      sectionOrder: [
+        'summary', 'experience', 'education', 'skills', 'certifications',
+        'projects', 'awards', 'publications', 'volunteering'
+      ],
+      pdf: { fontFamily: 'sans', headerAlign: 'center', accentColor: '#333333' }
+    });
+
+    this.registerTemplate({
+      id: 'modern',
+      name: 'Modern',
+      description: 'Two-column layout with a skills sidebar. Falls back to a single column for ATS exports.',
+      file: 'modern.hbs',
+      columns: 2,
+      sectionOrder: [
+        'summary', 'experience', 'projects', 'education', 'skills',
+        'certifications', 'awards', 'volunteering', 'publications'
+      ],
+      pdf: { fontFamily: 'sans', headerAlign: 'left', accentColor: '#2563eb' }
+    });
+
+    this.registerTemplate({
+      id: 'academic',
+      name: 'Academic CV',
+      description: 'Serif CV with education and publications first, suited to research roles.',
+      file: 'academic.hbs',
+      columns: 1,
+      sectionOrder: [
+        'summary', 'education', 'experience', 'publications', 'awards',
+        'projects', 'skills', 'certifications', 'volunteering'
+      ],
+      pdf: { fontFamily: 'serif', headerAlign: 'center', accentColor: '#7f1d1d' }
+    });
+  }
+
+  /**
+   * Register a resume template
+   */
+  registerTemplate(definition) {
+    if (!definition.id || !definition.file) {
+      throw new Error('Resume template requires an id and a file');
+    }
+
+    this.templates.set(definition.id, {
+      columns: 1,
+      sectionOrder: [],
+      pdf: {},
+      ...definition
+    });
+    this.compiled.delete(definition.id);
+  }
+
+  /**
+   * Get template definition by ID, falling back to the default template
+   */
+  getTemplate(templateId) {
+    return this.templates.get(templateId) || this.templates.get(this.defaultTemplateId);
+  }
+
+  hasTemplate(templateId) {
+    return this.templates.has(templateId);
+  }
+
+  getTemplateIds() {
+    return Array.from(this.templates.keys());
+  }
+
+  /**
+   * List templates for the theme picker
+   */
+  listTemplates() {
+    return Array.from(this.templates.values()).map(template => ({
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      columns: template.columns,
+      atsFallback: template.columns > 1,
+      isDefault: template.id === this.defaultTemplateId
+    }));
+  }
+
+  /**
+   * Render resume HTML with the given template.
+   * atsMode forces multi-column templates into their single-column fallback.
+   */
+  renderHTML(resume, templateId, { atsMode = false } = {}) {
+    const { parsedContent } = resume;
+
+    if (!parsedContent) {
+      throw new Error('Resume content not available for HTML generation');
+    }
+
+    const template = this.getTemplate(templateId);
+    const render = this.compileTemplate(template);
+
+    return render({
+      ...this.buildViewModel(parsedContent),
+      template: {
+        id: template.id,
+        name: template.name,
+        twoColumn: template.columns > 1 && !atsMode
+      }
+    });
+  }
+
+  compileTemplate(template) {
+    if (!this.compiled.has(template.id)) {
+      const source = fs.readFileSync(path.join(this.templateDir, template.file), 'utf8');
+      this.compiled.set(template.id, this.handlebars.compile(source));
+      logger.info(`Compiled resume template: ${template.id}`);
+    }
+    return this.compiled.get(template.id);
+  }
+
+  /**
+   * Normalize parsed content into the shape every template expects
+   */
+  buildViewModel(parsedContent) {
+    const info = parsedContent.personalInfo || {};
+    const skills = parsedContent.skills || {};
+
+    return {
+      name: info.name || 'Resume',
+      summary: info.summary,
+      contactItems: [info.email, info.phone, info.address, info.linkedin, info.github, info.website]
+        .filter(Boolean),
+      experience: (parsedContent.experience || []).map(exp => ({
+        ...exp,
+        position: exp.position || 'Position',
+        company: exp.company || 'Company',
+        dateRange: this.formatDateRange(exp.startDate, exp.endDate, exp.current)
+      })),
+      education: (parsedContent.education || []).map(edu => ({
+        ...edu,
+        degreeLine: [edu.degree || 'Degree', edu.field].filter(Boolean).join(' in '),
+        institution: edu.institution || 'Institution',
+        dateRange: this.formatDateRange(edu.startDate, edu.endDate, edu.current)
+      })),
+      skills: {
+        technical: skills.technical || [],
+        soft: skills.soft || [],
+        languages: (skills.languages || [])
+          .map(lang => `${lang.language}${lang.proficiency ? ` (${lang.proficiency})` : ''}`)
+      },
+      hasSkills: Boolean(skills.technical?.length || skills.soft?.length || skills.languages?.length),
+      certifications: (skills.certifications || [])
+        .map(cert => `${cert.name}${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.date ? ` (${cert.date})` : ''}`),
+      projects: parsedContent.projects || [],
+      awards: parsedContent.awards || [],
+      publications: parsedContent.publications || [],
+      volunteering: (parsedContent.volunteering || []).map(vol => ({
+        ...vol,
+        dateRange: this.formatDateRange(vol.startDate, vol.endDate, vol.current)
+      }))
+    };
+  }
+
+  formatDateRange(startDate, endDate, current) {
+    const end = endDate ? formatDisplayDate(endDate) : (current ? 'Present' : '');
+    if (!startDate && !end) return '';
+    return `${startDate ? formatDisplayDate(startDate) : ''} - ${end}`.trim();
+  }
+
+  registerHelpers() {
+    this.handlebars.registerHelper('join', (items, separator) => {
+      if (!Array.isArray(items)) return '';
+      return items.join(typeof separator === 'string' ? separator : ', ');
+    });
+  }
+}
+
+// Export singleton instance
+const resumeTemplateService = new ResumeTemplateService();
+
+module.exports = {
+  resumeTemplateService,
+  ResumeTemplateService
+};
@@ -0,0 +1,281 @@
+const logger = require('../utils/logger');
+
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+const DEFAULT_MAX_RATING = 5;
+
+/**
+ * Screening Service
+ * Serves a job's screening questions to applicants, validates and stores
+ * their answers, and applies the recruiter's knockout rules:
+ *   yes-no:          knockout.expected ('yes' or 'no')
+ *   multiple-choice: knockout.acceptedOptions
+ *   rating:          knockout.minRating
+ * An application failing a rule is rejected (knockout.action 'reject') or
+ * flagged for review ('flag'). Text questions have no knockout rules.
+ */
+class ScreeningService {
+  /**
+   * Questions applicants have to answer (none unless screening is enabled)
+   */
+  getQuestions(job) {
+    return job.screening?.enabled ? job.screening.questions || [] : [];
+  }
+
+  /**
+   * Questions as shown to applicants, without the knockout rules
+   */
+  getPublicQuestions(job) {
+    return this.getQuestions(job).map(question => ({
+      id: question._id,
+      question: question.question,
+      type: question.type,
+      required: question.required,
+      ...(question.type === 'multiple-choice' && { options: question.options }),
+      ...(question.type === 'rating' && { maxRating: this.getMaxRating(question) })
+    }));
+  }
+
+  getMaxRating(question) {
+    return question.maxRating || DEFAULT_MAX_RATING;
+  }
+
+  hasKnockout(question) {
+    const knockout = question.knockout || {};
+
+    switch (question.type) {
+      case 'yes-no':
+        return Boolean(knockout.expected);
+      case 'multiple-choice':
+        return knockout.acceptedOptions?.length > 0;
+      case 'rating':
+        return typeof knockout.minRating === 'number';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Errors in the screening settings of a job create/update request
+   */
+  validateQuestions(screening = {}) {
+    const errors = [];
+
+    (screening.questions || []).forEach((question, index) => {
+      const label = `Question ${index + 1}`;
+      const type = question.type || 'text';
+      const knockout = question.knockout || {};
+
+      if (!question.question || typeof question.question !== 'string') {
+        errors.push(`${label} needs question text`);
+      }
+
+      if (type === 'multiple-choice') {
+        if (!Array.isArray(question.options) || question.options.length < 2) {
+          errors.push(`${label} needs at least 2 options`);
+        } else if (knockout.acceptedOptions?.some(option => !question.options.includes(option))) {
+          errors.push(`${label} knockout accepts options that aren't offered`);
+        }
+      }
+
+      if (type === 'rating') {
+        const maxRating = question.maxRating ?? DEFAULT_MAX_RATING;
+        if (!Number.isInteger(maxRating) || maxRating < 2 || maxRating > 10) {
+          errors.push(`${label} maximum rating must be a whole number from 2 to 10`);
+        } else if (knockout.minRating !== undefined && knockout.minRating !== null &&
+          (typeof knockout.minRating !== 'number' || knockout.minRating < 1 || knockout.minRating > maxRating)) {
+          errors.push(`${label} knockout minimum rating must be between 1 and ${maxRating}`);
+        }
+      }
+
+      if (knockout.expected && type !== 'yes-no') {
+        errors.push(`${label} knockout expected answer only applies to yes-no questions`);
+      }
+      if (knockout.acceptedOptions?.length > 0 && type !== 'multiple-choice') {
+        errors.push(`${label} knockout accepted options only apply to multiple-choice questions`);
+      }
+      if (knockout.minRating !== undefined && knockout.minRating !== null && type !== 'rating') {
+        errors.push(`${label} knockout minimum rating only applies to rating questions`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * An answer in the question's canonical form ('yes'/'no', an offered
+   * option, a whole rating, trimmed text). Returns { value, error }.
+   */
+  normalizeAnswer(question, answer) {
+    switch (question.type) {
+      case 'yes-no': {
+        const value = typeof answer === 'boolean' ? (answer ? 'yes' : 'no') : String(answer).trim().toLowerCase();
+        return ['yes', 'no'].includes(value) ? { value } : { error: 'must be yes or no' };
+      }
+      case 'multiple-choice':
+        return question.options.includes(answer) ? { value: answer } : { error: 'must be one of the offered options' };
+      case 'rating': {
+        const value = Number(answer);
+        const maxRating = this.getMaxRating(question);
+        return Number.isInteger(value) && value >= 1 && value <= maxRating
+          ? { value }
+          : { error: `must be a whole number from 1 to ${maxRating}` };
+      }
+      default: {
+        const value = String(answer).trim();
+        return value.length <= MAX_TEXT_ANSWER_LENGTH
+          ? { value }
+          : { error: `cannot exceed ${MAX_TEXT_ANSWER_LENGTH} characters` };
+      }
+    }
+  }
+
+  /**
+   * Whether an answer passes the question's knockout rule; unanswered fails
+   */
+  passesKnockout(question, value) {
+    if (value === undefined) return false;
+    const knockout = question.knockout;
+
+    switch (question.type) {
+      case 'yes-no':
+        return value === knockout.expected;
+      case 'multiple-choice':
+        return knockout.acceptedOptions.includes(value);
+      case 'rating':
+        return value >= knockout.minRating;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check an applicant's answers ([{ questionId, answer }]) against the job's
+   * questions and knockout rules. Returns { screening, errors }: screening is
+   * what's stored on the application (null when the job has no questions),
+   * errors are missing required answers and invalid ones.
+   */
+  screen(job, submitted = []) {
+    const questions = this.getQuestions(job);
+    if (questions.length === 0) return { screening: null, errors: [] };
+
+    const errors = [];
+    const byQuestion = new Map();
+
+    submitted.forEach(({ questionId, answer }) => {
+      if (!questions.some(question => question._id.toString() === String(questionId))) {
+        errors.push(`Unknown screening question: ${questionId}`);
+      } else if (answer !== undefined && answer !== null && String(answer).trim() !== '') {
+        byQuestion.set(String(questionId), answer);
+      }
+    });
+
+    const answers = [];
+    const reasons = [];
+    let result = 'passed';
+
+    questions.forEach(question => {
+      const id = question._id.toString();
+      let value;
+
+      if (byQuestion.has(id)) {
+        const normalized = this.normalizeAnswer(question, byQuestion.get(id));
+        if (normalized.error) {
+          errors.push(`"${question.question}" ${normalized.error}`);
+          return;
+        }
+        value = normalized.value;
+      } else if (question.required) {
+        errors.push(`"${question.question}" is required`);
+        return;
+      }
+
+      const passed = this.hasKnockout(question) ? this.passesKnockout(question, value) : true;
+      if (!passed) {
+        const action = question.knockout.action || 'flag';
+        reasons.push(`${action === 'reject' ? 'Knockout' : 'Flagged'}: "${question.question}" answered ${value === undefined ? '(no answer)' : value}`);
+        if (action === 'reject') {
+          result = 'rejected';
+        } else if (result === 'passed') {
+          result = 'flagged';
+        }
+      }
+
+      if (value !== undefined) {
+        answers.push({ questionId: question._id, question: question.question, type: question.type, answer: value, passed });
+      }
+    });
+
+    if (errors.length > 0) return { screening: null, errors };
+
+    logger.debug(`Screening for job ${job._id}: ${result}${reasons.length ? ` (${reasons.join('; ')})` : ''}`);
+    return { screening: { answers, result, reasons, screenedAt: new Date() }, errors: [] };
+  }
+
+  /**
+   * Answers per question across a job's applications, from their screening
+   * counts (Application.getScreeningCounts): counts per answer for yes-no,
+   * multiple-choice and rating questions (with the average rating), knockout
+   * passes/failures, and screening results
+   */
+  getAnswerBreakdown(job, counts) {
+    const results = { passed: 0, flagged: 0, rejected: 0, notScreened: 0 };
+    counts.forEach(({ _id: { result }, applications }) => {
+      results[result && results[result] !== undefined ? result : 'notScreened'] += applications;
+    });
+    const total = Object.values(results).reduce((sum, count) => sum + count, 0);
+
+    const questions = (job.screening?.questions || []).map(question => {
+      const id = question._id.toString();
+      const answers = counts.filter(({ _id: { questionId } }) => questionId?.toString() === id);
+      const answered = answers.reduce((sum, row) => sum + row.answers, 0);
+
+      const breakdown = {
+        questionId: question._id,
+        question: question.question,
+        type: question.type,
+        answered,
+        unanswered: total - answered
+      };
+
+      if (question.type === 'yes-no') {
+        breakdown.counts = { yes: 0, no: 0 };
+      } else if (question.type === 'multiple-choice') {
+        breakdown.counts = Object.fromEntries(question.options.map(option => [option, 0]));
+      } else if (question.type === 'rating') {
+        breakdown.counts = Object.fromEntries(
+          Array.from({ length: this.getMaxRating(question) }, (_, i) => [i + 1, 0])
+        );
+        breakdown.average = answered > 0
+          ? Math.round(answers.reduce((sum, row) => sum + Number(row._id.answer) * row.answers, 0) / answered * 10) / 10
+          : null;
+      }
+
+      if (breakdown.counts) {
+        answers.forEach(({ _id: { answer }, answers: count }) => {
+          breakdown.counts[answer] = (breakdown.counts[answer] || 0) + count;
+        });
+      }
+
+      if (this.hasKnockout(question)) {
+        const passed = answers.filter(row => row._id.passed).reduce((sum, row) => sum + row.answers, 0);
+        breakdown.knockout = {
+          action: question.knockout.action || 'flag',
+          passed,
+          failed: answered - passed
+        };
+      }
+
+      return breakdown;
+    });
+
+    return { results, questions };
+  }
+}
+
+// Export singleton instance
+const screeningService = new ScreeningService();
+
+module.exports = {
+  screeningService,
+  ScreeningService
+};
@@ -0,0 +1,437 @@
+const fs = require('fs');
+const path = require('path');
+const Skill = require('../models/Skill');
+const logger = require('../utils/logger');
+
+const TAXONOMY_PATH = path.join(__dirname, '../data/skillsTaxonomy.json');
+
+const IMPORTANCE_RANK = { 'nice-to-have': 0, preferred: 1, required: 2 };
+
+/**
+ * Skills Taxonomy Service
+ * Maps free-form skill names to canonical skill IDs using the bundled
+ * taxonomy (src/data/skillsTaxonomy.json) plus admin extensions stored in
+ * the Skill collection. Lookups are synchronous against an in-memory index
+ * so models can normalize skills in their save hooks.
+ */
+class SkillsTaxonomyService {
+  constructor() {
+    const bundled = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf8'));
+
+    this.version = bundled.version;
+    this.bundledSkills = bundled.skills;
+    this.categories = new Map(bundled.categories.map(category => [category.id, category]));
+    this.customSkills = [];
+    this.customSkillsVersion = null;
+    this.buildIndex();
+  }
+
+  /**
+   * Rebuild the skill map and term lookup from bundled and custom entries
+   */
+  buildIndex() {
+    this.skills = new Map();
+    this.lookup = new Map();
+
+    this.bundledSkills.forEach(skill => {
+      this.skills.set(skill.id, {
+        ...skill,
+        aliases: [...skill.aliases],
+        related: [...skill.related],
+        source: 'bundled'
+      });
+    });
+
+    // Custom entries either add new skills or extend bundled ones
+    this.customSkills.forEach(entry => {
+      const existing = this.skills.get(entry.skillId);
+      if (existing) {
+        existing.aliases = [...new Set([...existing.aliases, ...(entry.aliases || [])])];
+        existing.related = [...new Set([...existing.related, ...(entry.related || [])])];
+        if (entry.name) existing.name = entry.name;
+        if (entry.category) existing.category = entry.category;
+        if (entry.type) existing.type = entry.type;
+        existing.extended = true;
+      } else if (entry.name) {
+        this.skills.set(entry.skillId, {
+          id: entry.skillId,
+          name: entry.name,
+          category: entry.category,
+          type: entry.type || 'technical',
+          aliases: [...(entry.aliases || [])],
+          related: [...(entry.related || [])],
+          source: 'custom'
+        });
+      }
+    });
+
+    // Relations go both ways and only point at known skills
+    this.skills.forEach(skill => {
+      skill.related = skill.related.filter(id => id !== skill.id && this.skills.has(id));
+      skill.related.forEach(id => {
+        const other = this.skills.get(id);
+        if (!other.related.includes(skill.id)) other.related.push(skill.id);
+      });
+    });
+
+    // Exact terms first so a compact form never shadows a real name or alias
+    const terms = [];
+    this.skills.forEach(skill => {
+      [skill.id, skill.name, ...skill.aliases].forEach(term => terms.push([term, skill.id]));
+    });
+    terms.forEach(([term, id]) => {
+      const key = this.normalizeTerm(term);
+      if (key && !this.lookup.has(key)) this.lookup.set(key, id);
+    });
+    terms.forEach(([term, id]) => {
+      const key = this.compactTerm(term);
+      if (key && !this.lookup.has(key)) this.lookup.set(key, id);
+    });
+  }
+
+  normalizeTerm(value) {
+    return value === null || value === undefined
+      ? ''
+      : value.toString().toLowerCase().replace(/\s+/g, ' ').replace(/^[\s,;:]+|[\s,;:]+$/g, '');
+  }
+
+  // "Node JS", "node-js" and "nodejs" all compact to the same key
+  compactTerm(value) {
+    return this.normalizeTerm(value).replace(/[\s._-]+/g, '');
+  }
+
+  /**
+   * Find the taxonomy entry for a skill name, alias or ID
+   */
+  findSkill(value) {
+    const id = this.lookup.get(this.normalizeTerm(value)) || this.lookup.get(this.compactTerm(value));
+    return id ? this.skills.get(id) : null;
+  }
+
+  getSkillId(value) {
+    return this.findSkill(value)?.id || null;
+  }
+
+  /**
+   * Canonical display name for a skill, or the trimmed input if unknown
+   */
+  normalizeSkillName(value) {
+    const skill = this.findSkill(value);
+    return skill ? skill.name : (value || '').toString().trim();
+  }
+
+  /**
+   * Key used to compare skills: the canonical ID, or the normalized term for unknown skills
+   */
+  getSkillKey(value) {
+    return this.getSkillId(value) || this.normalizeTerm(value);
+  }
+
+  /**
+   * Normalize a list of skill names, dropping blanks and duplicates
+   */
+  normalizeSkillList(values = []) {
+    const seen = new Set();
+    const result = [];
+
+    values.forEach(value => {
+      const name = this.normalizeSkillName(value);
+      const key = this.getSkillKey(name);
+      if (!name || seen.has(key)) return;
+      seen.add(key);
+      result.push(name);
+    });
+
+    return result;
+  }
+
+  /**
+   * Normalize Resume.extractedSkills entries; duplicates keep the highest confidence
+   */
+  normalizeExtractedSkills(entries = []) {
+    const byKey = new Map();
+
+    entries.forEach(entry => {
+      const skill = this.findSkill(entry.skill);
+      const name = skill ? skill.name : (entry.skill || '').toString().trim();
+      if (!name) return;
+
+      const normalized = {
+        ...entry,
+        skill: name,
+        skillId: skill?.id,
+        category: skill?.type || entry.category
+      };
+      const key = this.getSkillKey(name);
+      const existing = byKey.get(key);
+
+      if (!existing || (normalized.confidence || 0) > (existing.confidence || 0)) {
+        byKey.set(key, normalized);
+      }
+    });
+
+    return [...byKey.values()];
+  }
+
+  /**
+   * Normalize Job.matchingCriteria.requiredSkills; duplicates keep the highest importance
+   */
+  normalizeRequiredSkills(entries = []) {
+    const byKey = new Map();
+
+    entries.forEach(entry => {
+      const skill = this.findSkill(entry.skill);
+      const name = skill ? skill.name : (entry.skill || '').toString().trim();
+      if (!name) return;
+
+      const normalized = { ...entry, skill: name, skillId: skill?.id };
+      const key = this.getSkillKey(name);
+      const existing = byKey.get(key);
+
+      if (!existing ||
+          (IMPORTANCE_RANK[normalized.importance] ?? 1) > (IMPORTANCE_RANK[existing.importance] ?? 1)) {
+        byKey.set(key, normalized);
+      }
+    });
+
+    return [...byKey.values()];
+  }
+
+  areRelated(a, b) {
+    const skill = this.findSkill(a);
+    const other = this.findSkill(b);
+    return Boolean(skill && other && skill.related.includes(other.id));
+  }
+
+  /**
+   * Compare a candidate's skills against required skills.
+   * Returns canonical names: matched, related ({ skill, via }) and missing.
+   * Related skills still count as missing.
+   */
+  compareSkills(candidateSkills = [], requiredSkills = []) {
+    const candidateKeys = new Map();
+    candidateSkills.forEach(value => {
+      const name = this.normalizeSkillName(value);
+      if (name) candidateKeys.set(this.getSkillKey(name), name);
+    });
+
+    const matched = [];
+    const related = [];
+    const missing = [];
+
+    this.normalizeSkillList(requiredSkills).forEach(name => {
+      const key = this.getSkillKey(name);
+
+      if (candidateKeys.has(key)) {
+        matched.push(name);
+        return;
+      }
+
+      missing.push(name);
+      const skill = this.skills.get(key);
+      const via = skill?.related.find(id => candidateKeys.has(id));
+      if (via) related.push({ skill: name, via: candidateKeys.get(via) });
+    });
+
+    return { matched, related, missing, total: matched.length + missing.length };
+  }
+
+  /**
+   * Find known skills mentioned in text (e.g. a resume's skills section)
+   */
+  findSkillsInText(text, { types } = {}) {
+    if (!text) return [];
+    const found = [];
+
+    this.skills.forEach(skill => {
+      if (types && !types.includes(skill.type)) return;
+
+      const mentioned = [skill.name, ...skill.aliases].some(term => this.getTermPattern(term).test(text));
+
+      if (mentioned) found.push(skill.name);
+    });
+
+    return found;
+  }
+
+  /**
+   * Whether text mentions a skill by its name or any alias
+   */
+  mentionsSkill(text, value) {
+    if (!text || !value) return false;
+
+    const skill = this.findSkill(value);
+    const terms = skill ? [skill.name, ...skill.aliases] : [value.toString()];
+    return terms.some(term => this.getTermPattern(term).test(text));
+  }
+
+  getTermPattern(term) {
+    // Escape names like "C++" and use lookarounds since \b fails next to symbols
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\w])${escaped}(?![\\w+#&])`, 'i');
+  }
+
+  /**
+   * Category names from the root down, e.g. ['Technology', 'DevOps & Cloud', 'DevOps & Tooling']
+   */
+  getCategoryPath(categoryId) {
+    const names = [];
+    const visited = new Set();
+    let category = this.categories.get(categoryId);
+
+    while (category && !visited.has(category.id)) {
+      visited.add(category.id);
+      names.unshift(category.name);
+      category = this.categories.get(category.parent);
+    }
+
+    return names;
+  }
+
+  isInCategory(skill, categoryId) {
+    const visited = new Set();
+    let current = skill.category;
+
+    while (current && !visited.has(current)) {
+      if (current === categoryId) return true;
+      visited.add(current);
+      current = this.categories.get(current)?.parent;
+    }
+
+    return false;
+  }
+
+  serializeSkill(skill) {
+    return {
+      id: skill.id,
+      name: skill.name,
+      aliases: skill.aliases,
+      category: skill.category,
+      categoryPath: this.getCategoryPath(skill.category),
+      type: skill.type,
+      related: skill.related,
+      source: skill.source,
+      extended: Boolean(skill.extended)
+    };
+  }
+
+  /**
+   * List skills, optionally filtered by a search term or category (including subcategories)
+   */
+  listSkills({ q, category } = {}) {
+    const term = q ? this.normalizeTerm(q) : null;
+
+    return [...this.skills.values()]
+      .filter(skill => !category || this.isInCategory(skill, category))
+      .filter(skill => !term || [skill.id, skill.name, ...skill.aliases]
+        .some(value => this.normalizeTerm(value).includes(term)))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(skill => this.serializeSkill(skill));
+  }
+
+  listCategories() {
+    return [...this.categories.values()].map(category => ({
+      ...category,
+      path: this.getCategoryPath(category.id)
+    }));
+  }
+
+  /**
+   * Load admin extensions from the database
+   */
+  async loadCustomSkills() {
+    this.customSkills = await Skill.find().lean();
+    this.customSkillsVersion = this.versionOf(
+      this.customSkills.length,
+      Math.max(0, ...this.customSkills.map(entry => new Date(entry.updatedAt || 0).getTime()))
+    );
+    this.buildIndex();
+    logger.info(`Skills taxonomy loaded: ${this.skills.size} skills (${this.customSkills.length} custom entries)`);
+    return this.skills.size;
+  }
+
+  // Entry count plus latest update catches additions, edits and removals
+  versionOf(count, updatedAt) {
+    return `${count}:${updatedAt || 0}`;
+  }
+
+  /**
+   * Reload admin extensions if they changed since the last load, e.g. through
+   * another instance. Returns true when the taxonomy was reloaded.
+   */
+  async refreshCustomSkills() {
+    const [count, latest] = await Promise.all([
+      Skill.countDocuments(),
+      Skill.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean()
+    ]);
+    const version = this.versionOf(count, latest?.updatedAt && new Date(latest.updatedAt).getTime());
+    if (version === this.customSkillsVersion) return false;
+
+    await this.loadCustomSkills();
+    return true;
+  }
+
+  /**
+   * Add a skill or extend an existing one with aliases/related skills.
+   * Returns { skill, errors }; nothing is saved if there are errors.
+   */
+  async upsertSkill(data, userId) {
+    const skillId = this.normalizeTerm(data.skillId || data.name).replace(/\s+/g, '-');
+    const existing = this.skills.get(skillId);
+    const aliases = [...new Set((data.aliases || []).map(alias => this.normalizeTerm(alias)).filter(Boolean))];
+    const related = (data.related || []).map(value => this.getSkillId(value) || this.normalizeTerm(value));
+    const errors = [];
+
+    if (!existing && !data.name) {
+      errors.push('Name is required for a new skill');
+    }
+    if (data.category && !this.categories.has(data.category)) {
+      errors.push(`Unknown category: ${data.category}`);
+    }
+    related.forEach(id => {
+      if (!this.skills.has(id)) errors.push(`Unknown related skill: ${id}`);
+    });
+    aliases.forEach(alias => {
+      const owner = this.findSkill(alias);
+      if (owner && owner.id !== skillId) errors.push(`Alias "${alias}" already belongs to ${owner.name}`);
+    });
+    if (data.name) {
+      const owner = this.findSkill(data.name);
+      if (owner && owner.id !== skillId) errors.push(`Name "${data.name}" already belongs to ${owner.name}`);
+    }
+
+    if (errors.length > 0) return { skill: null, errors };
+
+    const entry = await Skill.findOne({ skillId }) || new Skill({ skillId, createdBy: userId });
+    entry.aliases = [...new Set([...(entry.aliases || []), ...aliases])];
+    entry.related = [...new Set([...(entry.related || []), ...related])];
+    if (data.name) entry.name = data.name;
+    if (data.category) entry.category = data.category;
+    if (data.type) entry.type = data.type;
+    entry.updatedBy = userId;
+    await entry.save();
+
+    await this.loadCustomSkills();
+
+    return { skill: this.serializeSkill(this.skills.get(skillId)), errors: [] };
+  }
+
+  /**
+   * Remove an admin extension. Bundled skills lose only the custom additions.
+   */
+  async removeCustomSkill(skillId) {
+    const result = await Skill.deleteOne({ skillId });
+    if (result.deletedCount === 0) return false;
+
+    await this.loadCustomSkills();
+    return true;
+  }
+}
+
+// Export singleton instance
+const skillsTaxonomyService = new SkillsTaxonomyService();
+
+module.exports = {
+  skillsTaxonomyService,
+  SkillsTaxonomyService
+};
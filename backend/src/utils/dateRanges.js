@@ -0,0 +1,353 @@
+/**
+ * Resume date normalization
+ *
+ * Turns the free-form dates found on resumes ("Present", "Q3 2021",
+ * "03/2019", "12/31/2019", "Summer 2020", "2018") into month-precision
+ * values and builds an employment timeline from them. Quarters and seasons
+ * resolve to their middle month. Year-only dates keep year precision: a
+ * range covers the whole years it names ("2019 - 2020" runs from Jan 2019
+ * to Dec 2020), and overlaps are only reported where the months are known
+ * to overlap.
+ *
+ * Months are handled internally as an index (year * 12 + month - 1) and
+ * exposed as "YYYY-MM" strings.
+ */
+
+const MONTHS = {
+  january: 1, jan: 1,
+  february: 2, feb: 2,
+  march: 3, mar: 3,
+  april: 4, apr: 4,
+  may: 5,
+  june: 6, jun: 6,
+  july: 7, jul: 7,
+  august: 8, aug: 8,
+  september: 9, sept: 9, sep: 9,
+  october: 10, oct: 10,
+  november: 11, nov: 11,
+  december: 12, dec: 12
+};
+
+// Middle month of each season/quarter
+const SEASONS = { spring: 4, summer: 7, fall: 10, autumn: 10, winter: 1 };
+const QUARTERS = { 1: 2, 2: 5, 3: 8, 4: 11 };
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const PRESENT_PATTERN = 'present|current|currently|now|today|ongoing|to date|till date';
+
+// One alternative per supported format; used to find dates inside longer text
+const DATE_TOKEN = new RegExp([
+  '\\b\\d{1,2}[-/.]\\d{1,2}[-/.]\\d{4}\\b',
+  '\\b\\d{4}[-/.]\\d{1,2}(?:[-/.]\\d{1,2})?\\b',
+  '\\b\\d{1,2}[-/.]\\d{4}\\b',
+  '\\bq[1-4][\\s-]*\\d{4}\\b',
+  '\\b\\d{4}[\\s-]*q[1-4]\\b',
+  `\\b(?:${Object.keys(SEASONS).join('|')})\\s+\\d{4}\\b`,
+  `\\b(?:${MONTH_PATTERN})\\.?\\s*(?:\\d{4}|'\\d{2})\\b`,
+  `\\b(?:${PRESENT_PATTERN})\\b`,
+  '\\b(?:19|20)\\d{2}\\b'
+].join('|'), 'gi');
+
+const toIndex = (year, month) => year * 12 + (month - 1);
+
+const fromIndex = (index) => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+/**
+ * Format a month index as "YYYY-MM"
+ */
+const formatMonth = (index) => {
+  const { year, month } = fromIndex(index);
+  return `${year}-${String(month).padStart(2, '0')}`;
+};
+
+const currentMonthIndex = (now = new Date()) => toIndex(now.getFullYear(), now.getMonth() + 1);
+
+const expandYear = (digits) => {
+  if (digits.length === 4) return parseInt(digits);
+  const short = parseInt(digits);
+  const pivot = (new Date().getFullYear() % 100) + 1;
+  return short > pivot ? 1900 + short : 2000 + short;
+};
+
+const validMonth = (month) => month >= 1 && month <= 12;
+
+const validDay = (day) => day >= 1 && day <= 31;
+
+const build = (year, month, precision) => ({
+  index: toIndex(year, month),
+  year,
+  month,
+  precision
+});
+
+/**
+ * Parse a single resume date.
+ * Returns { index, year, month, precision } with precision one of
+ * month | quarter | season | year, { present: true } for "Present"/"now",
+ * or null when the value isn't a recognizable date. Year-precision dates
+ * have no month or index. Numeric dates with an impossible month
+ * ("13/2019") are rejected rather than read as a bare year.
+ */
+const parseDate = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    return isNaN(value) ? null : build(value.getFullYear(), value.getMonth() + 1, 'month');
+  }
+
+  const text = value.toString().trim().toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ');
+  if (!text) return null;
+
+  if (new RegExp(`^(?:${PRESENT_PATTERN})$`).test(text)) return { present: true };
+
+  // MM/DD/YYYY, or DD/MM/YYYY when the first number can't be a month
+  let match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/);
+  if (match) {
+    const [first, second, year] = match.slice(1).map(part => parseInt(part));
+    if (validMonth(first) && validDay(second)) return build(year, first, 'month');
+    if (validMonth(second) && validDay(first)) return build(year, second, 'month');
+    return null;
+  }
+
+  match = text.match(/\b(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?\b/);
+  if (match) {
+    const valid = validMonth(parseInt(match[2])) && (!match[3] || validDay(parseInt(match[3])));
+    return valid ? build(parseInt(match[1]), parseInt(match[2]), 'month') : null;
+  }
+
+  match = text.match(/\b(\d{1,2})[-/.](\d{4})\b/);
+  if (match) {
+    return validMonth(parseInt(match[1])) ? build(parseInt(match[2]), parseInt(match[1]), 'month') : null;
+  }
+
+  match = text.match(/\bq([1-4])[\s-]*(\d{4})\b/) || text.match(/\b(\d{4})[\s-]*q([1-4])\b/);
+  if (match) {
+    const [quarter, year] = match[1].length === 4 ? [match[2], match[1]] : [match[1], match[2]];
+    return build(parseInt(year), QUARTERS[quarter], 'quarter');
+  }
+
+  match = text.match(new RegExp(`\\b(${Object.keys(SEASONS).join('|')})\\s+(\\d{4})\\b`));
+  if (match) return build(parseInt(match[2]), SEASONS[match[1]], 'season');
+
+  match = text.match(new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s*(\\d{4}|'\\d{2})\\b`));
+  if (match) return build(expandYear(match[2].replace("'", '')), MONTHS[match[1]], 'month');
+
+  match = text.match(/\b((?:19|20)\d{2})\b/);
+  if (match) return { index: null, year: parseInt(match[1]), month: null, precision: 'year' };
+
+  return null;
+};
+
+/**
+ * Normalize a date for storage: "YYYY-MM" for month precision, "YYYY" for
+ * year precision, the trimmed input for quarters/seasons (which parseDate
+ * reads back) and null for "Present"
+ */
+const normalizeDate = (value) => {
+  const parsed = parseDate(value);
+  if (!parsed) return value ? value.toString().trim() : null;
+  if (parsed.present) return null;
+  if (parsed.precision === 'month') return formatMonth(parsed.index);
+  if (parsed.precision === 'year') return String(parsed.year);
+  return value.toString().trim();
+};
+
+/**
+ * Human-readable form of a stored date, e.g. "2019-03" -> "Mar 2019"
+ */
+const formatDisplayDate = (value) => {
+  const parsed = parseDate(value);
+  if (!parsed || parsed.present) return value || '';
+  if (parsed.precision === 'month') return `${MONTH_NAMES[parsed.month - 1]} ${parsed.year}`;
+  return value.toString().trim();
+};
+
+/**
+ * Find the dates in a piece of text, e.g. "03/2019 – now"
+ */
+const findDates = (text) => (text ? text.toString().match(DATE_TOKEN) || [] : []);
+
+/**
+ * Month bounds a parsed date can stand for. Year-precision dates span the
+ * whole year; everything else is a single month.
+ */
+const monthBounds = (date) => (date.precision === 'year'
+  ? { first: toIndex(date.year, 1), last: toIndex(date.year, 12) }
+  : { first: date.index, last: date.index });
+
+/**
+ * Resolve a start/end pair into a month range.
+ * Returns null if the start can't be parsed. Open-ended or "Present"
+ * ranges end at the current month when `current` is set or the end is
+ * "Present"; otherwise a missing end is treated as unknown. Year-only
+ * bounds cover the whole year and are reported as "YYYY"; `certainStartIndex`
+ * and `certainEndIndex` give the months the range is known to include.
+ */
+const parseDateRange = (startDate, endDate, current = false, now = new Date()) => {
+  const start = parseDate(startDate);
+  if (!start || start.present) return null;
+
+  const end = parseDate(endDate);
+  const isCurrent = Boolean(current || end?.present);
+  const nowIndex = currentMonthIndex(now);
+
+  if (!isCurrent && (!end || end.present)) return null;
+
+  const startBounds = monthBounds(start);
+  const endBounds = isCurrent ? { first: nowIndex, last: nowIndex } : monthBounds(end);
+
+  // Guard against reversed or future-dated ranges
+  const clamp = (index, min) => Math.min(Math.max(index, min), nowIndex);
+  const startIndex = Math.min(startBounds.first, nowIndex);
+  const endIndex = clamp(endBounds.last, startIndex);
+  const certainStartIndex = Math.min(startBounds.last, endIndex);
+  const certainEndIndex = clamp(endBounds.first, certainStartIndex);
+
+  const yearOnly = (date, index) => (date.precision === 'year' ? String(date.year) : formatMonth(index));
+  const precisions = [start.precision, isCurrent ? 'month' : end.precision];
+  const precision = precisions.find(p => p !== 'month') || 'month';
+
+  return {
+    start: yearOnly(start, startIndex),
+    end: isCurrent ? formatMonth(endIndex) : yearOnly(end, endIndex),
+    startIndex,
+    endIndex,
+    certainStartIndex,
+    certainEndIndex,
+    current: isCurrent,
+    months: endIndex - startIndex + 1,
+    precision
+  };
+};
+
+/**
+ * Parse a range written as one string, e.g. "Jan 2020 - Present"
+ */
+const parseDateRangeText = (text, now = new Date()) => {
+  const [start, end] = findDates(text);
+  return parseDateRange(start, end, false, now);
+};
+
+/**
+ * Build an employment timeline from experience entries.
+ *
+ * Returns the resolved ranges (most recent first), total months with
+ * overlapping periods counted once, overlaps between jobs, gaps between
+ * them, and the indexes of entries whose dates couldn't be resolved.
+ */
+const buildTimeline = (entries = [], options = {}) => {
+  const {
+    now = new Date(),
+    minGapMonths = 3,
+    minOverlapMonths = 2
+  } = options;
+
+  const ranges = [];
+  const unparsed = [];
+
+  (entries || []).forEach((entry, index) => {
+    const range = entry && parseDateRange(entry.startDate, entry.endDate, entry.current, now);
+    if (!range) {
+      if (entry && (entry.startDate || entry.endDate || entry.current)) unparsed.push(index);
+      return;
+    }
+    ranges.push({
+      index,
+      title: entry.position || entry.role || entry.title || '',
+      organization: entry.company || entry.organization || '',
+      ...range
+    });
+  });
+
+  ranges.sort((a, b) => (b.endIndex - a.endIndex) || (b.startIndex - a.startIndex));
+
+  // Merge overlapping ranges to count each month once
+  const chronological = [...ranges].sort((a, b) => a.startIndex - b.startIndex);
+  const merged = [];
+  chronological.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.startIndex <= last.endIndex + 1) {
+      last.endIndex = Math.max(last.endIndex, range.endIndex);
+    } else {
+      merged.push({ startIndex: range.startIndex, endIndex: range.endIndex });
+    }
+  });
+
+  const totalMonths = merged.reduce((sum, period) => sum + period.endIndex - period.startIndex + 1, 0);
+
+  // Only months both ranges certainly cover count as overlap, so
+  // "2016 - 2018" followed by "2018 - 2020" isn't flagged
+  const overlaps = [];
+  for (let i = 0; i < chronological.length; i++) {
+    for (let j = i + 1; j < chronological.length; j++) {
+      const a = chronological[i];
+      const b = chronological[j];
+      const start = Math.max(a.certainStartIndex, b.certainStartIndex);
+      const end = Math.min(a.certainEndIndex, b.certainEndIndex);
+      const months = end - start + 1;
+      if (months >= minOverlapMonths) {
+        overlaps.push({
+          entries: [a.index, b.index],
+          start: formatMonth(start),
+          end: formatMonth(end),
+          months
+        });
+      }
+    }
+  }
+
+  const gaps = [];
+  for (let i = 1; i < merged.length; i++) {
+    const months = merged[i].startIndex - merged[i - 1].endIndex - 1;
+    if (months >= minGapMonths) {
+      gaps.push({
+        start: formatMonth(merged[i - 1].endIndex + 1),
+        end: formatMonth(merged[i].startIndex - 1),
+        months
+      });
+    }
+  }
+
+  const strip = ({ startIndex, endIndex, certainStartIndex, certainEndIndex, ...range }) => range;
+
+  return {
+    ranges: ranges.map(strip),
+    totalMonths,
+    totalYears: Math.round((totalMonths / 12) * 10) / 10,
+    overlaps,
+    gaps,
+    unparsed,
+    earliestStart: merged.length ? formatMonth(merged[0].startIndex) : null,
+    latestEnd: merged.length ? formatMonth(merged[merged.length - 1].endIndex) : null,
+    hasCurrentPosition: ranges.some(range => range.current)
+  };
+};
+
+/**
+ * Classify how a date is written, for formatting consistency checks
+ */
+const detectDateFormat = (value) => {
+  const text = value ? value.toString().trim().toLowerCase() : '';
+  if (/^\d{1,2}[-/.]\d{1,2}[-/.]\d{4}$/.test(text)) return 'MM/DD/YYYY';
+  if (/^\d{4}[-/.]\d{1,2}/.test(text)) return 'YYYY-MM';
+  if (/^\d{1,2}[-/.]\d{4}$/.test(text)) return 'MM/YYYY';
+  if (/q[1-4]/.test(text)) return 'Quarter YYYY';
+  if (new RegExp(`^(?:${Object.keys(SEASONS).join('|')})`).test(text)) return 'Season YYYY';
+  if (new RegExp(`^(?:${MONTH_PATTERN})`).test(text)) return 'Month YYYY';
+  if (/^\d{4}$/.test(text)) return 'YYYY';
+  if (new RegExp(`^(?:${PRESENT_PATTERN})$`).test(text)) return 'Present';
+  return 'Unknown';
+};
+
+module.exports = {
+  parseDate,
+  normalizeDate,
+  formatDisplayDate,
+  findDates,
+  parseDateRange,
+  parseDateRangeText,
+  buildTimeline,
+  detectDateFormat,
+  formatMonth
+};
@@ -4,6 +4,7 @@
  */
 
 const logger = require('./logger');
+const { HashedEmbeddingProvider } = require('../../ai-services/HashedEmbeddingProvider');
 
 /**
  * Mock AI Service for development
@@ -11,19 +12,20 @@ const logger = require('./logger');
 class MockAIService {
   constructor() {
     this.isInitialized = true;
+    this.embeddingProvider = new HashedEmbeddingProvider();
     logger.info('MockAIService initialized - AI features will return mock data');
   }
 
   async generateEmbedding(text) {
-    // Return mock embedding vector
-    const mockEmbedding = Array.from({ length: 768 }, () => Math.random() * 2 - 1);
+    // Deterministic local embedding, so mock match scores are reproducible
+    const mockEmbedding = await this.embeddingProvider.embed(text);
     
     logger.debug('Generated mock embedding for text:', text.substring(0, 50) + '...');
     
     return {
       embedding: mockEmbedding,
       metadata: {
-        model: 'mock-embedding-model',
+        model: this.embeddingProvider.model,
         timestamp: new Date().toISOString(),
         textLength: text.length
       }
@@ -94,7 +96,11 @@ class MockAIService {
         location: Math.floor(Math.random() * 20) + 80
       },
       matchedSkills: ['JavaScript', 'React', 'Node.js', 'MongoDB'].slice(0, Math.floor(Math.random() * 4) + 1),
-      missingSkills: ['TypeScript', 'AWS', 'Docker'].slice(0, Math.floor(Math.random() * 3)),
+      missingSkills: {
+        required: ['TypeScript'].slice(0, Math.floor(Math.random() * 2)),
+        preferred: ['AWS', 'Docker'].slice(0, Math.floor(Math.random() * 3)),
+        'nice-to-have': []
+      },
       recommendations: [
         'Strong technical skills match',
         'Experience level aligns well',
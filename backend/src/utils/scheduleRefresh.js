@@ -0,0 +1,33 @@
+const logger = require('./logger');
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.CONFIG_REFRESH_INTERVAL_MS) || 60 * 1000;
+
+/**
+ * Periodically re-read admin-editable data kept in memory (e.g. skills
+ * taxonomy extensions) so writes made through one instance reach every
+ * other instance and worker.
+ *
+ * `refresh` should be cheap when nothing changed. The timer doesn't keep
+ * the process alive. Returns a function that stops the refresh.
+ */
+const scheduleRefresh = (name, refresh, intervalMs = DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than stack reloads behind a slow database
+    if (running) return;
+    running = true;
+    try {
+      await refresh();
+    } catch (error) {
+      logger.error(`${name} refresh error:`, error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { scheduleRefresh };
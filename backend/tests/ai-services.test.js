@@ -91,7 +91,7 @@ describe('AI Services', () => {
         expect(result.atsScore).toBe(85);
       });
 
-      it('should handle malformed API response', async () => {
+      it('should reject a malformed API response once repairs are exhausted', async () => {
         const mockResponse = {
           response: {
             text: () => 'Invalid JSON response'
@@ -102,10 +102,10 @@ describe('AI Services', () => {
           generateContent: jest.fn().mockResolvedValue(mockResponse)
         };
 
-        const result = await geminiService.generateResumeSuggestions('Resume content');
-
-        expect(result.suggestions).toEqual([]);
-        expect(result.overallFeedback).toBe('Unable to parse AI response');
+        await expect(geminiService.generateResumeSuggestions('Resume content')).rejects.toThrow(
+          'INVALID_AI_OUTPUT: resumeSuggestions output did not match its schema after 3 attempts'
+        );
+        expect(geminiService.generativeModel.generateContent).toHaveBeenCalledTimes(3);
       });
     });
 
@@ -494,13 +494,15 @@ describe('AI Services', () => {
       await expect(geminiService.executeWithRetry(slowFunction)).rejects.toThrow('Request timeout');
     });
 
-    it('should handle malformed responses gracefully', () => {
+    it('should reject malformed responses', async () => {
       const geminiService = new GeminiService();
-      
-      const result = geminiService.parseResumeSuggestions('Not a JSON response');
+      jest.spyOn(geminiService, 'generateStructured').mockRejectedValue(
+        new Error('INVALID_AI_OUTPUT: resumeSuggestions output did not match its schema after 3 attempts: Invalid JSON')
+      );
 
-      expect(result.suggestions).toEqual([]);
-      expect(result.overallFeedback).toBe('Unable to parse AI response');
+      await expect(geminiService.generateResumeSuggestions('Resume text')).rejects.toThrow(
+        'Failed to generate resume suggestions: INVALID_AI_OUTPUT'
+      );
     });
 
     it('should handle missing data gracefully', () => {
@@ -0,0 +1,181 @@
+const { AICacheService, RedisCacheStore } = require('../ai-services/AICacheService');
+
+jest.mock('../src/utils/logger');
+
+/**
+ * In-memory stand-in for the ioredis commands RedisCacheStore uses, with
+ * key expiry on Date.now() so fake timers drive it. Lua scripts the store
+ * defines are implemented in JS below.
+ */
+class FakeRedis {
+  constructor() {
+    this.status = 'ready';
+    this.keys = new Map(); // key -> { value, expiresAt }
+    this.scripts = {
+      extendExpire: (key, ttl) => (this.ttl(key) < ttl ? this.expire(key, ttl) : 0)
+    };
+  }
+
+  defineCommand(name) {
+    if (!this.scripts[name]) throw new Error(`No fake for script ${name}`);
+    this[name] = (...args) => this.scripts[name](...args);
+  }
+
+  entry(key) {
+    const entry = this.keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.keys.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  ensure(key, empty) {
+    if (!this.entry(key)) this.keys.set(key, { value: empty, expiresAt: null });
+    return this.keys.get(key).value;
+  }
+
+  get(key) {
+    return this.entry(key)?.value ?? null;
+  }
+
+  set(key, value, mode, ttl) {
+    this.keys.set(key, { value, expiresAt: mode === 'EX' ? Date.now() + ttl * 1000 : null });
+    return 'OK';
+  }
+
+  del(...keys) {
+    return keys.filter(key => this.entry(key) && this.keys.delete(key)).length;
+  }
+
+  expire(key, ttl) {
+    const entry = this.entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + ttl * 1000;
+    return 1;
+  }
+
+  ttl(key) {
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  sadd(key, ...members) {
+    const set = this.ensure(key, new Set());
+    const before = set.size;
+    members.forEach(member => set.add(member));
+    return set.size - before;
+  }
+
+  smembers(key) {
+    return [...(this.entry(key)?.value || [])];
+  }
+
+  zadd(key, score, member) {
+    this.ensure(key, new Map()).set(member, score);
+    return 1;
+  }
+
+  zrem(key, ...members) {
+    const zset = this.entry(key)?.value;
+    return zset ? members.filter(member => zset.delete(member)).length : 0;
+  }
+
+  sorted(key) {
+    return [...(this.entry(key)?.value || new Map())].sort((a, b) => a[1] - b[1]);
+  }
+
+  zrange(key, start, stop) {
+    const members = this.sorted(key).map(([member]) => member);
+    return members.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  zremrangebyscore(key, min, max) {
+    const removed = this.sorted(key).filter(([, score]) => score <= max);
+    return this.zrem(key, ...removed.map(([member]) => member));
+  }
+
+  zcard(key) {
+    return this.entry(key)?.value.size || 0;
+  }
+
+  multi() {
+    const commands = [];
+    const chain = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => commands.map(([command, args]) => [null, this[command](...args)]);
+        }
+        return (...args) => {
+          commands.push([name, args]);
+          return chain;
+        };
+      }
+    });
+    return chain;
+  }
+}
+
+describe('AICacheService with Redis', () => {
+  const HOUR = 60 * 60;
+  let redis;
+  let cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-06-01T00:00:00Z') });
+    redis = new FakeRedis();
+    cache = new AICacheService();
+    cache.store = new RedisCacheStore(redis);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const tagTTL = (tag) => redis.ttl(cache.store.tagKey(tag));
+
+  it('should keep a tag as long as its longest-lived entry', async () => {
+    await cache.set('atsAnalysis', ['resume'], { score: 80 }, { ttl: 24 * HOUR, tags: ['resume:r1'] });
+    await cache.set('embeddings', ['resume'], [0.1, 0.2], { ttl: HOUR, tags: ['resume:r1'] });
+
+    expect(tagTTL('resume:r1')).toBe(24 * HOUR);
+
+    await cache.set('contentAnalysis', ['resume'], { score: 70 }, { ttl: 48 * HOUR, tags: ['resume:r1'] });
+
+    expect(tagTTL('resume:r1')).toBe(48 * HOUR);
+  });
+
+  it('should invalidate long-lived entries after a shorter-lived one expired', async () => {
+    await cache.set('atsAnalysis', ['resume'], { score: 80 }, { ttl: 24 * HOUR, tags: ['resume:r1', 'job:j1'] });
+    await cache.set('embeddings', ['resume'], [0.1, 0.2], { ttl: HOUR, tags: ['resume:r1'] });
+
+    jest.advanceTimersByTime(2 * HOUR * 1000);
+
+    expect(await cache.get('embeddings', ['resume'])).toBeUndefined();
+    expect(await cache.get('atsAnalysis', ['resume'])).toEqual({ score: 80 });
+
+    expect(await cache.invalidateResume('r1')).toBe(1);
+    expect(await cache.get('atsAnalysis', ['resume'])).toBeUndefined();
+    expect(redis.smembers(cache.store.tagKey('resume:r1'))).toEqual([]);
+  });
+
+  it('should only invalidate entries with the tag', async () => {
+    await cache.set('atsAnalysis', ['r1'], { score: 80 }, { ttl: HOUR, tags: ['resume:r1'] });
+    await cache.set('atsAnalysis', ['r2'], { score: 60 }, { ttl: HOUR, tags: ['resume:r2'] });
+
+    expect(await cache.invalidateResume('r1')).toBe(1);
+    expect(await cache.get('atsAnalysis', ['r2'])).toEqual({ score: 60 });
+    expect(await cache.store.count()).toBe(1);
+  });
+
+  it('should let a tag expire with its last entry', async () => {
+    await cache.set('atsAnalysis', ['resume'], { score: 80 }, { ttl: HOUR, tags: ['resume:r1'] });
+    await cache.set('embeddings', ['resume'], [0.1], { ttl: 2 * HOUR, tags: ['resume:r1'] });
+
+    jest.advanceTimersByTime(2 * HOUR * 1000);
+
+    expect(tagTTL('resume:r1')).toBe(-2);
+    expect(await cache.store.count()).toBe(0);
+  });
+});
@@ -0,0 +1,312 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const AIUsage = require('../src/models/AIUsage');
+const AIUsageDaily = require('../src/models/AIUsageDaily');
+const { AIUsageService, aiUsageService } = require('../ai-services/AIUsageService');
+const { aiQuota } = require('../src/middleware/aiQuota');
+
+jest.mock('../src/utils/logger');
+
+/**
+ * Stand-in for the AIUsageDaily collection: findOneAndUpdate with upsert
+ * behaves like MongoDB with the unique (userId, date) index, so a filter
+ * that doesn't match an existing day document fails with E11000.
+ */
+const mockDailyCollection = () => {
+  const docs = [];
+  const sameDay = (doc, filter) => String(doc.userId) === String(filter.userId) && doc.date === filter.date;
+  const matches = (doc, filter) => sameDay(doc, filter) &&
+    (!filter.requests || (
+      (filter.requests.$lt === undefined || doc.requests < filter.requests.$lt) &&
+      (filter.requests.$gt === undefined || doc.requests > filter.requests.$gt)
+    ));
+  const apply = (doc, update) => {
+    Object.entries(update.$inc || {}).forEach(([field, value]) => {
+      doc[field] = (doc[field] || 0) + value;
+    });
+    return doc;
+  };
+
+  jest.spyOn(AIUsageDaily, 'findOneAndUpdate').mockImplementation(async (filter, update, options) => {
+    await Promise.resolve();
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) return apply(doc, update);
+    if (!options.upsert) return null;
+    if (docs.some(candidate => sameDay(candidate, filter))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const inserted = apply({ userId: filter.userId, date: filter.date, ...update.$setOnInsert }, update);
+    docs.push(inserted);
+    return inserted;
+  });
+  jest.spyOn(AIUsageDaily, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+
+  return docs;
+};
+
+const candidate = { _id: new mongoose.Types.ObjectId(), id: 'candidate1', role: 'candidate' };
+const recruiter = { _id: new mongoose.Types.ObjectId(), id: 'recruiter1', role: 'recruiter' };
+const admin = { _id: new mongoose.Types.ObjectId(), id: 'admin1', role: 'admin' };
+
+describe('AIUsageService quotas', () => {
+  let service;
+  let docs;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-06-01T22:30:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    service = new AIUsageService();
+    service.dailyQuotas = { candidate: 3, recruiter: 5 };
+    docs = mockDailyCollection();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should count requests until the role limit and then refuse', async () => {
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await service.consumeQuota(candidate));
+    }
+
+    expect(results.map(({ allowed, used, remaining }) => ({ allowed, used, remaining }))).toEqual([
+      { allowed: true, used: 1, remaining: 2 },
+      { allowed: true, used: 2, remaining: 1 },
+      { allowed: true, used: 3, remaining: 0 },
+      { allowed: false, used: 3, remaining: 0 }
+    ]);
+    expect(results[3]).toMatchObject({ limit: 3, date: '2024-06-01', resetAt: new Date('2024-06-02T00:00:00Z') });
+    expect(docs).toEqual([expect.objectContaining({ requests: 3, role: 'candidate' })]);
+  });
+
+  it('should not let concurrent requests go over the limit', async () => {
+    const results = await Promise.all(Array.from({ length: 8 }, () => service.consumeQuota(recruiter)));
+
+    expect(results.filter(result => result.allowed)).toHaveLength(5);
+    expect(docs[0].requests).toBe(5);
+  });
+
+  it('should count each user and day separately', async () => {
+    await service.consumeQuota(candidate);
+    await service.consumeQuota(candidate);
+    await service.consumeQuota(candidate);
+    expect((await service.consumeQuota(recruiter)).allowed).toBe(true);
+
+    jest.setSystemTime(new Date('2024-06-02T00:00:01Z'));
+    expect(await service.consumeQuota(candidate)).toMatchObject({ allowed: true, used: 1, date: '2024-06-02' });
+  });
+
+  it('should count without limiting roles that have no quota', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => service.consumeQuota(admin)));
+
+    expect(results.every(result => result.allowed && result.limit === null && result.remaining === null)).toBe(true);
+    expect(docs[0].requests).toBe(10);
+  });
+
+  it('should refuse every request for a role with a limit of 0 without counting it', async () => {
+    service.dailyQuotas.candidate = 0;
+
+    expect(await service.consumeQuota(candidate)).toMatchObject({ allowed: false, limit: 0, used: 0, remaining: 0 });
+    expect(await service.consumeQuota(candidate)).toMatchObject({ allowed: false });
+    expect(AIUsageDaily.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(docs).toEqual([]);
+  });
+
+  it('should give a released request back', async () => {
+    await service.consumeQuota(candidate);
+    await service.consumeQuota(candidate);
+    await service.consumeQuota(candidate);
+
+    await service.releaseQuota(candidate);
+    expect(await service.consumeQuota(candidate)).toMatchObject({ allowed: true, used: 3 });
+
+    await service.releaseQuota(admin);
+    expect(docs).toHaveLength(1);
+  });
+
+  it.each([
+    ['{"candidate": 50, "admin": 10}', { candidate: 50, recruiter: 100, admin: 10 }],
+    ['{"recruiter": null}', { candidate: 20, recruiter: null, admin: null }],
+    ['not json', { candidate: 20, recruiter: 100, admin: null }]
+  ])('should read AI_DAILY_QUOTAS %s', (value, expected) => {
+    process.env.AI_DAILY_QUOTAS = value;
+    try {
+      const configured = new AIUsageService();
+      Object.entries(expected).forEach(([role, limit]) => {
+        expect(configured.getDailyLimit(role)).toBe(limit);
+      });
+    } finally {
+      delete process.env.AI_DAILY_QUOTAS;
+    }
+  });
+});
+
+describe('aiQuota middleware', () => {
+  const mockRequest = (user) => ({ user, baseUrl: '/api/ai', route: { path: '/resume/analyze' } });
+
+  const mockResponse = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.set = jest.fn().mockReturnValue(res);
+    res.status = jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-06-01T22:30:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.replaceProperty(aiUsageService, 'dailyQuotas', { candidate: 2 });
+    mockDailyCollection();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should let requests through with quota headers and bill them to the user', async () => {
+    const res = mockResponse();
+    let context;
+
+    await aiQuota(mockRequest(candidate), res, () => {
+      context = aiUsageService.getContext();
+    });
+
+    expect(res.set).toHaveBeenCalledWith({
+      'X-AI-Quota-Limit': '2',
+      'X-AI-Quota-Remaining': '1',
+      'X-AI-Quota-Reset': '2024-06-02T00:00:00.000Z'
+    });
+    expect(context).toMatchObject({ userId: candidate._id, role: 'candidate', endpoint: '/api/ai/resume/analyze', requestId: expect.any(String) });
+  });
+
+  it('should answer 429 with the reset time once the quota is used up', async () => {
+    await aiQuota(mockRequest(candidate), mockResponse(), jest.fn());
+    await aiQuota(mockRequest(candidate), mockResponse(), jest.fn());
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await aiQuota(mockRequest(candidate), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', String(90 * 60));
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Daily AI request limit of 2 reached. Try again after 2024-06-02T00:00:00.000Z',
+      details: { limit: 2, used: 2, resetAt: new Date('2024-06-02T00:00:00Z') }
+    });
+  });
+
+  it('should not count requests that fail with a server error', async () => {
+    const failed = mockResponse();
+    await aiQuota(mockRequest(candidate), failed, jest.fn());
+    failed.statusCode = 500;
+    failed.emit('finish');
+    await Promise.resolve();
+
+    const succeeded = mockResponse();
+    await aiQuota(mockRequest(candidate), succeeded, jest.fn());
+    succeeded.emit('finish');
+
+    const res = mockResponse();
+    await aiQuota(mockRequest(candidate), res, jest.fn());
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'X-AI-Quota-Remaining': '0' }));
+  });
+
+  it('should not send quota headers for unlimited roles', async () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await aiQuota(mockRequest(admin), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.set).not.toHaveBeenCalled();
+  });
+
+  it('should pass quota store errors on', async () => {
+    AIUsageDaily.findOneAndUpdate.mockRejectedValue(new Error('Mongo down'));
+    const next = jest.fn();
+
+    await aiQuota(mockRequest(candidate), mockResponse(), next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Mongo down' }));
+  });
+});
+
+describe('AIUsageService.record', () => {
+  // readyState can't be spied on; its backing field avoids emitting connection events
+  beforeEach(() => {
+    mongoose.connection._readyState = 1;
+  });
+
+  afterEach(() => {
+    mongoose.connection._readyState = 0;
+    jest.restoreAllMocks();
+  });
+
+  it('should bill the call to the user in the request context', async () => {
+    const create = jest.spyOn(AIUsage, 'create').mockImplementation(async entry => entry);
+    const updateOne = jest.spyOn(AIUsageDaily, 'updateOne').mockResolvedValue({});
+
+    await aiUsageService.runWithContext({ userId: recruiter._id, role: 'recruiter', endpoint: '/api/ai/match' }, () =>
+      aiUsageService.record({
+        task: 'atsAnalysis',
+        provider: 'gemini',
+        model: 'gemini-pro',
+        input: 'x'.repeat(400),
+        output: 'y'.repeat(40),
+        usage: { inputTokens: 1000, outputTokens: 2000 },
+        latencyMs: 120
+      })
+    );
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: recruiter._id,
+      endpoint: '/api/ai/match',
+      inputTokens: 1000,
+      outputTokens: 2000,
+      tokensEstimated: false,
+      cost: 0.0035,
+      success: true
+    }));
+    expect(updateOne).toHaveBeenCalledWith(
+      { userId: recruiter._id, date: aiUsageService.getDay() },
+      { $inc: { calls: 1, inputTokens: 1000, outputTokens: 2000, cost: 0.0035 }, $setOnInsert: { role: 'recruiter' } },
+      { upsert: true }
+    );
+  });
+
+  it('should estimate tokens and skip the daily total outside a request', async () => {
+    const create = jest.spyOn(AIUsage, 'create').mockImplementation(async entry => entry);
+    const updateOne = jest.spyOn(AIUsageDaily, 'updateOne');
+
+    await aiUsageService.record({ task: 'skillExtraction', provider: 'local', model: 'llama3.2', input: 'x'.repeat(400), error: new Error('NETWORK_ERROR') });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: null,
+      inputTokens: 100,
+      outputTokens: 0,
+      tokensEstimated: true,
+      cost: 0,
+      success: false,
+      error: 'NETWORK_ERROR'
+    }));
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should never fail the AI request when the ledger write fails', async () => {
+    jest.spyOn(AIUsage, 'create').mockRejectedValue(new Error('Mongo down'));
+
+    await expect(aiUsageService.record({ task: 'atsAnalysis', model: 'gemini-pro', input: 'x' })).resolves.toBeNull();
+  });
+});
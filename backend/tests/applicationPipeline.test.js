@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const Application = require('../src/models/Application');
+const User = require('../src/models/User');
+const { ApplicationPipelineService, applicationPipelineService } = require('../src/services/applicationPipelineService');
+const { notificationQueue } = require('../notifications/NotificationQueue');
+const { updateApplicationStatus } = require('../src/controllers/jobs');
+
+jest.mock('bullmq');
+jest.mock('ioredis');
+jest.mock('../src/utils/logger');
+
+const STATUSES = ['pending', 'reviewing', 'shortlisted', 'interviewed', 'offered', 'hired', 'rejected'];
+
+const ALLOWED = {
+  pending: ['reviewing', 'shortlisted', 'rejected'],
+  reviewing: ['shortlisted', 'rejected'],
+  shortlisted: ['interviewed', 'offered', 'rejected'],
+  interviewed: ['shortlisted', 'offered', 'rejected'],
+  offered: ['hired', 'rejected'],
+  hired: [],
+  rejected: ['reviewing']
+};
+
+const recruiterId = new mongoose.Types.ObjectId();
+
+const buildJob = (status = 'active') => new Job({ title: 'Platform Engineer', company: { name: 'Acme' }, postedBy: recruiterId, status });
+
+const buildApplication = (status = 'pending') => new Application({
+  job: new mongoose.Types.ObjectId(),
+  candidate: new mongoose.Types.ObjectId(),
+  status
+});
+
+describe('ApplicationPipelineService', () => {
+  let pipeline;
+
+  beforeEach(() => {
+    pipeline = new ApplicationPipelineService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transition', () => {
+    const pairs = STATUSES.flatMap(from => STATUSES.map(to => [from, to, ALLOWED[from].includes(to)]));
+
+    it.each(pairs)('should %s -> %s: allowed %s', (from, to, allowed) => {
+      const application = buildApplication(from);
+
+      const { result, errors, conflict } = pipeline.transition(buildJob(), application, to, { actor: recruiterId, reason: 'Reason' });
+
+      expect(pipeline.canTransition(from, to)).toBe(allowed);
+      expect(Boolean(conflict)).toBe(!allowed);
+      if (allowed) {
+        expect(errors).toEqual([]);
+        expect(result).toMatchObject({ from, to });
+        expect(application.status).toBe(to);
+        expect(application.statusHistory).toHaveLength(1);
+      } else {
+        expect(errors).toEqual([`Cannot move an application from ${from} to ${to}`]);
+        expect(application.status).toBe(from);
+        expect(application.statusHistory).toHaveLength(0);
+      }
+    });
+
+    it('should record who moved the application, when and why', () => {
+      jest.useFakeTimers({ now: new Date('2024-06-01T12:00:00Z') });
+      try {
+        const application = buildApplication('shortlisted');
+
+        pipeline.transition(buildJob(), application, 'rejected', { actor: recruiterId, reason: 'Role filled' });
+
+        expect(application.statusHistory[0].toObject()).toMatchObject({
+          from: 'shortlisted',
+          to: 'rejected',
+          actor: recruiterId,
+          reason: 'Role filled',
+          automated: false,
+          changedAt: new Date('2024-06-01T12:00:00Z')
+        });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it.each([undefined, '', '   '])('should require a reason to reject (%j)', (reason) => {
+      const application = buildApplication('reviewing');
+
+      const { result, errors } = pipeline.transition(buildJob(), application, 'rejected', { actor: recruiterId, reason });
+
+      expect(result).toBeNull();
+      expect(errors).toEqual(['A reason is required to move an application to rejected']);
+      expect(application.status).toBe('reviewing');
+      expect(application.statusHistory).toHaveLength(0);
+    });
+
+    it.each([
+      ['active', 'closed'],
+      ['paused', 'closed'],
+      ['draft', 'draft']
+    ])('should close an %s job when a candidate is hired', (status, expected) => {
+      const job = buildJob(status);
+
+      const { result } = pipeline.transition(job, buildApplication('offered'), 'hired', { actor: recruiterId });
+
+      expect(result.effects).toMatchObject({ notifyCandidate: true, closeJob: true });
+      expect(job.status).toBe(expected);
+    });
+
+    it('should keep the job open for other transitions', () => {
+      const job = buildJob();
+
+      pipeline.transition(job, buildApplication('shortlisted'), 'offered', { actor: recruiterId });
+
+      expect(job.status).toBe('active');
+    });
+  });
+
+  describe('effects', () => {
+    afterEach(() => {
+      delete process.env.APPLICATION_TRANSITION_EFFECTS;
+    });
+
+    it.each([
+      ['pending', 'reviewing', { notifyCandidate: false, requireReason: false, closeJob: false }],
+      ['pending', 'shortlisted', { notifyCandidate: true, requireReason: false, closeJob: false }],
+      ['offered', 'hired', { notifyCandidate: true, requireReason: false, closeJob: true }],
+      ['pending', 'rejected', { notifyCandidate: true, requireReason: true, closeJob: false }]
+    ])('should default %s -> %s to %j', (from, to, effects) => {
+      expect(pipeline.getEffects(from, to)).toEqual(effects);
+    });
+
+    it('should apply overrides by status and then by transition', () => {
+      process.env.APPLICATION_TRANSITION_EFFECTS = JSON.stringify({
+        rejected: { requireReason: false },
+        interviewed: { notifyCandidate: true },
+        'offered->rejected': { notifyCandidate: false }
+      });
+      const configured = new ApplicationPipelineService();
+
+      expect(configured.getEffects('pending', 'rejected')).toEqual({ notifyCandidate: true, requireReason: false, closeJob: false });
+      expect(configured.getEffects('offered', 'rejected')).toEqual({ notifyCandidate: false, requireReason: false, closeJob: false });
+      expect(configured.getEffects('shortlisted', 'interviewed').notifyCandidate).toBe(true);
+
+      const { errors } = configured.transition(buildJob(), buildApplication('pending'), 'rejected', { actor: recruiterId });
+      expect(errors).toEqual([]);
+    });
+
+    it('should ignore invalid overrides', () => {
+      process.env.APPLICATION_TRANSITION_EFFECTS = '{not json';
+
+      expect(new ApplicationPipelineService().getEffects('pending', 'rejected').requireReason).toBe(true);
+    });
+  });
+
+  describe('runSideEffects', () => {
+    const candidate = (preferences = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      email: 'ada@example.com',
+      profile: { firstName: 'Ada', lastName: 'Lovelace', preferences }
+    });
+
+    const mockCandidate = (user) => jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+    it('should queue a status update email to the candidate', async () => {
+      const user = candidate();
+      mockCandidate(user);
+      const queue = jest.spyOn(notificationQueue, 'queueApplicationStatusUpdate').mockResolvedValue({});
+      const job = buildJob();
+      const application = buildApplication('offered');
+
+      await pipeline.runSideEffects(job, application, { to: 'offered', effects: pipeline.getEffects('shortlisted', 'offered') });
+
+      expect(queue).toHaveBeenCalledWith(user._id, 'ada@example.com', 'Ada Lovelace', {
+        id: application._id,
+        jobId: job._id,
+        jobTitle: 'Platform Engineer',
+        companyName: 'Acme',
+        status: 'offered'
+      });
+    });
+
+    it('should not email for transitions without notifyCandidate', async () => {
+      const findById = jest.spyOn(User, 'findById');
+      const queue = jest.spyOn(notificationQueue, 'queueApplicationStatusUpdate');
+
+      await pipeline.runSideEffects(buildJob(), buildApplication('reviewing'), { to: 'reviewing', effects: pipeline.getEffects('pending', 'reviewing') });
+
+      expect(findById).not.toHaveBeenCalled();
+      expect(queue).not.toHaveBeenCalled();
+    });
+
+    it('should not email candidates who turned status updates off', async () => {
+      mockCandidate(candidate({ notifications: { application_status: false } }));
+      const queue = jest.spyOn(notificationQueue, 'queueApplicationStatusUpdate');
+
+      await pipeline.runSideEffects(buildJob(), buildApplication('rejected'), { to: 'rejected', effects: pipeline.getEffects('pending', 'rejected') });
+
+      expect(queue).not.toHaveBeenCalled();
+    });
+
+    it('should not fail when the email can\'t be queued', async () => {
+      mockCandidate(candidate());
+      jest.spyOn(notificationQueue, 'queueApplicationStatusUpdate').mockRejectedValue(new Error('Redis down'));
+
+      await expect(pipeline.runSideEffects(buildJob(), buildApplication('hired'), {
+        to: 'hired',
+        effects: pipeline.getEffects('offered', 'hired')
+      })).resolves.toBeUndefined();
+    });
+  });
+});
+
+describe('updateApplicationStatus', () => {
+  let job;
+  let application;
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const request = (body) => ({
+    params: { jobId: job._id.toString(), candidateId: application.candidate.toString() },
+    body,
+    user: { id: recruiterId.toString(), role: 'recruiter', email: 'recruiter@example.com' }
+  });
+
+  beforeEach(() => {
+    // As loaded from the database, so only what the request changes is modified
+    job = Job.hydrate(buildJob().toObject());
+    application = Application.hydrate(buildApplication('offered').toObject());
+    jest.spyOn(Job, 'findById').mockResolvedValue(job);
+    jest.spyOn(Application, 'findOne').mockResolvedValue(application);
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(Application, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(applicationPipelineService, 'runSideEffects').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should move the application, close the job on a hire and run the side effects', async () => {
+    const res = mockResponse();
+
+    await updateApplicationStatus(request({ status: 'hired', note: 'Signed' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ status: 'hired', jobStatus: 'closed', allowedTransitions: [] });
+    expect(Application.updateOne).toHaveBeenCalledWith({ _id: application._id, status: 'offered' }, {
+      $set: { status: 'hired' },
+      $push: {
+        statusHistory: expect.objectContaining({ from: 'offered', to: 'hired', actor: recruiterId }),
+        notes: expect.objectContaining({ content: 'Signed' })
+      }
+    });
+    expect(job.save).toHaveBeenCalled();
+    expect(applicationPipelineService.runSideEffects).toHaveBeenCalledWith(job, application, expect.objectContaining({ from: 'offered', to: 'hired' }));
+  });
+
+  it('should answer 409 when another request changed the status first', async () => {
+    Application.updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+    const res = mockResponse();
+
+    await updateApplicationStatus(request({ status: 'hired' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Application is no longer offered; reload it and try again',
+      details: { from: 'offered' }
+    });
+    expect(job.save).not.toHaveBeenCalled();
+    expect(applicationPipelineService.runSideEffects).not.toHaveBeenCalled();
+  });
+
+  it('should answer 409 with the allowed statuses for a transition outside the graph', async () => {
+    const res = mockResponse();
+
+    await updateApplicationStatus(request({ status: 'pending' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Cannot move an application from offered to pending',
+      details: { from: 'offered', allowed: ['hired', 'rejected'] }
+    });
+    expect(Application.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should answer 400 for a rejection without a reason', async () => {
+    const res = mockResponse();
+
+    await updateApplicationStatus(request({ status: 'rejected' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(application.status).toBe('offered');
+    expect(Application.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should not save the job when the transition leaves it alone', async () => {
+    await updateApplicationStatus(request({ status: 'rejected', reason: 'Declined the offer' }), mockResponse(), jest.fn());
+
+    expect(Application.updateOne.mock.calls[0][1].$push.statusHistory).toMatchObject({ from: 'offered', to: 'rejected', reason: 'Declined the offer' });
+    expect(job.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const Application = require('../src/models/Application');
+const Resume = require('../src/models/Resume');
+const { matchScoringQueue } = require('../ai-services/MatchScoringQueue');
+const { migrate } = require('../scripts/migrateApplications');
+const { applyToJob, getMyApplications } = require('../src/controllers/jobs');
+
+jest.mock('bullmq');
+jest.mock('ioredis');
+jest.mock('../src/utils/logger');
+
+const candidateId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+/**
+ * Stand-ins for the raw jobs and applications collections the migration
+ * uses. Upserts into applications behave like MongoDB with the unique
+ * (job, candidate) index: a filter matching an application inserts nothing.
+ */
+const mockCollections = (jobs) => {
+  const applications = [];
+  const sameId = (a, b) => String(a) === String(b);
+
+  jest.spyOn(Application, 'createIndexes').mockResolvedValue();
+  jest.spyOn(Job.collection, 'find').mockImplementation(() => ({
+    project: () => ({
+      batchSize: () => jobs.filter(job => job.applications?.length > 0).map(job => ({ ...job }))
+    })
+  }));
+  jest.spyOn(Application.collection, 'bulkWrite').mockImplementation(async operations => {
+    let upsertedCount = 0;
+    operations.forEach(({ updateOne: { filter, update, upsert } }) => {
+      const existing = applications.find(doc => sameId(doc.job, filter.job) && sameId(doc.candidate, filter.candidate));
+      if (existing || !upsert) return;
+      applications.push({ ...update.$setOnInsert });
+      upsertedCount++;
+    });
+    return { upsertedCount };
+  });
+  jest.spyOn(Application, 'countDocuments').mockImplementation(async ({ job }) =>
+    applications.filter(doc => sameId(doc.job, job)).length
+  );
+  jest.spyOn(Job.collection, 'updateOne').mockImplementation(async ({ _id }, update) => {
+    const job = jobs.find(doc => sameId(doc._id, _id));
+    Object.assign(job, update.$set);
+    Object.keys(update.$unset || {}).forEach(field => delete job[field]);
+    return { modifiedCount: 1 };
+  });
+
+  return applications;
+};
+
+const embedded = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  candidate: new mongoose.Types.ObjectId(),
+  status: 'pending',
+  appliedAt: new Date('2024-01-02'),
+  ...fields
+});
+
+describe('Application migration', () => {
+  let jobs;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jobs = [
+      { _id: new mongoose.Types.ObjectId(), title: 'Engineer', createdAt: new Date('2024-01-01'), applications: [embedded(), embedded({ status: 'shortlisted' })] },
+      { _id: new mongoose.Types.ObjectId(), title: 'Designer', createdAt: new Date('2024-01-01'), applications: [embedded()] },
+      { _id: new mongoose.Types.ObjectId(), title: 'Migrated already', applicationCount: 3 }
+    ];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should move embedded applications into the collection', async () => {
+    const applications = mockCollections(jobs);
+    const [engineering] = jobs;
+    const first = engineering.applications[0];
+
+    const totals = await migrate();
+
+    expect(totals).toEqual({ jobs: 2, copied: 3, skipped: 0 });
+    expect(applications).toHaveLength(3);
+    expect(applications[0]).toMatchObject({
+      _id: first._id,
+      job: engineering._id,
+      candidate: first.candidate,
+      status: 'pending',
+      statusHistory: [],
+      notes: [],
+      interviews: [],
+      createdAt: first.appliedAt
+    });
+    expect(jobs.map(job => [job.applications, job.applicationCount])).toEqual([[undefined, 2], [undefined, 1], [undefined, 3]]);
+    expect(Application.createIndexes).toHaveBeenCalled();
+  });
+
+  it('should be safe to re-run', async () => {
+    const applications = mockCollections(jobs);
+
+    await migrate({ keepEmbedded: true });
+    const copies = applications.map(doc => ({ ...doc }));
+
+    expect(await migrate({ keepEmbedded: true })).toEqual({ jobs: 2, copied: 0, skipped: 3 });
+    expect(applications).toEqual(copies);
+
+    expect(await migrate()).toEqual({ jobs: 2, copied: 0, skipped: 3 });
+    expect(await migrate()).toEqual({ jobs: 0, copied: 0, skipped: 0 });
+    expect(applications).toHaveLength(3);
+    expect(jobs[0].applicationCount).toBe(2);
+  });
+
+  it('should leave applications already in the collection as they are', async () => {
+    const applications = mockCollections(jobs);
+    const [engineering] = jobs;
+    const current = { job: engineering._id, candidate: engineering.applications[0].candidate, status: 'offered' };
+    applications.push(current);
+
+    expect(await migrate()).toEqual({ jobs: 2, copied: 2, skipped: 1 });
+    expect(applications.filter(doc => String(doc.job) === String(engineering._id))).toEqual([current, expect.objectContaining({ status: 'shortlisted' })]);
+  });
+
+  it('should keep the first of duplicate applications by one candidate', async () => {
+    const applications = mockCollections(jobs);
+    const duplicate = embedded({ candidate: jobs[1].applications[0].candidate, status: 'rejected' });
+    jobs[1].applications.push(duplicate);
+
+    expect(await migrate()).toEqual({ jobs: 2, copied: 3, skipped: 1 });
+    expect(applications.map(doc => doc._id)).not.toContain(duplicate._id);
+    expect(jobs[1].applicationCount).toBe(1);
+  });
+
+  it('should only count on a dry run', async () => {
+    const applications = mockCollections(jobs);
+
+    expect(await migrate({ dryRun: true })).toEqual({ jobs: 2, copied: 3, skipped: 0 });
+    expect(applications).toEqual([]);
+    expect(jobs[0].applications).toHaveLength(2);
+    expect(Application.createIndexes).not.toHaveBeenCalled();
+    expect(Job.collection.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('Application indexes', () => {
+  it.each([
+    [{ job: 1, candidate: 1 }, { unique: true }],
+    [{ candidate: 1, appliedAt: -1 }, {}],
+    [{ job: 1, status: 1, appliedAt: -1 }, {}]
+  ])('should declare %j', (fields, options) => {
+    expect(Application.schema.indexes()).toContainEqual([fields, expect.objectContaining(options)]);
+  });
+});
+
+describe('Candidate application endpoints', () => {
+  const request = (job, { body = {}, query = {} } = {}) => ({
+    params: { jobId: job._id.toString() },
+    body,
+    query,
+    user: { id: candidateId.toString(), role: 'candidate', email: 'ada@example.com' }
+  });
+
+  const buildJob = (fields = {}) => Job.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Platform Engineer',
+    company: { name: 'Acme' },
+    status: 'active',
+    applicationCount: 4,
+    autoClose: { enabled: false },
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('applyToJob', () => {
+    let job;
+
+    beforeEach(() => {
+      job = buildJob();
+      jest.spyOn(Job, 'findById').mockResolvedValue(job);
+      jest.spyOn(Application, 'exists').mockResolvedValue(null);
+      jest.spyOn(Application, 'create').mockImplementation(async doc => doc);
+      jest.spyOn(job, 'incrementApplicationCount').mockResolvedValue(job);
+      jest.spyOn(matchScoringQueue, 'queueApplicationScore').mockResolvedValue();
+    });
+
+    it('should store the application in the collection and count it on the job', async () => {
+      const resumeId = new mongoose.Types.ObjectId().toString();
+      jest.spyOn(Resume, 'exists').mockResolvedValue(true);
+      const res = mockResponse();
+
+      await applyToJob(request(job, { body: { coverLetter: 'Hello', resumeId } }), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(Application.create).toHaveBeenCalledWith(expect.objectContaining({
+        job: job._id,
+        candidate: candidateId.toString(),
+        coverLetter: 'Hello',
+        resume: resumeId,
+        statusHistory: [expect.objectContaining({ from: null, to: 'pending' })]
+      }));
+      expect(job.incrementApplicationCount).toHaveBeenCalled();
+      expect(matchScoringQueue.queueApplicationScore).toHaveBeenCalledWith(job._id, candidateId.toString());
+    });
+
+    it('should refuse a second application by the same candidate', async () => {
+      Application.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+      const res = mockResponse();
+
+      await applyToJob(request(job), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Already applied' });
+      expect(Application.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a concurrent duplicate the unique index catches', async () => {
+      Application.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+      const res = mockResponse();
+
+      await applyToJob(request(job), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Already applied' });
+      expect(job.incrementApplicationCount).not.toHaveBeenCalled();
+    });
+
+    it('should reject knocked-out applicants automatically', async () => {
+      const question = { _id: new mongoose.Types.ObjectId(), question: 'Can you relocate?', type: 'yes-no', knockout: { expected: 'yes', action: 'reject' } };
+      job = buildJob({ screening: { enabled: true, questions: [question] } });
+      Job.findById.mockResolvedValue(job);
+      jest.spyOn(job, 'incrementApplicationCount').mockResolvedValue(job);
+
+      await applyToJob(request(job, { body: { answers: [{ questionId: question._id.toString(), answer: 'no' }] } }), mockResponse(), jest.fn());
+
+      expect(Application.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'rejected',
+        screening: expect.objectContaining({ result: 'rejected' }),
+        statusHistory: [
+          expect.objectContaining({ to: 'pending' }),
+          expect.objectContaining({ from: 'pending', to: 'rejected', automated: true })
+        ]
+      }));
+    });
+
+    it('should refuse jobs that are not taking applications', async () => {
+      job.status = 'closed';
+      const res = mockResponse();
+
+      await applyToJob(request(job), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Job is not active' });
+    });
+  });
+
+  describe('getMyApplications', () => {
+    it('should list the candidate\'s applications from the collection, a page at a time', async () => {
+      const job = buildJob();
+      const appliedAt = new Date('2024-06-01');
+      const query = {
+        populate: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([
+          { _id: 'application1', job, status: 'reviewing', appliedAt, matchScore: 81 },
+          { _id: 'application2', job: null, status: 'pending', appliedAt }
+        ])
+      };
+      const find = jest.spyOn(Application, 'find').mockReturnValue(query);
+      jest.spyOn(Application, 'countDocuments').mockResolvedValue(12);
+      const res = mockResponse();
+
+      await getMyApplications(request(job, { query: { page: '2', limit: '10', status: 'reviewing' } }), res, jest.fn());
+
+      expect(find).toHaveBeenCalledWith({ candidate: candidateId.toString(), status: 'reviewing' });
+      expect(query.sort).toHaveBeenCalledWith({ appliedAt: -1 });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      const body = res.json.mock.calls[0][0];
+      expect(body.pagination).toEqual({ page: 2, limit: 10, total: 12, pages: 2 });
+      expect(body.data).toEqual([
+        {
+          job: expect.objectContaining({ id: job._id, title: 'Platform Engineer' }),
+          application: { id: 'application1', status: 'reviewing', appliedAt, coverLetter: undefined, matchScore: 81 }
+        },
+        // The job has been deleted since
+        { job: null, application: expect.objectContaining({ id: 'application2', status: 'pending' }) }
+      ]);
+    });
+  });
+});
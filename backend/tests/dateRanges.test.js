@@ -0,0 +1,128 @@
+const {
+  parseDate,
+  normalizeDate,
+  findDates,
+  parseDateRange,
+  buildTimeline,
+  detectDateFormat
+} = require('../src/utils/dateRanges');
+
+const NOW = new Date(2024, 5, 15);
+
+describe('dateRanges', () => {
+  describe('parseDate', () => {
+    it.each([
+      ['03/2019', { year: 2019, month: 3, precision: 'month' }],
+      ['2019-03', { year: 2019, month: 3, precision: 'month' }],
+      ['2019-03-28', { year: 2019, month: 3, precision: 'month' }],
+      ['12/31/2019', { year: 2019, month: 12, precision: 'month' }],
+      ['1/5/2020', { year: 2020, month: 1, precision: 'month' }],
+      ['31/12/2019', { year: 2019, month: 12, precision: 'month' }],
+      ['Mar 2019', { year: 2019, month: 3, precision: 'month' }],
+      ["Sept '21", { year: 2021, month: 9, precision: 'month' }],
+      ['Q3 2021', { year: 2021, month: 8, precision: 'quarter' }],
+      ['Summer 2020', { year: 2020, month: 7, precision: 'season' }],
+      ['2018', { year: 2018, month: null, index: null, precision: 'year' }],
+      ['Present', { present: true }]
+    ])('should parse %s', (value, expected) => {
+      expect(parseDate(value)).toMatchObject(expected);
+    });
+
+    it.each([
+      ['13/2019'],
+      ['00/2019'],
+      ['2019-13'],
+      ['2019-02-45'],
+      ['13/32/2019'],
+      ['sometime'],
+      [''],
+      [null]
+    ])('should reject %p', (value) => {
+      expect(parseDate(value)).toBeNull();
+    });
+  });
+
+  describe('normalizeDate', () => {
+    it.each([
+      ['12/31/2019', '2019-12'],
+      ['March 2019', '2019-03'],
+      ['2018', '2018'],
+      ['Q3 2021', 'Q3 2021'],
+      ['13/2019', '13/2019'],
+      ['Present', null]
+    ])('should store %s as %p', (value, expected) => {
+      expect(normalizeDate(value)).toBe(expected);
+    });
+  });
+
+  describe('findDates', () => {
+    it.each([
+      ['12/31/2019 - 06/30/2021', ['12/31/2019', '06/30/2021']],
+      ['03/2019 – now', ['03/2019', 'now']],
+      ['2016 - 2018', ['2016', '2018']]
+    ])('should find the dates in %s', (text, expected) => {
+      expect(findDates(text)).toEqual(expected);
+    });
+  });
+
+  describe('parseDateRange', () => {
+    it.each([
+      ['Jan 2020', 'Dec 2020', false, { start: '2020-01', end: '2020-12', months: 12, precision: 'month' }],
+      ['12/31/2019', '06/30/2020', false, { start: '2019-12', end: '2020-06', months: 7, precision: 'month' }],
+      ['2019', '2020', false, { start: '2019', end: '2020', months: 24, precision: 'year' }],
+      ['2018', '2018', false, { start: '2018', end: '2018', months: 12, precision: 'year' }],
+      ['2022', 'Mar 2023', false, { start: '2022', end: '2023-03', months: 15, precision: 'year' }],
+      ['Mar 2023', null, true, { start: '2023-03', end: '2024-06', months: 16, current: true }],
+      ['2023', 'Present', false, { start: '2023', end: '2024-06', months: 18, current: true }]
+    ])('should resolve %s to %s', (start, end, current, expected) => {
+      expect(parseDateRange(start, end, current, NOW)).toMatchObject(expected);
+    });
+
+    it.each([
+      ['13/2019', '2020'],
+      ['Jan 2020', null],
+      ['Present', '2020']
+    ])('should not resolve %s to %p', (start, end) => {
+      expect(parseDateRange(start, end, false, NOW)).toBeNull();
+    });
+  });
+
+  describe('buildTimeline', () => {
+    it.each([
+      [
+        'back-to-back year-only jobs',
+        [{ startDate: '2016', endDate: '2018' }, { startDate: '2018', endDate: '2020' }],
+        { totalMonths: 60, overlaps: [], gaps: [] }
+      ],
+      [
+        'overlapping month ranges',
+        [{ startDate: '2019-01', endDate: '2019-12' }, { startDate: '2019-07', endDate: '2020-06' }],
+        { totalMonths: 18, overlaps: [{ entries: [0, 1], start: '2019-07', end: '2019-12', months: 6 }], gaps: [] }
+      ],
+      [
+        'a gap between year-only jobs',
+        [{ startDate: '2015', endDate: '2016' }, { startDate: '2018', endDate: '2019' }],
+        { totalMonths: 48, gaps: [{ start: '2017-01', end: '2017-12', months: 12 }] }
+      ],
+      [
+        'an invalid start month',
+        [{ startDate: '13/2019', endDate: '2020-01' }, { startDate: '2020-02', current: true }],
+        { totalMonths: 53, unparsed: [0] }
+      ]
+    ])('should handle %s', (label, entries, expected) => {
+      expect(buildTimeline(entries, { now: NOW })).toMatchObject(expected);
+    });
+  });
+
+  describe('detectDateFormat', () => {
+    it.each([
+      ['12/31/2019', 'MM/DD/YYYY'],
+      ['03/2019', 'MM/YYYY'],
+      ['2019-03', 'YYYY-MM'],
+      ['2019', 'YYYY'],
+      ['Mar 2019', 'Month YYYY']
+    ])('should classify %s as %s', (value, expected) => {
+      expect(detectDateFormat(value)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const Resume = require('../src/models/Resume');
+const { resumeExportService } = require('../src/services/resumeExportService');
+const { downloadExport, createExportShareLink, downloadSharedExport } = require('../src/controllers/exports');
+const { CronJobManager } = require('../jobs/cronJobs');
+
+jest.mock('../src/utils/logger');
+jest.mock('../notifications/NotificationQueue', () => ({ notificationQueue: {} }));
+jest.mock('../ai-services', () => ({}));
+
+const HOUR = 60 * 60 * 1000;
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.setHeader = jest.fn();
+  res.sendFile = jest.fn();
+  return res;
+};
+
+describe('Resume exports', () => {
+  let exportDir;
+  let originalExportDir;
+  let filename;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-exports-'));
+    originalExportDir = resumeExportService.exportDir;
+    resumeExportService.exportDir = exportDir;
+
+    filename = `resume_abc123_${Date.now()}.pdf`;
+    fs.writeFileSync(path.join(exportDir, filename), '%PDF-1.3');
+  });
+
+  afterEach(() => {
+    resumeExportService.exportDir = originalExportDir;
+    fs.rmSync(exportDir, { recursive: true, force: true });
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const mockResume = (record = {}) => {
+    const resume = {
+      _id: 'resume1',
+      userId: 'owner1',
+      exports: [{ filename, format: 'pdf', exportedBy: 'owner1', expiresAt: new Date(Date.now() + HOUR), ...record }],
+      save: jest.fn().mockResolvedValue(true)
+    };
+    resume.getExportRecord = name => resume.exports.find(item => item.filename === name);
+    jest.spyOn(Resume, 'findOne').mockResolvedValue(resume);
+    return resume;
+  };
+
+  describe('resolveExportPath', () => {
+    it('should only resolve generated export filenames', () => {
+      expect(resumeExportService.resolveExportPath(filename)).toBe(path.join(exportDir, filename));
+      expect(resumeExportService.resolveExportPath('../../.env')).toBeNull();
+      expect(resumeExportService.resolveExportPath('resume_abc_1.exe')).toBeNull();
+      expect(resumeExportService.resolveExportPath(undefined)).toBeNull();
+    });
+  });
+
+  describe('share tokens', () => {
+    it('should verify a token it signed', () => {
+      const { token, expiresAt } = resumeExportService.createShareToken(filename, 'resume1', 2);
+
+      expect(expiresAt.getTime()).toBeCloseTo(Date.now() + 2 * HOUR, -4);
+      expect(resumeExportService.verifyShareToken(token)).toMatchObject({ filename, resumeId: 'resume1' });
+    });
+
+    it('should cap the link lifetime', () => {
+      const { expiresAt } = resumeExportService.createShareToken(filename, 'resume1', 10000);
+
+      expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + resumeExportService.maxShareLinkHours * HOUR);
+    });
+
+    it('should reject expired, tampered and foreign tokens', () => {
+      jest.useFakeTimers({ now: Date.now() });
+      const { token } = resumeExportService.createShareToken(filename, 'resume1', 1);
+
+      jest.setSystemTime(Date.now() + 2 * HOUR);
+      expect(resumeExportService.verifyShareToken(token)).toBeNull();
+
+      jest.useRealTimers();
+      const valid = resumeExportService.createShareToken(filename, 'resume1', 1).token;
+      expect(resumeExportService.verifyShareToken(`${valid.slice(0, -2)}xx`)).toBeNull();
+
+      const sessionToken = jwt.sign({ id: 'owner1' }, process.env.JWT_SECRET);
+      expect(resumeExportService.verifyShareToken(sessionToken)).toBeNull();
+
+      const otherFile = jwt.sign({ filename: '../secret', resumeId: 'resume1', type: 'export-share' }, process.env.JWT_SECRET);
+      expect(resumeExportService.verifyShareToken(otherFile)).toBeNull();
+    });
+  });
+
+  describe('downloadExport', () => {
+    it('should send the file to its owner', async () => {
+      mockResume();
+      const res = mockResponse();
+
+      await downloadExport({ params: { filename }, user: { id: 'owner1', role: 'candidate' } }, res, jest.fn());
+
+      expect(res.sendFile).toHaveBeenCalledWith(path.join(exportDir, filename));
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+    });
+
+    it('should deny other users', async () => {
+      mockResume();
+      const res = mockResponse();
+
+      await downloadExport({ params: { filename }, user: { id: 'someone', role: 'recruiter' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.sendFile).not.toHaveBeenCalled();
+    });
+
+    it('should report expired exports as gone', async () => {
+      mockResume({ expiresAt: new Date(Date.now() - HOUR) });
+      const res = mockResponse();
+
+      await downloadExport({ params: { filename }, user: { id: 'owner1', role: 'candidate' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(410);
+    });
+  });
+
+  describe('share links', () => {
+    it('should extend the export lifetime to the link expiry', async () => {
+      const resume = mockResume();
+      const res = mockResponse();
+
+      await createExportShareLink({
+        params: { filename },
+        body: { expiresInHours: 48 },
+        user: { id: 'owner1', role: 'candidate', email: 'owner@example.com' }
+      }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { shareUrl, expiresAt } = res.json.mock.calls[0][0].data;
+      expect(shareUrl).toMatch(/\/api\/exports\/shared\/.+/);
+      expect(resume.exports[0].expiresAt).toEqual(expiresAt);
+      expect(resume.save).toHaveBeenCalled();
+    });
+
+    it('should serve a shared export without a session', async () => {
+      mockResume();
+      const { token } = resumeExportService.createShareToken(filename, 'resume1', 1);
+      const res = mockResponse();
+
+      await downloadSharedExport({ params: { token } }, res, jest.fn());
+
+      expect(res.sendFile).toHaveBeenCalledWith(path.join(exportDir, filename));
+    });
+
+    it('should reject a token issued for another resume', async () => {
+      mockResume();
+      const { token } = resumeExportService.createShareToken(filename, 'resume2', 1);
+      const res = mockResponse();
+
+      await downloadSharedExport({ params: { token } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.sendFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cleanup', () => {
+    const age = (file, hours) => {
+      const time = new Date(Date.now() - hours * HOUR);
+      fs.utimesSync(path.join(exportDir, file), time, time);
+    };
+
+    it('should remove files older than the TTL unless retained', async () => {
+      const retained = 'resume_abc123_1.pdf';
+      const fresh = 'resume_abc123_2.pdf';
+      [retained, fresh].forEach(file => fs.writeFileSync(path.join(exportDir, file), 'x'));
+      age(filename, 48);
+      age(retained, 48);
+
+      const removed = await resumeExportService.cleanupOldExports(24, new Set([retained]));
+
+      expect(removed).toBe(1);
+      expect(fs.readdirSync(exportDir).sort()).toEqual([retained, fresh].sort());
+    });
+
+    it('should purge expired export records and keep files with live links', async () => {
+      const liveFile = 'resume_abc123_1.pdf';
+      fs.writeFileSync(path.join(exportDir, liveFile), 'x');
+      age(filename, 48);
+      age(liveFile, 48);
+
+      const expiredResume = {
+        exports: [{ filename, expiresAt: new Date(Date.now() - HOUR) }],
+        save: jest.fn().mockResolvedValue(true)
+      };
+      const liveResume = { exports: [{ filename: liveFile, expiresAt: new Date(Date.now() + HOUR) }] };
+      jest.spyOn(Resume, 'find')
+        .mockResolvedValueOnce([expiredResume])
+        .mockResolvedValueOnce([liveResume]);
+
+      await new CronJobManager().processExportCleanup();
+
+      expect(expiredResume.exports[0].purgedAt).toBeInstanceOf(Date);
+      expect(expiredResume.save).toHaveBeenCalled();
+      expect(fs.readdirSync(exportDir)).toEqual([liveFile]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { PNG } = require('pngjs');
+
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+/**
+ * A grayscale PNG with dark horizontal bands standing in for lines of text
+ */
+const buildScanImage = (width, height) => {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    const shade = Math.floor(y / 20) % 2 ? 40 : 250;
+    for (let x = 0; x < width; x++) {
+      const index = (y * width + x) * 4;
+      png.data[index] = png.data[index + 1] = png.data[index + 2] = shade;
+      png.data[index + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+};
+
+/**
+ * Build a scanned-looking resume PDF: every page is a full-page image plus
+ * a small logo, and the only text layer is a page number.
+ */
+const buildScannedResumePDF = (pages = 2) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 36, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.registerFont('Body', path.join(FONT_DIR, 'DejaVuSans.ttf'));
+  const scan = buildScanImage(320, 400);
+  const logo = buildScanImage(40, 40);
+
+  for (let page = 1; page <= pages; page++) {
+    doc.addPage();
+    doc.image(scan, 36, 36, { width: 540 });
+    doc.image(logo, 520, 740, { width: 30 });
+    doc.font('Body').fontSize(8).text(String(page), 300, 760, { lineBreak: false });
+  }
+
+  doc.end();
+});
+
+module.exports = { buildScannedResumePDF };
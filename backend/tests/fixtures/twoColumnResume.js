@@ -0,0 +1,59 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+/**
+ * Build a two-column resume PDF: a narrow left column with education and
+ * skills, and a wide right column with experience. Rows of both columns sit
+ * side by side, so flat text extraction interleaves them.
+ */
+const buildTwoColumnResumePDF = () => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 36 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.registerFont('Body', path.join(FONT_DIR, 'DejaVuSans.ttf'));
+  doc.registerFont('Body-Bold', path.join(FONT_DIR, 'DejaVuSans-Bold.ttf'));
+
+  const left = { x: 36, width: 170 };
+  const right = { x: 240, width: 336 };
+
+  const column = (x, width, y, lines) => {
+    let cursor = y;
+    lines.forEach(([text, size = 10, font = 'Body']) => {
+      doc.font(font).fontSize(size).text(text, x, cursor, { width, lineBreak: false });
+      cursor += size + 6;
+    });
+  };
+
+  doc.font('Body-Bold').fontSize(20).text('Jane Doe', 36, 40);
+  doc.font('Body').fontSize(10).text('jane@example.com | (415) 555-0100', 36, 66);
+
+  column(left.x, left.width, 110, [
+    ['EDUCATION', 13, 'Body-Bold'],
+    ['BSc Computer Science'],
+    ['MIT, 2012'],
+    [' '],
+    ['SKILLS', 13, 'Body-Bold'],
+    ['JavaScript, Python'],
+    ['Docker, Kubernetes'],
+    ['Leadership']
+  ]);
+
+  column(right.x, right.width, 110, [
+    ['EXPERIENCE', 13, 'Body-Bold'],
+    ['Senior Engineer | Acme Corp | Mar 2018 - Present'],
+    ['Led the payments platform team.'],
+    ['• Cut checkout latency by 40%'],
+    ['• Mentored five engineers'],
+    ['Software Engineer | Globex | Jun 2012 - Feb 2018'],
+    ['• Shipped the billing API']
+  ]);
+
+  doc.end();
+});
+
+module.exports = { buildTwoColumnResumePDF };
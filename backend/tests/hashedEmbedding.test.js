@@ -0,0 +1,65 @@
+const Skill = require('../src/models/Skill');
+const { skillsTaxonomyService } = require('../src/services/skillsTaxonomyService');
+const { HashedEmbeddingProvider } = require('../ai-services/HashedEmbeddingProvider');
+
+jest.mock('../src/utils/logger');
+
+const TEXT = 'Senior engineer running Kubernetes clusters and building Node.js services';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('HashedEmbeddingProvider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    skillsTaxonomyService.customSkills = [];
+    skillsTaxonomyService.buildIndex();
+  });
+
+  it('should give a text the same vector every time', async () => {
+    const first = await new HashedEmbeddingProvider({ dimensions: 256 }).embed(TEXT);
+    const second = await new HashedEmbeddingProvider({ dimensions: 256 }).embed(TEXT);
+
+    expect(first).toHaveLength(256);
+    expect(second).toEqual(first);
+    expect(cosine(first, first)).toBeCloseTo(1, 6);
+  });
+
+  it('should not change vectors when admins extend the taxonomy', async () => {
+    const provider = new HashedEmbeddingProvider({ dimensions: 256 });
+    const before = await provider.embed('Ran kates clusters and orchestration');
+
+    // "kates" becomes a Kubernetes alias in this database only
+    jest.spyOn(Skill, 'find').mockReturnValue({
+      lean: jest.fn().mockResolvedValue([{ skillId: 'kubernetes', aliases: ['kates'], updatedAt: new Date() }])
+    });
+    await skillsTaxonomyService.loadCustomSkills();
+    expect(skillsTaxonomyService.getSkillId('kates')).toBe('kubernetes');
+
+    expect(await provider.embed('Ran kates clusters and orchestration')).toEqual(before);
+    expect(await new HashedEmbeddingProvider({ dimensions: 256 }).embed('Ran kates clusters and orchestration')).toEqual(before);
+  });
+
+  it('should name the model after its version, taxonomy and size', () => {
+    const provider = new HashedEmbeddingProvider({ dimensions: 384 });
+
+    expect(provider.model).toBe(`hashed-tfidf-v1-t${skillsTaxonomyService.version}-384`);
+    expect(provider.remote).toBe(false);
+  });
+
+  it('should place skill aliases and related skills close together', async () => {
+    const provider = new HashedEmbeddingProvider({ dimensions: 512 });
+    const [k8s, kubernetes, docker, accounting] = await provider.embedBatch([
+      'Operated k8s in production',
+      'Operated Kubernetes in production',
+      'Operated Docker in production',
+      'Prepared quarterly tax filings'
+    ]);
+
+    expect(cosine(k8s, kubernetes)).toBeGreaterThan(0.8);
+    expect(cosine(kubernetes, docker)).toBeGreaterThan(cosine(kubernetes, accounting));
+  });
+
+  it('should reject empty text', async () => {
+    await expect(new HashedEmbeddingProvider().embed('  ')).rejects.toThrow('Text is required for embedding generation');
+  });
+});
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const Application = require('../src/models/Application');
+const User = require('../src/models/User');
+const InterviewerSchedule = require('../src/models/InterviewerSchedule');
+const { interviewService } = require('../src/services/interviewService');
+const { createInterview, updateInterview, deleteInterview } = require('../src/controllers/interviews');
+const { deleteJob } = require('../src/controllers/jobs');
+
+jest.mock('bullmq');
+jest.mock('ioredis');
+jest.mock('../src/utils/logger');
+
+/**
+ * Stand-in for the InterviewerSchedule collection: updateOne behaves like
+ * MongoDB with the unique interviewer index, so an upsert whose filter
+ * doesn't match the interviewer's schedule (the slot overlaps another)
+ * fails with E11000.
+ */
+const mockScheduleCollection = () => {
+  const schedules = [];
+  const sameInterviewer = (schedule, filter) => String(schedule.interviewer) === String(filter.interviewer);
+  const overlaps = (schedule, slot) => schedule.slots.some(other =>
+    String(other.interview) !== String(slot.interview.$ne) && other.start < slot.start.$lt && other.end > slot.end.$gt
+  );
+
+  jest.spyOn(InterviewerSchedule, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+    await Promise.resolve();
+    let schedule = schedules.find(candidate => sameInterviewer(candidate, filter) &&
+      !(filter.slots && overlaps(candidate, filter.slots.$not.$elemMatch)));
+
+    if (!schedule) {
+      if (!options.upsert) return { matchedCount: 0 };
+      if (schedules.some(candidate => sameInterviewer(candidate, filter))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      schedule = { interviewer: filter.interviewer, slots: [] };
+      schedules.push(schedule);
+    }
+
+    if (Array.isArray(update)) {
+      // The $set pipeline: other interviews' slots that haven't ended, plus this one
+      const [slot] = update[0].$set.slots.$concatArrays[1];
+      schedule.slots = schedule.slots
+        .filter(other => String(other.interview) !== String(slot.interview) && other.end > new Date())
+        .concat(slot);
+    } else {
+      schedule.slots = schedule.slots.filter(other => String(other.interview) !== String(update.$pull.slots.interview));
+    }
+    return { matchedCount: 1 };
+  });
+
+  return schedules;
+};
+
+const recruiterId = new mongoose.Types.ObjectId();
+const colleagueId = new mongoose.Types.ObjectId();
+
+const at = (time, day = '2030-03-04') => new Date(`${day}T${time}:00.000Z`);
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Interview scheduling conflicts', () => {
+  const job = { _id: new mongoose.Types.ObjectId(), title: 'Platform Engineer', company: { name: 'Acme' }, postedBy: recruiterId };
+  let applications;
+  let saved;
+  let schedules;
+
+  const request = (candidateId, body, interviewId) => ({
+    params: { jobId: job._id.toString(), candidateId: candidateId.toString(), interviewId },
+    body,
+    user: { id: recruiterId.toString(), role: 'recruiter', email: 'recruiter@example.com' }
+  });
+
+  const schedule = async (candidateId, body) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await createInterview(request(candidateId, body), res, next);
+    return { status: res.status.mock.calls[0]?.[0], body: res.json.mock.calls[0]?.[0], next };
+  };
+
+  const update = async (candidateId, interviewId, body) => {
+    const res = mockResponse();
+    await updateInterview(request(candidateId, body, interviewId.toString()), res, jest.fn());
+    return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+  };
+
+  const slots = (interviewerId = recruiterId) => (schedules.find(entry => String(entry.interviewer) === String(interviewerId))?.slots || [])
+    .map(slot => [slot.start.toISOString().slice(11, 16), slot.end.toISOString().slice(11, 16)]);
+
+  const addApplication = () => {
+    const application = new Application({ job: job._id, candidate: new mongoose.Types.ObjectId() });
+    jest.spyOn(application, 'save').mockImplementation(async () => {
+      await Promise.resolve();
+      if (!saved.includes(application)) saved.push(application);
+      return application;
+    });
+    applications.set(application.candidate.toString(), application);
+    return application;
+  };
+
+  beforeEach(() => {
+    applications = new Map();
+    saved = [];
+    schedules = mockScheduleCollection();
+
+    jest.spyOn(Job, 'findById').mockResolvedValue(job);
+    jest.spyOn(Application, 'findOne').mockImplementation(async ({ candidate }) => applications.get(String(candidate)) || null);
+    // findConflicts reads the interviews of saved applications
+    jest.spyOn(Application, 'find').mockImplementation(() => ({
+      select: () => ({ populate: async () => saved })
+    }));
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+      select: async () => ({ role: 'recruiter', email: 'user@example.com' })
+    }));
+    jest.spyOn(interviewService, 'sendInvite').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse an interview overlapping one the interviewer has', async () => {
+    const first = addApplication();
+    const second = addApplication();
+
+    expect((await schedule(first.candidate, { scheduledAt: at('10:00'), duration: 60 })).status).toBe(201);
+
+    const { status, body } = await schedule(second.candidate, { scheduledAt: at('10:30'), duration: 30 });
+
+    expect(status).toBe(409);
+    expect(body.details).toEqual([expect.objectContaining({ interviewId: first.interviews[0]._id, scheduledAt: at('10:00') })]);
+    expect(second.save).not.toHaveBeenCalled();
+    expect(slots()).toEqual([['10:00', '11:00']]);
+  });
+
+  it('should refuse an overlap the first check misses because the other interview is not saved yet', async () => {
+    const first = addApplication();
+    const second = addApplication();
+    await schedule(first.candidate, { scheduledAt: at('10:00'), duration: 60 });
+    saved = [];
+
+    const { status, body } = await schedule(second.candidate, { scheduledAt: at('09:30'), duration: 60 });
+
+    expect(status).toBe(409);
+    expect(body.details).toEqual([]);
+  });
+
+  it.each([
+    ['right after', '11:00'],
+    ['right before', '09:00']
+  ])('should allow back-to-back interviews (%s)', async (label, time) => {
+    const first = addApplication();
+    const second = addApplication();
+
+    await schedule(first.candidate, { scheduledAt: at('10:00'), duration: 60 });
+    const { status } = await schedule(second.candidate, { scheduledAt: at(time), duration: 60 });
+
+    expect(status).toBe(201);
+    expect(slots()).toHaveLength(2);
+  });
+
+  it('should give overlapping slots requested at the same time to only one of them', async () => {
+    const candidates = [addApplication(), addApplication(), addApplication()];
+
+    const results = await Promise.all(candidates.map((application, i) =>
+      schedule(application.candidate, { scheduledAt: at(`10:${i}0`), duration: 45 })
+    ));
+
+    expect(results.map(result => result.status).sort()).toEqual([201, 409, 409]);
+    expect(saved).toHaveLength(1);
+    expect(slots()).toHaveLength(1);
+  });
+
+  it('should let different interviewers take the same slot at the same time', async () => {
+    const [first, second] = [addApplication(), addApplication()];
+
+    const results = await Promise.all([
+      schedule(first.candidate, { scheduledAt: at('10:00') }),
+      schedule(second.candidate, { scheduledAt: at('10:00'), interviewer: colleagueId.toString() })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual([201, 201]);
+    expect(slots(colleagueId)).toEqual([['10:00', '11:00']]);
+  });
+
+  it('should free the slot when saving the interview fails', async () => {
+    const application = addApplication();
+    application.save.mockRejectedValueOnce(new Error('Mongo down'));
+
+    const { next } = await schedule(application.candidate, { scheduledAt: at('10:00') });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Mongo down' }));
+    expect(slots()).toEqual([]);
+  });
+
+  it('should move an interview into a slot overlapping its own', async () => {
+    const application = addApplication();
+    await schedule(application.candidate, { scheduledAt: at('10:00'), duration: 60 });
+
+    const { status } = await update(application.candidate, application.interviews[0]._id, { scheduledAt: at('10:30') });
+
+    expect(status).toBe(200);
+    expect(slots()).toEqual([['10:30', '11:30']]);
+  });
+
+  it('should not move an interview onto another one', async () => {
+    const [first, second] = [addApplication(), addApplication()];
+    await schedule(first.candidate, { scheduledAt: at('10:00') });
+    await schedule(second.candidate, { scheduledAt: at('11:00') });
+
+    const { status } = await update(second.candidate, second.interviews[0]._id, { scheduledAt: at('10:45') });
+
+    expect(status).toBe(409);
+    expect(slots()).toEqual([['10:00', '11:00'], ['11:00', '12:00']]);
+  });
+
+  it('should free the slot of a cancelled interview', async () => {
+    const [first, second] = [addApplication(), addApplication()];
+    await schedule(first.candidate, { scheduledAt: at('10:00') });
+
+    expect((await update(first.candidate, first.interviews[0]._id, { status: 'cancelled' })).status).toBe(200);
+    expect(slots()).toEqual([]);
+    expect((await schedule(second.candidate, { scheduledAt: at('10:00') })).status).toBe(201);
+  });
+
+  it('should move the slot to the new interviewer', async () => {
+    const application = addApplication();
+    await schedule(application.candidate, { scheduledAt: at('10:00') });
+
+    await update(application.candidate, application.interviews[0]._id, { interviewer: colleagueId.toString() });
+
+    expect(slots()).toEqual([]);
+    expect(slots(colleagueId)).toEqual([['10:00', '11:00']]);
+  });
+
+  it('should free the slot of a deleted interview', async () => {
+    const application = addApplication();
+    await schedule(application.candidate, { scheduledAt: at('10:00') });
+
+    const res = mockResponse();
+    await deleteInterview(request(application.candidate, {}, application.interviews[0]._id.toString()), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(slots()).toEqual([]);
+  });
+
+  it('should free the slots and cancel the interviews of a deleted job', async () => {
+    const [first, second] = [addApplication(), addApplication()];
+    await schedule(first.candidate, { scheduledAt: at('10:00') });
+    await schedule(second.candidate, { scheduledAt: at('10:00'), interviewer: colleagueId.toString() });
+    jest.spyOn(Application, 'find').mockReturnValue({ select: async () => saved });
+    jest.spyOn(Job, 'findByIdAndDelete').mockResolvedValue(job);
+    jest.spyOn(Application, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    interviewService.sendInvite.mockClear();
+
+    const res = mockResponse();
+    await deleteJob(request(first.candidate, {}), res, jest.fn());
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(slots()).toEqual([]);
+    expect(slots(colleagueId)).toEqual([]);
+    expect(interviewService.sendInvite.mock.calls.map(([interview, , method]) => [interview._id, interview.sequence, method])).toEqual([
+      [first.interviews[0]._id, 1, 'CANCEL'],
+      [second.interviews[0]._id, 1, 'CANCEL']
+    ]);
+  });
+});
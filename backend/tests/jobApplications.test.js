@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const Application = require('../src/models/Application');
+const { getJobApplications } = require('../src/controllers/jobs');
+
+jest.mock('bullmq');
+jest.mock('ioredis');
+jest.mock('../src/utils/logger');
+
+const recruiterId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('getJobApplications', () => {
+  const question = { _id: new mongoose.Types.ObjectId(), question: 'Can you relocate?', type: 'yes-no', knockout: { expected: 'yes', action: 'reject' } };
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Platform Engineer',
+    company: { name: 'Acme' },
+    postedBy: recruiterId,
+    screening: { enabled: true, questions: [question] }
+  };
+  const page = [{ _id: 'application1', matchScore: 90 }, { _id: 'application2' }];
+  let pipeline;
+
+  const request = (query = {}, user = { id: recruiterId.toString(), role: 'recruiter' }) => ({
+    params: { jobId: job._id.toString() },
+    query,
+    user
+  });
+
+  beforeEach(() => {
+    pipeline = null;
+    jest.spyOn(Job, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(job) });
+    jest.spyOn(Application, 'aggregate').mockImplementation(async stages => {
+      pipeline = stages;
+      return page;
+    });
+    jest.spyOn(Application, 'populate').mockImplementation(async docs => docs);
+    jest.spyOn(Application, 'countDocuments').mockResolvedValue(45);
+    jest.spyOn(Application, 'getStatusCounts').mockResolvedValue({ total: 45, pending: 45 });
+    jest.spyOn(Application, 'getScreeningCounts').mockResolvedValue([
+      { _id: { result: 'passed', questionId: question._id, answer: 'yes', passed: true }, answers: 30, applications: 30 },
+      { _id: { result: 'rejected', questionId: question._id, answer: 'no', passed: false }, answers: 10, applications: 10 },
+      { _id: {}, answers: 0, applications: 5 }
+    ]);
+    jest.spyOn(Application, 'find');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return one page of applications with totals for the whole job', async () => {
+    const res = mockResponse();
+
+    await getJobApplications(request({ page: '2', limit: '20', status: 'pending' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(pipeline).toEqual([
+      { $match: { job: job._id, status: 'pending' } },
+      { $sort: { appliedAt: -1 } },
+      { $skip: 20 },
+      { $limit: 20 }
+    ]);
+    expect(Application.countDocuments).toHaveBeenCalledWith({ job: job._id, status: 'pending' });
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.pagination).toEqual({ page: 2, limit: 20, total: 45, pages: 3 });
+    expect(body.data.applications).toBe(page);
+    expect(body.data.stats).toEqual({ total: 45, pending: 45 });
+    expect(body.data.screening.results).toEqual({ passed: 30, flagged: 0, rejected: 10, notScreened: 5 });
+    expect(body.data.screening.questions[0]).toMatchObject({
+      answered: 40,
+      unanswered: 5,
+      counts: { yes: 30, no: 10 },
+      knockout: { action: 'reject', passed: 30, failed: 10 }
+    });
+  });
+
+  it('should break the screening answers down without loading the applications', async () => {
+    await getJobApplications(request(), mockResponse(), jest.fn());
+
+    expect(Application.getScreeningCounts).toHaveBeenCalledWith(job._id);
+    expect(Application.aggregate).toHaveBeenCalledTimes(1);
+    expect(Application.find).not.toHaveBeenCalled();
+  });
+
+  it('should default to the first 20 applications', async () => {
+    const res = mockResponse();
+
+    await getJobApplications(request(), res, jest.fn());
+
+    expect(pipeline.slice(-2)).toEqual([{ $skip: 0 }, { $limit: 20 }]);
+    expect(res.json.mock.calls[0][0].pagination).toEqual({ page: 1, limit: 20, total: 45, pages: 3 });
+  });
+
+  it.each([
+    ['desc', -1],
+    ['asc', 1]
+  ])('should sort by match score (%s) in the database with unscored applications last', async (order, direction) => {
+    await getJobApplications(request({ sortBy: 'matchScore', order, minScore: '60' }), mockResponse(), jest.fn());
+
+    expect(pipeline).toEqual([
+      { $match: { job: job._id, matchScore: { $gte: 60, $lte: 100 } } },
+      { $addFields: { unscored: { $cond: [{ $isNumber: '$matchScore' }, 0, 1] } } },
+      { $sort: { unscored: 1, matchScore: direction, appliedAt: -1 } },
+      { $skip: 0 },
+      { $limit: 20 },
+      { $project: { unscored: 0 } }
+    ]);
+  });
+
+  it('should populate the candidate and resume of each application', async () => {
+    await getJobApplications(request(), mockResponse(), jest.fn());
+
+    expect(Application.populate).toHaveBeenCalledWith(page, [
+      { path: 'candidate', select: 'profile email createdAt' },
+      { path: 'resume', select: 'filename originalName uploadedAt' }
+    ]);
+  });
+
+  it('should refuse recruiters who did not post the job', async () => {
+    const res = mockResponse();
+
+    await getJobApplications(request({}, { id: new mongoose.Types.ObjectId().toString(), role: 'recruiter' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Application.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Application.getScreeningCounts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should group a job\'s answers in a single aggregation', async () => {
+    const aggregate = jest.spyOn(Application, 'aggregate').mockResolvedValue([]);
+    const jobId = new mongoose.Types.ObjectId();
+
+    await Application.getScreeningCounts(jobId.toString());
+
+    const [stages] = aggregate.mock.calls[0];
+    expect(aggregate).toHaveBeenCalledTimes(1);
+    expect(stages[0]).toEqual({ $match: { job: jobId } });
+    expect(stages.filter(stage => stage.$group)).toHaveLength(1);
+    expect(stages[1].$unwind).toMatchObject({ path: '$screening.answers', preserveNullAndEmptyArrays: true });
+  });
+});
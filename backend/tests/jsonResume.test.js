@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { jsonResumeService } = require('../src/services/jsonResumeService');
+
+jest.mock('../src/utils/logger');
+
+const document = {
+  basics: {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    phone: '(415) 555-0100',
+    url: 'https://janedoe.dev',
+    summary: 'Backend engineer.',
+    image: 'https://janedoe.dev/me.png',
+    location: { city: 'Austin', region: 'TX', countryCode: 'US' },
+    profiles: [
+      { network: 'LinkedIn', username: 'janedoe' },
+      { network: 'GitHub', url: 'https://github.com/janedoe' },
+      { network: 'Mastodon', username: '@jane' }
+    ]
+  },
+  work: [
+    {
+      name: 'Acme Corp',
+      position: 'Senior Engineer',
+      startDate: '2020-03',
+      summary: 'Led the payments team.',
+      highlights: ['Cut checkout latency by 40%'],
+      url: 'https://acme.example'
+    }
+  ],
+  education: [
+    { institution: 'MIT', area: 'Computer Science', studyType: 'Bachelor', endDate: '2016', courses: ['Algorithms', 'Databases'] }
+  ],
+  skills: [
+    { name: 'Backend', keywords: ['Node.js', 'PostgreSQL'] },
+    { name: 'Soft Skills', keywords: ['Leadership'] }
+  ],
+  languages: [
+    { language: 'English', fluency: 'Native speaker' },
+    { language: 'Klingon', fluency: 'Some' }
+  ],
+  certificates: [{ name: 'AWS Solutions Architect', issuer: 'Amazon', date: '2021-05' }],
+  interests: [{ name: 'Climbing' }]
+};
+
+describe('JsonResumeService', () => {
+  describe('isJSONResume', () => {
+    it('should recognise JSON Resume documents', () => {
+      expect(jsonResumeService.isJSONResume(document)).toBe(true);
+      expect(jsonResumeService.isJSONResume({ personalInfo: {} })).toBe(false);
+      expect(jsonResumeService.isJSONResume([])).toBe(false);
+      expect(jsonResumeService.isJSONResume(null)).toBe(false);
+    });
+  });
+
+  describe('fromJSONResume', () => {
+    it('should map every supported section to parsedContent', () => {
+      const { parsedContent } = jsonResumeService.fromJSONResume(document);
+
+      expect(parsedContent.personalInfo).toMatchObject({
+        name: 'Jane Doe',
+        address: 'Austin, TX, US',
+        linkedin: 'https://www.linkedin.com/in/janedoe',
+        github: 'https://github.com/janedoe',
+        website: 'https://janedoe.dev'
+      });
+      expect(parsedContent.experience[0]).toMatchObject({
+        company: 'Acme Corp',
+        position: 'Senior Engineer',
+        current: true,
+        description: 'Led the payments team.',
+        achievements: ['Cut checkout latency by 40%']
+      });
+      expect(parsedContent.education[0]).toMatchObject({
+        degree: 'Bachelor',
+        field: 'Computer Science',
+        description: 'Courses: Algorithms, Databases'
+      });
+      expect(parsedContent.skills.technical).toEqual(['Node.js', 'PostgreSQL']);
+      expect(parsedContent.skills.soft).toEqual(['Leadership']);
+      expect(parsedContent.skills.languages).toEqual([
+        { language: 'English', proficiency: 'native' },
+        { language: 'Klingon', proficiency: undefined }
+      ]);
+      expect(parsedContent.skills.certifications).toEqual([
+        { name: 'AWS Solutions Architect', issuer: 'Amazon', date: '2021-05' }
+      ]);
+    });
+
+    it('should report fields that could not be mapped', () => {
+      const { unmappedFields } = jsonResumeService.fromJSONResume(document);
+
+      expect(unmappedFields).toEqual(expect.arrayContaining([
+        'interests',
+        'basics.image',
+        'basics.profiles[2]',
+        'work[0].url',
+        'languages[1].fluency'
+      ]));
+      expect(unmappedFields).toHaveLength(5);
+    });
+  });
+
+  describe('toJSONResume', () => {
+    it('should round-trip an imported document', () => {
+      const { parsedContent } = jsonResumeService.fromJSONResume(document);
+      const { document: exported } = jsonResumeService.toJSONResume({ parsedContent, updatedAt: new Date('2024-01-01') });
+
+      expect(exported.basics).toMatchObject({ name: 'Jane Doe', email: 'jane@example.com', url: 'https://janedoe.dev' });
+      expect(exported.work[0]).toEqual({
+        name: 'Acme Corp',
+        position: 'Senior Engineer',
+        startDate: '2020-03',
+        summary: 'Led the payments team.',
+        highlights: ['Cut checkout latency by 40%']
+      });
+      expect(exported.education[0].courses).toEqual(['Algorithms', 'Databases']);
+      expect(exported.languages[0]).toEqual({ language: 'English', fluency: 'Native speaker' });
+      expect(exported.meta.lastModified).toBe('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should report parsedContent fields the schema cannot hold', () => {
+      const { unmappedFields } = jsonResumeService.toJSONResume({
+        parsedContent: {
+          experience: [{ company: 'Acme', technologies: ['Kafka'] }],
+          skills: { certifications: [{ name: 'CKA', credentialId: 'X-1' }] }
+        }
+      });
+
+      expect(unmappedFields).toEqual(['experience[0].technologies', 'skills.certifications[0].credentialId']);
+    });
+  });
+
+  describe('importFile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-resume-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read a resume.json upload', async () => {
+      const filePath = path.join(dir, 'resume.json');
+      fs.writeFileSync(filePath, JSON.stringify(document));
+
+      const { parsedContent } = await jsonResumeService.importFile(filePath);
+
+      expect(parsedContent.personalInfo.name).toBe('Jane Doe');
+    });
+
+    it('should reject files that are not JSON Resume documents', async () => {
+      const invalid = path.join(dir, 'invalid.json');
+      const other = path.join(dir, 'other.json');
+      fs.writeFileSync(invalid, '{ not json');
+      fs.writeFileSync(other, JSON.stringify({ hello: 'world' }));
+
+      await expect(jsonResumeService.importFile(invalid)).rejects.toThrow('File is not valid JSON');
+      await expect(jsonResumeService.importFile(other)).rejects.toThrow('File is not a JSON Resume document');
+    });
+  });
+});
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OpenAICompatibleProvider, ScriptedProvider } = require('../ai-services/LLMProviders');
+const { LLMService, LLM_TASKS, llmService } = require('../ai-services/LLMService');
+const { geminiService } = require('../ai-services/GeminiService');
+
+jest.mock('../src/utils/logger');
+
+const LLM_ENV = [
+  'LLM_DEFAULT_PROVIDER',
+  'LLM_TASK_PROVIDERS',
+  'LLM_PROVIDERS',
+  'LLM_LOCAL_BASE_URL',
+  'LLM_LOCAL_MODEL',
+  'LLM_FAKE_RESPONSES_FILE',
+  'OPENAI_API_KEY',
+  'TOGETHER_API_KEY'
+];
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: jest.fn().mockResolvedValue(body),
+  text: jest.fn().mockResolvedValue(JSON.stringify(body))
+});
+
+describe('LLMService', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    LLM_ENV.forEach(name => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    LLM_ENV.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    jest.restoreAllMocks();
+  });
+
+  describe('configuration', () => {
+    it('should register the providers that are configured', () => {
+      process.env.LLM_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+      process.env.OPENAI_API_KEY = 'sk-test';
+      process.env.TOGETHER_API_KEY = 'together-key';
+      process.env.LLM_PROVIDERS = JSON.stringify([
+        { name: 'together', baseUrl: 'https://api.together.xyz/v1', model: 'llama-3-70b', apiKeyEnv: 'TOGETHER_API_KEY' },
+        { name: 'broken' }
+      ]);
+
+      const service = new LLMService();
+
+      expect(service.listProviders()).toEqual(['gemini', 'fake', 'local', 'openai', 'together']);
+      expect(service.getProvider('local')).toMatchObject({ type: 'openai-compatible', model: 'llama3.2', baseUrl: 'http://localhost:11434/v1' });
+      expect(service.getProvider('together')).toMatchObject({ model: 'llama-3-70b', apiKey: 'together-key' });
+      expect(service.getProvider('openai').baseUrl).toBe('https://api.openai.com/v1');
+    });
+
+    it('should route every task to the default provider unless overridden', () => {
+      process.env.LLM_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+      process.env.LLM_DEFAULT_PROVIDER = 'fake';
+      process.env.LLM_TASK_PROVIDERS = JSON.stringify({
+        skillExtraction: { provider: 'local', model: 'llama3.2:3b' },
+        atsAnalysis: 'gemini',
+        unknownTask: 'local',
+        resumeSuggestions: 'missing'
+      });
+
+      const service = new LLMService();
+
+      expect(service.resolveTask('skillExtraction')).toEqual({ provider: 'local', model: 'llama3.2:3b' });
+      expect(service.resolveTask('atsAnalysis')).toEqual({ provider: 'gemini', model: null });
+      expect(service.resolveTask('resumeSuggestions')).toEqual({ provider: 'fake', model: null });
+      expect(service.taskRoutes).not.toHaveProperty('unknownTask');
+    });
+
+    it.each([
+      ['invalid JSON', '{not json', {}],
+      ['a provider name', '{"jobOptimization": "fake"}', { jobOptimization: { provider: 'fake', model: null } }]
+    ])('should parse LLM_TASK_PROVIDERS given %s', (label, value, expected) => {
+      process.env.LLM_TASK_PROVIDERS = value;
+
+      expect(new LLMService().taskRoutes).toEqual(expected);
+    });
+
+    it('should reject an unknown default provider', () => {
+      process.env.LLM_DEFAULT_PROVIDER = 'local';
+
+      expect(() => new LLMService()).toThrow('Unknown LLM_DEFAULT_PROVIDER "local" (configured: gemini, fake)');
+    });
+
+    it('should only route tasks to configured providers at runtime', () => {
+      const service = new LLMService();
+
+      expect(() => service.setTaskRoute('skillExtraction', 'local')).toThrow('LLM provider "local" is not configured');
+      expect(() => service.setTaskRoute('translation', 'fake')).toThrow('Unknown LLM task "translation"');
+
+      service.setTaskRoute('skillExtraction', 'fake', 'small');
+      expect(service.resolveTask('skillExtraction')).toEqual({ provider: 'fake', model: 'small' });
+    });
+  });
+
+  describe('generate', () => {
+    it('should run each task on its own provider and model', async () => {
+      const service = new LLMService();
+      const fake = service.registerProvider('fake', new ScriptedProvider({ responses: { skillExtraction: { skills: ['Go'] } } }));
+      const other = service.registerProvider('other', new ScriptedProvider({ name: 'other', defaultResponse: 'plain text' }));
+      service.setTaskRoute('skillExtraction', 'fake', 'small');
+      service.setTaskRoute('atsAnalysis', 'other');
+
+      expect(await service.generate('skillExtraction', 'Extract skills')).toEqual({ text: '{"skills":["Go"]}', usage: null });
+      expect(await service.generate('atsAnalysis', 'Analyze')).toEqual({ text: 'plain text', usage: null });
+      expect(fake.calls).toEqual([{ task: 'skillExtraction', model: 'small', prompt: 'Extract skills' }]);
+      expect(other.calls).toEqual([{ task: 'atsAnalysis', model: null, prompt: 'Analyze' }]);
+    });
+  });
+
+  describe('getHealthStatus', () => {
+    it('should report each provider with the tasks routed to it', async () => {
+      process.env.LLM_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+      process.env.LLM_DEFAULT_PROVIDER = 'fake';
+      process.env.LLM_TASK_PROVIDERS = JSON.stringify({ skillExtraction: { provider: 'local', model: 'llama3.2:3b' } });
+      const service = new LLMService();
+
+      jest.spyOn(geminiService, 'healthCheck').mockResolvedValue({ status: 'unhealthy', error: 'Google Gemini API key is required' });
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const health = await service.getHealthStatus();
+
+      expect(health.defaultProvider).toBe('fake');
+      expect(health.tasks.skillExtraction).toEqual({ provider: 'local', model: 'llama3.2:3b' });
+      expect(health.providers.fake).toMatchObject({
+        status: 'healthy',
+        type: 'scripted',
+        tasks: LLM_TASKS.filter(task => task !== 'skillExtraction')
+      });
+      expect(health.providers.local).toMatchObject({
+        status: 'unhealthy',
+        type: 'openai-compatible',
+        model: 'llama3.2',
+        tasks: ['skillExtraction'],
+        error: 'NETWORK_ERROR: local request failed: connect ECONNREFUSED'
+      });
+      expect(health.providers.gemini).toMatchObject({ status: 'unhealthy', type: 'gemini', tasks: [] });
+      expect(health.status).toBe('degraded');
+    });
+
+    it('should stay healthy when only unused providers are down', async () => {
+      process.env.LLM_DEFAULT_PROVIDER = 'fake';
+      const service = new LLMService();
+      jest.spyOn(geminiService, 'healthCheck').mockResolvedValue({ status: 'unhealthy', error: 'down' });
+
+      const health = await service.getHealthStatus();
+
+      expect(health.status).toBe('healthy');
+      expect(health.providers.gemini.status).toBe('unhealthy');
+    });
+
+    it('should report providers that fail to start', async () => {
+      process.env.LLM_DEFAULT_PROVIDER = 'fake';
+      const service = new LLMService();
+      service.factories.set('local', () => new OpenAICompatibleProvider({ name: 'local' }));
+      service.setTaskRoute('atsAnalysis', 'local');
+      jest.spyOn(geminiService, 'healthCheck').mockResolvedValue({ status: 'healthy' });
+
+      const health = await service.getHealthStatus();
+
+      expect(health.providers.local).toMatchObject({
+        status: 'unhealthy',
+        error: 'Base URL is required for LLM provider "local"',
+        tasks: ['atsAnalysis']
+      });
+      expect(health.status).toBe('degraded');
+    });
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const provider = new OpenAICompatibleProvider({
+    name: 'local',
+    baseUrl: 'http://localhost:8080/v1/',
+    apiKey: 'secret',
+    model: 'llama3.2',
+    temperature: 0.2,
+    maxTokens: 256
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send a chat completion and return text and token usage', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({
+      choices: [{ message: { content: '{"score": 80}' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 5 }
+    }));
+
+    const result = await provider.generate('Score this', { model: 'llama3.2:3b' });
+
+    expect(result).toEqual({ text: '{"score": 80}', usage: { inputTokens: 12, outputTokens: 5 } });
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(options.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer secret' });
+    expect(JSON.parse(options.body)).toEqual({
+      model: 'llama3.2:3b',
+      messages: [{ role: 'user', content: 'Score this' }],
+      temperature: 0.2,
+      max_tokens: 256
+    });
+  });
+
+  it('should use its default model and tolerate missing usage', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({ choices: [] }));
+
+    expect(await provider.generate('Hi')).toEqual({ text: '', usage: null });
+    expect(JSON.parse(fetch.mock.calls[0][1].body).model).toBe('llama3.2');
+  });
+
+  it.each([
+    [429, 'RATE_LIMIT_EXCEEDED'],
+    [503, 'SERVICE_UNAVAILABLE'],
+    [400, 'REQUEST_FAILED']
+  ])('should map HTTP %i to %s', async (status, code) => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({ error: 'nope' }, status));
+
+    await expect(provider.generate('Hi')).rejects.toThrow(`${code}: local returned ${status}`);
+  });
+
+  it('should report timeouts as retryable', async () => {
+    const timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+    jest.spyOn(global, 'fetch').mockRejectedValue(timeout);
+
+    await expect(provider.generate('Hi')).rejects.toThrow(/^TIMEOUT: local request failed/);
+    expect(geminiService.isRetryableError(new Error('TIMEOUT: local request failed'))).toBe(true);
+  });
+
+  it('should check health against the models endpoint', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(jsonResponse({ data: [] }));
+
+    expect(await provider.healthCheck()).toMatchObject({ status: 'healthy' });
+    expect(fetch.mock.calls[0][0]).toBe('http://localhost:8080/v1/models');
+  });
+});
+
+describe('ScriptedProvider', () => {
+  it('should play responses per task in order and repeat the last one', async () => {
+    const provider = new ScriptedProvider({
+      responses: {
+        atsAnalysis: ['first', { score: 2 }],
+        skillExtraction: (prompt, task) => `${task}: ${prompt}`,
+        jobOptimization: new Error('Model overloaded')
+      }
+    });
+
+    expect((await provider.generate('a', { task: 'atsAnalysis' })).text).toBe('first');
+    expect((await provider.generate('b', { task: 'atsAnalysis' })).text).toBe('{"score":2}');
+    expect((await provider.generate('c', { task: 'atsAnalysis' })).text).toBe('{"score":2}');
+    expect((await provider.generate('Go', { task: 'skillExtraction' })).text).toBe('skillExtraction: Go');
+    expect((await provider.generate('x', { task: 'contentAnalysis' })).text).toBe('{}');
+    await expect(provider.generate('x', { task: 'jobOptimization' })).rejects.toThrow('Model overloaded');
+    expect(provider.calls).toHaveLength(6);
+
+    provider.reset();
+    expect(provider.calls).toEqual([]);
+  });
+
+  it('should load responses from a file', async () => {
+    const file = path.join(os.tmpdir(), `llm-responses-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ atsAnalysis: { score: 90 } }));
+
+    try {
+      const provider = ScriptedProvider.fromFile(file);
+      expect((await provider.generate('x', { task: 'atsAnalysis' })).text).toBe('{"score":90}');
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    expect(ScriptedProvider.fromFile(file).responses).toEqual({});
+  });
+});
+
+describe('GeminiService task routing', () => {
+  const routes = { ...llmService.taskRoutes };
+
+  afterEach(() => {
+    llmService.taskRoutes = { ...routes };
+    llmService.providers.delete('scripted');
+    llmService.factories.delete('scripted');
+    jest.restoreAllMocks();
+  });
+
+  it('should run routed tasks on their provider instead of Gemini', async () => {
+    const scripted = llmService.registerProvider('scripted', new ScriptedProvider({ name: 'scripted', defaultResponse: 'routed' }));
+    llmService.setTaskRoute('contentAnalysis', 'scripted', 'tiny');
+    const gemini = jest.spyOn(geminiService, 'generate');
+
+    expect(await geminiService.generateText('contentAnalysis', 'Analyze this')).toBe('routed');
+    expect(scripted.calls).toEqual([{ task: 'contentAnalysis', model: 'tiny', prompt: 'Analyze this' }]);
+    expect(gemini).not.toHaveBeenCalled();
+  });
+});
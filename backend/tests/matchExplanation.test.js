@@ -0,0 +1,208 @@
+const Resume = require('../src/models/Resume');
+const Job = require('../src/models/Job');
+const aiServices = require('../ai-services');
+const { MatchExplanationService } = require('../ai-services/MatchExplanationService');
+const { MatchingService } = require('../ai-services/MatchingService');
+const { matchResumeToJob } = require('../src/controllers/aiController');
+
+jest.mock('../src/utils/logger');
+jest.mock('../ai-services', () => ({
+  hasCurrentEmbedding: jest.fn(() => true),
+  calculateMatchScore: jest.fn()
+}));
+
+const resume = {
+  _id: 'resume1',
+  userId: { _id: 'candidate1' },
+  parsedContent: {
+    rawText: 'Jane Doe',
+    skills: { technical: ['Node.js', 'Docker', 'PostgreSQL'], soft: [] },
+    experience: [
+      {
+        position: 'Senior Engineer',
+        company: 'Acme',
+        startDate: '2019-01',
+        endDate: '2023-12',
+        description: 'Built REST APIs in Node.js for the payments platform. Ran the on-call rotation.',
+        achievements: ['• Moved every service to Docker containers', 'Cut p99 latency by 40%']
+      },
+      {
+        position: 'Engineer',
+        company: 'Globex',
+        startDate: '2017-01',
+        endDate: '2018-12',
+        description: 'Maintained billing reports.'
+      }
+    ],
+    education: [{ degree: 'BSc', field: 'Computer Science', institution: 'MIT' }]
+  }
+};
+
+const job = {
+  _id: 'job1',
+  postedBy: { _id: 'recruiter1' },
+  title: 'Backend Engineer',
+  description: 'Payments backend',
+  skills: [],
+  requirements: ['Experience building REST APIs for payments', 'Fluent in Mandarin'],
+  educationLevel: 'bachelor',
+  matchingCriteria: {
+    requiredSkills: [
+      { skill: 'Node.js', importance: 'required' },
+      { skill: 'Kubernetes', importance: 'required' },
+      { skill: 'PostgreSQL', importance: 'preferred' },
+      { skill: 'Go', importance: 'nice-to-have' }
+    ],
+    minExperience: 5,
+    maxExperience: 10,
+    educationRequired: true,
+    minMatchScore: 10
+  }
+};
+
+describe('MatchExplanationService', () => {
+  let explanations;
+
+  beforeEach(() => {
+    explanations = new MatchExplanationService();
+  });
+
+  describe('splitSentences', () => {
+    it.each([
+      ['Built APIs. Ran on-call.', ['Built APIs.', 'Ran on-call.']],
+      ['• Led the team\n- Hired 5 engineers', ['Led the team', 'Hired 5 engineers']],
+      ['Used Node.js daily', ['Used Node.js daily']],
+      ['Ok.', []],
+      [undefined, []]
+    ])('should split %p', (text, expected) => {
+      expect(explanations.splitSentences(text)).toEqual(expected);
+    });
+  });
+
+  describe('explain', () => {
+    const matchDetails = {
+      overallScore: 72,
+      breakdown: { semantic: 80, skills: 60, experience: 100, keywords: 50 },
+      weights: { semantic: 0.4, skills: 0.25, experience: 0.2, keywords: 0.15 },
+      matchedSkills: ['Node.js', 'PostgreSQL'],
+      relatedSkills: [{ skill: 'Kubernetes', via: 'Docker', importance: 'required' }],
+      experienceGap: { resumeExperience: 7, requiredExperience: 5, maxExperience: 10, gap: 0, overqualifiedBy: 0, meetsRequirement: true },
+      education: { required: true, requiredLevel: 'bachelor', candidateLevel: 'bachelor', meetsRequirement: true, verified: true },
+      requirements: { penalty: 0.125 }
+    };
+    const skillRequirements = job.matchingCriteria.requiredSkills;
+
+    const byRequirement = (report) => Object.fromEntries(report.requirements.map(entry => [entry.requirement, entry]));
+
+    it('should cite the resume sentence behind each matched skill', () => {
+      const report = byRequirement(explanations.explain(resume, job, matchDetails, skillRequirements));
+
+      expect(report['Node.js']).toMatchObject({ status: 'met', detail: null });
+      expect(report['Node.js'].evidence).toEqual([{
+        text: 'Built REST APIs in Node.js for the payments platform.',
+        source: { section: 'experience', index: 0, position: 'Senior Engineer', company: 'Acme', field: 'description' }
+      }]);
+      expect(report.PostgreSQL).toMatchObject({ status: 'met', detail: 'Listed in skills, not mentioned in experience', evidence: [] });
+    });
+
+    it('should explain related and missing skills', () => {
+      const report = byRequirement(explanations.explain(resume, job, matchDetails, skillRequirements));
+
+      expect(report.Kubernetes).toMatchObject({ status: 'partial', detail: 'Has related skill Docker' });
+      expect(report.Kubernetes.evidence[0]).toMatchObject({
+        text: 'Moved every service to Docker containers',
+        source: { field: 'achievements' }
+      });
+      expect(report.Go).toMatchObject({ status: 'unmet', detail: 'Not found in resume', evidence: [] });
+    });
+
+    it('should tie free-text requirements to resume sentences', () => {
+      const report = byRequirement(explanations.explain(resume, job, matchDetails, skillRequirements));
+
+      expect(report['Experience building REST APIs for payments']).toMatchObject({ status: 'met' });
+      expect(report['Experience building REST APIs for payments'].evidence[0].text).toBe('Built REST APIs in Node.js for the payments platform.');
+      expect(report['Fluent in Mandarin']).toMatchObject({ status: 'unverified', evidence: [] });
+    });
+
+    it('should list unmet requirements and the factor contributions', () => {
+      const report = explanations.explain(resume, job, matchDetails, skillRequirements);
+
+      expect(report.unmet.map(entry => entry.requirement)).toEqual(['Kubernetes', 'Go']);
+      expect(report.factors).toContainEqual({ factor: 'semantic', score: 80, weight: 0.4, points: 32 });
+      expect(report.penaltyPercent).toBe(13);
+      expect(report.summary).toBe(
+        '72% match: 2 of 4 skills matched (1 of 2 required); 7 years of experience for a role asking 5-10 years of experience. ' +
+        'Not met: Kubernetes, Go.'
+      );
+    });
+
+    it.each([
+      [{ resumeExperience: 3, requiredExperience: 5, gap: 2, overqualifiedBy: 0, meetsRequirement: false }, 'unmet', '3 years of experience, 2 short'],
+      [{ resumeExperience: 12, requiredExperience: 5, maxExperience: 10, gap: 0, overqualifiedBy: 2, meetsRequirement: true }, 'partial', '12 years of experience, 2 above the range'],
+      [{ resumeExperience: 6, requiredExperience: 5, gap: 0, overqualifiedBy: 0, meetsRequirement: true }, 'met', '6 years of experience']
+    ])('should rate experience %p', (gap, status, detail) => {
+      const entry = explanations.explainExperience(resume, gap);
+
+      expect(entry).toMatchObject({ type: 'experience', status, detail });
+      expect(entry.evidence[0].text).toBe('Senior Engineer at Acme (2019-01 - 2023-12)');
+    });
+
+    it('should report missing education', () => {
+      const entry = explanations.explainEducation({ parsedContent: {} }, { required: true, requiredLevel: 'master', meetsRequirement: false });
+
+      expect(entry).toMatchObject({ requirement: 'master degree or higher', status: 'unmet', detail: 'No education listed' });
+    });
+  });
+});
+
+describe('POST /api/ai/match/resume-to-job', () => {
+  const matching = new MatchingService();
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(matching, 'ensureEmbeddings').mockResolvedValue();
+    aiServices.calculateMatchScore.mockImplementation((r, j) => matching.calculateMatchScore(r, j));
+    jest.spyOn(Resume, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(resume) });
+    jest.spyOn(Job, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(job) });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('should return the explanation with the match score', async () => {
+    const res = mockResponse();
+
+    await matchResumeToJob({
+      body: { resumeId: 'resume1', jobId: 'job1' },
+      user: { id: 'recruiter1', role: 'recruiter' }
+    }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.explanation.summary).toMatch(new RegExp(`^${data.overallScore}% match`));
+    expect(data.explanation.unmet).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'skill', requirement: 'Kubernetes', importance: 'required' })
+    ]));
+    expect(data.explanation.requirements.find(entry => entry.requirement === 'Node.js').evidence).toHaveLength(1);
+  });
+
+  it('should not explain matches to other recruiters', async () => {
+    const res = mockResponse();
+
+    await matchResumeToJob({
+      body: { resumeId: 'resume1', jobId: 'job1' },
+      user: { id: 'recruiter2', role: 'recruiter' }
+    }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(aiServices.calculateMatchScore).not.toHaveBeenCalled();
+  });
+});
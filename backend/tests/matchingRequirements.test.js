@@ -0,0 +1,200 @@
+const { MatchingService } = require('../ai-services/MatchingService');
+const { matchingSettingsService } = require('../src/services/matchingSettingsService');
+
+jest.mock('../src/utils/logger');
+
+const buildResume = ({ skills = [], experience = [], education = [] } = {}) => ({
+  _id: 'resume1',
+  parsedContent: {
+    rawText: 'Resume',
+    skills: { technical: skills, soft: [] },
+    experience,
+    education
+  }
+});
+
+// Six years in total
+const SIX_YEARS = [{ position: 'Engineer', company: 'Acme', startDate: '2015-01', endDate: '2020-12' }];
+
+const buildJob = (matchingCriteria = {}, extra = {}) => ({
+  _id: 'job1',
+  title: 'Platform Engineer',
+  description: 'Build the platform',
+  skills: [],
+  requirements: [],
+  matchingCriteria,
+  ...extra
+});
+
+const requiredSkills = (entries) => entries.map(([skill, importance]) => ({ skill, importance }));
+
+describe('MatchingService requirements', () => {
+  let matching;
+
+  beforeEach(() => {
+    matching = new MatchingService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateSkillsMatch', () => {
+    it.each([
+      ['every skill matched', ['Node.js', 'Kubernetes', 'Go', 'Redis'], 100],
+      ['a related skill for a required one', ['Node.js', 'Docker', 'Go', 'Redis'], 83],
+      ['only the nice-to-have', ['Redis'], 11],
+      ['only the required skills', ['Node.js', 'Kubernetes'], 67],
+      ['nothing', ['Excel'], 0]
+    ])('should weight skills by importance with %s', (label, skills, expected) => {
+      const job = buildJob({
+        requiredSkills: requiredSkills([['Node.js', 'required'], ['Kubernetes', 'required'], ['Go', 'preferred'], ['Redis', 'nice-to-have']])
+      });
+
+      expect(matching.calculateSkillsMatch(buildResume({ skills }), job)).toBe(expected);
+    });
+
+    it('should count job skills missing from the criteria as preferred', () => {
+      const job = buildJob({ requiredSkills: requiredSkills([['Node.js', 'required']]) }, { skills: ['node js', 'GraphQL'] });
+
+      expect(matching.getSkillRequirements(job)).toEqual([
+        { skill: 'Node.js', skillId: 'nodejs', importance: 'required' },
+        { skill: 'GraphQL', importance: 'preferred' }
+      ]);
+    });
+  });
+
+  describe('getMissingSkills', () => {
+    it('should group missing skills by importance', () => {
+      const job = buildJob({
+        requiredSkills: requiredSkills([['k8s', 'required'], ['Go', 'preferred'], ['Redis', 'nice-to-have'], ['Node.js', 'required']])
+      });
+
+      expect(matching.getMissingSkills(buildResume({ skills: ['Node.js', 'Docker'] }), job)).toEqual({
+        required: ['Kubernetes'],
+        preferred: ['Go'],
+        'nice-to-have': ['Redis']
+      });
+      expect(matching.getRelatedSkills(buildResume({ skills: ['Node.js', 'Docker'] }), job)).toEqual([
+        { skill: 'Kubernetes', via: 'Docker', importance: 'required' }
+      ]);
+    });
+  });
+
+  describe('checkRequirements', () => {
+    const job = (criteria = {}, extra = {}) => buildJob({
+      requiredSkills: requiredSkills([['Node.js', 'required'], ['Kubernetes', 'required'], ['Go', 'preferred']]),
+      ...criteria
+    }, extra);
+
+    it.each([
+      ['every skill', { skills: ['Node.js', 'Kubernetes', 'Go'] }, {}, { met: true, penalty: 0 }],
+      ['a missing preferred skill only', { skills: ['Node.js', 'Kubernetes'] }, {}, { met: true, penalty: 0 }],
+      ['half the required skills', { skills: ['Node.js'] }, {}, { met: false, penalty: 0.25 }],
+      ['a related skill', { skills: ['Node.js', 'Docker'] }, {}, { met: false, penalty: 0.125 }],
+      ['no required skills', { skills: ['Go'] }, {}, { met: false, penalty: 0.5 }],
+      [
+        'missing education',
+        { skills: ['Node.js', 'Kubernetes'] },
+        { educationRequired: true },
+        { met: false, penalty: 0.2 }
+      ],
+      [
+        'nothing at all',
+        { skills: [] },
+        { educationRequired: true },
+        { met: false, penalty: 0.7 }
+      ]
+    ])('should penalize %s', (label, resume, criteria, expected) => {
+      const result = matching.checkRequirements(buildResume(resume), job(criteria));
+
+      expect(result.met).toBe(expected.met);
+      expect(result.penalty).toBeCloseTo(expected.penalty, 3);
+    });
+  });
+
+  describe('getEducationMatch', () => {
+    const job = buildJob({ educationRequired: true }, { educationLevel: 'bachelor' });
+
+    it.each([
+      ['a higher degree', [{ degree: 'MSc', field: 'Computer Science' }], { candidateLevel: 'master', meetsRequirement: true, verified: true }],
+      ['a lower degree', [{ degree: 'Associate of Science' }], { candidateLevel: 'associate', meetsRequirement: false }],
+      ['no education', [], { candidateLevel: null, meetsRequirement: false }],
+      ['an unclassified entry', [{ degree: 'Coding Bootcamp' }], { meetsRequirement: true, verified: false }]
+    ])('should compare %s with the minimum level', (label, education, expected) => {
+      expect(matching.getEducationMatch(buildResume({ education }), job)).toMatchObject(expected);
+    });
+
+    it('should not check education the job does not require', () => {
+      const optional = buildJob({}, { educationLevel: 'phd' });
+
+      expect(matching.getEducationMatch(buildResume(), optional)).toMatchObject({ required: false, meetsRequirement: true });
+    });
+  });
+
+  describe('experience band', () => {
+    it.each([
+      ['within the band', { minExperience: 5, maxExperience: 8 }, 100, { gap: 0, overqualifiedBy: 0, withinRange: true }],
+      ['below the minimum', { minExperience: 10 }, 75, { gap: 4, meetsRequirement: false }],
+      ['above the maximum', { minExperience: 2, maxExperience: 4 }, 84, { overqualifiedBy: 2, withinRange: false }],
+      ['far above the maximum', { maxExperience: 1 }, 60, { overqualifiedBy: 5 }]
+    ])('should score experience %s', (label, criteria, score, gap) => {
+      const resume = buildResume({ experience: SIX_YEARS });
+      const job = buildJob(criteria);
+
+      expect(matching.calculateExperienceMatch(resume, job)).toBe(score);
+      expect(matching.getExperienceGap(resume, job)).toMatchObject({ resumeExperience: 6, ...gap });
+    });
+  });
+
+  describe('calculateMatchScore', () => {
+    const job = buildJob({
+      requiredSkills: requiredSkills([['Node.js', 'required'], ['Kubernetes', 'required']]),
+      minMatchScore: 10
+    });
+    const resume = buildResume({ skills: ['Node.js'], experience: SIX_YEARS });
+
+    beforeEach(() => {
+      jest.spyOn(matching, 'ensureEmbeddings').mockResolvedValue();
+      jest.spyOn(matchingSettingsService, 'getPlatformProfile').mockReturnValue({
+        name: 'default', source: 'default', weights: { semantic: 0.4, skills: 0.25, experience: 0.2, keywords: 0.15 }, minMatchScore: 50
+      });
+    });
+
+    it('should take the requirement penalty off the weighted score', async () => {
+      const details = await matching.calculateMatchScore(resume, job);
+      const { semantic, skills, experience, keywords } = details.breakdown;
+      const weighted = semantic * 0.4 + skills * 0.25 + experience * 0.2 + keywords * 0.15;
+
+      expect(details.requirements).toMatchObject({ met: false, missingRequiredSkills: ['Kubernetes'], penalty: 0.25 });
+      expect(details.overallScore).toBe(Math.round(weighted * 0.75));
+      expect(details.missingSkills.required).toEqual(['Kubernetes']);
+      expect(details.isMatch).toBe(true);
+    });
+
+    it('should rule out the match with hard requirements', async () => {
+      matching.hardRequirements = true;
+
+      const details = await matching.calculateMatchScore(resume, job);
+
+      expect(details.overallScore).toBeGreaterThanOrEqual(10);
+      expect(details.isMatch).toBe(false);
+      expect(details.requirements.hardRequirements).toBe(true);
+    });
+
+    it('should compare the resume skills with the job once per score', async () => {
+      const compare = jest.spyOn(matching, 'compareSkillRequirements');
+      const getRequirements = jest.spyOn(matching, 'getSkillRequirements');
+
+      const details = await matching.calculateMatchScore(resume, job);
+
+      expect(compare).toHaveBeenCalledTimes(1);
+      expect(getRequirements).toHaveBeenCalledTimes(1);
+      expect(details).toMatchObject({
+        matchedSkills: ['Node.js'],
+        missingSkills: { required: ['Kubernetes'], preferred: [], 'nice-to-have': [] },
+        relatedSkills: []
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const Setting = require('../src/models/Setting');
+const { MatchingSettingsService, matchingSettingsService } = require('../src/services/matchingSettingsService');
+const { MatchingService } = require('../ai-services/MatchingService');
+
+jest.mock('../src/utils/logger');
+
+const mockQuery = (value) => ({
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const storedSetting = (value, updatedAt = new Date('2024-01-01')) => ({ key: 'matching', value, updatedAt });
+
+describe('MatchingSettingsService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new MatchingSettingsService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveProfile', () => {
+    beforeEach(() => {
+      service.settings = {
+        weights: null,
+        minMatchScore: 60,
+        profiles: [{ name: 'senior', weights: { semantic: 0.2, skills: 0.2, experience: 0.5, keywords: 0.1 }, minMatchScore: 70 }]
+      };
+    });
+
+    it.each([
+      ['the platform settings', {}, { name: 'platform', source: 'settings', minMatchScore: 60 }],
+      ['a named profile', { weightProfile: 'senior' }, { name: 'senior', source: 'profile', minMatchScore: 70 }],
+      ['job overrides', { weightProfile: 'senior', minMatchScore: 85 }, { name: 'job', basedOn: 'senior', minMatchScore: 85 }],
+      ['an unknown profile', { weightProfile: 'gone' }, { name: 'platform', minMatchScore: 60 }]
+    ])('should use %s', (label, matchingCriteria, expected) => {
+      expect(service.resolveProfile({ _id: 'job1', matchingCriteria })).toMatchObject(expected);
+    });
+  });
+
+  describe('refreshSettings', () => {
+    it('should only reload when the stored settings changed', async () => {
+      const findOne = jest.spyOn(Setting, 'findOne').mockReturnValue(mockQuery(storedSetting({ minMatchScore: 60 })));
+      await service.loadSettings();
+
+      expect(await service.refreshSettings()).toBe(false);
+
+      // Another instance raised the threshold
+      findOne.mockReturnValue(mockQuery(storedSetting({ minMatchScore: 75 }, new Date('2024-02-01'))));
+
+      expect(await service.refreshSettings()).toBe(true);
+      expect(service.getPlatformProfile().minMatchScore).toBe(75);
+    });
+
+    it('should fall back to the defaults when the settings were deleted', async () => {
+      const findOne = jest.spyOn(Setting, 'findOne').mockReturnValue(mockQuery(storedSetting({ minMatchScore: 60 })));
+      await service.loadSettings();
+
+      findOne.mockReturnValue(mockQuery(null));
+
+      expect(await service.refreshSettings()).toBe(true);
+      expect(service.getPlatformProfile()).toMatchObject({ name: 'default', minMatchScore: service.defaults.minMatchScore });
+    });
+  });
+
+  describe('writes', () => {
+    it('should keep profiles added through another instance', async () => {
+      // This instance loaded before the "senior" profile existed
+      service.settings = { weights: null, minMatchScore: null, profiles: [] };
+
+      const stored = storedSetting({
+        profiles: [{ name: 'senior', weights: { semantic: 0, skills: 0, experience: 1, keywords: 0 }, minMatchScore: null }]
+      });
+      jest.spyOn(Setting, 'findOne')
+        .mockReturnValueOnce(mockQuery(stored))
+        .mockResolvedValueOnce({ ...stored, markModified: jest.fn(), save: jest.fn().mockResolvedValue(true) });
+
+      const { errors } = await service.upsertProfile('junior', {
+        weights: { semantic: 0.5, skills: 0.5, experience: 0, keywords: 0 }
+      }, 'admin1');
+
+      expect(errors).toEqual([]);
+      expect(service.getProfiles().map(profile => profile.name)).toEqual(['senior', 'junior']);
+    });
+  });
+});
+
+describe('MatchingService.findJobMatches', () => {
+  let matching;
+
+  const resume = {
+    _id: 'resume1',
+    parsedContent: {
+      rawText: 'Node.js engineer',
+      skills: { technical: ['Node.js', 'MongoDB'] },
+      experience: [{ position: 'Engineer', startDate: '2018-01', endDate: '2023-01' }]
+    }
+  };
+
+  const job = (id, minMatchScore) => ({
+    _id: id,
+    title: 'Backend Engineer',
+    description: 'Node.js and MongoDB',
+    skills: ['Node.js', 'MongoDB'],
+    requirements: ['3+ years of Node.js experience'],
+    experienceLevel: 'mid',
+    matchingCriteria: { minMatchScore }
+  });
+
+  beforeEach(() => {
+    matching = new MatchingService();
+    jest.spyOn(matching, 'ensureEmbeddings').mockResolvedValue();
+    jest.spyOn(matchingSettingsService, 'getPlatformProfile').mockReturnValue({
+      name: 'default', source: 'default', weights: { semantic: 0.4, skills: 0.25, experience: 0.2, keywords: 0.15 }, minMatchScore: 50
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should filter and report with each job\'s own threshold', async () => {
+    const result = await matching.findJobMatches(resume, [job('low', 10), job('high', 99)]);
+
+    expect(result.matches.map(match => [match.job.id, match.threshold])).toEqual([['low', 10]]);
+    expect(result.matches[0].overallScore).toBeLessThan(50);
+    expect(result).not.toHaveProperty('threshold');
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { OcrService, ocrService } = require('../src/services/ocrService');
+const { ResumeParsingService } = require('../src/services/resumeParsingService');
+const { ATSAnalysisService } = require('../src/services/atsAnalysisService');
+const { buildScannedResumePDF } = require('./fixtures/scannedResume');
+
+jest.mock('../src/utils/logger');
+
+const SCANNED_TEXT = [
+  'Jane Doe',
+  '',
+  'jane@example.com',
+  '',
+  'Experience',
+  '',
+  'Senior Engineer | Acme Corp | 03/2019 - Present',
+  '',
+  'Skills',
+  '',
+  'JavaScript, Python, Docker'
+].join('\n');
+
+const mockWorker = (text = SCANNED_TEXT, confidence = 82) => ({
+  recognize: jest.fn().mockResolvedValue({ data: { text, confidence } }),
+  terminate: jest.fn().mockResolvedValue()
+});
+
+describe('OcrService', () => {
+  let service;
+  let scannedPDF;
+
+  beforeAll(async () => {
+    scannedPDF = await buildScannedResumePDF(2);
+  });
+
+  beforeEach(() => {
+    service = new OcrService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isImageOnly', () => {
+    it.each([
+      ['', 1, true],
+      ['1', 1, true],
+      ['Page 1 of 2   Scanned by OfficeScan', 2, true],
+      ['x'.repeat(60), 1, false],
+      ['x'.repeat(60), 2, true],
+      ['x'.repeat(120), undefined, false]
+    ])('should classify %p over %p pages', (text, pages, expected) => {
+      expect(service.isImageOnly(text, pages)).toBe(expected);
+    });
+  });
+
+  describe('extractPageImages', () => {
+    it('should decode the largest image on each page', async () => {
+      const { images, pages } = await service.extractPageImages(scannedPDF);
+
+      expect(pages).toBe(2);
+      expect(images.map(image => [image.page, image.width, image.height])).toEqual([[1, 320, 400], [2, 320, 400]]);
+
+      const png = PNG.sync.read(images[0].png);
+      expect([png.width, png.height]).toEqual([320, 400]);
+      expect(png.data[0]).toBeGreaterThan(200);
+      expect(png.data[(25 * 320) * 4]).toBeLessThan(60);
+    });
+
+    it('should stop at maxPages', async () => {
+      service.maxPages = 1;
+
+      const { images, pages } = await service.extractPageImages(scannedPDF);
+
+      expect(images).toHaveLength(1);
+      expect(pages).toBe(2);
+    });
+  });
+
+  describe('recognizePDF', () => {
+    it('should read every page image and average the confidence', async () => {
+      const worker = mockWorker();
+      worker.recognize.mockResolvedValueOnce({ data: { text: 'Page one\n', confidence: 90 } });
+      jest.spyOn(service, 'createWorker').mockResolvedValue(worker);
+
+      const result = await service.recognizePDF(scannedPDF);
+
+      expect(worker.recognize).toHaveBeenCalledTimes(2);
+      expect(worker.terminate).toHaveBeenCalled();
+      expect(result).toMatchObject({ engine: 'tesseract.js', language: 'eng', confidence: 0.86, pages: 2, pagesProcessed: 2 });
+      expect(result.text).toMatch(/^Page one\n\nJane Doe/);
+    });
+
+    it('should terminate the worker when recognition fails', async () => {
+      const worker = mockWorker();
+      worker.recognize.mockRejectedValue(new Error('WASM out of memory'));
+      jest.spyOn(service, 'createWorker').mockResolvedValue(worker);
+
+      await expect(service.recognizePDF(scannedPDF)).rejects.toThrow('WASM out of memory');
+      expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    it('should skip OCR when disabled', async () => {
+      service.enabled = false;
+      const createWorker = jest.spyOn(service, 'createWorker');
+
+      expect(await service.recognizePDF(scannedPDF)).toBeNull();
+      expect(createWorker).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('ResumeParsingService OCR fallback', () => {
+  let dir;
+  let filePath;
+  let parsingService;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-ocr-'));
+    filePath = path.join(dir, 'scanned.pdf');
+    fs.writeFileSync(filePath, await buildScannedResumePDF(1));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    parsingService = new ResumeParsingService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should parse OCR text from an image-only PDF and record that OCR was used', async () => {
+    jest.spyOn(ocrService, 'createWorker').mockResolvedValue(mockWorker());
+
+    const parsed = await parsingService.parseResumeContent(filePath, 'application/pdf');
+
+    expect(parsed.rawText).not.toMatch(/\n\s*\n/);
+    expect(parsed.personalInfo).toMatchObject({ name: 'Jane Doe', email: 'jane@example.com' });
+    expect(parsed.experience[0]).toMatchObject({ position: 'Senior Engineer', company: 'Acme Corp', current: true });
+    expect(parsed.layout).toMatchObject({ method: 'ocr', pages: 1 });
+    expect(parsed.ocr).toEqual({ used: true, engine: 'tesseract.js', language: 'eng', confidence: 0.82, pagesProcessed: 1 });
+  });
+
+  it('should scale field confidence by the OCR confidence', async () => {
+    jest.spyOn(ocrService, 'createWorker').mockResolvedValue(mockWorker(SCANNED_TEXT, 50));
+
+    const parsed = await parsingService.parseResumeContent(filePath, 'application/pdf');
+    const email = parsed.fieldConfidence.find(field => field.path === 'personalInfo.email');
+
+    expect(email.confidence).toBeLessThanOrEqual(0.5);
+  });
+
+  it('should fail instead of completing with no text', async () => {
+    jest.spyOn(ocrService, 'createWorker').mockResolvedValue(mockWorker('  \n'));
+    await expect(parsingService.parseResumeContent(filePath, 'application/pdf')).rejects.toThrow('No readable text found in PDF');
+
+    jest.spyOn(ocrService, 'createWorker').mockRejectedValue(new Error('No OCR language data'));
+    await expect(parsingService.parseResumeContent(filePath, 'application/pdf')).rejects.toThrow('No readable text found in PDF');
+  });
+});
+
+describe('ATSAnalysisService OCR warnings', () => {
+  const resume = (ocr) => ({
+    mimeType: 'application/pdf',
+    fileSize: 200 * 1024,
+    parsedContent: { rawText: 'Experienced engineer. '.repeat(60), ocr }
+  });
+
+  it.each([
+    [{ used: false }, 0],
+    [{ used: true, confidence: 0.9 }, 1],
+    [{ used: true, confidence: 0.6 }, 2]
+  ])('should warn about scanned resumes (%p)', async (ocr, warnings) => {
+    const analysis = await new ATSAnalysisService().analyzeFormatting(resume(ocr));
+    const ocrIssues = analysis.issues.filter(issue => /scanned|Scan quality/.test(issue));
+
+    expect(ocrIssues).toHaveLength(warnings);
+  });
+});
@@ -0,0 +1,204 @@
+const PromptTemplate = require('../src/models/PromptTemplate');
+const Setting = require('../src/models/Setting');
+const Resume = require('../src/models/Resume');
+const { PromptRegistry, promptRegistry } = require('../ai-services/PromptRegistry');
+const { llmService } = require('../ai-services/LLMService');
+const { ScriptedProvider } = require('../ai-services/LLMProviders');
+const { getResumeSuggestions, extractSkills, analyzeResumeWithAI } = require('../src/controllers/aiController');
+
+jest.mock('../src/utils/logger');
+
+const mockQuery = (value) => ({
+  sort: jest.fn().mockReturnThis(),
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+const template = (name, version, updatedAt = new Date('2024-01-01')) => ({
+  name,
+  version,
+  template: `${name} ${version} {{resumeContent}}`,
+  createdAt: updatedAt,
+  updatedAt
+});
+
+const trafficSetting = (traffic, updatedAt = new Date('2024-01-01')) => ({ key: 'prompts', value: { traffic }, updatedAt });
+
+describe('PromptRegistry', () => {
+  let registry;
+  let templates;
+  let setting;
+
+  beforeEach(() => {
+    registry = new PromptRegistry();
+    templates = [template('resumeSuggestions', 'v2'), template('atsAnalysis', 'v2')];
+    setting = trafficSetting({ resumeSuggestions: { v1: 50, v2: 50 } });
+
+    jest.spyOn(PromptTemplate, 'find').mockImplementation(() => mockQuery(templates));
+    jest.spyOn(PromptTemplate, 'countDocuments').mockImplementation(async () => templates.length);
+    jest.spyOn(PromptTemplate, 'findOne').mockImplementation(() => mockQuery(
+      [...templates].sort((a, b) => b.updatedAt - a.updatedAt)[0] || null
+    ));
+    jest.spyOn(Setting, 'findOne').mockImplementation(() => mockQuery(setting));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const versions = (name) => registry.listPrompts().find(prompt => prompt.name === name).versions.map(entry => entry.version);
+
+  describe('refreshTemplates', () => {
+    it('should only reload when versions or traffic changed', async () => {
+      await registry.loadTemplates();
+
+      expect(await registry.refreshTemplates()).toBe(false);
+      expect(PromptTemplate.find).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pick up versions added through another instance', async () => {
+      await registry.loadTemplates();
+
+      templates.push(template('resumeSuggestions', 'v3', new Date('2024-02-01')));
+
+      expect(await registry.refreshTemplates()).toBe(true);
+      expect(versions('resumeSuggestions')).toEqual(['v1', 'v2', 'v3']);
+    });
+
+    it('should drop versions deleted through another instance', async () => {
+      await registry.loadTemplates();
+      expect(versions('atsAnalysis')).toEqual(['v1', 'v2']);
+
+      templates = templates.filter(entry => entry.name !== 'atsAnalysis');
+
+      expect(await registry.refreshTemplates()).toBe(true);
+      expect(versions('atsAnalysis')).toEqual(['v1']);
+      expect(versions('resumeSuggestions')).toEqual(['v1', 'v2']);
+      expect(registry.getVersion('atsAnalysis', 'v2')).toBeNull();
+    });
+
+    it('should pick up edited templates and traffic splits', async () => {
+      await registry.loadTemplates();
+
+      templates[0] = { ...templates[0], template: 'Edited {{resumeContent}}', updatedAt: new Date('2024-03-01') };
+      expect(await registry.refreshTemplates()).toBe(true);
+      expect(registry.render('resumeSuggestions', { resumeContent: 'CV' }, { promptVersion: 'v2' }).text).toBe('Edited CV');
+
+      setting = trafficSetting({ resumeSuggestions: { v2: 100 } }, new Date('2024-03-02'));
+      expect(await registry.refreshTemplates()).toBe(true);
+      expect(registry.render('resumeSuggestions', { resumeContent: 'CV' }).version).toBe('v2');
+    });
+  });
+
+  describe('writes', () => {
+    it('should keep traffic splits set through another instance', async () => {
+      await registry.loadTemplates();
+
+      // Another instance sent atsAnalysis traffic to v2 since
+      setting = trafficSetting({ resumeSuggestions: { v1: 50, v2: 50 }, atsAnalysis: { v2: 100 } }, new Date('2024-02-01'));
+      const stored = { markModified: jest.fn(), save: jest.fn().mockResolvedValue(true) };
+      Setting.findOne.mockImplementationOnce(() => mockQuery(setting)).mockResolvedValueOnce(stored);
+
+      const { errors } = await registry.setTraffic('resumeSuggestions', { v1: 100 }, 'admin1');
+
+      expect(errors).toEqual([]);
+      expect(stored.value).toEqual({ traffic: { resumeSuggestions: { v1: 100 }, atsAnalysis: { v2: 100 } } });
+    });
+
+    it('should not delete a version another instance sends traffic to', async () => {
+      setting = trafficSetting({});
+      await registry.loadTemplates();
+
+      setting = trafficSetting({ atsAnalysis: { v1: 90, v2: 10 } }, new Date('2024-02-01'));
+      const deleteOne = jest.spyOn(PromptTemplate, 'deleteOne');
+
+      expect(await registry.removeVersion('atsAnalysis', 'v2')).toEqual({
+        removed: false,
+        errors: ['Version v2 still gets traffic; update the split first']
+      });
+      expect(deleteOne).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Prompt provenance of stored AI results', () => {
+  const routes = { ...llmService.taskRoutes };
+  const traffic = promptRegistry.traffic;
+  let fake;
+  let resume;
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const request = (body) => ({ body, user: { id: '507f1f77bcf86cd799439011', role: 'candidate' } });
+
+  beforeEach(() => {
+    fake = llmService.registerProvider('scripted', new ScriptedProvider({ name: 'scripted' }));
+    ['resumeSuggestions', 'skillExtraction', 'atsAnalysis', 'contentAnalysis'].forEach(task => llmService.setTaskRoute(task, 'scripted'));
+
+    fake.setResponse('resumeSuggestions', {
+      suggestions: [{ type: 'content', priority: 'high', title: 'Quantify results', description: 'Add numbers' }]
+    });
+    fake.setResponse('skillExtraction', { skills: [{ skill: 'Go', category: 'technical', confidence: 0.9 }] });
+
+    promptRegistry.addVersion(template('resumeSuggestions', 'v2'));
+    promptRegistry.traffic = { resumeSuggestions: { v2: 100 } };
+
+    resume = new Resume({ userId: '507f1f77bcf86cd799439011', parsedContent: { rawText: 'Go developer' } });
+    jest.spyOn(resume, 'save').mockResolvedValue(resume);
+    jest.spyOn(Resume, 'findById').mockImplementation(() => Object.assign(Promise.resolve(resume), {
+      populate: jest.fn().mockResolvedValue(resume)
+    }));
+  });
+
+  afterEach(() => {
+    llmService.taskRoutes = { ...routes };
+    llmService.providers.delete('scripted');
+    llmService.factories.delete('scripted');
+    delete promptRegistry.prompts.resumeSuggestions.versions.v2;
+    promptRegistry.traffic = traffic;
+    jest.restoreAllMocks();
+  });
+
+  it('should store the prompt with each suggestion', async () => {
+    const res = mockResponse();
+
+    await getResumeSuggestions(request({ resumeId: 'resume1' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(resume.save).toHaveBeenCalled();
+    expect(resume.aiSuggestions[0].toObject()).toMatchObject({
+      title: 'Quantify results',
+      prompt: { name: 'resumeSuggestions', version: 'v2' }
+    });
+    expect(fake.calls[0].prompt).toMatch(/^resumeSuggestions v2 /);
+  });
+
+  it('should store the prompt with suggestions from the full analysis', async () => {
+    fake.setResponse('atsAnalysis', { score: 80, factors: {} });
+    fake.setResponse('contentAnalysis', { contentQuality: { score: 70 }, structure: { score: 75 }, language: { score: 80 } });
+    const res = mockResponse();
+
+    await analyzeResumeWithAI(request({ resumeId: 'resume1' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(resume.aiSuggestions[0].prompt.toObject()).toEqual({ name: 'resumeSuggestions', version: 'v2' });
+  });
+
+  it('should store the prompt with AI-extracted skills', async () => {
+    const res = mockResponse();
+
+    await extractSkills(request({ resumeId: 'resume1' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.prompt).toEqual({ name: 'skillExtraction', version: 'v1' });
+    expect(resume.extractedSkills[0].toObject()).toMatchObject({
+      skill: 'Go',
+      prompt: { name: 'skillExtraction', version: 'v1' }
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { ResumeCorrectionService } = require('../src/services/resumeCorrectionService');
+const { ResumeParsingService } = require('../src/services/resumeParsingService');
+
+jest.mock('../src/utils/logger');
+
+const parsedContent = () => ({
+  personalInfo: { name: 'Jane Doe', email: 'jane@example.com' },
+  experience: [
+    { position: 'Engineer', company: 'Acme', startDate: '2019-03' },
+    { position: 'Intern', company: 'Globex', startDate: '2018-06' }
+  ],
+  skills: { technical: ['JavaScript', 'Pyhton'], soft: [] },
+  fieldConfidence: [
+    { path: 'personalInfo.name', confidence: 0.9 },
+    { path: 'personalInfo.email', confidence: 0.4 },
+    { path: 'experience.0.company', confidence: 0.3 },
+    { path: 'experience.1.company', confidence: 0.5 },
+    { path: 'skills.technical.1', confidence: 0.5 }
+  ]
+});
+
+describe('ResumeCorrectionService', () => {
+  let correctionService;
+
+  beforeEach(() => {
+    correctionService = new ResumeCorrectionService();
+    correctionService.lowConfidenceThreshold = 0.6;
+  });
+
+  describe('parsePath', () => {
+    it('should accept editable paths and reject the rest', () => {
+      expect(correctionService.parsePath('personalInfo.email')).toMatchObject({ section: 'personalInfo', field: 'email' });
+      expect(correctionService.parsePath('experience.1.company')).toMatchObject({ section: 'experience', index: 1, preserveKey: 'experience' });
+      expect(correctionService.parsePath('skills.technical.0')).toMatchObject({ list: 'technical', index: 0 });
+
+      expect(correctionService.parsePath('personalInfo.password')).toBeNull();
+      expect(correctionService.parsePath('experience.x.company')).toBeNull();
+      expect(correctionService.parsePath('experience.99.company')).toBeNull();
+      expect(correctionService.parsePath('fieldConfidence')).toBeNull();
+    });
+  });
+
+  describe('applyCorrections', () => {
+    it('should apply edits and mark them user-verified', () => {
+      const { parsedContent: content, errors } = correctionService.applyCorrections(parsedContent(), [
+        { path: 'experience.0.company', value: '  Acme Corp ' },
+        { path: 'skills.technical.1', value: 'Python' }
+      ], ['personalInfo.email']);
+
+      expect(errors).toEqual([]);
+      expect(content.experience[0].company).toBe('Acme Corp');
+      expect(content.skills.technical).toEqual(['JavaScript', 'Python']);
+
+      const verified = content.fieldConfidence.filter(field => field.verified).map(field => field.path);
+      expect(verified).toEqual(expect.arrayContaining([
+        'experience.0.company', 'experience', 'skills.technical.1', 'skills.technical', 'personalInfo.email'
+      ]));
+      expect(content.fieldConfidence.find(field => field.path === 'personalInfo.email').confidence).toBe(1);
+    });
+
+    it('should shift field confidence when an entry is removed', () => {
+      const { parsedContent: content } = correctionService.applyCorrections(parsedContent(), [
+        { path: 'experience.0', value: null }
+      ]);
+
+      expect(content.experience.map(exp => exp.company)).toEqual(['Globex']);
+      expect(content.fieldConfidence.find(field => field.path === 'experience.0.company').confidence).toBe(0.5);
+      expect(content.fieldConfidence.find(field => field.path === 'experience.1.company')).toBeUndefined();
+    });
+
+    it('should apply nothing when any correction is invalid', () => {
+      const original = parsedContent();
+      const { parsedContent: content, errors } = correctionService.applyCorrections(original, [
+        { path: 'personalInfo.name', value: 'Janet Doe' },
+        { path: 'experience.0.current', value: 'yes' },
+        { path: 'experience.5.company', value: 'Initech' },
+        { path: 'personalInfo.role', value: 'admin' }
+      ]);
+
+      expect(content).toBe(original);
+      expect(errors).toEqual([
+        'Field cannot be edited: personalInfo.role',
+        'experience.0.current: must be a boolean',
+        'experience.5.company: index out of range'
+      ]);
+    });
+  });
+
+  describe('preserveVerifiedFields', () => {
+    it('should keep verified fields when the resume is re-parsed', () => {
+      const { parsedContent: corrected } = correctionService.applyCorrections(parsedContent(), [
+        { path: 'personalInfo.email', value: 'jane.doe@example.com' },
+        { path: 'experience.0.company', value: 'Acme Corp' }
+      ]);
+
+      const reparsed = {
+        personalInfo: { name: 'Jane Doe', email: 'jane@exarnple.com', phone: '555-0100' },
+        experience: [{ position: 'Engineer', company: 'Acrne' }],
+        skills: { technical: ['Go'], soft: [] },
+        fieldConfidence: [{ path: 'personalInfo.phone', confidence: 0.8 }, { path: 'experience.0.company', confidence: 0.2 }]
+      };
+
+      const merged = correctionService.preserveVerifiedFields(corrected, reparsed);
+
+      expect(merged.personalInfo).toEqual({ name: 'Jane Doe', email: 'jane.doe@example.com', phone: '555-0100' });
+      expect(merged.experience).toEqual(corrected.experience);
+      expect(merged.skills.technical).toEqual(['Go']);
+      expect(merged.fieldConfidence.find(field => field.path === 'experience.0.company')).toMatchObject({ verified: true });
+      expect(merged.fieldConfidence.find(field => field.path === 'personalInfo.phone')).toMatchObject({ confidence: 0.8 });
+    });
+  });
+
+  describe('buildReview', () => {
+    it('should flag unverified fields below the threshold', () => {
+      const review = correctionService.buildReview(parsedContent());
+      const byPath = Object.fromEntries(review.fields.map(field => [field.path, field]));
+
+      expect(byPath['personalInfo.email'].lowConfidence).toBe(true);
+      expect(byPath['personalInfo.name'].lowConfidence).toBe(false);
+      expect(byPath['experience.0.company']).toMatchObject({ lowConfidence: true, index: 0, value: 'Acme' });
+      expect(byPath['skills.technical']).toMatchObject({ confidence: 0.5, lowConfidence: true });
+      expect(review.lowConfidenceCount).toBe(4);
+    });
+  });
+});
+
+describe('ResumeParsingService field confidence', () => {
+  it('should record confidence and the source line for extracted fields', async () => {
+    const parsingService = new ResumeParsingService();
+    const rawText = 'Jane Doe\njane@example.com\nExperience\nSenior Engineer | Acme Corp | 03/2019 - Present';
+
+    const content = await parsingService.extractStructuredContent(rawText);
+    const fields = parsingService.calculateFieldConfidence(content, rawText);
+    const byPath = Object.fromEntries(fields.map(field => [field.path, field]));
+
+    expect(byPath['personalInfo.email'].confidence).toBeGreaterThan(byPath['experience.0.company'].confidence);
+    expect(byPath['personalInfo.name'].span).toEqual({ start: 0, end: 8 });
+    expect(byPath['experience.0.startDate']).toMatchObject({
+      sourceText: 'Senior Engineer | Acme Corp | 03/2019 - Present'
+    });
+
+    const ocrFields = parsingService.calculateFieldConfidence(content, rawText, [], 0.5);
+    const ocrEmail = ocrFields.find(field => field.path === 'personalInfo.email');
+    expect(ocrEmail.confidence).toBeCloseTo(byPath['personalInfo.email'].confidence * 0.5, 1);
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { ResumeExportService } = require('../src/services/resumeExportService');
+const { parseResumeContent, ResumeParsingService } = require('../src/services/resumeParsingService');
+
+jest.mock('../src/utils/logger');
+
+const parsedContent = {
+  personalInfo: {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    phone: '(415) 555-0100',
+    address: 'Austin, TX 78701',
+    linkedin: 'https://linkedin.com/in/janedoe',
+    summary: 'Backend engineer with eight years building distributed systems.'
+  },
+  experience: [
+    {
+      position: 'Senior Engineer',
+      company: 'Acme Corp',
+      startDate: '2020-03',
+      endDate: null,
+      current: true,
+      location: 'Remote',
+      description: 'Led the payments platform team.',
+      achievements: ['Cut checkout latency by 40%', 'Mentored five engineers'],
+      technologies: ['Node.js', 'Kafka']
+    },
+    {
+      position: 'Software Engineer',
+      company: 'Globex',
+      startDate: '2016-06',
+      endDate: '2020-02',
+      current: false,
+      description: 'Built internal APIs.',
+      achievements: ['Shipped the billing API'],
+      technologies: []
+    }
+  ],
+  education: [
+    { degree: 'Bachelor of Science', field: 'Computer Science', institution: 'MIT', endDate: '2016', current: false }
+  ],
+  skills: {
+    technical: ['JavaScript', 'Python', 'Docker'],
+    soft: ['Leadership', 'Communication'],
+    languages: [{ language: 'English', proficiency: 'native' }, { language: 'Spanish', proficiency: 'advanced' }],
+    certifications: [{ name: 'AWS Certified Solutions Architect', issuer: 'Amazon', date: '2021' }]
+  },
+  projects: [
+    { name: 'Ledger', description: 'Double-entry accounting library', technologies: ['TypeScript'], url: 'https://ledger.dev' }
+  ],
+  awards: [{ title: 'Engineer of the Year', issuer: 'Acme Corp', date: '2022' }],
+  publications: [],
+  volunteering: []
+};
+
+describe('ResumeExportService', () => {
+  let exportService;
+  let exportDir;
+
+  beforeEach(() => {
+    exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-export-'));
+    exportService = new ResumeExportService();
+    exportService.exportDir = exportDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  describe('exportToPDF', () => {
+    it('should write a real PDF with selectable text', async () => {
+      const result = await exportService.exportResumeToFormat({ userId: 'abc123', parsedContent }, 'pdf');
+
+      expect(result.format).toBe('pdf');
+      expect(result.filename).toMatch(exportService.filenamePattern);
+      expect(result.expiresAt).toBeInstanceOf(Date);
+
+      const buffer = fs.readFileSync(result.filePath);
+      expect(buffer.slice(0, 5).toString()).toBe('%PDF-');
+      expect(result.size).toBe(buffer.length);
+
+      const { text } = await pdfParse(buffer);
+      expect(text).toContain('Jane Doe');
+      expect(text).toContain('Work Experience');
+      expect(text).toContain('Senior Engineer');
+      expect(text).toContain('Mar 2020 - Present');
+      expect(text).toContain('• Cut checkout latency by 40%');
+      expect(text).toContain('Technical: JavaScript, Python, Docker');
+    });
+
+    it('should embed the template fonts', async () => {
+      const classic = await exportService.exportToPDF({ userId: 'abc123', parsedContent }, 'classic');
+      const academic = await exportService.exportToPDF({ userId: 'abc123', parsedContent }, 'academic');
+
+      const classicPDF = fs.readFileSync(classic.filePath).toString('latin1');
+      const academicPDF = fs.readFileSync(academic.filePath).toString('latin1');
+
+      expect(classicPDF).toContain('/FontFile2');
+      expect(classicPDF).toContain('DejaVuSans');
+      expect(academicPDF).toContain('DejaVuSerif');
+      expect(academic.template).toBe('academic');
+    });
+
+    it('should break long resumes across pages', async () => {
+      const experience = Array.from({ length: 12 }, (_, index) => ({
+        ...parsedContent.experience[1],
+        company: `Company ${index}`,
+        achievements: Array.from({ length: 4 }, (__, item) => `Achievement ${index}-${item}`)
+      }));
+
+      const result = await exportService.exportToPDF({ userId: 'abc123', parsedContent: { ...parsedContent, experience } });
+      const { numpages, text } = await pdfParse(fs.readFileSync(result.filePath));
+
+      expect(numpages).toBeGreaterThan(1);
+      expect(text).toContain('Achievement 11-3');
+    });
+
+    it('should reject resumes without parsed content', async () => {
+      await expect(exportService.exportToPDF({ userId: 'abc123' })).rejects.toThrow('Failed to export resume as PDF');
+    });
+  });
+
+  describe('exportToDOCX', () => {
+    const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    it('should write an Office Open XML document', async () => {
+      const result = await exportService.exportResumeToFormat({ userId: 'abc123', parsedContent }, 'docx');
+
+      expect(result.format).toBe('docx');
+      // DOCX files are zip archives
+      expect(fs.readFileSync(result.filePath).slice(0, 2).toString()).toBe('PK');
+    });
+
+    it('should round-trip through the resume parser without losing sections', async () => {
+      const result = await exportService.exportToDOCX({ userId: 'abc123', parsedContent });
+      const parsed = await parseResumeContent(result.filePath, DOCX_MIME);
+
+      expect(parsed.personalInfo).toMatchObject({
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        phone: '(415) 555-0100',
+        address: 'Austin, TX 78701',
+        linkedin: 'https://linkedin.com/in/janedoe',
+        summary: parsedContent.personalInfo.summary
+      });
+
+      expect(parsed.experience).toHaveLength(parsedContent.experience.length);
+      parsedContent.experience.forEach((source, index) => {
+        expect(parsed.experience[index]).toMatchObject(source);
+      });
+
+      expect(parsed.education).toEqual([
+        expect.objectContaining(parsedContent.education[0])
+      ]);
+
+      expect(parsed.skills.technical).toEqual(parsedContent.skills.technical);
+      expect(parsed.skills.soft).toEqual(parsedContent.skills.soft);
+      expect(parsed.skills.languages).toEqual(parsedContent.skills.languages);
+      expect(parsed.skills.certifications).toEqual(parsedContent.skills.certifications);
+
+      expect(parsed.projects).toEqual([expect.objectContaining(parsedContent.projects[0])]);
+      expect(parsed.awards).toEqual([expect.objectContaining(parsedContent.awards[0])]);
+    });
+
+    it('should keep a current role as Present', async () => {
+      const result = await exportService.exportToDOCX({ userId: 'abc123', parsedContent });
+      const parsed = await parseResumeContent(result.filePath, DOCX_MIME);
+
+      expect(parsed.rawText).toContain('Mar 2020 - Present');
+      expect(parsed.experience[0]).toMatchObject({ current: true, endDate: null });
+    });
+
+    it.each([
+      ['native', 'native'],
+      ['Bilingual', 'native'],
+      ['Full professional proficiency', 'advanced'],
+      ['C1', 'advanced'],
+      ['Professional working proficiency', 'intermediate'],
+      ['conversational', 'intermediate'],
+      ['A2', 'beginner'],
+      ['some', undefined]
+    ])('should read the language level %j as %s', (level, proficiency) => {
+      expect(new ResumeParsingService().normalizeProficiency(level)).toBe(proficiency);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResumeParsingService } = require('../src/services/resumeParsingService');
+const { pdfLayoutService } = require('../src/services/pdfLayoutService');
+const { buildTwoColumnResumePDF } = require('./fixtures/twoColumnResume');
+
+jest.mock('../src/utils/logger');
+
+describe('ResumeParsingService', () => {
+  let parsingService;
+
+  beforeEach(() => {
+    parsingService = new ResumeParsingService();
+  });
+
+  describe('two-column PDFs', () => {
+    let dir;
+    let filePath;
+
+    beforeAll(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-parsing-'));
+      filePath = path.join(dir, 'two-column.pdf');
+      fs.writeFileSync(filePath, await buildTwoColumnResumePDF());
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should collect section text per column', async () => {
+      const layout = await pdfLayoutService.extractLayout(fs.readFileSync(filePath));
+
+      expect(layout.columns).toEqual([2]);
+      expect(layout.sections.education).toBe('BSc Computer Science\nMIT, 2012');
+      expect(layout.sections.skills).toBe('JavaScript, Python\nDocker, Kubernetes\nLeadership');
+      expect(layout.sections.experience).toMatch(/^Senior Engineer \| Acme Corp/);
+      expect(layout.sections.experience).not.toContain('MIT');
+    });
+
+    it('should parse education and experience from separate columns', async () => {
+      const parsed = await parsingService.parseResumeContent(filePath, 'application/pdf');
+
+      expect(parsed.layout).toMatchObject({ method: 'layout', columns: [2], headingsDetected: 3 });
+
+      expect(parsed.education).toEqual([
+        expect.objectContaining({ degree: 'BSc Computer Science', field: 'Computer Science', institution: 'MIT', endDate: '2012' })
+      ]);
+
+      expect(parsed.experience).toEqual([
+        expect.objectContaining({
+          position: 'Senior Engineer',
+          company: 'Acme Corp',
+          startDate: '2018-03',
+          current: true,
+          description: 'Led the payments platform team.',
+          achievements: ['Cut checkout latency by 40%', 'Mentored five engineers']
+        }),
+        expect.objectContaining({
+          position: 'Software Engineer',
+          company: 'Globex',
+          startDate: '2012-06',
+          endDate: '2018-02',
+          achievements: ['Shipped the billing API']
+        })
+      ]);
+
+      expect(parsed.skills.technical).toEqual(expect.arrayContaining(['JavaScript', 'Python', 'Docker', 'Kubernetes']));
+      expect(parsed.skills.soft).toEqual(['Leadership']);
+
+      const confidence = Object.fromEntries(parsed.sectionConfidence.map(item => [item.section, item]));
+      expect(confidence.education).toMatchObject({ source: 'layout', entries: 1 });
+      expect(confidence.education.confidence).toBeGreaterThanOrEqual(0.8);
+      expect(confidence.experience).toMatchObject({ source: 'layout', entries: 2 });
+    });
+  });
+
+  describe('extractStructuredContent', () => {
+    it('should prefer layout section text over heading slicing', async () => {
+      const content = await parsingService.extractStructuredContent('Jane Doe\nno headings here', {
+        education: 'Master of Science in Physics\nETH Zurich | 2019'
+      });
+
+      expect(content.education).toEqual([
+        expect.objectContaining({ degree: 'Master of Science', field: 'Physics', institution: 'ETH Zurich', endDate: '2019' })
+      ]);
+    });
+  });
+
+  describe('extractEducation', () => {
+    it('should read common degree abbreviations without duplicates', () => {
+      const education = parsingService.extractEducation('Education\nB.Eng. Mechanical Engineering\nTU Delft\n2015\nMBA\nINSEAD, 2020');
+
+      expect(education.map(edu => [edu.degree, edu.institution, edu.endDate])).toEqual([
+        ['B.Eng. Mechanical Engineering', 'TU Delft', '2015'],
+        ['MBA', 'INSEAD', '2020']
+      ]);
+    });
+  });
+});
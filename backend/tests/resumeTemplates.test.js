@@ -0,0 +1,97 @@
+const { ResumeTemplateService } = require('../src/services/resumeTemplateService');
+
+jest.mock('../src/utils/logger');
+
+const resume = {
+  parsedContent: {
+    personalInfo: {
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      summary: 'Engineer <script>alert(1)</script>'
+    },
+    experience: [
+      {
+        position: 'Senior Engineer',
+        company: 'Acme Corp',
+        startDate: '2020-03',
+        current: true,
+        achievements: ['Cut checkout latency by 40%']
+      }
+    ],
+    education: [{ degree: 'PhD', field: 'Physics', institution: 'MIT', endDate: '2016' }],
+    skills: { technical: ['JavaScript'], soft: [], languages: [], certifications: [] },
+    publications: [{ title: 'On Distributed Ledgers', publisher: 'ACM', date: '2015' }]
+  }
+};
+
+describe('ResumeTemplateService', () => {
+  let templateService;
+
+  beforeEach(() => {
+    templateService = new ResumeTemplateService();
+  });
+
+  describe('listTemplates', () => {
+    it('should list the bundled themes with classic as default', () => {
+      const templates = templateService.listTemplates();
+
+      expect(templates.map(template => template.id)).toEqual(['classic', 'modern', 'academic']);
+      expect(templates.find(template => template.isDefault).id).toBe('classic');
+      expect(templates.find(template => template.id === 'modern')).toMatchObject({ columns: 2, atsFallback: true });
+    });
+  });
+
+  describe('getTemplate', () => {
+    it('should fall back to the default template for unknown IDs', () => {
+      expect(templateService.getTemplate('neon').id).toBe('classic');
+      expect(templateService.getTemplate(undefined).id).toBe('classic');
+    });
+  });
+
+  describe('registerTemplate', () => {
+    it('should require an id and a file', () => {
+      expect(() => templateService.registerTemplate({ id: 'broken' })).toThrow('Resume template requires an id and a file');
+    });
+  });
+
+  describe('renderHTML', () => {
+    it('should render resume content and escape user text', () => {
+      const html = templateService.renderHTML(resume, 'classic');
+
+      expect(html).toContain('Jane Doe');
+      expect(html).toContain('Mar 2020 - Present');
+      expect(html).toContain('Cut checkout latency by 40%');
+      expect(html).not.toContain('<script>alert(1)</script>');
+      expect(html).toContain('&lt;script&gt;');
+    });
+
+    it('should use the two-column layout unless ATS mode is requested', () => {
+      const preview = templateService.renderHTML(resume, 'modern');
+      const atsPreview = templateService.renderHTML(resume, 'modern', { atsMode: true });
+
+      expect(preview).toContain('<div class="layout-two-column">');
+      expect(atsPreview).toContain('<div class="layout-single">');
+    });
+
+    it('should order sections by the academic template', () => {
+      const html = templateService.renderHTML(resume, 'academic');
+      const classic = templateService.renderHTML(resume, 'classic');
+
+      expect(html.indexOf('MIT')).toBeLessThan(html.indexOf('Acme Corp'));
+      expect(classic.indexOf('MIT')).toBeGreaterThan(classic.indexOf('Acme Corp'));
+      expect(html).toContain('On Distributed Ledgers');
+    });
+
+    it('should reject resumes that have not been parsed', () => {
+      expect(() => templateService.renderHTML({}, 'classic')).toThrow('Resume content not available');
+    });
+  });
+
+  describe('formatDateRange', () => {
+    it('should format month ranges and current roles', () => {
+      expect(templateService.formatDateRange('2019-03', '2021-07')).toBe('Mar 2019 - Jul 2021');
+      expect(templateService.formatDateRange('2019-03', null, true)).toBe('Mar 2019 - Present');
+      expect(templateService.formatDateRange(null, null)).toBe('');
+    });
+  });
+});
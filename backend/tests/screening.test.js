@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const { ScreeningService } = require('../src/services/screeningService');
+
+jest.mock('../src/utils/logger');
+
+const question = (fields) => ({ _id: new mongoose.Types.ObjectId(), required: false, ...fields });
+
+const relocate = question({ question: 'Can you relocate?', type: 'yes-no', required: true, knockout: { expected: 'yes', action: 'reject' } });
+const level = question({
+  question: 'Seniority?',
+  type: 'multiple-choice',
+  options: ['Junior', 'Mid', 'Senior'],
+  knockout: { acceptedOptions: ['Mid', 'Senior'], action: 'flag' }
+});
+const react = question({ question: 'Rate your React', type: 'rating', maxRating: 5, knockout: { minRating: 3, action: 'reject' } });
+const motivation = question({ question: 'Why us?', type: 'text' });
+
+const buildJob = (questions = [relocate, level, react, motivation], enabled = true) => ({
+  _id: 'job1',
+  screening: { enabled, questions }
+});
+
+const answer = (q, value) => ({ questionId: q._id.toString(), answer: value });
+
+/**
+ * The rows Application.getScreeningCounts' $unwind and $group produce
+ * for these applications
+ */
+const screeningCounts = (applications) => {
+  const rows = new Map();
+  applications.forEach(application => {
+    const answers = application.screening?.answers || [];
+    (answers.length > 0 ? answers : [undefined]).forEach((entry, index) => {
+      const _id = {
+        result: application.screening?.result,
+        questionId: entry?.questionId,
+        answer: entry?.answer,
+        passed: entry?.passed
+      };
+      const key = JSON.stringify(_id);
+      const row = rows.get(key) || { _id, answers: 0, applications: 0 };
+      row.answers += entry ? 1 : 0;
+      row.applications += index === 0 ? 1 : 0;
+      rows.set(key, row);
+    });
+  });
+  return [...rows.values()];
+};
+
+describe('ScreeningService', () => {
+  let screening;
+
+  beforeEach(() => {
+    screening = new ScreeningService();
+  });
+
+  describe('screen', () => {
+    it('should pass applicants meeting every knockout rule', () => {
+      const { screening: result, errors } = screening.screen(buildJob(), [
+        answer(relocate, true),
+        answer(level, 'Senior'),
+        answer(react, '4'),
+        answer(motivation, '  Great team  ')
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(result).toMatchObject({ result: 'passed', reasons: [] });
+      expect(result.answers.map(({ answer: value, passed }) => [value, passed])).toEqual([
+        ['yes', true],
+        ['Senior', true],
+        [4, true],
+        ['Great team', true]
+      ]);
+    });
+
+    it.each([
+      ['yes-no must be yes', relocate, 'no', 'rejected', 'Knockout: "Can you relocate?" answered no'],
+      ['rating ≥ 3', react, 2, 'rejected', 'Knockout: "Rate your React" answered 2'],
+      ['accepted options', level, 'Junior', 'flagged', 'Flagged: "Seniority?" answered Junior']
+    ])('should apply the %s rule', (rule, q, value, result, reason) => {
+      const { screening: outcome } = screening.screen(buildJob([q]), [answer(q, value)]);
+
+      expect(outcome.result).toBe(result);
+      expect(outcome.reasons).toEqual([reason]);
+      expect(outcome.answers[0].passed).toBe(false);
+    });
+
+    it('should accept a rating equal to the minimum', () => {
+      const { screening: outcome } = screening.screen(buildJob([react]), [answer(react, 3)]);
+
+      expect(outcome.result).toBe('passed');
+    });
+
+    it('should let a rejection win over a flag', () => {
+      const { screening: outcome } = screening.screen(buildJob(), [
+        answer(relocate, 'yes'),
+        answer(level, 'Junior'),
+        answer(react, 1)
+      ]);
+
+      expect(outcome.result).toBe('rejected');
+      expect(outcome.reasons).toHaveLength(2);
+    });
+
+    it('should fail knockout rules of optional questions left unanswered', () => {
+      const { screening: outcome, errors } = screening.screen(buildJob(), [answer(relocate, 'yes'), answer(level, 'Mid')]);
+
+      expect(errors).toEqual([]);
+      expect(outcome.result).toBe('rejected');
+      expect(outcome.reasons).toEqual(['Knockout: "Rate your React" answered (no answer)']);
+      expect(outcome.answers).toHaveLength(2);
+    });
+
+    it('should refuse missing required, invalid and unknown answers', () => {
+      const unknown = new mongoose.Types.ObjectId().toString();
+
+      const { screening: outcome, errors } = screening.screen(buildJob(), [
+        answer(level, 'Principal'),
+        answer(react, 6),
+        { questionId: unknown, answer: 'yes' }
+      ]);
+
+      expect(outcome).toBeNull();
+      expect(errors).toEqual([
+        `Unknown screening question: ${unknown}`,
+        '"Can you relocate?" is required',
+        '"Seniority?" must be one of the offered options',
+        '"Rate your React" must be a whole number from 1 to 5'
+      ]);
+    });
+
+    it('should treat blank answers as unanswered', () => {
+      const { errors } = screening.screen(buildJob([relocate]), [answer(relocate, '  ')]);
+
+      expect(errors).toEqual(['"Can you relocate?" is required']);
+    });
+
+    it('should not screen jobs without enabled questions', () => {
+      expect(screening.screen(buildJob([relocate], false), [])).toEqual({ screening: null, errors: [] });
+      expect(screening.screen({ _id: 'job2' })).toEqual({ screening: null, errors: [] });
+    });
+  });
+
+  describe('getPublicQuestions', () => {
+    it('should leave the knockout rules out', () => {
+      const questions = screening.getPublicQuestions(buildJob());
+
+      expect(questions).toEqual([
+        { id: relocate._id, question: 'Can you relocate?', type: 'yes-no', required: true },
+        { id: level._id, question: 'Seniority?', type: 'multiple-choice', required: false, options: ['Junior', 'Mid', 'Senior'] },
+        { id: react._id, question: 'Rate your React', type: 'rating', required: false, maxRating: 5 },
+        { id: motivation._id, question: 'Why us?', type: 'text', required: false }
+      ]);
+    });
+  });
+
+  describe('validateQuestions', () => {
+    it('should accept valid knockout rules', () => {
+      expect(screening.validateQuestions({ questions: [relocate, level, react, motivation] })).toEqual([]);
+    });
+
+    it.each([
+      [{ question: 'Level?', type: 'multiple-choice', options: ['A', 'B'], knockout: { acceptedOptions: ['C'] } }, 'Question 1 knockout accepts options that aren\'t offered'],
+      [{ question: 'Level?', type: 'multiple-choice', options: ['A'] }, 'Question 1 needs at least 2 options'],
+      [{ question: 'Rate', type: 'rating', maxRating: 5, knockout: { minRating: 6 } }, 'Question 1 knockout minimum rating must be between 1 and 5'],
+      [{ question: 'Rate', type: 'rating', maxRating: 12 }, 'Question 1 maximum rating must be a whole number from 2 to 10'],
+      [{ question: 'Why?', type: 'text', knockout: { expected: 'yes' } }, 'Question 1 knockout expected answer only applies to yes-no questions'],
+      [{ question: 'Relocate?', type: 'yes-no', knockout: { minRating: 3 } }, 'Question 1 knockout minimum rating only applies to rating questions'],
+      [{ question: 'Rate', type: 'rating', knockout: { acceptedOptions: ['5'] } }, 'Question 1 knockout accepted options only apply to multiple-choice questions'],
+      [{ type: 'yes-no' }, 'Question 1 needs question text']
+    ])('should refuse %j', (entry, error) => {
+      expect(screening.validateQuestions({ questions: [entry] })).toEqual([error]);
+    });
+  });
+
+  describe('getAnswerBreakdown', () => {
+    const screened = (answers) => screening.screen(buildJob(), answers).screening;
+
+    it('should count results, answers and knockout outcomes across applications', () => {
+      const applications = [
+        { screening: screened([answer(relocate, 'yes'), answer(level, 'Senior'), answer(react, 5)]) },
+        { screening: screened([answer(relocate, 'yes'), answer(level, 'Junior'), answer(react, 4)]) },
+        { screening: screened([answer(relocate, 'no'), answer(level, 'Senior'), answer(react, 2), answer(motivation, 'Pay')]) },
+        { screening: screened([answer(relocate, 'yes'), answer(level, 'Senior')]) },
+        {}
+      ];
+
+      const { results, questions } = screening.getAnswerBreakdown(buildJob(), screeningCounts(applications));
+
+      expect(results).toEqual({ passed: 1, flagged: 1, rejected: 2, notScreened: 1 });
+      expect(questions).toEqual([
+        {
+          questionId: relocate._id,
+          question: 'Can you relocate?',
+          type: 'yes-no',
+          answered: 4,
+          unanswered: 1,
+          counts: { yes: 3, no: 1 },
+          knockout: { action: 'reject', passed: 3, failed: 1 }
+        },
+        {
+          questionId: level._id,
+          question: 'Seniority?',
+          type: 'multiple-choice',
+          answered: 4,
+          unanswered: 1,
+          counts: { Junior: 1, Mid: 0, Senior: 3 },
+          knockout: { action: 'flag', passed: 3, failed: 1 }
+        },
+        {
+          questionId: react._id,
+          question: 'Rate your React',
+          type: 'rating',
+          answered: 3,
+          unanswered: 2,
+          counts: { 1: 0, 2: 1, 3: 0, 4: 1, 5: 1 },
+          average: 3.7,
+          knockout: { action: 'reject', passed: 2, failed: 1 }
+        },
+        { questionId: motivation._id, question: 'Why us?', type: 'text', answered: 1, unanswered: 4 }
+      ]);
+    });
+
+    it('should break down a job without applications', () => {
+      const { results, questions } = screening.getAnswerBreakdown(buildJob([react]), []);
+
+      expect(results).toEqual({ passed: 0, flagged: 0, rejected: 0, notScreened: 0 });
+      expect(questions[0]).toMatchObject({ answered: 0, unanswered: 0, average: null, knockout: { passed: 0, failed: 0 } });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const Skill = require('../src/models/Skill');
+const { SkillsTaxonomyService } = require('../src/services/skillsTaxonomyService');
+const { scheduleRefresh } = require('../src/utils/scheduleRefresh');
+
+jest.mock('../src/utils/logger');
+
+const mockQuery = (value) => ({
+  sort: jest.fn().mockReturnThis(),
+  select: jest.fn().mockReturnThis(),
+  lean: jest.fn().mockResolvedValue(value)
+});
+
+describe('SkillsTaxonomyService', () => {
+  let taxonomy;
+
+  beforeEach(() => {
+    taxonomy = new SkillsTaxonomyService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('lookups', () => {
+    it('should resolve aliases and spellings to canonical skills', () => {
+      expect(taxonomy.getSkillId('k8s')).toBe('kubernetes');
+      expect(taxonomy.normalizeSkillName('node js')).toBe(taxonomy.normalizeSkillName('NodeJS'));
+      expect(taxonomy.getSkillId('Java')).not.toBe(taxonomy.getSkillId('JavaScript'));
+    });
+
+    it('should compare skills by canonical ID', () => {
+      const result = taxonomy.compareSkills(['k8s', 'Java'], ['Kubernetes', 'JavaScript']);
+
+      expect(result.matched).toEqual(['Kubernetes']);
+      expect(result.missing).toEqual(['JavaScript']);
+    });
+  });
+
+  describe('custom skills', () => {
+    const extension = { skillId: 'kubernetes', aliases: ['kates'], updatedAt: new Date('2024-01-01') };
+
+    it('should extend bundled skills with admin entries', async () => {
+      jest.spyOn(Skill, 'find').mockReturnValue(mockQuery([extension]));
+
+      await taxonomy.loadCustomSkills();
+
+      expect(taxonomy.getSkillId('kates')).toBe('kubernetes');
+      expect(taxonomy.findSkill('kubernetes').extended).toBe(true);
+    });
+
+    it('should only reload when the stored entries changed', async () => {
+      const find = jest.spyOn(Skill, 'find').mockReturnValue(mockQuery([extension]));
+      await taxonomy.loadCustomSkills();
+
+      jest.spyOn(Skill, 'countDocuments').mockResolvedValue(1);
+      const findOne = jest.spyOn(Skill, 'findOne').mockReturnValue(mockQuery({ updatedAt: extension.updatedAt }));
+
+      expect(await taxonomy.refreshCustomSkills()).toBe(false);
+      expect(find).toHaveBeenCalledTimes(1);
+
+      // Another instance added an alias
+      const edited = { ...extension, aliases: ['kates', 'kubes'], updatedAt: new Date('2024-02-01') };
+      findOne.mockReturnValue(mockQuery({ updatedAt: edited.updatedAt }));
+      find.mockReturnValue(mockQuery([edited]));
+
+      expect(await taxonomy.refreshCustomSkills()).toBe(true);
+      expect(taxonomy.getSkillId('kubes')).toBe('kubernetes');
+    });
+
+    it('should drop entries removed elsewhere', async () => {
+      jest.spyOn(Skill, 'find')
+        .mockReturnValueOnce(mockQuery([extension]))
+        .mockReturnValueOnce(mockQuery([]));
+      await taxonomy.loadCustomSkills();
+
+      jest.spyOn(Skill, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Skill, 'findOne').mockReturnValue(mockQuery(null));
+
+      expect(await taxonomy.refreshCustomSkills()).toBe(true);
+      expect(taxonomy.getSkillId('kates')).toBeNull();
+    });
+  });
+});
+
+describe('scheduleRefresh', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should call refresh on every interval until stopped', async () => {
+    jest.useFakeTimers();
+    const refresh = jest.fn().mockResolvedValue(true);
+
+    const stop = scheduleRefresh('Test', refresh, 1000);
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(refresh).toHaveBeenCalledTimes(3);
+
+    stop();
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(refresh).toHaveBeenCalledTimes(3);
+  });
+
+  it('should keep running after a failed refresh', async () => {
+    jest.useFakeTimers();
+    const refresh = jest.fn()
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValue(true);
+
+    const stop = scheduleRefresh('Test', refresh, 1000);
+    await jest.advanceTimersByTimeAsync(2000);
+    stop();
+
+    expect(refresh).toHaveBeenCalledTimes(2);
+  });
+});
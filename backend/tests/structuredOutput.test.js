@@ -0,0 +1,167 @@
+const { llmService } = require('../ai-services/LLMService');
+const { ScriptedProvider } = require('../ai-services/LLMProviders');
+const { geminiService } = require('../ai-services/GeminiService');
+const { resumeAIService } = require('../ai-services/ResumeAIService');
+const { aiCacheService } = require('../ai-services/AICacheService');
+const { structuredOutputService } = require('../ai-services/StructuredOutputService');
+const { promptEvaluationService } = require('../ai-services/PromptEvaluationService');
+const { promptRegistry } = require('../ai-services/PromptRegistry');
+const Resume = require('../src/models/Resume');
+const { analyzeResumeWithAI } = require('../src/controllers/aiController');
+
+jest.mock('../src/utils/logger');
+
+const ATS_RESULT = {
+  score: 82,
+  factors: { formatting: { score: 90 }, keywords: { score: 70, missing: ['Kubernetes'] } },
+  overallFeedback: 'Solid'
+};
+
+describe('GeminiService structured output', () => {
+  const routes = { ...llmService.taskRoutes };
+  let fake;
+
+  beforeEach(() => {
+    fake = llmService.registerProvider('scripted', new ScriptedProvider({ name: 'scripted' }));
+    ['atsAnalysis', 'skillExtraction', 'contentAnalysis', 'resumeOptimization'].forEach(task => {
+      llmService.setTaskRoute(task, 'scripted');
+    });
+    structuredOutputService.resetMetrics();
+  });
+
+  afterEach(() => {
+    llmService.taskRoutes = { ...routes };
+    llmService.providers.delete('scripted');
+    llmService.factories.delete('scripted');
+    jest.restoreAllMocks();
+  });
+
+  it('should return validated data once a repair succeeds', async () => {
+    fake.setResponse('atsAnalysis', ['{"score": "high"}', `Here you go: ${JSON.stringify(ATS_RESULT)}`]);
+    const set = jest.spyOn(aiCacheService, 'set');
+
+    const result = await geminiService.analyzeATSCompatibility('Resume text');
+
+    expect(result).toMatchObject({ ...ATS_RESULT, prompt: { name: 'atsAnalysis', version: 'v1' } });
+    expect(result).not.toHaveProperty('validationErrors');
+    expect(fake.calls).toHaveLength(2);
+    expect(fake.calls[1].prompt).toContain('Your previous response did not match the required JSON format.');
+    expect(set).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail instead of returning defaults when repairs are exhausted', async () => {
+    fake.setResponse('atsAnalysis', 'Not a JSON response');
+    const set = jest.spyOn(aiCacheService, 'set');
+
+    await expect(geminiService.analyzeATSCompatibility('Resume text')).rejects.toThrow(
+      /^Failed to analyze ATS compatibility: INVALID_AI_OUTPUT: atsAnalysis output did not match its schema after 3 attempts: Invalid JSON/
+    );
+    expect(fake.calls).toHaveLength(structuredOutputService.maxRepairs + 1);
+    expect(set).not.toHaveBeenCalled();
+    expect(structuredOutputService.getMetrics().tasks.atsAnalysis).toMatchObject({ requests: 1, failed: 1, validationFailures: 3 });
+  });
+
+  it('should count validation metrics per prompt version', async () => {
+    promptRegistry.addVersion({ name: 'atsAnalysis', version: 'v2', template: 'Score this resume: {{resumeContent}}' });
+    try {
+      fake.setResponse('atsAnalysis', [ATS_RESULT, '{"score": "high"}', ATS_RESULT]);
+
+      await geminiService.analyzeATSCompatibility('Resume A', { promptVersion: 'v1' });
+      await geminiService.analyzeATSCompatibility('Resume B', { promptVersion: 'v2' });
+    } finally {
+      delete promptRegistry.prompts.atsAnalysis.versions.v2;
+    }
+
+    const { tasks } = structuredOutputService.getMetrics();
+    expect(tasks.atsAnalysis).toMatchObject({ requests: 2, valid: 2, repaired: 1, validationFailures: 1 });
+    expect(tasks.atsAnalysis.versions).toEqual({
+      v1: expect.objectContaining({ prompt: { name: 'atsAnalysis', version: 'v1' }, requests: 1, valid: 1, repaired: 0, validationFailures: 0 }),
+      v2: expect.objectContaining({ prompt: { name: 'atsAnalysis', version: 'v2' }, requests: 1, valid: 1, repaired: 1, validationFailures: 1 })
+    });
+  });
+
+  it('should report the validation errors on the thrown error', async () => {
+    fake.setResponse('skillExtraction', { skills: [{ skill: 'Go', category: 'hobbies' }] });
+
+    const error = await geminiService.generateStructured('skillExtraction', 'Extract skills').catch(thrown => thrown);
+
+    expect(error.code).toBe('INVALID_AI_OUTPUT');
+    expect(error.validationErrors).toEqual(['.skills[0].category should be equal to one of the allowed values']);
+    expect(geminiService.isRetryableError(error)).toBe(false);
+  });
+
+  it('should fill schema defaults without a second validation pass', async () => {
+    fake.setResponse('skillExtraction', { skills: [{ skill: 'Go', category: 'languages' }] });
+    const validate = jest.spyOn(structuredOutputService, 'validate');
+
+    const result = await geminiService.extractSkills('Resume text');
+
+    expect(result).toMatchObject({ skills: [{ skill: 'Go', category: 'languages' }], categories: {} });
+    expect(validate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail resume optimization on invalid output', async () => {
+    fake.setResponse('resumeOptimization', '{"keywordOptimization": 5}');
+    const resume = { _id: 'resume1', parsedContent: { rawText: 'Resume' } };
+    const job = { _id: 'job1', title: 'Engineer', company: { name: 'Acme' }, description: 'Build things' };
+
+    await expect(resumeAIService.optimizeForJob(resume, job)).rejects.toThrow('INVALID_AI_OUTPUT: resumeOptimization');
+  });
+
+  it('should fail the full analysis instead of scoring placeholder data', async () => {
+    fake.setResponse('atsAnalysis', ATS_RESULT);
+    fake.setResponse('contentAnalysis', { contentQuality: { score: 'good' } });
+    fake.setResponse('skillExtraction', { skills: [] });
+    jest.spyOn(geminiService, 'generateResumeSuggestions').mockResolvedValue({ suggestions: [] });
+    const resume = { _id: 'resume1', parsedContent: { rawText: 'Resume' } };
+
+    const error = await resumeAIService.analyzeResume(resume).catch(thrown => thrown);
+
+    expect(error.message).toMatch(/^Failed to analyze resume: INVALID_AI_OUTPUT: contentAnalysis output did not match/);
+    expect(error.code).toBe('INVALID_AI_OUTPUT');
+    expect(error.validationErrors).toEqual(expect.arrayContaining([expect.stringContaining('structure')]));
+  });
+
+  it('should keep the code of a task error wrapped by the service', async () => {
+    fake.setResponse('skillExtraction', '{"skills": "Go"}');
+
+    const error = await resumeAIService.extractSkills({ _id: 'resume1', parsedContent: { rawText: 'Resume' } }).catch(thrown => thrown);
+
+    expect(error.message).toMatch(/^Failed to extract skills: INVALID_AI_OUTPUT: skillExtraction/);
+    expect(error).toMatchObject({ code: 'INVALID_AI_OUTPUT', validationErrors: expect.any(Array) });
+  });
+
+  it('should answer 502 with the validation errors and save nothing', async () => {
+    const resume = new Resume({ userId: '507f1f77bcf86cd799439011', parsedContent: { rawText: 'Resume' } });
+    jest.spyOn(resume, 'save');
+    jest.spyOn(Resume, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(resume) });
+    fake.setResponse('atsAnalysis', ATS_RESULT);
+    fake.setResponse('contentAnalysis', 'Not a JSON response');
+    fake.setResponse('skillExtraction', { skills: [] });
+    jest.spyOn(geminiService, 'generateResumeSuggestions').mockResolvedValue({ suggestions: [] });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+
+    await analyzeResumeWithAI({ body: { resumeId: 'resume1' }, user: { id: '507f1f77bcf86cd799439011', role: 'candidate' } }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Failed to analyze resume: INVALID_AI_OUTPUT: contentAnalysis output did not match its schema after 3 attempts: Invalid JSON: No valid JSON found in response',
+      details: { validationErrors: ['Invalid JSON: No valid JSON found in response'] }
+    });
+    expect(next).not.toHaveBeenCalled();
+    expect(resume.save).not.toHaveBeenCalled();
+  });
+
+  it('should report invalid output in prompt evaluations', async () => {
+    fake.setResponse('atsAnalysis', '{}');
+    jest.spyOn(geminiService, 'executeWithRetry').mockImplementation(fn => fn());
+
+    const output = await promptEvaluationService.runFixture('atsAnalysis', { resume: { parsedContent: { rawText: 'Resume' } } }, 'v1');
+
+    expect(output).toMatchObject({ version: 'v1', valid: false, attempts: 3, validationErrors: expect.any(Array) });
+    expect(output.error).toMatch(/^Output did not match the schema: /);
+    expect(output).not.toHaveProperty('result');
+  });
+});
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HnswIndex } = require('../ai-services/HnswIndex');
+const { VectorIndexService } = require('../ai-services/VectorIndexService');
+const { embeddingService } = require('../ai-services/EmbeddingService');
+
+jest.mock('../src/utils/logger');
+
+// Small deterministic PRNG so the generated vectors are the same every run
+const random = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296 - 0.5;
+};
+
+const randomVectors = (count, dimensions, seed = 42) => {
+  const next = random(seed);
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, next));
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((value, i) => {
+    dot += value * b[i];
+    normA += value * value;
+    normB += b[i] * b[i];
+  });
+  return dot / Math.sqrt(normA * normB);
+};
+
+const bruteForce = (vectors, query, k) => vectors
+  .map((vector, i) => ({ id: `doc${i}`, similarity: cosine(vector, query) }))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, k)
+  .map(hit => hit.id);
+
+const buildIndex = (vectors, options = {}) => {
+  const index = new HnswIndex({ M: 8, efConstruction: 64, efSearch: 48, ...options });
+  vectors.forEach((vector, i) => index.add(`doc${i}`, vector));
+  return index;
+};
+
+describe('HnswIndex', () => {
+  const vectors = randomVectors(400, 16);
+  const queries = randomVectors(20, 16, 7);
+
+  it('should find nearly the same neighbours as a brute-force scan', () => {
+    const index = buildIndex(vectors);
+
+    let found = 0;
+    queries.forEach(query => {
+      const expected = bruteForce(vectors, query, 10);
+      const hits = index.search(query, 10).map(hit => hit.id);
+      found += hits.filter(id => expected.includes(id)).length;
+    });
+
+    expect(found / (queries.length * 10)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('should return hits best first with cosine similarity', () => {
+    const index = buildIndex(vectors);
+    const hits = index.search(vectors[5], 5);
+
+    expect(hits[0]).toEqual({ id: 'doc5', similarity: expect.closeTo(1, 5) });
+    hits.slice(1).forEach((hit, i) => expect(hit.similarity).toBeLessThanOrEqual(hits[i].similarity));
+  });
+
+  it('should replace the vector of an existing id', () => {
+    const index = buildIndex(vectors.slice(0, 50));
+
+    index.add('doc0', vectors[99]);
+
+    expect(index.size).toBe(50);
+    expect(index.search(vectors[99], 1)[0].id).toBe('doc0');
+  });
+
+  it('should leave removed items out of results and drop them on compact', () => {
+    const index = buildIndex(vectors.slice(0, 50));
+
+    expect(index.remove('doc3')).toBe(true);
+    expect(index.remove('doc3')).toBe(false);
+    expect(index.search(vectors[3], 50).map(hit => hit.id)).not.toContain('doc3');
+
+    index.compact();
+    expect(index.nodes).toHaveLength(49);
+    expect(index.deletedCount).toBe(0);
+  });
+
+  it('should reject vectors with the wrong number of dimensions', () => {
+    const index = buildIndex(vectors.slice(0, 5));
+
+    expect(() => index.add('other', [1, 2, 3])).toThrow('Vector has 3 dimensions, index expects 16');
+    expect(() => index.search([1, 2, 3])).toThrow('Query has 3 dimensions, index expects 16');
+  });
+
+  it('should answer the same after a JSON round trip', () => {
+    const index = buildIndex(vectors.slice(0, 100));
+    index.remove('doc1');
+
+    const restored = HnswIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+
+    expect(restored.size).toBe(99);
+    expect(restored.deletedCount).toBe(1);
+    queries.slice(0, 5).forEach(query => {
+      expect(restored.search(query, 10)).toEqual(index.search(query, 10));
+    });
+  });
+});
+
+describe('VectorIndexService', () => {
+  const vectors = randomVectors(60, 8);
+  let service;
+  let dir;
+
+  // Stand-in for Model.find(...).select(...).lean()[.cursor()] and .distinct()
+  const mockModel = (docs) => ({
+    find: jest.fn(() => ({
+      select: () => ({
+        lean: () => Object.assign(Promise.resolve(docs), {
+          cursor: () => docs[Symbol.iterator]()
+        })
+      }),
+      distinct: () => Promise.resolve(docs.map(doc => doc._id))
+    }))
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-index-'));
+    service = new VectorIndexService();
+    service.enabled = true;
+    service.directory = dir;
+    service.indexOptions = { M: 8, efConstruction: 64, efSearch: 48 };
+  });
+
+  afterEach(() => {
+    Object.values(service.saveTimers).forEach(timer => timer && clearTimeout(timer));
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const docs = (count) => vectors.slice(0, count).map((embedding, i) => ({ _id: `job${i}`, embedding }));
+
+  it('should rebuild from the database and persist the index', async () => {
+    jest.spyOn(service, 'getModel').mockReturnValue(mockModel(docs(40)));
+
+    await service.rebuild('jobs');
+    service.ready.jobs = true;
+
+    expect(service.indexes.jobs.size).toBe(40);
+    expect(fs.existsSync(path.join(dir, 'jobs.json'))).toBe(true);
+    expect(service.search('jobs', vectors[7], 1)[0].id).toBe('job7');
+  });
+
+  it('should load a saved index and rebuild when the embedding model changed', async () => {
+    jest.spyOn(service, 'getModel').mockReturnValue(mockModel(docs(20)));
+    await service.rebuild('jobs');
+
+    const other = new VectorIndexService();
+    other.directory = dir;
+    expect(await other.load('jobs')).toBeInstanceOf(Date);
+    expect(other.indexes.jobs.size).toBe(20);
+
+    jest.spyOn(embeddingService, 'model', 'get').mockReturnValue('another-model');
+    expect(await other.load('resumes')).toBeNull();
+    expect(await other.load('jobs')).toBeNull();
+  });
+
+  it('should sync changed and deleted documents after loading', async () => {
+    const stored = docs(20);
+    jest.spyOn(service, 'getModel').mockReturnValue(mockModel(stored));
+    await service.rebuild('jobs');
+
+    // job0 was deleted and job1 re-embedded while the index was offline
+    const current = [{ _id: 'job1', embedding: vectors[50] }, ...stored.slice(2)];
+    service.getModel.mockReturnValue(mockModel(current));
+    await service.sync('jobs', new Date());
+    service.ready.jobs = true;
+
+    expect(service.indexes.jobs.has('job0')).toBe(false);
+    expect(service.search('jobs', vectors[50], 1)[0].id).toBe('job1');
+  });
+
+  it('should reset the index when embedding dimensions change', () => {
+    service.ready.jobs = true;
+    service.upsert('jobs', 'job0', vectors[0]);
+    service.upsert('jobs', 'job1', [1, 0, 0]);
+
+    expect(service.indexes.jobs.size).toBe(1);
+    expect(service.indexes.jobs.dimensions).toBe(3);
+  });
+
+  it('should not answer searches until ready or with mismatched queries', () => {
+    service.upsert('jobs', 'job0', vectors[0]);
+
+    expect(service.search('jobs', vectors[0])).toBeNull();
+    service.ready.jobs = true;
+    expect(service.search('jobs', [1, 0])).toBeNull();
+    expect(service.search('jobs', vectors[0], 1)).toEqual([{ id: 'job0', similarity: expect.closeTo(1, 5) }]);
+  });
+
+  it('should widen the candidate pool when filters drop too many documents', async () => {
+    docs(60).forEach(doc => service.upsert('jobs', doc._id, doc.embedding));
+    service.ready.jobs = true;
+
+    // Only even-numbered jobs pass the filters
+    const loadDocuments = jest.fn(async ids => ids.filter(id => Number(id.slice(3)) % 2 === 0));
+
+    const result = await service.retrieve('jobs', vectors[1], loadDocuments, { pool: 4, minResults: 10 });
+
+    expect(loadDocuments.mock.calls.map(([ids]) => ids.length)).toEqual([4, 8, 16, 32]);
+    expect(result.documents.length).toBeGreaterThanOrEqual(10);
+    expect(result.candidates).toBe(32);
+  });
+});
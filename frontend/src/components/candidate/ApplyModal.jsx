@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useQuery, useMutation } from 'react-query';
+import { X, Send, Star, ClipboardList } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+import { jobsAPI } from '../../services/api';
+import { cn } from '../../utils/cn';
+
+// Input for one screening question, by question type
+const ScreeningQuestion = ({ question, value, onChange }) => {
+  switch (question.type) {
+    case 'yes-no':
+      return (
+        <div className="flex space-x-3">
+          {['yes', 'no'].map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => onChange(option)}
+              className={cn(
+                "btn btn-sm capitalize",
+                value === option ? "btn-primary" : "btn-secondary"
+              )}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      );
+    case 'multiple-choice':
+      return (
+        <div className="space-y-2">
+          {question.options.map(option => (
+            <label key={option} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name={question.id}
+                checked={value === option}
+                onChange={() => onChange(option)}
+                className="text-primary-600 focus:ring-primary-500"
+              />
+              <span>{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    case 'rating':
+      return (
+        <div className="flex items-center space-x-1">
+          {Array.from({ length: question.maxRating }, (_, i) => i + 1).map(rating => (
+            <button
+              key={rating}
+              type="button"
+              onClick={() => onChange(rating)}
+              title={`${rating} of ${question.maxRating}`}
+            >
+              <Star className={cn(
+                "w-6 h-6",
+                value >= rating ? "text-warning-500 fill-current" : "text-gray-300"
+              )} />
+            </button>
+          ))}
+        </div>
+      );
+    default:
+      return (
+        <textarea
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={2000}
+          rows={3}
+          className="input w-full"
+        />
+      );
+  }
+};
+
+const ApplyModal = ({ job, resumes = [], onClose, onApplied }) => {
+  const activeResume = resumes.find(r => r.isActive) || resumes[0];
+  const [resumeId, setResumeId] = useState(activeResume?._id || '');
+  const [coverLetter, setCoverLetter] = useState('');
+  const [answers, setAnswers] = useState({});
+
+  const { data: screening, isLoading } = useQuery(
+    ['job-screening', job.id],
+    () => jobsAPI.getScreeningQuestions(job.id),
+    {
+      select: (response) => response.data.data,
+    }
+  );
+
+  const questions = screening?.questions || [];
+  const missingRequired = questions.filter(q =>
+    q.required && (answers[q.id] === undefined || answers[q.id] === '')
+  );
+
+  const applyMutation = useMutation(
+    () => jobsAPI.applyToJob(job.id, {
+      resumeId: resumeId || undefined,
+      coverLetter: coverLetter || undefined,
+      answers: Object.entries(answers)
+        .filter(([, answer]) => answer !== '')
+        .map(([questionId, answer]) => ({ questionId, answer }))
+    }),
+    {
+      onSuccess: () => {
+        toast.success('Application submitted successfully');
+        onApplied?.(job);
+        onClose();
+      },
+      onError: (error) => {
+        const details = error.response?.data?.details;
+        toast.error(details?.[0] || error.response?.data?.error || 'Failed to submit application');
+      },
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    applyMutation.mutate();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        className="bg-white rounded-xl shadow-large max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Apply to {job.title}</h2>
+              <p className="text-gray-600">{job.company?.name}</p>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="p-6 space-y-6">
+            {/* Resume */}
+            {resumes.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Resume</label>
+                <select
+                  value={resumeId}
+                  onChange={(e) => setResumeId(e.target.value)}
+                  className="input w-full"
+                >
+                  {resumes.map(resume => (
+                    <option key={resume._id} value={resume._id}>
+                      {resume.originalName || resume.filename}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Cover Letter */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Cover Letter <span className="text-gray-400">(optional)</span>
+              </label>
+              <textarea
+                value={coverLetter}
+                onChange={(e) => setCoverLetter(e.target.value)}
+                maxLength={2000}
+                rows={4}
+                className="input w-full"
+              />
+            </div>
+
+            {/* Screening Questions */}
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <div className="loading-spinner w-6 h-6"></div>
+              </div>
+            ) : questions.length > 0 && (
+              <div className="space-y-4">
+                <h3 className="flex items-center font-semibold text-gray-900">
+                  <ClipboardList className="w-5 h-5 mr-2 text-primary-500" />
+                  Screening Questions
+                </h3>
+                {questions.map(question => (
+                  <div key={question.id}>
+                    <p className="text-sm font-medium text-gray-700 mb-2">
+                      {question.question}
+                      {question.required && <span className="text-error-500 ml-1">*</span>}
+                    </p>
+                    <ScreeningQuestion
+                      question={question}
+                      value={answers[question.id]}
+                      onChange={(answer) => setAnswers(prev => ({ ...prev, [question.id]: answer }))}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Modal Footer */}
+          <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-md">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isLoading || missingRequired.length > 0 || applyMutation.isLoading}
+              className="btn btn-primary btn-md"
+            >
+              <Send className="w-4 h-4 mr-2" />
+              {applyMutation.isLoading ? 'Submitting...' : 'Submit Application'}
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ApplyModal;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { motion } from 'framer-motion';
+import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Briefcase, 
   MapPin, 
@@ -20,6 +20,7 @@ import {
   AlertCircle
 } from 'lucide-react';
 
+import ApplyModal from './ApplyModal';
 import { cn } from '../../utils/cn';
 import { 
   formatSalaryRange, 
@@ -27,10 +28,11 @@ import {
   getMatchScoreColor,
   formatEmploymentType,
   formatWorkMode,
-  truncateText
+  truncateText,
+  flattenMissingSkills
 } from '../../utils/formatters';
 
-const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
+const JobRecommendations = ({ jobRecommendations, resumes, refetchJobs }) => {
   const [filters, setFilters] = useState({
     location: '',
     employmentType: '',
@@ -40,6 +42,8 @@ const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
   });
   const [searchTerm, setSearchTerm] = useState('');
   const [savedJobs, setSavedJobs] = useState(new Set());
+  const [applyingTo, setApplyingTo] = useState(null);
+  const [appliedJobs, setAppliedJobs] = useState(new Set());
 
   const jobs = jobRecommendations?.matches || [];
   const totalJobs = jobRecommendations?.totalJobs || 0;
@@ -80,8 +84,11 @@ const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
   };
 
   const handleApply = (job) => {
-    // This would open the application modal/page
-    console.log('Apply to job:', job);
+    setApplyingTo(job.job);
+  };
+
+  const handleApplied = (job) => {
+    setAppliedJobs(prev => new Set(prev).add(job.id));
   };
 
   const containerVariants = {
@@ -236,7 +243,8 @@ const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
       {filteredJobs.length > 0 ? (
         <div className="space-y-4">
           {filteredJobs.map((jobMatch, index) => {
-            const { job, overallScore, matchedSkills, missingSkills } = jobMatch;
+            const { job, overallScore, matchedSkills } = jobMatch;
+            const missingSkills = flattenMissingSkills(jobMatch.missingSkills);
             const isSaved = savedJobs.has(job.id);
             
             return (
@@ -317,14 +325,20 @@ const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
                         )}
 
                         {/* Missing Skills */}
-                        {missingSkills && missingSkills.length > 0 && (
+                        {missingSkills.length > 0 && (
                           <div className="mb-3">
                             <div className="text-xs text-gray-500 mb-2">Skills to Develop:</div>
                             <div className="flex flex-wrap gap-1">
-                              {missingSkills.slice(0, 3).map((skill, idx) => (
+                              {missingSkills.slice(0, 3).map(({ skill, importance }, idx) => (
                                 <span
                                   key={idx}
-                                  className="px-2 py-1 bg-warning-100 text-warning-700 rounded-full text-xs"
+                                  title={importance === 'required' ? 'Required for this role' : undefined}
+                                  className={cn(
+                                    "px-2 py-1 rounded-full text-xs",
+                                    importance === 'required'
+                                      ? "bg-error-100 text-error-700"
+                                      : "bg-warning-100 text-warning-700"
+                                  )}
                                 >
                                   {skill}
                                 </span>
@@ -371,6 +385,7 @@ const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
                       whileHover={{ scale: 1.05 }}
                       whileTap={{ scale: 0.95 }}
                       onClick={() => handleApply(job)}
+                      disabled={appliedJobs.has(job.job.id)}
                       className={cn(
                         "btn btn-md",
                         overallScore >= 80 ? "btn-success" :
@@ -379,7 +394,7 @@ const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
                       )}
                     >
                       <Zap className="w-4 h-4 mr-2" />
-                      Apply Now
+                      {appliedJobs.has(job.job.id) ? 'Applied' : 'Apply Now'}
                     </motion.button>
                   </div>
                 </div>
@@ -484,6 +499,18 @@ const JobRecommendations = ({ jobRecommendations, refetchJobs }) => {
           </div>
         </motion.div>
       )}
+
+      {/* Application Modal */}
+      <AnimatePresence>
+        {applyingTo && (
+          <ApplyModal
+            job={applyingTo}
+            resumes={resumes}
+            onClose={() => setApplyingTo(null)}
+            onApplied={handleApplied}
+          />
+        )}
+      </AnimatePresence>
     </motion.div>
   );
 };
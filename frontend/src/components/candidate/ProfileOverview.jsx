@@ -13,18 +13,24 @@ import {
   Target,
   CheckCircle2,
   AlertCircle,
-  Plus
+  Plus,
+  Palette
 } from 'lucide-react';
 
 import { cn } from '../../utils/cn';
 import { formatPercentage, getProfileCompletionSuggestions, formatRelativeTime } from '../../utils/formatters';
+import ResumeThemePicker from './ResumeThemePicker';
 
 const ProfileOverview = ({ 
   profile, 
   profileCompletion, 
+  resumes,
   refetchProfile 
 }) => {
   const [editModalOpen, setEditModalOpen] = useState(false);
+  const [themePickerOpen, setThemePickerOpen] = useState(false);
+
+  const activeResume = resumes?.find(r => r.isActive) || resumes?.[0];
 
   const completion = profileCompletion?.profileCompletion || 0;
   const suggestions = profileCompletion?.suggestions || getProfileCompletionSuggestions(profile || {});
@@ -390,7 +396,7 @@ const ProfileOverview = ({
       <motion.div variants={cardVariants} className="dashboard-card">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
         
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           <motion.button
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
@@ -421,6 +427,20 @@ const ProfileOverview = ({
             <h4 className="font-semibold text-gray-900 mb-1">View Achievements</h4>
             <p className="text-sm text-gray-600">Track your career progress</p>
           </motion.button>
+
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => setThemePickerOpen(true)}
+            disabled={!activeResume}
+            className="p-4 bg-gradient-to-r from-secondary-50 to-secondary-100 border border-secondary-200 rounded-xl hover:shadow-medium transition-all text-left disabled:opacity-50"
+          >
+            <Palette className="w-6 h-6 text-secondary-600 mb-2" />
+            <h4 className="font-semibold text-gray-900 mb-1">Export Resume</h4>
+            <p className="text-sm text-gray-600">
+              {activeResume ? 'Pick a theme and download' : 'Upload a resume first'}
+            </p>
+          </motion.button>
         </div>
       </motion.div>
 
@@ -493,6 +513,13 @@ const ProfileOverview = ({
         </motion.div>
       )}
 
+      {/* Resume Export Theme Picker */}
+      <ResumeThemePicker
+        resume={activeResume}
+        isOpen={themePickerOpen}
+        onClose={() => setThemePickerOpen(false)}
+      />
+
       {/* Edit Profile Modal - Placeholder */}
       {editModalOpen && (
         <motion.div
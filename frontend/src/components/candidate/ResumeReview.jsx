@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { X, CheckCircle2, AlertTriangle, Check, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+import { resumesAPI } from '../../services/api';
+import { cn } from '../../utils/cn';
+import { formatPercentage } from '../../utils/formatters';
+
+const sectionTitles = {
+  personalInfo: 'Personal Information',
+  experience: 'Experience',
+  education: 'Education',
+  projects: 'Projects',
+  awards: 'Awards',
+  publications: 'Publications',
+  volunteering: 'Volunteering',
+  skills: 'Skills',
+};
+
+const fieldLabels = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  address: 'Address',
+  linkedin: 'LinkedIn',
+  github: 'GitHub',
+  website: 'Website',
+  summary: 'Summary',
+  position: 'Position',
+  company: 'Company',
+  startDate: 'Start date',
+  endDate: 'End date',
+  location: 'Location',
+  institution: 'Institution',
+  degree: 'Degree',
+  field: 'Field of study',
+  description: 'Description',
+  title: 'Title',
+  issuer: 'Issuer',
+  date: 'Date',
+  publisher: 'Publisher',
+  organization: 'Organization',
+  role: 'Role',
+  technical: 'Technical skills',
+  soft: 'Soft skills',
+};
+
+const isMultiline = (field) => field.field === 'summary' || field.field === 'description';
+
+// Skill lists are edited as comma-separated text
+const toInputValue = (field) =>
+  Array.isArray(field.value) ? field.value.join(', ') : field.value || '';
+
+const fromInputValue = (field, text) =>
+  Array.isArray(field.value)
+    ? text.split(',').map((item) => item.trim()).filter(Boolean)
+    : text;
+
+const ResumeReview = ({ resume, isOpen, onClose, onSaved }) => {
+  const [edits, setEdits] = useState({});
+  const [confirmed, setConfirmed] = useState(new Set());
+  const [lowOnly, setLowOnly] = useState(false);
+  const queryClient = useQueryClient();
+
+  const { data: review, isLoading } = useQuery(
+    ['resume-review', resume?._id],
+    () => resumesAPI.getParsedFieldsReview(resume._id),
+    {
+      enabled: isOpen && !!resume,
+      select: (response) => response.data.data,
+    }
+  );
+
+  useEffect(() => {
+    setEdits({});
+    setConfirmed(new Set());
+    setLowOnly(false);
+  }, [resume?._id]);
+
+  useEffect(() => {
+    if (review?.lowConfidenceCount > 0) {
+      setLowOnly(true);
+    }
+  }, [review?.lowConfidenceCount]);
+
+  // Group fields into sections, and array sections into their entries
+  const sections = useMemo(() => {
+    const grouped = [];
+    review?.fields
+      .filter((field) => !lowOnly || field.lowConfidence)
+      .forEach((field) => {
+        let section = grouped.find((group) => group.id === field.section);
+        if (!section) {
+          section = { id: field.section, entries: [] };
+          grouped.push(section);
+        }
+        const entryKey = field.index ?? 'fields';
+        let entry = section.entries.find((item) => item.key === entryKey);
+        if (!entry) {
+          entry = { key: entryKey, fields: [] };
+          section.entries.push(entry);
+        }
+        entry.fields.push(field);
+      });
+    return grouped;
+  }, [review, lowOnly]);
+
+  const saveMutation = useMutation(
+    () => {
+      const fieldsByPath = new Map(review.fields.map((field) => [field.path, field]));
+      const corrections = Object.entries(edits)
+        .filter(([path, text]) => text !== toInputValue(fieldsByPath.get(path)))
+        .map(([path, text]) => ({ path, value: fromInputValue(fieldsByPath.get(path), text) }));
+      const corrected = new Set(corrections.map((correction) => correction.path));
+
+      return resumesAPI.updateResume(resume._id, {
+        corrections,
+        confirmations: [...confirmed].filter((path) => !corrected.has(path)),
+      });
+    },
+    {
+      onSuccess: () => {
+        toast.success('Resume details saved');
+        setEdits({});
+        setConfirmed(new Set());
+        queryClient.invalidateQueries(['resume-review', resume._id]);
+        onSaved?.();
+        onClose();
+      },
+      onError: (error) => {
+        const details = error.response?.data?.details;
+        toast.error(details?.[0] || error.response?.data?.error || 'Failed to save corrections');
+      },
+    }
+  );
+
+  const toggleConfirmed = (path) => {
+    setConfirmed((current) => {
+      const next = new Set(current);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const pendingCount = Object.keys(edits).length + confirmed.size;
+
+  if (!isOpen || !resume) return null;
+
+  const renderField = (field) => {
+    const edited = edits[field.path] !== undefined;
+    const isConfirmed = confirmed.has(field.path);
+    const flagged = field.lowConfidence && !edited && !isConfirmed;
+    const inputProps = {
+      value: edited ? edits[field.path] : toInputValue(field),
+      onChange: (e) => setEdits((current) => ({ ...current, [field.path]: e.target.value })),
+      className: cn('input w-full', flagged && 'border-warning-400 bg-warning-50'),
+    };
+
+    return (
+      <div key={field.path} className="space-y-1">
+        <div className="flex items-center justify-between">
+          <label className="text-sm font-medium text-gray-700">
+            {fieldLabels[field.field] || field.field}
+          </label>
+          <div className="flex items-center space-x-2 text-xs">
+            {field.verified ? (
+              <span className="inline-flex items-center text-success-600">
+                <CheckCircle2 className="w-3 h-3 mr-1" />
+                Verified
+              </span>
+            ) : field.confidence !== null && (
+              <span className={cn(
+                'inline-flex items-center',
+                field.lowConfidence ? 'text-warning-600' : 'text-gray-500'
+              )}>
+                {field.lowConfidence && <AlertTriangle className="w-3 h-3 mr-1" />}
+                {formatPercentage(field.confidence * 100)} confidence
+              </span>
+            )}
+            {!field.verified && !edited && (
+              <button
+                type="button"
+                onClick={() => toggleConfirmed(field.path)}
+                className={cn(
+                  'inline-flex items-center px-2 py-0.5 rounded border transition-colors',
+                  isConfirmed
+                    ? 'border-success-300 bg-success-50 text-success-700'
+                    : 'border-gray-200 text-gray-600 hover:border-success-300'
+                )}
+              >
+                <Check className="w-3 h-3 mr-1" />
+                {isConfirmed ? 'Confirmed' : 'Looks right'}
+              </button>
+            )}
+          </div>
+        </div>
+        {isMultiline(field) ? (
+          <textarea rows={3} {...inputProps} />
+        ) : (
+          <input type="text" {...inputProps} />
+        )}
+        {flagged && field.sourceText && (
+          <p className="text-xs text-gray-500">
+            Found in: <span className="italic">“{field.sourceText}”</span>
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        className="bg-white rounded-xl shadow-large max-w-3xl w-full max-h-[90vh] overflow-hidden flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Review Parsed Data</h2>
+              <p className="text-gray-600 mt-1">
+                {review?.lowConfidenceCount > 0
+                  ? `${review.lowConfidenceCount} field${review.lowConfidenceCount === 1 ? '' : 's'} may need your attention`
+                  : 'Check what we extracted from your resume'}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+          <label className="flex items-center text-sm text-gray-700 mt-4">
+            <input
+              type="checkbox"
+              checked={lowOnly}
+              onChange={(e) => setLowOnly(e.target.checked)}
+              className="mr-2"
+            />
+            Only show low-confidence fields
+          </label>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="loading-spinner w-8 h-8" />
+            </div>
+          ) : sections.length === 0 ? (
+            <div className="text-center py-12">
+              <CheckCircle2 className="w-12 h-12 text-success-500 mx-auto mb-3" />
+              <p className="text-gray-600">Nothing needs review right now.</p>
+            </div>
+          ) : (
+            sections.map((section) => (
+              <div key={section.id}>
+                <h3 className="text-sm font-semibold text-gray-900 mb-3">
+                  {sectionTitles[section.id] || section.id}
+                </h3>
+                <div className="space-y-4">
+                  {section.entries.map((entry) => (
+                    <div
+                      key={entry.key}
+                      className={cn(
+                        'space-y-3',
+                        entry.key !== 'fields' && 'p-4 border border-gray-200 rounded-lg'
+                      )}
+                    >
+                      {entry.fields.map(renderField)}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex items-center justify-end space-x-3">
+          <button onClick={onClose} className="btn btn-outline btn-md">
+            Cancel
+          </button>
+          <button
+            onClick={() => saveMutation.mutate()}
+            disabled={pendingCount === 0 || saveMutation.isLoading}
+            className="btn btn-primary btn-md"
+          >
+            <Save className="w-4 h-4 mr-2" />
+            {saveMutation.isLoading ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ResumeReview;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useQuery, useMutation } from 'react-query';
+import { X, Download, Columns, CheckCircle2, FileText, Link2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+import { resumesAPI, exportsAPI, downloadFile } from '../../services/api';
+import { cn } from '../../utils/cn';
+
+const exportFormats = [
+  { id: 'pdf', label: 'PDF' },
+  { id: 'docx', label: 'Word (DOCX)' },
+  { id: 'txt', label: 'Plain Text' },
+  { id: 'json', label: 'JSON Resume' },
+];
+
+const ResumeThemePicker = ({ resume, isOpen, onClose }) => {
+  const [selectedTemplate, setSelectedTemplate] = useState('classic');
+  const [format, setFormat] = useState('pdf');
+  const [atsPreview, setAtsPreview] = useState(false);
+  const [lastExport, setLastExport] = useState(null);
+
+  // Fetch available templates
+  const { data: templates } = useQuery(
+    'resume-templates',
+    () => resumesAPI.getResumeTemplates(),
+    {
+      enabled: isOpen,
+      select: (response) => response.data.data,
+      staleTime: 30 * 60 * 1000,
+    }
+  );
+
+  useEffect(() => {
+    const defaultTemplate = templates?.find(t => t.isDefault);
+    if (defaultTemplate) {
+      setSelectedTemplate(defaultTemplate.id);
+    }
+  }, [templates]);
+
+  const currentTemplate = templates?.find(t => t.id === selectedTemplate);
+
+  // Fetch rendered preview for the selected template
+  const { data: previewHtml, isLoading: previewLoading } = useQuery(
+    ['resume-preview', resume?._id, selectedTemplate, atsPreview],
+    () => resumesAPI.previewResume(resume._id, { template: selectedTemplate, ats: atsPreview }),
+    {
+      enabled: isOpen && !!resume,
+      select: (response) => response.data,
+      staleTime: 5 * 60 * 1000,
+    }
+  );
+
+  const exportMutation = useMutation(
+    () => resumesAPI.exportResume(resume._id, { format, template: selectedTemplate }),
+    {
+      onSuccess: async (response) => {
+        const result = response.data.data;
+        setLastExport(result);
+        toast.success('Resume exported!');
+        if (result.unmappedFields?.length > 0) {
+          toast(`Not representable in JSON Resume: ${result.unmappedFields.join(', ')}`, {
+            icon: '⚠️',
+            duration: 8000,
+          });
+        }
+        await downloadFile(result.downloadUrl.replace(/^\/api/, ''), result.filename);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Export failed');
+      },
+    }
+  );
+
+  const shareMutation = useMutation(
+    () => exportsAPI.createShareLink(lastExport.filename),
+    {
+      onSuccess: async (response) => {
+        const { shareUrl, expiresAt } = response.data.data;
+        try {
+          await navigator.clipboard.writeText(shareUrl);
+          toast.success(`Share link copied (valid until ${new Date(expiresAt).toLocaleString()})`);
+        } catch (error) {
+          window.prompt('Copy this share link', shareUrl);
+        }
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to create share link');
+      },
+    }
+  );
+
+  if (!isOpen || !resume) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        className="bg-white rounded-xl shadow-large max-w-6xl w-full max-h-[90vh] overflow-hidden flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Modal Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Export Resume</h2>
+              <p className="text-gray-600 mt-1">{resume.originalName}</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <X className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 grid grid-cols-1 lg:grid-cols-3 overflow-hidden">
+          {/* Theme list */}
+          <div className="p-6 border-r border-gray-200 overflow-y-auto space-y-3">
+            <h3 className="text-sm font-semibold text-gray-900">Theme</h3>
+            {templates?.map((template) => (
+              <button
+                key={template.id}
+                onClick={() => {
+                  setSelectedTemplate(template.id);
+                  setAtsPreview(false);
+                }}
+                className={cn(
+                  "w-full text-left p-4 border rounded-xl transition-all",
+                  selectedTemplate === template.id
+                    ? "border-primary-500 bg-primary-50"
+                    : "border-gray-200 hover:border-primary-300"
+                )}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-medium text-gray-900">{template.name}</span>
+                  {selectedTemplate === template.id && (
+                    <CheckCircle2 className="w-4 h-4 text-primary-600" />
+                  )}
+                </div>
+                <p className="text-xs text-gray-600">{template.description}</p>
+                {template.atsFallback && (
+                  <span className="inline-flex items-center mt-2 text-xs text-accent-700">
+                    <Columns className="w-3 h-3 mr-1" />
+                    Two-column with ATS fallback
+                  </span>
+                )}
+              </button>
+            ))}
+
+            {currentTemplate?.atsFallback && (
+              <label className="flex items-center text-sm text-gray-700 pt-2">
+                <input
+                  type="checkbox"
+                  checked={atsPreview}
+                  onChange={(e) => setAtsPreview(e.target.checked)}
+                  className="mr-2"
+                />
+                Preview ATS single-column fallback
+              </label>
+            )}
+
+            <div className="pt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Format</h3>
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="input w-full"
+              >
+                {exportFormats.map((option) => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <button
+              onClick={() => exportMutation.mutate()}
+              disabled={exportMutation.isLoading}
+              className="btn btn-primary btn-md w-full mt-4"
+            >
+              <Download className="w-4 h-4 mr-2" />
+              {exportMutation.isLoading ? 'Exporting...' : 'Export'}
+            </button>
+
+            {lastExport && (
+              <button
+                onClick={() => shareMutation.mutate()}
+                disabled={shareMutation.isLoading}
+                className="btn btn-outline btn-md w-full"
+              >
+                <Link2 className="w-4 h-4 mr-2" />
+                {shareMutation.isLoading ? 'Creating link...' : 'Copy share link'}
+              </button>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div className="lg:col-span-2 bg-gray-100 p-4 overflow-hidden">
+            {previewLoading ? (
+              <div className="h-full flex items-center justify-center">
+                <div className="loading-spinner w-8 h-8" />
+              </div>
+            ) : previewHtml ? (
+              <iframe
+                title="Resume preview"
+                srcDoc={previewHtml}
+                sandbox=""
+                className="w-full h-[65vh] bg-white rounded-lg shadow-medium"
+              />
+            ) : (
+              <div className="h-full flex flex-col items-center justify-center text-center py-12">
+                <FileText className="w-16 h-16 text-gray-300 mb-4" />
+                <p className="text-gray-600">
+                  Preview is available once your resume has finished parsing.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ResumeThemePicker;
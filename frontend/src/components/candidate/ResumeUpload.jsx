@@ -16,7 +16,9 @@ import {
   RefreshCw,
   Zap,
   Target,
-  TrendingUp
+  TrendingUp,
+  Palette,
+  ClipboardCheck
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -28,11 +30,15 @@ import {
   getATSGrade, 
   formatPercentage 
 } from '../../utils/formatters';
+import ResumeThemePicker from './ResumeThemePicker';
+import ResumeReview from './ResumeReview';
 
 const ResumeUpload = ({ resumes, refetchResumes }) => {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [selectedResume, setSelectedResume] = useState(null);
   const [analysisOpen, setAnalysisOpen] = useState(false);
+  const [exportResume, setExportResume] = useState(null);
+  const [reviewResume, setReviewResume] = useState(null);
   const queryClient = useQueryClient();
 
   // Get active resume
@@ -52,8 +58,17 @@ const ResumeUpload = ({ resumes, refetchResumes }) => {
   const uploadMutation = useMutation(
     (formData) => resumesAPI.uploadResume(formData),
     {
-      onSuccess: () => {
-        toast.success('Resume uploaded successfully!');
+      onSuccess: (response) => {
+        const unmappedFields = response.data.resume?.unmappedFields || [];
+        toast.success(response.data.message || 'Resume uploaded successfully!');
+        if (unmappedFields.length > 0) {
+          const shown = unmappedFields.slice(0, 5).join(', ');
+          const more = unmappedFields.length > 5 ? ` and ${unmappedFields.length - 5} more` : '';
+          toast(`Some JSON Resume fields were not imported: ${shown}${more}`, {
+            icon: '⚠️',
+            duration: 8000,
+          });
+        }
         refetchResumes();
         setUploadProgress(0);
       },
@@ -113,7 +128,8 @@ const ResumeUpload = ({ resumes, refetchResumes }) => {
       'application/pdf': ['.pdf'],
       'application/msword': ['.doc'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
-      'text/plain': ['.txt']
+      'text/plain': ['.txt'],
+      'application/json': ['.json']
     },
     maxSize: 10 * 1024 * 1024, // 10MB
     multiple: false,
@@ -206,7 +222,7 @@ const ResumeUpload = ({ resumes, refetchResumes }) => {
             </p>
             
             <div className="text-sm text-gray-500">
-              Supported formats: PDF, DOC, DOCX, TXT (Max 10MB)
+              Supported formats: PDF, DOC, DOCX, TXT, JSON Resume (Max 10MB)
             </div>
           </motion.div>
 
@@ -329,6 +345,28 @@ const ResumeUpload = ({ resumes, refetchResumes }) => {
                       >
                         <Download className="w-4 h-4" />
                       </motion.button>
+
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => setExportResume(resume)}
+                        className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                        title="Export with Theme"
+                      >
+                        <Palette className="w-4 h-4" />
+                      </motion.button>
+
+                      {resume.parsedContent?.parsingStatus === 'completed' && (
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={() => setReviewResume(resume)}
+                          className="p-2 text-warning-600 hover:bg-warning-50 rounded-lg transition-colors"
+                          title="Review Parsed Data"
+                        >
+                          <ClipboardCheck className="w-4 h-4" />
+                        </motion.button>
+                      )}
                       
                       {!resume.isActive && (
                         <motion.button
@@ -603,6 +641,21 @@ const ResumeUpload = ({ resumes, refetchResumes }) => {
         </motion.div>
       )}
 
+      {/* Export Theme Picker */}
+      <ResumeThemePicker
+        resume={exportResume}
+        isOpen={!!exportResume}
+        onClose={() => setExportResume(null)}
+      />
+
+      {/* Parsed Data Review */}
+      <ResumeReview
+        resume={reviewResume}
+        isOpen={!!reviewResume}
+        onClose={() => setReviewResume(null)}
+        onSaved={refetchResumes}
+      />
+
       {/* Empty State */}
       {(!resumes || resumes.length === 0) && !uploadMutation.isLoading && (
         <motion.div variants={cardVariants} className="dashboard-card">
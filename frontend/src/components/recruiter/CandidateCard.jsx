@@ -18,7 +18,9 @@ import {
   CheckCircle2,
   User,
   MoreHorizontal,
-  MessageSquare
+  MessageSquare,
+  TrendingUp,
+  FileText
 } from 'lucide-react';
 
 import { cn } from '../../utils/cn';
@@ -26,8 +28,10 @@ import {
   getMatchScoreColor, 
   formatRelativeTime,
   truncateText,
-  formatPercentage 
+  formatPercentage,
+  flattenMissingSkills
 } from '../../utils/formatters';
+import MatchExplanation from './MatchExplanation';
 
 const CandidateCard = ({ 
   candidateMatch, 
@@ -40,7 +44,8 @@ const CandidateCard = ({
   const [showDetails, setShowDetails] = useState(false);
   const [menuOpen, setMenuOpen] = useState(false);
 
-  const { candidate, overallScore, breakdown, matchedSkills, missingSkills } = candidateMatch;
+  const { candidate, overallScore, breakdown, matchedSkills } = candidateMatch;
+  const missingSkills = flattenMissingSkills(candidateMatch.missingSkills);
   const profile = candidate.profile || {};
   const resume = candidate.resume || {};
 
@@ -167,14 +172,20 @@ const CandidateCard = ({
               )}
 
               {/* Missing Skills */}
-              {missingSkills && missingSkills.length > 0 && (
+              {missingSkills.length > 0 && (
                 <div className="mb-3">
                   <div className="text-xs text-gray-500 mb-1">Skills to Develop:</div>
                   <div className="flex flex-wrap gap-1">
-                    {missingSkills.slice(0, 4).map((skill, idx) => (
+                    {missingSkills.slice(0, 4).map(({ skill, importance }, idx) => (
                       <span
                         key={idx}
-                        className="px-2 py-1 bg-warning-100 text-warning-700 rounded-full text-xs"
+                        title={importance === 'required' ? 'Required skill' : undefined}
+                        className={cn(
+                          "px-2 py-1 rounded-full text-xs",
+                          importance === 'required'
+                            ? "bg-error-100 text-error-700"
+                            : "bg-warning-100 text-warning-700"
+                        )}
                       >
                         {skill}
                       </span>
@@ -322,6 +333,9 @@ const CandidateCard = ({
             exit={{ opacity: 0, height: 0 }}
             className="mt-4 space-y-4"
           >
+            {/* Match Explanation */}
+            <MatchExplanation explanation={candidateMatch.explanation} />
+
             {/* Experience */}
             {candidate.experience && candidate.experience.length > 0 && (
               <div>
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import {
+  Calendar,
+  Clock,
+  MapPin,
+  User,
+  Briefcase,
+  XCircle,
+  RefreshCw
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+import { jobsAPI } from '../../services/api';
+import { cn } from '../../utils/cn';
+import { formatDate, capitalize } from '../../utils/formatters';
+
+const RANGES = [
+  { value: 7, label: 'Next 7 days' },
+  { value: 30, label: 'Next 30 days' },
+  { value: 90, label: 'Next 90 days' }
+];
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+const formatParticipant = (participant) =>
+  `${participant?.firstName || ''} ${participant?.lastName || ''}`.trim() || participant?.email || 'Unknown';
+
+// Upcoming interviews grouped by local day, in order
+const groupByDay = (interviews) => {
+  const days = [];
+  interviews.forEach(interview => {
+    const day = new Date(interview.scheduledAt).toDateString();
+    const last = days[days.length - 1];
+    if (last?.day === day) {
+      last.interviews.push(interview);
+    } else {
+      days.push({ day, date: interview.scheduledAt, interviews: [interview] });
+    }
+  });
+  return days;
+};
+
+const InterviewCalendar = () => {
+  const [range, setRange] = useState(30);
+  const queryClient = useQueryClient();
+
+  const { data: calendar, isLoading, refetch } = useQuery(
+    ['interview-calendar', range],
+    () => jobsAPI.getInterviewCalendar({
+      to: new Date(Date.now() + range * 24 * 60 * 60 * 1000).toISOString(),
+      status: 'scheduled'
+    }),
+    {
+      select: (response) => response.data.data,
+      staleTime: 60 * 1000,
+    }
+  );
+
+  const cancelMutation = useMutation(
+    (interview) => jobsAPI.updateInterview(
+      interview.job.id, interview.candidate.id, interview._id, { status: 'cancelled' }
+    ),
+    {
+      onSuccess: () => {
+        toast.success('Interview cancelled');
+        queryClient.invalidateQueries('interview-calendar');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to cancel interview');
+      },
+    }
+  );
+
+  const handleCancel = (interview) => {
+    if (window.confirm(`Cancel the interview with ${formatParticipant(interview.candidate)}?`)) {
+      cancelMutation.mutate(interview);
+    }
+  };
+
+  const days = groupByDay(calendar?.interviews || []);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Interviews</h2>
+          <p className="text-gray-600">Upcoming interviews for your jobs and the ones you conduct</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={range}
+            onChange={(e) => setRange(Number(e.target.value))}
+            className="input"
+          >
+            {RANGES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button onClick={() => refetch()} className="btn btn-secondary btn-md">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <div className="loading-spinner w-8 h-8"></div>
+        </div>
+      ) : days.length === 0 ? (
+        <div className="dashboard-card text-center py-12">
+          <Calendar className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900">No upcoming interviews</h3>
+          <p className="text-gray-600">Scheduled interviews will show up here.</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {days.map(({ day, date, interviews }) => (
+            <div key={day} className="dashboard-card">
+              <h3 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                <Calendar className="w-5 h-5 mr-2 text-accent-500" />
+                {formatDate(date, { weekday: 'long' })}
+              </h3>
+
+              <div className="space-y-3">
+                {interviews.map((interview, index) => (
+                  <motion.div
+                    key={interview._id}
+                    initial={{ opacity: 0, x: -20 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    transition={{ delay: index * 0.05 }}
+                    className="flex items-start justify-between p-4 bg-gray-50 rounded-lg"
+                  >
+                    <div className="flex space-x-4">
+                      <div className="text-sm font-semibold text-gray-900 w-20 flex-shrink-0">
+                        {formatTime(interview.scheduledAt)}
+                        <p className="flex items-center text-xs font-normal text-gray-500 mt-1">
+                          <Clock className="w-3 h-3 mr-1" />
+                          {interview.duration || 60} min
+                        </p>
+                      </div>
+                      <div className="space-y-1">
+                        <p className="font-semibold text-gray-900">
+                          {formatParticipant(interview.candidate)}
+                          <span className={cn(
+                            "ml-2 px-2 py-0.5 rounded-full text-xs font-medium",
+                            "bg-accent-100 text-accent-700"
+                          )}>
+                            {capitalize(interview.type)}
+                          </span>
+                        </p>
+                        <p className="flex items-center text-sm text-gray-600">
+                          <Briefcase className="w-4 h-4 mr-1" />
+                          {interview.job.title}
+                          {interview.job.company && ` · ${interview.job.company}`}
+                        </p>
+                        {interview.interviewer && (
+                          <p className="flex items-center text-sm text-gray-600">
+                            <User className="w-4 h-4 mr-1" />
+                            {formatParticipant(interview.interviewer)}
+                          </p>
+                        )}
+                        {interview.location && (
+                          <p className="flex items-center text-sm text-gray-600">
+                            <MapPin className="w-4 h-4 mr-1" />
+                            {interview.location}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+
+                    <button
+                      onClick={() => handleCancel(interview)}
+                      disabled={cancelMutation.isLoading}
+                      className="btn btn-secondary btn-sm text-error-600"
+                    >
+                      <XCircle className="w-4 h-4 mr-1" />
+                      Cancel
+                    </button>
+                  </motion.div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InterviewCalendar;
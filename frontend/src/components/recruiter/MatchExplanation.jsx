@@ -0,0 +1,128 @@
+import React from 'react';
+import {
+  CheckCircle2,
+  XCircle,
+  AlertCircle,
+  HelpCircle,
+  Quote
+} from 'lucide-react';
+
+import { cn } from '../../utils/cn';
+
+const STATUS_STYLES = {
+  met: { icon: CheckCircle2, className: 'text-success-600', label: 'Met' },
+  partial: { icon: AlertCircle, className: 'text-warning-600', label: 'Partly met' },
+  unmet: { icon: XCircle, className: 'text-error-600', label: 'Not met' },
+  unverified: { icon: HelpCircle, className: 'text-gray-400', label: 'Not verified' }
+};
+
+const FACTOR_LABELS = {
+  semantic: 'Overall fit',
+  skills: 'Skills',
+  experience: 'Experience',
+  keywords: 'Keywords'
+};
+
+const formatSource = (source) => {
+  if (!source) return '';
+  if (source.section === 'education') return 'Education';
+  return [source.position, source.company].filter(Boolean).join(', ');
+};
+
+/**
+ * Why a candidate got their match score: factor contributions, each job
+ * requirement with the resume sentences that support it, and what's missing
+ */
+const MatchExplanation = ({ explanation }) => {
+  if (!explanation) return null;
+
+  const { summary, factors = [], penaltyPercent, requirements = [], unmet = [] } = explanation;
+
+  return (
+    <div>
+      <h5 className="font-medium text-gray-900 mb-2">Why This Score</h5>
+      <p className="text-sm text-gray-700 mb-3">{summary}</p>
+
+      {/* Factor contributions */}
+      {factors.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {factors.map(({ factor, score, weight, points }) => (
+            <span
+              key={factor}
+              title={`${score}% × ${Math.round(weight * 100)}% weight`}
+              className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs"
+            >
+              {FACTOR_LABELS[factor] || factor}: +{points}
+            </span>
+          ))}
+          {penaltyPercent > 0 && (
+            <span className="px-2 py-1 bg-error-100 text-error-700 rounded-full text-xs">
+              Unmet requirements: -{penaltyPercent}%
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Unmet requirements */}
+      {unmet.length > 0 && (
+        <div className="p-3 bg-error-50 border border-error-200 rounded-lg mb-3">
+          <div className="text-xs font-medium text-error-700 mb-1">Not met</div>
+          <ul className="space-y-1">
+            {unmet.map((item, idx) => (
+              <li key={idx} className="text-sm text-error-700">
+                {item.requirement}
+                {item.importance && item.type === 'skill' && (
+                  <span className="text-xs text-error-500"> ({item.importance})</span>
+                )}
+                {item.detail && <span className="text-xs text-error-500"> - {item.detail}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Requirements with evidence */}
+      <div className="space-y-2">
+        {requirements.map((item, idx) => {
+          const status = STATUS_STYLES[item.status] || STATUS_STYLES.unverified;
+          const StatusIcon = status.icon;
+
+          return (
+            <div key={idx} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-start">
+                <StatusIcon
+                  className={cn("w-4 h-4 mr-2 mt-0.5 flex-shrink-0", status.className)}
+                  aria-label={status.label}
+                />
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-900">
+                    {item.requirement}
+                    {item.importance && item.type === 'skill' && (
+                      <span className="ml-2 text-xs font-normal text-gray-500">{item.importance}</span>
+                    )}
+                  </div>
+                  {item.detail && (
+                    <div className="text-xs text-gray-500">{item.detail}</div>
+                  )}
+                  {item.evidence?.map((evidence, evidenceIdx) => (
+                    <div key={evidenceIdx} className="mt-1 flex items-start text-xs text-gray-600">
+                      <Quote className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0 text-gray-400" />
+                      <span>
+                        <span className="italic">{evidence.text}</span>
+                        {formatSource(evidence.source) && (
+                          <span className="text-gray-400"> - {formatSource(evidence.source)}</span>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MatchExplanation;
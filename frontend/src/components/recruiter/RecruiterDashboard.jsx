@@ -27,6 +27,7 @@ import JobManagement from './JobManagement';
 import CandidateMatches from './CandidateMatches';
 import RecruiterAnalytics from './RecruiterAnalytics';
 import RecruiterNotifications from './RecruiterNotifications';
+import InterviewCalendar from './InterviewCalendar';
 import RecruiterProfile from './RecruiterProfile';
 import RecruiterHeader from './RecruiterHeader';
 
@@ -83,6 +84,12 @@ const RecruiterDashboard = () => {
       icon: Users,
       description: 'AI-ranked candidates for your jobs'
     },
+    {
+      id: 'interviews',
+      name: 'Interviews',
+      icon: Calendar,
+      description: 'Upcoming interview calendar'
+    },
     {
       id: 'analytics',
       name: 'Analytics',
@@ -157,6 +164,8 @@ const RecruiterDashboard = () => {
         return <JobManagement {...sectionProps} />;
       case 'candidates':
         return <CandidateMatches {...sectionProps} />;
+      case 'interviews':
+        return <InterviewCalendar {...sectionProps} />;
       case 'analytics':
         return <RecruiterAnalytics {...sectionProps} />;
       case 'notifications':
@@ -120,6 +120,7 @@ export const jobsAPI = {
   searchJobs: (params) => api.get('/jobs/search', { params }),
   getFeaturedJobs: (params) => api.get('/jobs/featured', { params }),
   getMyApplications: (params) => api.get('/jobs/my-applications', { params }),
+  getScreeningQuestions: (jobId) => api.get(`/jobs/${jobId}/screening`),
   applyToJob: (jobId, applicationData) => api.post(`/jobs/${jobId}/apply`, applicationData),
   createJob: (jobData) => api.post('/jobs', jobData),
   updateJob: (jobId, jobData) => api.put(`/jobs/${jobId}`, jobData),
@@ -129,6 +130,14 @@ export const jobsAPI = {
   updateApplicationStatus: (jobId, candidateId, statusData) => 
     api.put(`/jobs/${jobId}/applications/${candidateId}/status`, statusData),
   getJobStats: (jobId) => api.get(`/jobs/${jobId}/stats`),
+  getInterviewCalendar: (params) => api.get('/jobs/interviews', { params }),
+  getInterviews: (jobId, candidateId) => api.get(`/jobs/${jobId}/applications/${candidateId}/interviews`),
+  scheduleInterview: (jobId, candidateId, interviewData) =>
+    api.post(`/jobs/${jobId}/applications/${candidateId}/interviews`, interviewData),
+  updateInterview: (jobId, candidateId, interviewId, interviewData) =>
+    api.put(`/jobs/${jobId}/applications/${candidateId}/interviews/${interviewId}`, interviewData),
+  deleteInterview: (jobId, candidateId, interviewId) =>
+    api.delete(`/jobs/${jobId}/applications/${candidateId}/interviews/${interviewId}`),
 };
 
 // Resumes API
@@ -145,16 +154,30 @@ export const resumesAPI = {
   }),
   parseResume: (resumeId) => api.post(`/resumes/${resumeId}/parse`),
   getResumeAnalysis: (resumeId) => api.get(`/resumes/${resumeId}/analysis`),
+  getParsedFieldsReview: (resumeId) => api.get(`/resumes/${resumeId}/review`),
   getAISuggestions: (resumeId) => api.get(`/resumes/${resumeId}/suggestions`),
   applySuggestion: (resumeId, suggestionId) => 
     api.post(`/resumes/${resumeId}/suggestions/${suggestionId}/apply`),
   exportResume: (resumeId, exportData) => api.post(`/resumes/${resumeId}/export`, exportData),
+  getResumeTemplates: () => api.get('/resumes/templates'),
+  previewResume: (resumeId, params) => api.get(`/resumes/${resumeId}/preview`, {
+    params,
+    responseType: 'text'
+  }),
   setActiveResume: (resumeId) => api.post(`/resumes/${resumeId}/set-active`),
   getResumeVersions: (userId) => api.get(`/resumes/versions/${userId}`),
   compareResumes: (resumeId1, resumeId2) => api.get(`/resumes/compare/${resumeId1}/${resumeId2}`),
   searchResumes: (params) => api.get('/resumes/search', { params }),
 };
 
+// Exports API
+export const exportsAPI = {
+  downloadExport: (filename) => api.get(`/exports/${filename}`, {
+    responseType: 'blob'
+  }),
+  createShareLink: (filename, data) => api.post(`/exports/${filename}/share`, data),
+};
+
 // AI API
 export const aiAPI = {
   getHealthStatus: () => api.get('/ai/health'),
@@ -284,6 +284,22 @@ export const formatUserRole = (role) => {
   return roles[role] || capitalize(role);
 };
 
+/**
+ * Flatten a match's missing skills, grouped by importance
+ * ({ required, preferred, 'nice-to-have' }), into
+ * [{ skill, importance }] with required skills first
+ */
+export const flattenMissingSkills = (missingSkills) => {
+  if (!missingSkills) return [];
+  if (Array.isArray(missingSkills)) {
+    return missingSkills.map(skill => ({ skill, importance: 'preferred' }));
+  }
+
+  return ['required', 'preferred', 'nice-to-have'].flatMap(importance =>
+    (missingSkills[importance] || []).map(skill => ({ skill, importance }))
+  );
+};
+
 /**
  * Get user status badge props
  */